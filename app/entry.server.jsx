@@ -6,6 +6,7 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startScheduler } from "./services/scheduler.server";
 
 export const streamTimeout = 5000;
 
@@ -28,6 +29,12 @@ const entryError = (...args) => {
   }
 };
 
+// Runs the publish/unpublish worker inside the app server process. Set
+// SCHEDULER_ENABLED=false on instances that should only serve requests.
+if (process.env.SCHEDULER_ENABLED !== "false") {
+  startScheduler();
+}
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -1,12 +1,354 @@
-import { redirect } from "react-router";
+import { useEffect } from "react";
+import { Link, useLoaderData, useRouteError } from "react-router";
+import { useAppBridge } from "@shopify/app-bridge-react";
+import { Redirect } from "@shopify/app-bridge/actions";
 import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
 import { authenticate } from "../shopify.server";
+import { ensureActiveSubscription } from "../utils/billing.server";
+import { json } from "../utils/responses.server";
+import { loadAllEntries } from "../services/metaobjects.server";
+import { getPendingJobsByEntry } from "../services/scheduler.server";
+import { listPositions } from "../services/positions.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import { formatInTimeZone } from "../utils/datetime";
+import { getEntryWindows, getFieldMap } from "../utils/entries";
+import { getScheduleState } from "../utils/entry-query";
+import { evaluatePosition, getPositionContentType } from "../utils/selection";
+import { DASHBOARD_UPCOMING_DAYS, getUpcomingChanges } from "../utils/dashboard";
+import { validateEntry } from "../utils/validation";
 
+// The landing page. Only entry fields, jobs and positions are read (no media or
+// theme files) so it stays quick.
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
-  throw redirect("/app/block-scheduler");
+  const { admin, session } = await authenticate.admin(request);
+
+  const confirmationUrl = await ensureActiveSubscription(admin, request);
+  if (confirmationUrl) {
+    return json({ redirectUrl: confirmationUrl });
+  }
+
+  const shopTimeZone = await getShopTimeZone(admin);
+  try {
+    const [allEntries, pendingJobs, registered] = await Promise.all([
+      loadAllEntries(admin),
+      getPendingJobsByEntry(session.shop),
+      listPositions(session.shop),
+    ]);
+    const now = new Date();
+    const entries = allEntries.map((entry) => ({
+      id: entry.id,
+      fieldMap: getFieldMap(entry),
+      // Switched on entries: published now, or drafts waiting for their scheduled publish
+      published:
+        entry.capabilities?.publishable?.status === "ACTIVE" ||
+        (pendingJobs[entry.id] || []).some((job) => job.action === "ACTIVATE"),
+    }));
+    const titles = Object.fromEntries(entries.map((entry) => [entry.id, entry.fieldMap.title || "(untitled)"]));
+    const positionNames = Object.fromEntries(registered.map((position) => [position.positionId, position.name]));
+    const registeredIds = new Set(registered.map((position) => position.positionId));
+    const positionIds = [
+      ...new Set([
+        ...registeredIds,
+        ...entries.map((entry) => String(entry.fieldMap.position_id || "").trim()).filter(Boolean),
+      ]),
+    ].sort();
+
+    const live = positionIds.map((positionId) => {
+      const contentType = getPositionContentType(entries, positionId);
+      const { winner, rotation, usedFallback, hidden } = evaluatePosition({ entries, positionId, at: now, contentType });
+      const window =
+        winner && !usedFallback
+          ? getEntryWindows(winner.fieldMap, { from: now, to: new Date(now.getTime() + 1) })[0]
+          : null;
+      return {
+        positionId,
+        name: positionNames[positionId] || null,
+        registered: registeredIds.has(positionId),
+        entryId: winner?.id ?? null,
+        title: winner ? titles[winner.id] : null,
+        contentType,
+        // Other live announcements shown in turn with the winner
+        rotating: Math.max(rotation.length - 1, 0),
+        usedFallback,
+        hidden,
+        until: window ? window.end.toISOString() : null,
+      };
+    });
+
+    const upcoming = getUpcomingChanges(
+      entries.filter((entry) => entry.published),
+      { now },
+    ).map((change) => {
+      const entry = entries.find((candidate) => candidate.id === change.id);
+      return {
+        ...change,
+        at: change.at.toISOString(),
+        title: titles[change.id],
+        positionId: String(entry.fieldMap.position_id || "").trim(),
+      };
+    });
+
+    // Expired entries no longer matter to the storefront
+    const problems = entries
+      .filter((entry) => getScheduleState(entry.fieldMap, now) !== "expired")
+      .map((entry) => ({
+        id: entry.id,
+        title: titles[entry.id],
+        positionId: String(entry.fieldMap.position_id || "").trim(),
+        published: entry.published,
+        problems: validateEntry(entry.fieldMap, { registeredPositionIds: [...registeredIds] }).map(
+          (issue) => issue.message,
+        ),
+      }))
+      .filter((entry) => entry.problems.length > 0);
+
+    return { shopTimeZone, now: now.toISOString(), live, upcoming, problems, totalEntries: entries.length };
+  } catch (error) {
+    console.error("Error loading dashboard:", error);
+    return {
+      shopTimeZone,
+      now: new Date().toISOString(),
+      live: [],
+      upcoming: [],
+      problems: [],
+      totalEntries: 0,
+      error: `Failed to load entries: ${error.message}`,
+    };
+  }
 };
 
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+const linkStyle = { color: "#667eea" };
+
+// Why a position's winner renders nothing, by content type
+const HIDDEN_REASONS = { banner: "no target URL", announcement: "no message", popup: "no headline or image" };
+
+const entryLink = (title) => `/app/block-scheduler?${new URLSearchParams({ q: title })}`;
+const createLink = (positionId) => `/app/block-scheduler?${new URLSearchParams({ new: positionId })}`;
+
+export default function DashboardPage() {
+  const {
+    live = [],
+    upcoming = [],
+    problems = [],
+    totalEntries = 0,
+    shopTimeZone = "UTC",
+    now,
+    redirectUrl,
+    error: loaderError,
+  } = useLoaderData();
+  const shopify = useAppBridge();
+
+  // Billing confirmation opens at the top level, like on the entries page
+  useEffect(() => {
+    if (!redirectUrl) {
+      return;
+    }
+    try {
+      Redirect.create(shopify).dispatch(Redirect.Action.REMOTE, { url: redirectUrl, newContext: true });
+    } catch (error) {
+      console.error("[CLIENT] Failed to dispatch App Bridge redirect:", error);
+      window.open(redirectUrl, "_top");
+    }
+  }, [redirectUrl, shopify]);
+
+  if (redirectUrl) {
+    return <s-page heading="Block Scheduler | Dashboard" />;
+  }
+
+  return (
+    <s-page heading="Block Scheduler | Dashboard">
+      {loaderError && (
+        <s-banner tone="critical" title="Error">
+          {loaderError}
+        </s-banner>
+      )}
+      <s-section>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+          <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: 0 }}>Live now</h2>
+          <Link to="/app/block-scheduler" style={{ fontSize: "0.875rem", ...linkStyle }}>
+            All entries ({totalEntries})
+          </Link>
+        </div>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          What each position shows on the storefront as of {formatInTimeZone(now, shopTimeZone)} ({shopTimeZone}).
+        </p>
+        {live.length === 0 ? (
+          <s-text>
+            No positions yet. <Link to="/app/positions" style={linkStyle}>Add a position</Link> to get started.
+          </s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Position</th>
+                  <th style={headerCellStyle}>Showing</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}>Until</th>
+                </tr>
+              </thead>
+              <tbody>
+                {live.map((position) => (
+                  <LivePositionRow key={position.positionId} position={position} timeZone={shopTimeZone} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>
+          Next {DASHBOARD_UPCOMING_DAYS} days
+        </h2>
+        {upcoming.length === 0 ? (
+          <s-text>Nothing starts or ends in the next {DASHBOARD_UPCOMING_DAYS} days.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>When</th>
+                  <th style={headerCellStyle}>Change</th>
+                  <th style={headerCellStyle}>Entry</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}>Position</th>
+                </tr>
+              </thead>
+              <tbody>
+                {upcoming.map((change) => (
+                  <tr key={`${change.id}-${change.kind}-${change.at}`} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <td style={{ ...cellStyle, color: "#666", whiteSpace: "nowrap" }}>
+                      {formatInTimeZone(change.at, shopTimeZone)}
+                    </td>
+                    <td style={{ ...cellStyle, color: change.kind === "start" ? "#1a6e3a" : "#8e1f0b" }}>
+                      {change.kind === "start" ? "Starts" : "Ends"}
+                    </td>
+                    <td style={cellStyle}>
+                      <Link to={entryLink(change.title)} style={linkStyle}>
+                        {change.title}
+                      </Link>
+                    </td>
+                    <td style={{ padding: "0.75rem", fontSize: "0.8125rem" }}>{change.positionId || "-"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Needs attention ({problems.length})</h2>
+        {problems.length === 0 ? (
+          <s-text>No problems found in current and upcoming entries.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Entry</th>
+                  <th style={headerCellStyle}>Position</th>
+                  <th style={headerCellStyle}>Status</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}>Problems</th>
+                </tr>
+              </thead>
+              <tbody>
+                {problems.map((entry) => (
+                  <tr key={entry.id} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <td style={{ ...cellStyle, fontWeight: "500" }}>
+                      <Link to={entryLink(entry.title)} style={linkStyle}>
+                        {entry.title}
+                      </Link>
+                    </td>
+                    <td style={cellStyle}>{entry.positionId || "-"}</td>
+                    <td style={{ ...cellStyle, color: entry.published ? "#1f5199" : "#616161" }}>
+                      {entry.published ? "on" : "draft"}
+                    </td>
+                    <td style={{ padding: "0.75rem", fontSize: "0.8125rem", color: "#8a6116" }}>
+                      {entry.problems.join(", ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function LivePositionRow({ position, timeZone }) {
+  let showing;
+  if (!position.entryId) {
+    showing = (
+      <span style={{ color: "#616161" }}>
+        Nothing scheduled.{" "}
+        <Link to={createLink(position.positionId)} style={linkStyle}>
+          Create an entry
+        </Link>
+      </span>
+    );
+  } else {
+    showing = (
+      <>
+        <Link to={entryLink(position.title)} style={linkStyle}>
+          {position.title}
+        </Link>
+        {position.usedFallback && <span style={{ color: "#666" }}> (fallback)</span>}
+        {position.rotating > 0 && (
+          <span style={{ color: "#666" }}>
+            {" "}
+            and {position.rotating} more in rotation
+          </span>
+        )}
+        {position.hidden && (
+          <span style={{ color: "#8a6116" }}>
+            {" "}
+            · hidden: {HIDDEN_REASONS[position.contentType]}
+          </span>
+        )}
+      </>
+    );
+  }
+
+  return (
+    <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+      <td style={cellStyle}>
+        <div style={{ fontWeight: "500" }}>{position.name || position.positionId}</div>
+        <div style={{ color: "#666", fontSize: "0.75rem", fontFamily: "monospace" }}>
+          {position.positionId}
+          {!position.registered && " · not registered"}
+        </div>
+      </td>
+      <td style={cellStyle}>{showing}</td>
+      <td style={{ padding: "0.75rem", fontSize: "0.8125rem", color: "#666" }}>
+        {position.until ? formatInTimeZone(position.until, timeZone) : "-"}
+      </td>
+    </tr>
+  );
+}
+
 export const headers = (headersArgs) => {
   return boundary.headers(headersArgs);
 };
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+LivePositionRow.propTypes = {
+  position: PropTypes.shape({
+    positionId: PropTypes.string.isRequired,
+    name: PropTypes.string,
+    registered: PropTypes.bool,
+    entryId: PropTypes.string,
+    title: PropTypes.string,
+    contentType: PropTypes.oneOf(["banner", "announcement", "popup"]),
+    rotating: PropTypes.number,
+    usedFallback: PropTypes.bool,
+    hidden: PropTypes.bool,
+    until: PropTypes.string,
+  }).isRequired,
+  timeZone: PropTypes.string,
+};
@@ -1,9 +1,86 @@
 import { useCallback, useEffect, useRef, useState, useId } from "react";
-import { useFetcher, useLoaderData, useNavigation, useRevalidator, useRouteError } from "react-router";
+import {
+  Form,
+  Link,
+  useFetcher,
+  useLoaderData,
+  useNavigation,
+  useRevalidator,
+  useRouteError,
+  useSearchParams,
+} from "react-router";
 import { useAppBridge } from "@shopify/app-bridge-react";
 import { Redirect } from "@shopify/app-bridge/actions";
 import { boundary } from "@shopify/shopify-app-react-router/server";
 import PropTypes from "prop-types";
+import {
+  WEEKDAY_CODES,
+  WEEKDAY_LABELS,
+  describeRecurrenceRule,
+  parseRecurrenceRule,
+  serializeRecurrenceRule,
+} from "../utils/recurrence";
+import {
+  DEFAULT_ANNOUNCEMENT_COLORS,
+  PRIORITY_LIMIT,
+  TARGET_REFERENCE_FIELDS,
+  buildTargetFields,
+  getContentType,
+  getEntryPriority,
+  getEntryWindows,
+  getFieldMap,
+  getTargetReference,
+  isAnnouncement,
+  isFallbackEntry,
+  isPopup,
+} from "../utils/entries";
+import {
+  COUNTDOWN_TARGETS,
+  describeCountdownTarget,
+  formatCountdown,
+  getCountdownTarget,
+  splitCountdown,
+} from "../utils/countdown";
+import {
+  DEFAULT_POPUP_FREQUENCY_DAYS,
+  POPUP_FREQUENCIES,
+  POPUP_TRIGGERS,
+  describePopupSettings,
+  getPopupSettings,
+  parsePopupSettings,
+} from "../utils/popups";
+import { hasEntryFilters, parseEntryQuery, serializeSort } from "../utils/entry-query";
+import { VIDEO_MIME_TYPES, isVideoMimeType } from "../utils/media";
+import {
+  BANNER_BLOCK_DEFAULTS,
+  BANNER_PREVIEW_CSS,
+  PREVIEW_DESKTOP_WIDTH,
+  PREVIEW_MOBILE_WIDTH,
+  getFontStyle,
+  resolveBannerSettings,
+} from "../utils/banner-preview";
+import {
+  formatInTimeZone,
+  getSupportedTimeZones,
+  isValidTimeZone,
+  parseLocalDateTimeToUTC,
+  toDateTimeLocalValue,
+} from "../utils/datetime";
+import { describeDayparts, minutesToTime, parseDayparts, timeToMinutes } from "../utils/dayparts";
+import { formatImageSize } from "../utils/positions";
+import { hasFatalIssues, validateEntry } from "../utils/validation";
+import {
+  TIMELINE_SPANS,
+  buildCalendarDays,
+  buildTimelineRows,
+  buildTimelineTicks,
+  daysBetween,
+  formatTimelineRange,
+  getTimelineRange,
+  shiftAnchor,
+  shiftWindowByDays,
+  snapDate,
+} from "../utils/timeline";
 export { loader, action } from "../services/block-scheduler.server";
 
 const isDevEnvironment =
@@ -14,9 +91,44 @@ const debugLog = (...args) => {
   }
 };
 
+// Badge colours and explanations for the states from getLifecycleState
+const LIFECYCLE_BADGES = {
+  draft: { label: "Draft", background: "#f1f1f1", color: "#616161", description: "Switched off" },
+  scheduled: {
+    label: "Scheduled",
+    background: "#e0e7ff",
+    color: "#4338ca",
+    description: "Switched on, waiting for its start time",
+  },
+  live: { label: "Live", background: "#e3f1df", color: "#1a6e3a", description: "Showing on the storefront" },
+  hidden: {
+    label: "Live, hidden",
+    background: "#fff1d6",
+    color: "#8a6116",
+    description: "In its window but the block skips it because Target URL is empty",
+  },
+  expired: { label: "Expired", background: "#fbeae5", color: "#8e1f0b", description: "Its last window has ended" },
+};
+
 export default function BlockSchedulerPage() {
   const loaderData = useLoaderData();
   const initialEntries = loaderData?.entries ?? [];
+  const totalEntries = loaderData?.totalEntries ?? initialEntries.length;
+  const pageInfo = loaderData?.pageInfo ?? null;
+  const lifecycleStates = loaderData?.lifecycleStates ?? {};
+  const lifecycleCounts = loaderData?.lifecycleCounts ?? null;
+  const positions = loaderData?.positions ?? [];
+  const registeredPositions = loaderData?.registeredPositions ?? [];
+  const positionOrders = loaderData?.positionOrders ?? {};
+  const scheduledJobs = loaderData?.scheduledJobs ?? {};
+  const shopTimeZone = loaderData?.shopTimeZone || "UTC";
+  const campaigns = loaderData?.campaigns ?? [];
+  const entryCampaigns = loaderData?.entryCampaigns ?? {};
+  const trashRetentionDays = loaderData?.trashRetentionDays ?? 30;
+  const validationContext = loaderData?.validationContext ?? null;
+  const entryIssues = loaderData?.entryIssues ?? {};
+  const bannerSettings = loaderData?.bannerSettings ?? null;
+  const campaignNames = Object.fromEntries(campaigns.map((campaign) => [campaign.id, campaign.name]));
   const loaderMediaFiles = loaderData?.mediaFiles ?? [];
   const mediaFiles = loaderMediaFiles;
   const loaderError = loaderData?.error ?? null;
@@ -28,13 +140,34 @@ export default function BlockSchedulerPage() {
   const formRef = useRef(null);
   const [showForm, setShowForm] = useState(false);
   const [formStatusActive, setFormStatusActive] = useState(false);
+  const [createPositionId, setCreatePositionId] = useState(""); // preselected by the dashboard's "Create an entry"
   const handledResponseRef = useRef(null);
-  const [sortConfig, setSortConfig] = useState([]); // Array of {column: string, direction: 'asc'|'desc'}
+  const [searchParams, setSearchParams] = useSearchParams();
+  const entryQuery = parseEntryQuery(searchParams);
+  const sortConfig = entryQuery.sort; // Array of {column: string, direction: 'asc'|'desc'}, applied by the loader
+  const scheduleView = entryQuery.view;
+  const isFiltered = hasEntryFilters(entryQuery);
+  const [scheduleSpan, setScheduleSpan] = useState("week");
+  const [scheduleAnchor, setScheduleAnchor] = useState(() => new Date());
+  const [pendingMove, setPendingMove] = useState(null); // {entry, start, end, conflicts} awaiting "Save anyway"
+  const [scheduleError, setScheduleError] = useState("");
   const [editModalOpen, setEditModalOpen] = useState(false);
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
+  const [duplicateModalOpen, setDuplicateModalOpen] = useState(false);
   const [selectedEntry, setSelectedEntry] = useState(null);
-  const [userTimeZone, setUserTimeZone] = useState("UTC");
-  const [userTimezoneOffset, setUserTimezoneOffset] = useState(0);
+  const [userTimeZone, setUserTimeZone] = useState("UTC"); // the viewer's browser zone, for display only
+  const [createTimeZone, setCreateTimeZone] = useState(shopTimeZone);
+  const [createContentType, setCreateContentType] = useState("banner");
+  const [createStartValue, setCreateStartValue] = useState("");
+  const [createEndValue, setCreateEndValue] = useState("");
+  const [draggedEntry, setDraggedEntry] = useState(null); // {id, positionId} while a row is being dragged
+  const [reorderError, setReorderError] = useState("");
+  const [createConflicts, setCreateConflicts] = useState([]);
+  const [createIssues, setCreateIssues] = useState([]); // blocking issues returned when creating an active entry
+  const [createIssuesConfirmed, setCreateIssuesConfirmed] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]); // entry ids ticked for a bulk action
+  const [bulkResult, setBulkResult] = useState(null); // last bulk response: {message, error, results, undo}
+  const [isBulkRunning, setIsBulkRunning] = useState(false);
   const statusInputId = useId();
 
   const performRedirect = useCallback(
@@ -91,7 +224,15 @@ export default function BlockSchedulerPage() {
       return;
     }
     
-    if (fetcher.data?.error) {
+    if (fetcher.data?.requiresIssueOverride) {
+      debugLog("[CLIENT] Entry has blocking issues, asking for confirmation");
+      setCreateIssues(fetcher.data.issues || []);
+      handledResponseRef.current = responseId;
+    } else if (fetcher.data?.requiresConfirmation) {
+      debugLog("[CLIENT] Entry overlaps with existing entries, asking for confirmation");
+      setCreateConflicts(fetcher.data.conflicts || []);
+      handledResponseRef.current = responseId;
+    } else if (fetcher.data?.error) {
       console.error("[CLIENT] Error in fetcher data:", fetcher.data.error);
       handledResponseRef.current = responseId;
     } else if (fetcher.data?.success === false) {
@@ -108,8 +249,13 @@ export default function BlockSchedulerPage() {
       }
       // Reset toggle state
       setFormStatusActive(false);
+      setCreateConflicts([]);
+      setCreateIssues([]);
+      setCreateIssuesConfirmed(false);
+      setCreateContentType("banner");
       // Close the modal after successful submission
       setShowForm(false);
+      setCreatePositionId("");
     }
   }, [fetcher.data, fetcher.state, performRedirect, revalidator]);
 
@@ -120,6 +266,30 @@ export default function BlockSchedulerPage() {
     }
   }, [fetcher.state]);
 
+  // ?new=<position id> opens the create form for that position, then leaves the URL
+  const newEntryPositionId = searchParams.get("new");
+  useEffect(() => {
+    if (newEntryPositionId === null) {
+      return;
+    }
+    setCreatePositionId(newEntryPositionId);
+    setShowForm(true);
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        next.delete("new");
+        return next;
+      },
+      { replace: true },
+    );
+  }, [newEntryPositionId, setSearchParams]);
+
+  // A selection only makes sense for the rows it was made on
+  const entryQueryKey = searchParams.toString();
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [entryQueryKey]);
+
   useEffect(() => {
     if (loaderError) {
       console.error("[CLIENT] Loader error:", loaderError);
@@ -137,28 +307,172 @@ export default function BlockSchedulerPage() {
     if (typeof window !== "undefined") {
       const resolvedZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
       setUserTimeZone(resolvedZone || "UTC");
-      setUserTimezoneOffset(new Date().getTimezoneOffset() * -1);
     }
   }, []);
 
   // Function to close form and reset toggle
   const handleCloseForm = () => {
     setShowForm(false);
+    setCreatePositionId("");
     setFormStatusActive(false);
+    setCreateConflicts([]);
+    setCreateIssues([]);
+    setCreateIssuesConfirmed(false);
+    setCreateTimeZone(shopTimeZone);
+    setCreateContentType("banner");
+    setCreateStartValue("");
+    setCreateEndValue("");
     if (formRef.current) {
       formRef.current.reset();
     }
   };
 
+  // Persist a new priority order for one position; the first id ends up on top
+  const handleReorder = async (positionId, orderedIds) => {
+    setReorderError("");
+    try {
+      const response = await fetch(window.location.pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          intent: "reorder",
+          positionId,
+          orderedIds,
+        }),
+        credentials: "include",
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        revalidator.revalidate();
+      } else {
+        console.error("Failed to reorder entries:", result.error);
+        setReorderError(result.error || "Failed to reorder entries");
+      }
+    } catch (err) {
+      console.error("Error reordering entries:", err);
+      setReorderError(err.message || "Failed to reorder entries");
+    }
+  };
+
+  // Changes list params; any change other than paging starts again from the first page
+  const updateEntryQuery = (changes) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      next.delete("after");
+      next.delete("before");
+      for (const [key, value] of Object.entries(changes)) {
+        if (value) {
+          next.set(key, value);
+        } else {
+          next.delete(key);
+        }
+      }
+      return next;
+    });
+  };
+
+  // Deleted entries drop out of the selection once the list reloads
+  const pageSelectedIds = selectedIds.filter((id) => initialEntries.some((entry) => entry.id === id));
+
+  const toggleSelected = (id) => {
+    setSelectedIds((current) => (current.includes(id) ? current.filter((item) => item !== id) : [...current, id]));
+  };
+
+  // Runs a bulk intent; failed entries stay selected so the action can be retried
+  const runBulkAction = async (payload) => {
+    setIsBulkRunning(true);
+    try {
+      const response = await fetch(window.location.pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+        credentials: "include",
+      });
+
+      const result = await response.json();
+
+      if (Array.isArray(result.results)) {
+        const failedIds = result.results.filter((item) => item.error && item.id).map((item) => item.id);
+        setBulkResult(result);
+        setSelectedIds((current) => current.filter((id) => failedIds.includes(id)));
+        revalidator.revalidate();
+      } else {
+        setBulkResult({ error: result.error || "Bulk action failed", results: [] });
+      }
+    } catch (err) {
+      console.error("Error running bulk action:", err);
+      setBulkResult({ error: err.message || "Bulk action failed", results: [] });
+    } finally {
+      setIsBulkRunning(false);
+    }
+  };
+
+  const getEntryState = (entry) => {
+    if (entry.capabilities?.publishable?.status === "ACTIVE") {
+      return "active";
+    }
+    return (scheduledJobs[entry.id] || []).some((job) => job.action === "ACTIVATE") ? "scheduled" : "draft";
+  };
+
+  const openEditModal = (entry) => {
+    setSelectedEntry(entry);
+    setEditModalOpen(true);
+  };
+
+  // Saves a window dragged on the timeline or calendar; dates go out as UTC
+  const saveEntryWindow = async (entry, start, end, confirmConflicts = false) => {
+    setScheduleError("");
+    try {
+      const response = await fetch(window.location.pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          intent: "update",
+          id: entry.id,
+          startAt: new Date(start).toISOString(),
+          endAt: new Date(end).toISOString(),
+          confirmConflicts,
+        }),
+        credentials: "include",
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setPendingMove(null);
+        revalidator.revalidate();
+      } else if (result.requiresConfirmation) {
+        setPendingMove({ entry, start, end, conflicts: result.conflicts || [] });
+      } else {
+        setPendingMove(null);
+        setScheduleError(result.error || "Failed to move entry");
+      }
+    } catch (err) {
+      console.error("Error moving entry:", err);
+      setScheduleError(err.message || "Failed to move entry");
+    }
+  };
+
   const isLoading = navigation.state === "submitting" || fetcher.state === "submitting";
 
   return (
     <s-page heading="Block Scheduler | Entries">
-      {(loaderError || fetcher.data?.error) && (
+      {(loaderError || fetcher.data?.error || reorderError || scheduleError) && (
         <s-banner tone="critical" title="Error">
-          {loaderError || fetcher.data?.error}
+          {loaderError || fetcher.data?.error || reorderError || scheduleError}
         </s-banner>
       )}
+      {lifecycleCounts && totalEntries > 0 && (
+        <s-section>
+          <LifecycleSummary
+            counts={lifecycleCounts}
+            selected={entryQuery.lifecycle}
+            onSelect={(state) => updateEntryQuery({ lifecycle: state === entryQuery.lifecycle ? "" : state })}
+          />
+        </s-section>
+      )}
       <s-section>
         <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Create Entry</h2>
         <button
@@ -239,31 +553,25 @@ export default function BlockSchedulerPage() {
             <div style={{ padding: "1.5rem" }}>
               <fetcher.Form method="post" ref={formRef} encType="application/x-www-form-urlencoded">
           <s-stack direction="block" gap="base">
-            {/* Hidden field to capture user's timezone offset */}
-            <input
-              type="hidden"
-              name="timezone_offset"
-              value={userTimezoneOffset}
-              readOnly
-            />
-            <input
-              type="hidden"
-              name="timezone"
-              value={userTimeZone}
-              readOnly
-            />
             <s-text-field
               label="Title"
               name="title"
               required
               placeholder="Display title for this schedulable entry"
             />
-            <s-text-field
-              label="Position ID"
+            <PositionSelect
+              key={createPositionId}
               name="position_id"
-              required
-              placeholder="e.g., homepage_banner"
+              defaultValue={createPositionId}
+              registeredPositions={registeredPositions}
             />
+                  <ContentTypeSelect name="content_type" value={createContentType} onChange={setCreateContentType} />
+                  <TimeZoneSelect
+                    name="timezone"
+                    value={createTimeZone}
+                    onChange={setCreateTimeZone}
+                    shopTimeZone={shopTimeZone}
+                  />
                   <div style={{ display: "flex", gap: "15px", marginBottom: "0.5rem" }}>
                     <div style={{ flex: 1, minWidth: 0 }}>
                       <label htmlFor="start_at" style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
@@ -273,6 +581,7 @@ export default function BlockSchedulerPage() {
                         type="datetime-local"
                         id="start_at"
                         name="start_at"
+                        onChange={(event) => setCreateStartValue(event.target.value)}
                         style={{
                           width: "100%",
                           padding: "0.375rem 0.5rem",
@@ -282,6 +591,12 @@ export default function BlockSchedulerPage() {
                           boxSizing: "border-box",
                         }}
                       />
+                      <LocalTimeHint
+                        value={createStartValue}
+                        timeZone={createTimeZone}
+                        shopTimeZone={shopTimeZone}
+                        viewerTimeZone={userTimeZone}
+                      />
                     </div>
                     <div style={{ flex: 1, minWidth: 0 }}>
                       <label htmlFor="end_at" style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
@@ -291,6 +606,7 @@ export default function BlockSchedulerPage() {
                         type="datetime-local"
                         id="end_at"
                         name="end_at"
+                        onChange={(event) => setCreateEndValue(event.target.value)}
                         style={{
                           width: "100%",
                           padding: "0.375rem 0.5rem",
@@ -300,45 +616,99 @@ export default function BlockSchedulerPage() {
                           boxSizing: "border-box",
                         }}
                       />
+                      <LocalTimeHint
+                        value={createEndValue}
+                        timeZone={createTimeZone}
+                        shopTimeZone={shopTimeZone}
+                        viewerTimeZone={userTimeZone}
+                      />
                     </div>
                   </div>
-                  <s-url-field
-                    label="Target URL"
-                    name="target_url"
-                    placeholder="https://example.com"
+                  <RecurrenceFields name="recurrence_rule" timeZone={createTimeZone} />
+                  <DaypartFields name="dayparts" />
+                  <s-number-field
+                    label="Priority"
+                    name="priority"
+                    value="0"
+                    step={1}
+                    min={-PRIORITY_LIMIT}
+                    max={PRIORITY_LIMIT}
+                    details="When entries overlap in the same position, the highest priority is shown. Ties go to the latest start."
                   />
-                  <div style={{ display: "flex", gap: "15px", marginBottom: "0.5rem" }}>
-                    <div style={{ flex: 1, minWidth: 0 }}>
-                      <MediaLibraryPicker
-                        name="desktop_banner"
-                        label="Desktop Banner"
-                        mediaFiles={loaderMediaFiles || []}
+                  <label style={{ display: "flex", alignItems: "flex-start", gap: "0.5rem", fontSize: "0.875rem", cursor: "pointer" }}>
+                    <input type="checkbox" name="is_fallback" value="1" style={{ marginTop: "0.125rem" }} />
+                    <span>
+                      Fallback for this position
+                      <span style={{ display: "block", fontSize: "0.75rem", color: "#666" }}>
+                        Shown whenever no scheduled entry is live. Dates and priority are ignored. One per position.
+                      </span>
+                    </span>
+                  </label>
+                  <TargetLinkField />
+                  {createContentType === "announcement" ? (
+                    <>
+                      <s-text-field
+                        label="Message"
+                        name="headline"
+                        placeholder="Free shipping on orders over $50"
                       />
-                    </div>
-                    <div style={{ flex: 1, minWidth: 0 }}>
-                      <MediaLibraryPicker
-                        name="mobile_banner"
-                        label="Mobile Banner"
-                        mediaFiles={loaderMediaFiles || []}
+                      <AnnouncementFields />
+                      <LiveAnnouncementPreview formRef={formRef} />
+                    </>
+                  ) : createContentType === "popup" ? (
+                    <>
+                      <MediaLibraryPicker name="desktop_banner" label="Image" mediaFiles={loaderMediaFiles || []} />
+                      <s-text-field label="Headline" name="headline" placeholder="Get 10% off your first order" />
+                      <s-text-field
+                        label="Body"
+                        name="description"
+                        multiline={3}
+                        placeholder="Join our newsletter for early access to sales"
                       />
-                    </div>
-                  </div>
-                  <s-text-field
-                    label="Headline"
-                    name="headline"
-                    placeholder="Headline text"
-                  />
-                  <s-text-field
-                    label="Description"
-                    name="description"
-                    multiline={3}
-                    placeholder="Short description or summary"
-                  />
-                  <s-text-field
-                    label="Button Text"
-                    name="button_text"
-                    placeholder="Button text"
-                  />
+                      <s-text-field label="Button Text" name="button_text" placeholder="Sign up" />
+                      <PopupFields />
+                      <LivePopupPreview formRef={formRef} mediaFiles={loaderMediaFiles} />
+                    </>
+                  ) : (
+                    <>
+                      <div style={{ display: "flex", gap: "15px", marginBottom: "0.5rem" }}>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          <MediaLibraryPicker
+                            name="desktop_banner"
+                            label="Desktop Banner"
+                            mediaFiles={loaderMediaFiles || []}
+                          />
+                        </div>
+                        <div style={{ flex: 1, minWidth: 0 }}>
+                          <MediaLibraryPicker
+                            name="mobile_banner"
+                            label="Mobile Banner"
+                            mediaFiles={loaderMediaFiles || []}
+                          />
+                        </div>
+                      </div>
+                      <BannerVideoFields mediaFiles={loaderMediaFiles || []} />
+                      <s-text-field
+                        label="Headline"
+                        name="headline"
+                        placeholder="Headline text"
+                      />
+                      <s-text-field
+                        label="Description"
+                        name="description"
+                        multiline={3}
+                        placeholder="Short description or summary"
+                      />
+                      <s-text-field
+                        label="Button Text"
+                        name="button_text"
+                        placeholder="Button text"
+                      />
+                      <CountdownSelect />
+                      <LiveBannerPreview formRef={formRef} mediaFiles={loaderMediaFiles} bannerSettings={bannerSettings} />
+                    </>
+                  )}
+                  <LiveEntryIssues formRef={formRef} validationContext={validationContext} />
                   <div style={{ marginBottom: "0.5rem" }}>
                     <p style={{ marginBottom: "0.5rem", fontWeight: "500", fontSize: "0.875rem" }}>
                       Entry Status
@@ -426,6 +796,26 @@ export default function BlockSchedulerPage() {
                       </span>
                     </label>
                   </div>
+                  {createIssues.length > 0 && (
+                    <div
+                      style={{
+                        padding: "0.75rem",
+                        backgroundColor: "#fff5ea",
+                        border: "1px solid #ffd79d",
+                        borderRadius: "4px",
+                        fontSize: "0.875rem",
+                      }}
+                    >
+                      <strong>This entry won&apos;t show on the storefront as it is.</strong> Fix it, save it as a
+                      draft, or activate it anyway.
+                      <EntryIssueList issues={createIssues} />
+                    </div>
+                  )}
+                  {/* Kept for the conflict confirmation that may follow */}
+                  {createIssuesConfirmed && <input type="hidden" name="confirm_issues" value="1" />}
+                  {createConflicts.length > 0 && (
+                    <ConflictWarning conflicts={createConflicts} timeZone={shopTimeZone} />
+                  )}
                   <div style={{ display: "flex", justifyContent: "flex-end", gap: "0.5rem" }}>
                     <button
                       type="button"
@@ -441,6 +831,43 @@ export default function BlockSchedulerPage() {
                     >
                       Cancel
                     </button>
+                    {createIssues.length > 0 && !createIssuesConfirmed && (
+                      <button
+                        type="submit"
+                        name="confirm_issues"
+                        value="1"
+                        disabled={isLoading}
+                        onClick={() => setCreateIssuesConfirmed(true)}
+                        style={{
+                          padding: "0.5rem 1rem",
+                          border: "1px solid #b98900",
+                          borderRadius: "4px",
+                          backgroundColor: "#ffd79d",
+                          color: "#4f3a00",
+                          cursor: isLoading ? "not-allowed" : "pointer",
+                        }}
+                      >
+                        Activate anyway
+                      </button>
+                    )}
+                    {createConflicts.length > 0 && (
+                      <button
+                        type="submit"
+                        name="confirm_conflicts"
+                        value="1"
+                        disabled={isLoading}
+                        style={{
+                          padding: "0.5rem 1rem",
+                          border: "1px solid #b98900",
+                          borderRadius: "4px",
+                          backgroundColor: "#ffd79d",
+                          color: "#4f3a00",
+                          cursor: isLoading ? "not-allowed" : "pointer",
+                        }}
+                      >
+                        Save anyway
+                      </button>
+                    )}
                     <s-button type="submit" disabled={isLoading} variant="primary">
                       {isLoading ? "Creating..." : "Create Entry"}
                     </s-button>
@@ -454,8 +881,104 @@ export default function BlockSchedulerPage() {
 
       <s-section>
         <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Existing Entries</h2>
-        {initialEntries.length === 0 ? (
+        {(totalEntries > 0 || isFiltered) && (
+          <EntryFilters
+            key={searchParams.toString()}
+            query={entryQuery}
+            positions={positions}
+            campaigns={campaigns}
+            isFiltered={isFiltered}
+          />
+        )}
+        {totalEntries > 0 && (
+          <ScheduleViewControls
+            view={scheduleView}
+            onViewChange={(view) => updateEntryQuery({ view: view === "table" ? "" : view })}
+            span={scheduleSpan}
+            onSpanChange={setScheduleSpan}
+            anchor={scheduleAnchor}
+            onAnchorChange={setScheduleAnchor}
+            timeZone={shopTimeZone}
+          />
+        )}
+        {pendingMove && (
+          <div style={{ marginBottom: "1rem" }}>
+            <ConflictWarning conflicts={pendingMove.conflicts} timeZone={shopTimeZone} />
+            <div style={{ display: "flex", gap: "0.5rem" }}>
+              <button
+                type="button"
+                onClick={() => setPendingMove(null)}
+                style={{
+                  padding: "0.5rem 1rem",
+                  border: "1px solid #c9cccf",
+                  borderRadius: "4px",
+                  backgroundColor: "white",
+                  cursor: "pointer",
+                }}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={() => saveEntryWindow(pendingMove.entry, pendingMove.start, pendingMove.end, true)}
+                style={{
+                  padding: "0.5rem 1rem",
+                  border: "1px solid #b98900",
+                  borderRadius: "4px",
+                  backgroundColor: "#ffd79d",
+                  color: "#4f3a00",
+                  cursor: "pointer",
+                }}
+              >
+                Save anyway
+              </button>
+            </div>
+          </div>
+        )}
+        {bulkResult && (
+          <BulkResultBanner
+            result={bulkResult}
+            isRunning={isBulkRunning}
+            onUndo={() => runBulkAction(bulkResult.undo)}
+            onActivateAnyway={(ids) => runBulkAction({ intent: "bulkActivate", ids, confirmIssues: true })}
+            onRestoreAnyway={(trashIds) => runBulkAction({ intent: "bulkRestore", trashIds, confirmIssues: true })}
+            onDismiss={() => setBulkResult(null)}
+          />
+        )}
+        {scheduleView === "table" && pageSelectedIds.length > 0 && (
+          <BulkActionBar
+            count={pageSelectedIds.length}
+            registeredPositions={registeredPositions}
+            trashRetentionDays={trashRetentionDays}
+            isRunning={isBulkRunning}
+            onRun={(payload) => runBulkAction({ ...payload, ids: pageSelectedIds })}
+            onClear={() => setSelectedIds([])}
+          />
+        )}
+        {totalEntries === 0 ? (
           <s-text>No entries yet. Create your first schedulable entry above.</s-text>
+        ) : initialEntries.length === 0 ? (
+          <s-text>No entries match these filters.</s-text>
+        ) : scheduleView === "timeline" ? (
+          <ScheduleTimeline
+            entries={initialEntries}
+            span={scheduleSpan}
+            anchor={scheduleAnchor}
+            timeZone={shopTimeZone}
+            getEntryState={getEntryState}
+            onMove={saveEntryWindow}
+            onEdit={openEditModal}
+          />
+        ) : scheduleView === "calendar" ? (
+          <ScheduleCalendar
+            entries={initialEntries}
+            span={scheduleSpan}
+            anchor={scheduleAnchor}
+            timeZone={shopTimeZone}
+            getEntryState={getEntryState}
+            onMove={saveEntryWindow}
+            onEdit={openEditModal}
+          />
         ) : (
           <div style={{ overflowX: "auto", width: "100%" }}>
             <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
@@ -463,24 +986,22 @@ export default function BlockSchedulerPage() {
                 {(() => {
                   // Sort handler function
                   const handleSort = (column) => {
-                    setSortConfig((prev) => {
-                      const existingIndex = prev.findIndex((s) => s.column === column);
-                      
-                      if (existingIndex >= 0) {
-                        // Column already in sort - toggle direction
-                        const updated = [...prev];
-                        if (updated[existingIndex].direction === 'asc') {
-                          updated[existingIndex] = { column, direction: 'desc' };
-                        } else {
-                          // Remove from sort if going from desc to nothing
-                          updated.splice(existingIndex, 1);
-                        }
-                        return updated;
+                    const existingIndex = sortConfig.findIndex((s) => s.column === column);
+                    const updated = [...sortConfig];
+
+                    if (existingIndex >= 0) {
+                      // Column already in sort - toggle direction
+                      if (updated[existingIndex].direction === 'asc') {
+                        updated[existingIndex] = { column, direction: 'desc' };
                       } else {
-                        // New column - add with ascending
-                        return [...prev, { column, direction: 'asc' }];
+                        // Remove from sort if going from desc to nothing
+                        updated.splice(existingIndex, 1);
                       }
-                    });
+                    } else {
+                      // New column - add with ascending
+                      updated.push({ column, direction: 'asc' });
+                    }
+                    updateEntryQuery({ sort: serializeSort(updated) });
                   };
                   
                   // Get sort direction for a column
@@ -497,9 +1018,43 @@ export default function BlockSchedulerPage() {
                   
                   return (
                     <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                      <th style={{ padding: "0.75rem", textAlign: "center", borderRight: "1px solid #e1e3e5", width: "36px" }}>
+                        <input
+                          type="checkbox"
+                          aria-label="Select all entries on this page"
+                          checked={pageSelectedIds.length === initialEntries.length}
+                          onChange={() =>
+                            setSelectedIds(
+                              pageSelectedIds.length === initialEntries.length ? [] : initialEntries.map((entry) => entry.id),
+                            )
+                          }
+                        />
+                      </th>
                       <th style={{ padding: "0.75rem", textAlign: "center", fontWeight: "600", borderRight: "1px solid #e1e3e5", width: "60px" }}>
                         Active
                       </th>
+                      <th style={{ padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" }}>
+                        State
+                      </th>
+                      <th 
+                        style={{ 
+                          padding: "0.75rem", 
+                          textAlign: "center", 
+                          fontWeight: "600", 
+                          borderRight: "1px solid #e1e3e5",
+                          cursor: "pointer",
+                          userSelect: "none",
+                          width: "90px"
+                        }}
+                        onClick={() => handleSort('priority')}
+                        title="Drag rows to reorder entries within a position"
+                      >
+                        Priority {getSortDirection('priority') && (
+                          <span style={{ marginLeft: "0.5rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            {getSortDirection('priority') === 'asc' ? '↑' : '↓'} {getSortOrder('priority')}
+                          </span>
+                        )}
+                      </th>
                       <th 
                         style={{ 
                           padding: "0.75rem", 
@@ -578,6 +1133,9 @@ export default function BlockSchedulerPage() {
                       <th style={{ padding: "0.75rem", textAlign: "center", fontWeight: "600", borderRight: "1px solid #e1e3e5", width: "80px" }}>
                         Edit
                       </th>
+                      <th style={{ padding: "0.75rem", textAlign: "center", fontWeight: "600", borderRight: "1px solid #e1e3e5", width: "80px" }}>
+                        Duplicate
+                      </th>
                       <th style={{ padding: "0.75rem", textAlign: "center", fontWeight: "600", width: "80px" }}>
                         Delete
                       </th>
@@ -587,51 +1145,23 @@ export default function BlockSchedulerPage() {
               </thead>
               <tbody>
                 {(() => {
-                  // Sort entries based on sortConfig
-                  const sortedEntries = [...initialEntries].sort((a, b) => {
-                    // Pre-compute field maps once per comparison
-                    const fieldMapA = Object.fromEntries((a.fields || []).map((f) => [f.key, f.value]));
-                    const fieldMapB = Object.fromEntries((b.fields || []).map((f) => [f.key, f.value]));
-                    
-                    // Apply all active sorts in order
-                    for (const sort of sortConfig) {
-                      let valueA = fieldMapA[sort.column];
-                      let valueB = fieldMapB[sort.column];
-                      
-                      // Handle date fields
-                      if (sort.column === 'start_at' || sort.column === 'end_at') {
-                        valueA = valueA ? new Date(valueA).getTime() : 0;
-                        valueB = valueB ? new Date(valueB).getTime() : 0;
-                      } else if (typeof valueA === 'string') {
-                        valueA = valueA.toLowerCase();
-                      }
-                      if (typeof valueB === 'string') {
-                        valueB = valueB.toLowerCase();
-                      }
-                      
-                      // Handle null/undefined
-                      if (valueA == null || valueA === '') valueA = '';
-                      if (valueB == null || valueB === '') valueB = '';
-                      
-                      // Compare
-                      let comparison = 0;
-                      if (valueA < valueB) {
-                        comparison = -1;
-                      } else if (valueA > valueB) {
-                        comparison = 1;
-                      }
-                      
-                      // Apply direction - if values differ, return the comparison
-                      // Otherwise continue to next sort criterion
-                      if (comparison !== 0) {
-                        return sort.direction === 'asc' ? comparison : -comparison;
-                      }
+                  // Storefront order per position across all pages, from the loader. Fallbacks don't
+                  // compete on priority, so they stay out of the drag order.
+                  const priorityOrderByPosition = positionOrders;
+                  // Reordering a sorted or filtered list would hide where the moved entry lands
+                  const canReorder = sortConfig.length === 0 && !isFiltered;
+
+                  const moveEntry = (positionId, entryId, targetIndex) => {
+                    const order = (priorityOrderByPosition[positionId] || []).filter((id) => id !== entryId);
+                    if (targetIndex < 0 || targetIndex > order.length) {
+                      return;
                     }
-                    // All sorts matched - items are equal
-                    return 0;
-                  });
-                  
-                  return sortedEntries.map((e) => {
+                    order.splice(targetIndex, 0, entryId);
+                    handleReorder(positionId, order);
+                  };
+
+                  // Entries arrive filtered, sorted and paged by the loader
+                  return initialEntries.map((e) => {
                   const fieldMap = Object.fromEntries(
                     (e.fields || []).map((f) => [f.key, f.value]),
                   );
@@ -639,41 +1169,36 @@ export default function BlockSchedulerPage() {
                     (e.fields || []).map((f) => [f.key, f.reference]),
                   );
                   
-                  let startDate = "Not set";
-                  let endDate = "Not set";
-                  try {
-                    if (fieldMap.start_at) {
-                      const start = new Date(fieldMap.start_at);
-                      if (!isNaN(start.getTime())) {
-                        startDate = start.toLocaleString();
-                      }
-                    }
-                  } catch (e) {
-                    console.error("Error parsing start date:", e);
-                  }
-                  try {
-                    if (fieldMap.end_at) {
-                      const end = new Date(fieldMap.end_at);
-                      if (!isNaN(end.getTime())) {
-                        endDate = end.toLocaleString();
-                      }
-                    }
-                  } catch (e) {
-                    console.error("Error parsing end date:", e);
-                  }
-                  
+                  const entryTimeZone = isValidTimeZone(fieldMap.timezone) ? fieldMap.timezone : shopTimeZone;
+                  const recurrenceSummary = describeRecurrenceRule(fieldMap.recurrence_rule, entryTimeZone);
+                  const daypartSummary = describeDayparts(fieldMap.dayparts);
+
                   const desktopBanner = referenceMap.desktop_banner;
                   const mobileBanner = referenceMap.mobile_banner;
                   const desktopBannerUrl = desktopBanner?.image?.url || null;
                   const mobileBannerUrl = mobileBanner?.image?.url || null;
+                  const hasDesktopVideo = Boolean(fieldMap.desktop_video);
+                  const hasMobileVideo = Boolean(fieldMap.mobile_video);
                   
                   // Get publishable status
                   const isActive = e.capabilities?.publishable?.status === "ACTIVE";
+                  const pendingJobs = scheduledJobs[e.id] || [];
+                  const pendingActivation = pendingJobs.find((job) => job.action === "ACTIVATE");
+                  const pendingDeactivation = pendingJobs.find((job) => job.action === "DEACTIVATE");
+                  // A draft waiting for its scheduled activation is switched on from the merchant's point of view
+                  const isScheduled = !isActive && Boolean(pendingActivation);
+                  const isSwitchedOn = isActive || isScheduled;
                   const toggleId = `${e.id}-status-toggle`;
+                  const entryPositionId = fieldMap.position_id || "";
+                  const positionOrder = priorityOrderByPosition[entryPositionId] || [];
+                  const positionIndex = positionOrder.indexOf(e.id);
+                  const canMoveEntry = canReorder && positionIndex >= 0;
+                  const isDropTarget =
+                    canMoveEntry && draggedEntry && draggedEntry.id !== e.id && draggedEntry.positionId === entryPositionId;
                   
                   // Handler for toggle status
-                  const handleToggleStatus = async () => {
-                    const newStatus = isActive ? "DRAFT" : "ACTIVE";
+                  const handleToggleStatus = async (confirmIssues = false) => {
+                    const newStatus = isSwitchedOn ? "DRAFT" : "ACTIVE";
                     try {
                       const response = await fetch(window.location.pathname, {
                         method: "POST",
@@ -682,6 +1207,7 @@ export default function BlockSchedulerPage() {
                           intent: "toggleStatus",
                           id: e.id,
                           status: newStatus,
+                          confirmIssues,
                         }),
                         credentials: "include",
                       });
@@ -690,6 +1216,11 @@ export default function BlockSchedulerPage() {
                       
                       if (result.success) {
                         revalidator.revalidate();
+                      } else if (result.requiresIssueOverride) {
+                        const list = (result.issues || []).map((issue) => `- ${issue.message}`).join("\n");
+                        if (window.confirm(`"${fieldMap.title || "(untitled)"}" won't show on the storefront:\n${list}\n\nActivate it anyway?`)) {
+                          await handleToggleStatus(true);
+                        }
                       } else {
                         console.error("Failed to toggle status:", result.error);
                       }
@@ -699,7 +1230,41 @@ export default function BlockSchedulerPage() {
                   };
                   
                   return (
-                    <tr key={e.id} style={{ borderBottom: "1px solid #e1e3e5" }}>
+                    <tr
+                      key={e.id}
+                      draggable={canMoveEntry}
+                      onDragStart={(event) => {
+                        event.dataTransfer.effectAllowed = "move";
+                        setDraggedEntry({ id: e.id, positionId: entryPositionId });
+                      }}
+                      onDragOver={(event) => {
+                        // Only allow dropping onto rows of the same position
+                        if (isDropTarget) {
+                          event.preventDefault();
+                        }
+                      }}
+                      onDrop={(event) => {
+                        event.preventDefault();
+                        if (isDropTarget) {
+                          moveEntry(entryPositionId, draggedEntry.id, positionIndex);
+                        }
+                        setDraggedEntry(null);
+                      }}
+                      onDragEnd={() => setDraggedEntry(null)}
+                      style={{
+                        borderBottom: "1px solid #e1e3e5",
+                        opacity: draggedEntry?.id === e.id ? 0.5 : 1,
+                        backgroundColor: isDropTarget ? "#f4f5fa" : pageSelectedIds.includes(e.id) ? "#f9fafb" : undefined,
+                      }}
+                    >
+                      <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", textAlign: "center" }}>
+                        <input
+                          type="checkbox"
+                          aria-label={`Select ${fieldMap.title || "entry"}`}
+                          checked={pageSelectedIds.includes(e.id)}
+                          onChange={() => toggleSelected(e.id)}
+                        />
+                      </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", textAlign: "center" }}>
                         <label 
                           htmlFor={toggleId}
@@ -716,9 +1281,9 @@ export default function BlockSchedulerPage() {
                           <input
                             id={toggleId}
                             type="checkbox"
-                            checked={isActive}
-                            onChange={handleToggleStatus}
-                            aria-label={isActive ? "Set entry to draft status" : "Set entry to active status"}
+                            checked={isSwitchedOn}
+                            onChange={() => handleToggleStatus()}
+                            aria-label={isSwitchedOn ? "Set entry to draft status" : "Set entry to active status"}
                             style={{
                               opacity: 0,
                               width: 0,
@@ -734,7 +1299,7 @@ export default function BlockSchedulerPage() {
                               left: 0,
                               right: 0,
                               bottom: 0,
-                              backgroundColor: isActive ? "#667eea" : "#c9cccf",
+                              backgroundColor: isActive ? "#667eea" : isScheduled ? "#a5b4fc" : "#c9cccf",
                               borderRadius: "24px",
                               transition: "background-color 0.2s",
                             }}
@@ -752,7 +1317,7 @@ export default function BlockSchedulerPage() {
                                 border: 0,
                               }}
                             >
-                              {isActive ? "Set entry to draft" : "Set entry to active"}
+                              {isSwitchedOn ? "Set entry to draft" : "Set entry to active"}
                             </span>
                             <span
                               style={{
@@ -760,7 +1325,7 @@ export default function BlockSchedulerPage() {
                                 content: '""',
                                 height: "18px",
                                 width: "18px",
-                                left: isActive ? "22px" : "3px",
+                                left: isSwitchedOn ? "22px" : "3px",
                                 bottom: "3px",
                                 backgroundColor: "white",
                                 borderRadius: "50%",
@@ -770,9 +1335,120 @@ export default function BlockSchedulerPage() {
                             />
                           </span>
                         </label>
+                        {isScheduled && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.6875rem", color: "#667eea" }}>Scheduled</div>
+                        )}
+                      </td>
+                      <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", whiteSpace: "nowrap" }}>
+                        {lifecycleStates[e.id] && <LifecycleBadge state={lifecycleStates[e.id]} />}
+                        {entryIssues[e.id] && <EntryIssuesBadge issues={entryIssues[e.id]} />}
+                      </td>
+                      <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", textAlign: "center", whiteSpace: "nowrap" }}>
+                        {canMoveEntry && (
+                          <span aria-hidden="true" style={{ cursor: "grab", color: "#8c9196", marginRight: "0.25rem" }}>
+                            ⠿
+                          </span>
+                        )}
+                        <span style={{ fontWeight: "500" }}>{getEntryPriority(fieldMap)}</span>
+                        {canMoveEntry && positionOrder.length > 1 && (
+                          <span style={{ display: "inline-flex", flexDirection: "column", marginLeft: "0.25rem", verticalAlign: "middle" }}>
+                            <button
+                              type="button"
+                              aria-label={`Move ${fieldMap.title || "entry"} up`}
+                              disabled={positionIndex <= 0}
+                              onClick={() => moveEntry(entryPositionId, e.id, positionIndex - 1)}
+                              style={{ background: "none", border: "none", padding: 0, fontSize: "0.625rem", lineHeight: 1, cursor: positionIndex <= 0 ? "default" : "pointer", color: positionIndex <= 0 ? "#c9cccf" : "#667eea" }}
+                            >
+                              ▲
+                            </button>
+                            <button
+                              type="button"
+                              aria-label={`Move ${fieldMap.title || "entry"} down`}
+                              disabled={positionIndex >= positionOrder.length - 1}
+                              onClick={() => moveEntry(entryPositionId, e.id, positionIndex + 1)}
+                              style={{ background: "none", border: "none", padding: 0, fontSize: "0.625rem", lineHeight: 1, cursor: positionIndex >= positionOrder.length - 1 ? "default" : "pointer", color: positionIndex >= positionOrder.length - 1 ? "#c9cccf" : "#667eea" }}
+                            >
+                              ▼
+                            </button>
+                          </span>
+                        )}
                       </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontWeight: "500" }}>
                         {fieldMap.title || "(untitled)"}
+                        {isFallbackEntry(fieldMap) && (
+                          <span
+                            title="Shown whenever no scheduled entry is live in this position"
+                            style={{
+                              display: "inline-block",
+                              marginLeft: "0.5rem",
+                              padding: "0.0625rem 0.5rem",
+                              borderRadius: "10px",
+                              backgroundColor: "#eef2ff",
+                              color: "#4338ca",
+                              fontSize: "0.6875rem",
+                              fontWeight: "600",
+                              verticalAlign: "middle",
+                            }}
+                          >
+                            Fallback
+                          </span>
+                        )}
+                        {isAnnouncement(fieldMap) && (
+                          <span
+                            title="Shown in the announcement bar app embed"
+                            style={{
+                              display: "inline-block",
+                              marginLeft: "0.5rem",
+                              padding: "0.0625rem 0.5rem",
+                              borderRadius: "10px",
+                              backgroundColor: fieldMap.background_color || DEFAULT_ANNOUNCEMENT_COLORS.background,
+                              color: fieldMap.text_color || DEFAULT_ANNOUNCEMENT_COLORS.text,
+                              fontSize: "0.6875rem",
+                              fontWeight: "600",
+                              verticalAlign: "middle",
+                            }}
+                          >
+                            Announcement
+                          </span>
+                        )}
+                        {isPopup(fieldMap) && (
+                          <span
+                            title="Shown by the popup app embed"
+                            style={{
+                              display: "inline-block",
+                              marginLeft: "0.5rem",
+                              padding: "0.0625rem 0.5rem",
+                              borderRadius: "10px",
+                              backgroundColor: "#e0f2fe",
+                              color: "#075985",
+                              fontSize: "0.6875rem",
+                              fontWeight: "600",
+                              verticalAlign: "middle",
+                            }}
+                          >
+                            Popup
+                          </span>
+                        )}
+                        {entryCampaigns[e.id] && campaignNames[entryCampaigns[e.id]] && (
+                          <Link
+                            to={`/app/campaigns/${encodeURIComponent(entryCampaigns[e.id])}`}
+                            title="Open campaign"
+                            style={{
+                              display: "inline-block",
+                              marginLeft: "0.5rem",
+                              padding: "0.0625rem 0.5rem",
+                              borderRadius: "10px",
+                              backgroundColor: "#f4f0ff",
+                              color: "#5b21b6",
+                              fontSize: "0.6875rem",
+                              fontWeight: "600",
+                              verticalAlign: "middle",
+                              textDecoration: "none",
+                            }}
+                          >
+                            {campaignNames[entryCampaigns[e.id]]}
+                          </Link>
+                        )}
                       </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5" }}>
                         {fieldMap.position_id || "-"}
@@ -785,7 +1461,12 @@ export default function BlockSchedulerPage() {
                             style={{ maxWidth: "100px", maxHeight: "60px", objectFit: "contain", border: "1px solid #e1e3e5", borderRadius: "4px" }}
                           />
                         ) : (
-                          "-"
+                          !hasDesktopVideo && "-"
+                        )}
+                        {hasDesktopVideo && (
+                          <div style={{ fontSize: "0.75rem", color: "#667eea" }} title="Plays a video; the image is its poster">
+                            ▶ Video
+                          </div>
                         )}
                       </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem", textAlign: "center" }}>
@@ -796,14 +1477,59 @@ export default function BlockSchedulerPage() {
                             style={{ maxWidth: "100px", maxHeight: "60px", objectFit: "contain", border: "1px solid #e1e3e5", borderRadius: "4px" }}
                           />
                         ) : (
-                          "-"
+                          !hasMobileVideo && "-"
+                        )}
+                        {hasMobileVideo && (
+                          <div style={{ fontSize: "0.75rem", color: "#667eea" }} title="Plays a video; the image is its poster">
+                            ▶ Video
+                          </div>
                         )}
                       </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem", color: "#666" }}>
-                        {startDate}
+                        <ZonedDateTime
+                          value={fieldMap.start_at}
+                          timeZone={entryTimeZone}
+                          shopTimeZone={shopTimeZone}
+                          viewerTimeZone={userTimeZone}
+                        />
+                        {recurrenceSummary && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            ↻ {recurrenceSummary}
+                          </div>
+                        )}
+                        {daypartSummary && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            ◷ {daypartSummary}
+                          </div>
+                        )}
+                        {isPopup(fieldMap) && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            ⧉ {describePopupSettings(fieldMap)}
+                          </div>
+                        )}
+                        {getContentType(fieldMap) === "banner" && getCountdownTarget(fieldMap) && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            ⏱ {describeCountdownTarget(fieldMap)}
+                          </div>
+                        )}
+                        {pendingActivation && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            Publishes {formatInTimeZone(pendingActivation.runAt, shopTimeZone)}
+                          </div>
+                        )}
                       </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem", color: "#666" }}>
-                        {endDate}
+                        <ZonedDateTime
+                          value={fieldMap.end_at}
+                          timeZone={entryTimeZone}
+                          shopTimeZone={shopTimeZone}
+                          viewerTimeZone={userTimeZone}
+                        />
+                        {pendingDeactivation && (
+                          <div style={{ marginTop: "0.25rem", fontSize: "0.75rem", color: "#667eea" }}>
+                            Unpublishes {formatInTimeZone(pendingDeactivation.runAt, shopTimeZone)}
+                          </div>
+                        )}
                       </td>
                       <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", textAlign: "center" }}>
                         <button
@@ -825,6 +1551,26 @@ export default function BlockSchedulerPage() {
                           Edit
                         </button>
                       </td>
+                      <td style={{ padding: "0.75rem", borderRight: "1px solid #e1e3e5", textAlign: "center" }}>
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setSelectedEntry(e);
+                            setDuplicateModalOpen(true);
+                          }}
+                          style={{
+                            fontSize: "0.8125rem",
+                            color: "#667eea",
+                            textDecoration: "underline",
+                            cursor: "pointer",
+                            background: "none",
+                            border: "none",
+                            padding: 0,
+                          }}
+                        >
+                          Duplicate
+                        </button>
+                      </td>
                       <td style={{ padding: "0.75rem", textAlign: "center" }}>
                         <button
                           type="button"
@@ -851,6 +1597,9 @@ export default function BlockSchedulerPage() {
                 })()}
               </tbody>
             </table>
+            {pageInfo && (pageInfo.hasPreviousPage || pageInfo.hasNextPage) && (
+              <EntryPagination pageInfo={pageInfo} pageSize={initialEntries.length} />
+            )}
           </div>
         )}
       </s-section>
@@ -860,8 +1609,11 @@ export default function BlockSchedulerPage() {
         <EditEntryModal
           entry={selectedEntry}
           mediaFiles={mediaFiles}
+          bannerSettings={bannerSettings}
+          validationContext={validationContext}
+          registeredPositions={registeredPositions}
           userTimeZone={userTimeZone}
-          userTimezoneOffset={userTimezoneOffset}
+          shopTimeZone={shopTimeZone}
           onClose={() => {
             setEditModalOpen(false);
             setSelectedEntry(null);
@@ -874,10 +1626,28 @@ export default function BlockSchedulerPage() {
         />
       )}
 
+      {/* Duplicate Modal: the copy opens in the edit modal right away */}
+      {duplicateModalOpen && selectedEntry && (
+        <DuplicateEntryModal
+          entry={selectedEntry}
+          onClose={() => {
+            setDuplicateModalOpen(false);
+            setSelectedEntry(null);
+          }}
+          onSuccess={(copy) => {
+            setDuplicateModalOpen(false);
+            setSelectedEntry(copy);
+            setEditModalOpen(true);
+            revalidator.revalidate();
+          }}
+        />
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteModalOpen && selectedEntry && (
         <DeleteEntryModal
           entry={selectedEntry}
+          trashRetentionDays={trashRetentionDays}
           onClose={() => {
             setDeleteModalOpen(false);
             setSelectedEntry(null);
@@ -894,61 +1664,88 @@ export default function BlockSchedulerPage() {
 }
 
 // Edit Entry Modal Component
-function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, userTimezoneOffset }) {
+function EditEntryModal({
+  entry,
+  mediaFiles,
+  bannerSettings,
+  validationContext,
+  registeredPositions,
+  onClose,
+  onSuccess,
+  userTimeZone,
+  shopTimeZone,
+}) {
+  const fieldMap = Object.fromEntries(
+    (entry.fields || []).map((f) => [f.key, f.value]),
+  );
+  const targetReference = getTargetReference(fieldMap);
+  const formRef = useRef(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState("");
+  const [conflicts, setConflicts] = useState([]);
+  const [contentType, setContentType] = useState(getContentType(fieldMap));
+  const pendingUpdateRef = useRef(null);
   const baseId = useId();
   const titleInputId = `${baseId}-title`;
-  const positionInputId = `${baseId}-position`;
   const startInputId = `${baseId}-start`;
   const endInputId = `${baseId}-end`;
   const headlineInputId = `${baseId}-headline`;
   const descriptionInputId = `${baseId}-description`;
-  const targetUrlInputId = `${baseId}-target-url`;
   const buttonTextInputId = `${baseId}-button-text`;
-  
-  const fieldMap = Object.fromEntries(
-    (entry.fields || []).map((f) => [f.key, f.value]),
+  const priorityInputId = `${baseId}-priority`;
+  const fallbackInputId = `${baseId}-fallback`;
+  const [entryTimeZone, setEntryTimeZone] = useState(
+    isValidTimeZone(fieldMap.timezone) ? fieldMap.timezone : shopTimeZone,
   );
-  
-  // Parse dates for datetime-local inputs
-  const getDateTimeLocal = (isoDate) => {
-    if (!isoDate) return "";
-    try {
-      const date = new Date(isoDate);
-      const year = date.getFullYear();
-      const month = String(date.getMonth() + 1).padStart(2, "0");
-      const day = String(date.getDate()).padStart(2, "0");
-      const hours = String(date.getHours()).padStart(2, "0");
-      const minutes = String(date.getMinutes()).padStart(2, "0");
-      return `${year}-${month}-${day}T${hours}:${minutes}`;
-    } catch (e) {
-      return "";
-    }
-  };
+  // Inputs show wall-clock time in the entry's zone, not the viewer's
+  const [startValue, setStartValue] = useState(() => toDateTimeLocalValue(fieldMap.start_at, entryTimeZone));
+  const [endValue, setEndValue] = useState(() => toDateTimeLocalValue(fieldMap.end_at, entryTimeZone));
   
   const handleSubmit = async (e) => {
     e.preventDefault();
-    setIsSubmitting(true);
-    setError("");
-    
+    setConflicts([]);
+
     const formData = new FormData(e.target);
     const updateData = {
       id: entry.id,
       title: formData.get("title"),
       positionId: formData.get("position_id"),
       headline: formData.get("headline") || "",
-      description: formData.get("description") || "",
+      // Fields a content type doesn't show aren't in the form and are kept as they are
+      description: formData.has("description") ? formData.get("description") || "" : undefined,
       startAt: formData.get("start_at") || null,
       endAt: formData.get("end_at") || null,
       desktopBanner: formData.get("desktop_banner") || "",
       mobileBanner: formData.get("mobile_banner") || "",
+      desktopVideo: formData.has("desktop_video") ? formData.get("desktop_video") || "" : undefined,
+      mobileVideo: formData.has("mobile_video") ? formData.get("mobile_video") || "" : undefined,
       targetUrl: formData.get("target_url") || "",
-      buttonText: formData.get("button_text") || "",
+      targetType: formData.get("target_type") || "",
+      targetResource: formData.get("target_resource") || "",
+      buttonText: formData.has("button_text") ? formData.get("button_text") || "" : undefined,
+      contentType: formData.get("content_type") || "banner",
+      backgroundColor: formData.get("background_color") || "",
+      textColor: formData.get("text_color") || "",
+      icon: formData.get("icon") || "",
+      popupTrigger: formData.get("popup_trigger") || "",
+      popupTriggerValue: formData.get("popup_trigger_value") || "",
+      popupFrequency: formData.get("popup_frequency") || "",
+      popupFrequencyDays: formData.get("popup_frequency_days") || "",
+      countdown: formData.get("countdown") || "",
+      recurrenceRule: formData.get("recurrence_rule") || "",
+      dayparts: formData.get("dayparts") || "[]",
+      priority: formData.get("priority") || "",
+      isFallback: formData.get("is_fallback") === "1",
       timezone: formData.get("timezone") || "",
-      timezoneOffset: formData.get("timezone_offset") || "",
     };
-    
+    pendingUpdateRef.current = updateData;
+    await submitUpdate(updateData, false);
+  };
+
+  const submitUpdate = async (updateData, confirmConflicts) => {
+    setIsSubmitting(true);
+    setError("");
+
     try {
       const response = await fetch(window.location.pathname, {
         method: "POST",
@@ -956,6 +1753,7 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
         body: JSON.stringify({
           intent: "update",
           ...updateData,
+          confirmConflicts,
         }),
         credentials: "include",
       });
@@ -964,6 +1762,9 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
       
       if (result.success) {
         onSuccess();
+      } else if (result.requiresConfirmation) {
+        setConflicts(result.conflicts || []);
+        setIsSubmitting(false);
       } else {
         setError(result.error || "Failed to update entry");
         setIsSubmitting(false);
@@ -1026,14 +1827,12 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
             </button>
           </div>
         </div>
-        <form onSubmit={handleSubmit} style={{ padding: "1.5rem" }}>
+        <form ref={formRef} onSubmit={handleSubmit} style={{ padding: "1.5rem" }}>
           {error && (
             <div style={{ padding: "0.75rem", marginBottom: "1rem", backgroundColor: "#fee", color: "#d72c0d", borderRadius: "4px" }}>
               {error}
             </div>
           )}
-          <input type="hidden" name="timezone" value={userTimeZone ?? "UTC"} readOnly />
-          <input type="hidden" name="timezone_offset" value={userTimezoneOffset ?? 0} readOnly />
           <div style={{ marginBottom: "1rem" }}>
             <label htmlFor={titleInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
               Title <span style={{ color: "#d72c0d" }}>*</span>
@@ -1054,22 +1853,21 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
             />
           </div>
           <div style={{ marginBottom: "1rem" }}>
-            <label htmlFor={positionInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
-              Position ID <span style={{ color: "#d72c0d" }}>*</span>
-            </label>
-            <input
-              type="text"
-              id={positionInputId}
+            <PositionSelect
               name="position_id"
-              defaultValue={fieldMap.position_id || ""}
-              required
-              style={{
-                width: "100%",
-                padding: "0.5rem",
-                border: "1px solid #c9cccf",
-                borderRadius: "4px",
-                boxSizing: "border-box",
-              }}
+              defaultValue={String(fieldMap.position_id || "").trim()}
+              registeredPositions={registeredPositions}
+            />
+          </div>
+          <div style={{ marginBottom: "1rem" }}>
+            <ContentTypeSelect name="content_type" value={contentType} onChange={setContentType} />
+          </div>
+          <div style={{ marginBottom: "1rem" }}>
+            <TimeZoneSelect
+              name="timezone"
+              value={entryTimeZone}
+              onChange={setEntryTimeZone}
+              shopTimeZone={shopTimeZone}
             />
           </div>
           <div style={{ display: "flex", gap: "15px", marginBottom: "1rem" }}>
@@ -1081,7 +1879,8 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
                 type="datetime-local"
                 id={startInputId}
                 name="start_at"
-                defaultValue={getDateTimeLocal(fieldMap.start_at)}
+                value={startValue}
+                onChange={(event) => setStartValue(event.target.value)}
                 style={{
                   width: "100%",
                   padding: "0.5rem",
@@ -1090,6 +1889,12 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
                   boxSizing: "border-box",
                 }}
               />
+              <LocalTimeHint
+                value={startValue}
+                timeZone={entryTimeZone}
+                shopTimeZone={shopTimeZone}
+                viewerTimeZone={userTimeZone}
+              />
             </div>
             <div style={{ flex: 1, minWidth: 0 }}>
               <label htmlFor={endInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
@@ -1099,7 +1904,8 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
                 type="datetime-local"
                 id={endInputId}
                 name="end_at"
-                defaultValue={getDateTimeLocal(fieldMap.end_at)}
+                value={endValue}
+                onChange={(event) => setEndValue(event.target.value)}
                 style={{
                   width: "100%",
                   padding: "0.5rem",
@@ -1108,36 +1914,26 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
                   boxSizing: "border-box",
                 }}
               />
-            </div>
-          </div>
-          <div style={{ display: "flex", gap: "15px", marginBottom: "1rem" }}>
-            <div style={{ flex: 1, minWidth: 0 }}>
-              <MediaLibraryPicker
-                name="desktop_banner"
-                label="Desktop Banner"
-                mediaFiles={mediaFiles}
-                defaultValue={fieldMap.desktop_banner || ""}
-              />
-            </div>
-            <div style={{ flex: 1, minWidth: 0 }}>
-              <MediaLibraryPicker
-                name="mobile_banner"
-                label="Mobile Banner"
-                mediaFiles={mediaFiles}
-                defaultValue={fieldMap.mobile_banner || ""}
+              <LocalTimeHint
+                value={endValue}
+                timeZone={entryTimeZone}
+                shopTimeZone={shopTimeZone}
+                viewerTimeZone={userTimeZone}
               />
             </div>
           </div>
           <div style={{ marginBottom: "1rem" }}>
-            <label htmlFor={headlineInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
-              Headline
+            <label htmlFor={priorityInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
+              Priority
             </label>
             <input
-              type="text"
-              id={headlineInputId}
-              name="headline"
-              defaultValue={fieldMap.headline || ""}
-              placeholder="Headline text"
+              type="number"
+              id={priorityInputId}
+              name="priority"
+              step={1}
+              min={-PRIORITY_LIMIT}
+              max={PRIORITY_LIMIT}
+              defaultValue={getEntryPriority(fieldMap)}
               style={{
                 width: "100%",
                 padding: "0.5rem",
@@ -1146,34 +1942,86 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
                 boxSizing: "border-box",
               }}
             />
+            <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+              Highest priority wins when entries overlap in the same position; ties go to the latest start.
+            </p>
           </div>
           <div style={{ marginBottom: "1rem" }}>
-            <label htmlFor={descriptionInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
-              Description
-            </label>
-            <input
-              type="text"
-              id={descriptionInputId}
-              name="description"
-              defaultValue={fieldMap.description || ""}
-              style={{
-                width: "100%",
-                padding: "0.5rem",
-                border: "1px solid #c9cccf",
-                borderRadius: "4px",
-                boxSizing: "border-box",
-              }}
+            <div style={{ display: "flex", alignItems: "center", gap: "0.5rem" }}>
+              <input
+                type="checkbox"
+                id={fallbackInputId}
+                name="is_fallback"
+                value="1"
+                defaultChecked={isFallbackEntry(fieldMap)}
+              />
+              <label htmlFor={fallbackInputId} style={{ fontWeight: "500", cursor: "pointer" }}>
+                Fallback for this position
+              </label>
+            </div>
+            <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+              Shown whenever no scheduled entry is live. Dates and priority are ignored. One per position.
+            </p>
+          </div>
+          <div style={{ marginBottom: "1rem" }}>
+            <RecurrenceFields
+              name="recurrence_rule"
+              defaultValue={fieldMap.recurrence_rule || ""}
+              timeZone={entryTimeZone}
             />
           </div>
           <div style={{ marginBottom: "1rem" }}>
-            <label htmlFor={targetUrlInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
-              Target URL
+            <DaypartFields name="dayparts" defaultValue={fieldMap.dayparts || ""} />
+          </div>
+          {contentType === "banner" && (
+            <div style={{ display: "flex", gap: "15px", marginBottom: "1rem" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <MediaLibraryPicker
+                  name="desktop_banner"
+                  label="Desktop Banner"
+                  mediaFiles={mediaFiles}
+                  defaultValue={fieldMap.desktop_banner || ""}
+                />
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <MediaLibraryPicker
+                  name="mobile_banner"
+                  label="Mobile Banner"
+                  mediaFiles={mediaFiles}
+                  defaultValue={fieldMap.mobile_banner || ""}
+                />
+              </div>
+            </div>
+          )}
+          {contentType === "banner" && (
+            <div style={{ marginBottom: "1rem" }}>
+              <BannerVideoFields
+                mediaFiles={mediaFiles}
+                defaultDesktop={fieldMap.desktop_video || ""}
+                defaultMobile={fieldMap.mobile_video || ""}
+              />
+            </div>
+          )}
+          {contentType === "popup" && (
+            <div style={{ marginBottom: "1rem" }}>
+              <MediaLibraryPicker
+                name="desktop_banner"
+                label="Image"
+                mediaFiles={mediaFiles}
+                defaultValue={fieldMap.desktop_banner || ""}
+              />
+            </div>
+          )}
+          <div style={{ marginBottom: "1rem" }}>
+            <label htmlFor={headlineInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
+              {contentType === "announcement" ? "Message" : "Headline"}
             </label>
             <input
               type="text"
-              id={targetUrlInputId}
-              name="target_url"
-              defaultValue={fieldMap.target_url || ""}
+              id={headlineInputId}
+              name="headline"
+              defaultValue={fieldMap.headline || ""}
+              placeholder="Headline text"
               style={{
                 width: "100%",
                 padding: "0.5rem",
@@ -1183,24 +2031,97 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
               }}
             />
           </div>
+          {contentType !== "announcement" && (
+            <div style={{ marginBottom: "1rem" }}>
+              <label htmlFor={descriptionInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
+                {contentType === "popup" ? "Body" : "Description"}
+              </label>
+              <input
+                type="text"
+                id={descriptionInputId}
+                name="description"
+                defaultValue={fieldMap.description || ""}
+                style={{
+                  width: "100%",
+                  padding: "0.5rem",
+                  border: "1px solid #c9cccf",
+                  borderRadius: "4px",
+                  boxSizing: "border-box",
+                }}
+              />
+            </div>
+          )}
           <div style={{ marginBottom: "1rem" }}>
-            <label htmlFor={buttonTextInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
-              Button Text
-            </label>
-            <input
-              type="text"
-              id={buttonTextInputId}
-              name="button_text"
-              defaultValue={fieldMap.button_text || ""}
-              style={{
-                width: "100%",
-                padding: "0.5rem",
-                border: "1px solid #c9cccf",
-                borderRadius: "4px",
-                boxSizing: "border-box",
-              }}
+            <TargetLinkField
+              defaultUrl={fieldMap.target_url || ""}
+              defaultReference={
+                targetReference && {
+                  ...targetReference,
+                  title: entry.fields?.find((f) => f.key === TARGET_REFERENCE_FIELDS[targetReference.type])?.reference?.title || "",
+                }
+              }
             />
           </div>
+          {contentType === "announcement" ? (
+            <>
+              <div style={{ marginBottom: "1rem" }}>
+                <AnnouncementFields
+                  defaultBackground={fieldMap.background_color || undefined}
+                  defaultText={fieldMap.text_color || undefined}
+                  defaultIcon={fieldMap.icon || ""}
+                />
+              </div>
+              <div style={{ marginBottom: "1rem" }}>
+                <LiveAnnouncementPreview formRef={formRef} />
+              </div>
+            </>
+          ) : (
+            <>
+              <div style={{ marginBottom: "1rem" }}>
+                <label htmlFor={buttonTextInputId} style={{ display: "block", marginBottom: "0.5rem", fontWeight: "500" }}>
+                  Button Text
+                </label>
+                <input
+                  type="text"
+                  id={buttonTextInputId}
+                  name="button_text"
+                  defaultValue={fieldMap.button_text || ""}
+                  style={{
+                    width: "100%",
+                    padding: "0.5rem",
+                    border: "1px solid #c9cccf",
+                    borderRadius: "4px",
+                    boxSizing: "border-box",
+                  }}
+                />
+              </div>
+              {contentType === "popup" ? (
+                <>
+                  <div style={{ marginBottom: "1rem" }}>
+                    <PopupFields defaultSettings={getPopupSettings(fieldMap)} />
+                  </div>
+                  <div style={{ marginBottom: "1rem" }}>
+                    <LivePopupPreview formRef={formRef} mediaFiles={mediaFiles} />
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div style={{ marginBottom: "1rem" }}>
+                    <CountdownSelect defaultValue={getCountdownTarget(fieldMap)} />
+                  </div>
+                  <div style={{ marginBottom: "1rem" }}>
+                    <LiveBannerPreview formRef={formRef} mediaFiles={mediaFiles} bannerSettings={bannerSettings} />
+                  </div>
+                </>
+              )}
+            </>
+          )}
+          <div style={{ marginBottom: "1rem" }}>
+            <LiveEntryIssues formRef={formRef} validationContext={validationContext} />
+          </div>
+          {conflicts.length > 0 && (
+            <ConflictWarning conflicts={conflicts} timeZone={shopTimeZone} />
+          )}
           <div style={{ display: "flex", justifyContent: "flex-end", gap: "0.5rem", marginTop: "1.5rem" }}>
             <button
               type="button"
@@ -1230,6 +2151,23 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
             >
               {isSubmitting ? "Updating..." : "Update Entry"}
             </button>
+            {conflicts.length > 0 && (
+              <button
+                type="button"
+                onClick={() => submitUpdate(pendingUpdateRef.current, true)}
+                disabled={isSubmitting}
+                style={{
+                  padding: "0.5rem 1rem",
+                  border: "1px solid #b98900",
+                  borderRadius: "4px",
+                  backgroundColor: "#ffd79d",
+                  color: "#4f3a00",
+                  cursor: isSubmitting ? "not-allowed" : "pointer",
+                }}
+              >
+                Save anyway
+              </button>
+            )}
           </div>
         </form>
       </div>
@@ -1238,43 +2176,56 @@ function EditEntryModal({ entry, mediaFiles, onClose, onSuccess, userTimeZone, u
 }
 
 // Delete Confirmation Modal Component
-function DeleteEntryModal({ entry, onClose, onSuccess }) {
-  const [isDeleting, setIsDeleting] = useState(false);
+function DuplicateEntryModal({ entry, onClose, onSuccess }) {
+  const [isDuplicating, setIsDuplicating] = useState(false);
   const [error, setError] = useState("");
-  
+  const [amount, setAmount] = useState("7");
+  const [unit, setUnit] = useState("days");
+  const amountId = useId();
+  const unitId = useId();
+
   const fieldMap = Object.fromEntries(
     (entry.fields || []).map((f) => [f.key, f.value]),
   );
-  
-  const handleDelete = async () => {
-    setIsDeleting(true);
+
+  const handleDuplicate = async () => {
+    setIsDuplicating(true);
     setError("");
-    
+
     try {
       const response = await fetch(window.location.pathname, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-          intent: "delete",
+          intent: "duplicate",
           id: entry.id,
+          amount: Number.parseInt(amount, 10) || 0,
+          unit,
         }),
         credentials: "include",
       });
-      
+
       const result = await response.json();
-      
-      if (result.success) {
-        onSuccess();
+
+      if (result.success && result.entry) {
+        onSuccess(result.entry);
       } else {
-        setError(result.error || "Failed to delete entry");
-        setIsDeleting(false);
+        setError(result.error || "Failed to duplicate entry");
+        setIsDuplicating(false);
       }
     } catch (err) {
-      setError(err.message || "Failed to delete entry");
-      setIsDeleting(false);
+      setError(err.message || "Failed to duplicate entry");
+      setIsDuplicating(false);
     }
   };
-  
+
+  const fieldStyle = {
+    padding: "0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.875rem",
+  };
+
   return (
     <div
       role="presentation"
@@ -1297,7 +2248,7 @@ function DeleteEntryModal({ entry, onClose, onSuccess }) {
       <div
         role="dialog"
         aria-modal="true"
-        aria-label="Delete entry confirmation"
+        aria-label="Duplicate entry"
         tabIndex={-1}
         style={{
           backgroundColor: "white",
@@ -1309,7 +2260,7 @@ function DeleteEntryModal({ entry, onClose, onSuccess }) {
       >
         <div style={{ padding: "1.5rem", borderBottom: "1px solid #e1e3e5" }}>
           <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-            <h2 style={{ margin: 0, fontSize: "1.25rem", fontWeight: "600" }}>Delete Entry</h2>
+            <h2 style={{ margin: 0, fontSize: "1.25rem", fontWeight: "600" }}>Duplicate Entry</h2>
             <button
               type="button"
               onClick={onClose}
@@ -1332,46 +2283,2625 @@ function DeleteEntryModal({ entry, onClose, onSuccess }) {
             </div>
           )}
           <p style={{ margin: "0 0 1rem 0" }}>
-            Are you sure you want to delete <strong>{fieldMap.title || "(untitled)"}</strong>? This action cannot be undone.
+            Create a draft copy of <strong>{fieldMap.title || "(untitled)"}</strong> with the same banners and
+            settings. You can edit it right after.
+          </p>
+          <div style={{ display: "flex", gap: "0.5rem", alignItems: "flex-end", marginBottom: "0.5rem" }}>
+            <div>
+              <label htmlFor={amountId} style={{ display: "block", marginBottom: "0.25rem", fontWeight: "500", fontSize: "0.875rem" }}>
+                Move dates by
+              </label>
+              <input
+                id={amountId}
+                type="number"
+                step="1"
+                value={amount}
+                onChange={(event) => setAmount(event.target.value)}
+                style={{ ...fieldStyle, width: "80px" }}
+              />
+            </div>
+            <div>
+              <label htmlFor={unitId} style={{ display: "block", marginBottom: "0.25rem", fontWeight: "500", fontSize: "0.875rem" }}>
+                Unit
+              </label>
+              <select id={unitId} value={unit} onChange={(event) => setUnit(event.target.value)} style={fieldStyle}>
+                <option value="hours">hours</option>
+                <option value="days">days</option>
+                <option value="weeks">weeks</option>
+                <option value="months">months</option>
+                <option value="years">years</option>
+              </select>
+            </div>
+          </div>
+          <p style={{ margin: "0 0 1rem 0", fontSize: "0.8125rem", color: "#616161" }}>
+            Use 0 to keep the same dates, or a negative number to move them earlier.
           </p>
           <div style={{ display: "flex", justifyContent: "flex-end", gap: "0.5rem" }}>
             <button
               type="button"
               onClick={onClose}
-              disabled={isDeleting}
+              disabled={isDuplicating}
               style={{
                 padding: "0.5rem 1rem",
                 border: "1px solid #c9cccf",
                 borderRadius: "4px",
                 backgroundColor: "white",
-                cursor: isDeleting ? "not-allowed" : "pointer",
+                cursor: isDuplicating ? "not-allowed" : "pointer",
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleDuplicate}
+              disabled={isDuplicating}
+              style={{
+                padding: "0.5rem 1rem",
+                border: "none",
+                borderRadius: "4px",
+                backgroundColor: "#667eea",
+                color: "white",
+                cursor: isDuplicating ? "not-allowed" : "pointer",
               }}
             >
-              Cancel
+              {isDuplicating ? "Duplicating..." : "Duplicate"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function DeleteEntryModal({ entry, trashRetentionDays, onClose, onSuccess }) {
+  const [isDeleting, setIsDeleting] = useState(false);
+  const [error, setError] = useState("");
+  
+  const fieldMap = Object.fromEntries(
+    (entry.fields || []).map((f) => [f.key, f.value]),
+  );
+  
+  const handleDelete = async () => {
+    setIsDeleting(true);
+    setError("");
+    
+    try {
+      const response = await fetch(window.location.pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          intent: "delete",
+          id: entry.id,
+        }),
+        credentials: "include",
+      });
+      
+      const result = await response.json();
+      
+      if (result.success) {
+        onSuccess();
+      } else {
+        setError(result.error || "Failed to delete entry");
+        setIsDeleting(false);
+      }
+    } catch (err) {
+      setError(err.message || "Failed to delete entry");
+      setIsDeleting(false);
+    }
+  };
+  
+  return (
+    <div
+      role="presentation"
+      aria-hidden="true"
+      style={{
+        position: "fixed",
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        backgroundColor: "rgba(0, 0, 0, 0.5)",
+        backdropFilter: "blur(4px)",
+        zIndex: 2000,
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        padding: "2rem",
+      }}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label="Delete entry confirmation"
+        tabIndex={-1}
+        style={{
+          backgroundColor: "white",
+          borderRadius: "8px",
+          width: "100%",
+          maxWidth: "500px",
+          boxShadow: "0 4px 20px rgba(0, 0, 0, 0.3)",
+        }}
+      >
+        <div style={{ padding: "1.5rem", borderBottom: "1px solid #e1e3e5" }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+            <h2 style={{ margin: 0, fontSize: "1.25rem", fontWeight: "600" }}>Delete Entry</h2>
+            <button
+              type="button"
+              onClick={onClose}
+              style={{
+                background: "transparent",
+                border: "none",
+                fontSize: "1.5rem",
+                cursor: "pointer",
+                color: "#666",
+              }}
+            >
+              ×
+            </button>
+          </div>
+        </div>
+        <div style={{ padding: "1.5rem" }}>
+          {error && (
+            <div style={{ padding: "0.75rem", marginBottom: "1rem", backgroundColor: "#fee", color: "#d72c0d", borderRadius: "4px" }}>
+              {error}
+            </div>
+          )}
+          <p style={{ margin: "0 0 1rem 0" }}>
+            Delete <strong>{fieldMap.title || "(untitled)"}</strong>? It is taken off the storefront and kept in the{" "}
+            <a href="/app/trash">Trash</a> for {trashRetentionDays} days, where it can be restored.
+          </p>
+          <div style={{ display: "flex", justifyContent: "flex-end", gap: "0.5rem" }}>
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isDeleting}
+              style={{
+                padding: "0.5rem 1rem",
+                border: "1px solid #c9cccf",
+                borderRadius: "4px",
+                backgroundColor: "white",
+                cursor: isDeleting ? "not-allowed" : "pointer",
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={isDeleting}
+              style={{
+                padding: "0.5rem 1rem",
+                border: "none",
+                borderRadius: "4px",
+                backgroundColor: "#d72c0d",
+                color: "white",
+                cursor: isDeleting ? "not-allowed" : "pointer",
+              }}
+            >
+              {isDeleting ? "Deleting..." : "Delete"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Overlap warning shown by the create/edit modals before saving
+// Zone picker for an entry's dates. The store's zone comes first and is the default.
+function TimeZoneSelect({ name, value, onChange, shopTimeZone }) {
+  const selectId = useId();
+  const timeZones = getSupportedTimeZones().filter((zone) => zone !== shopTimeZone);
+  // Keep zones the runtime doesn't list (e.g. stored offsets) selectable
+  if (value && value !== shopTimeZone && !timeZones.includes(value)) {
+    timeZones.unshift(value);
+  }
+
+  return (
+    <div>
+      <label htmlFor={selectId} style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
+        Timezone
+      </label>
+      <select
+        id={selectId}
+        name={name}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        style={{
+          width: "100%",
+          padding: "0.375rem 0.5rem",
+          border: "1px solid #c9cccf",
+          borderRadius: "4px",
+          fontSize: "0.8125rem",
+          boxSizing: "border-box",
+        }}
+      >
+        <option value={shopTimeZone}>Store timezone ({shopTimeZone})</option>
+        {timeZones.map((zone) => (
+          <option key={zone} value={zone}>
+            {zone}
+          </option>
+        ))}
+      </select>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        Start and end are entered in this timezone.
+      </p>
+    </div>
+  );
+}
+
+// Position dropdown for the entry forms, with the recommended image sizes of the
+// chosen position. An entry's current position stays selectable when it isn't registered.
+function PositionSelect({ name, defaultValue = "", registeredPositions }) {
+  const selectId = useId();
+  const selectRef = useRef(null);
+  const [value, setValue] = useState(defaultValue);
+  const isUnregistered = Boolean(defaultValue) && !registeredPositions.some((p) => p.positionId === defaultValue);
+  const selected = registeredPositions.find((position) => position.positionId === value);
+  const desktopSize = selected ? formatImageSize(selected.desktopWidth, selected.desktopHeight) : "";
+  const mobileSize = selected ? formatImageSize(selected.mobileWidth, selected.mobileHeight) : "";
+
+  // Follow form.reset(), which doesn't fire change events
+  useEffect(() => {
+    const form = selectRef.current?.form;
+    if (!form) {
+      return undefined;
+    }
+    const handleReset = () => setTimeout(() => setValue(selectRef.current?.value || ""), 0);
+    form.addEventListener("reset", handleReset);
+    return () => form.removeEventListener("reset", handleReset);
+  }, []);
+
+  return (
+    <div>
+      <label htmlFor={selectId} style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
+        Position <span style={{ color: "#d72c0d" }}>*</span>
+      </label>
+      <select
+        ref={selectRef}
+        id={selectId}
+        name={name}
+        defaultValue={defaultValue}
+        required
+        onChange={(event) => setValue(event.target.value)}
+        style={{
+          width: "100%",
+          padding: "0.375rem 0.5rem",
+          border: "1px solid #c9cccf",
+          borderRadius: "4px",
+          fontSize: "0.8125rem",
+          boxSizing: "border-box",
+        }}
+      >
+        <option value="">Choose a position</option>
+        {isUnregistered && <option value={defaultValue}>{defaultValue} (not registered)</option>}
+        {registeredPositions.map((position) => (
+          <option key={position.positionId} value={position.positionId}>
+            {position.name === position.positionId ? position.name : `${position.name} (${position.positionId})`}
+          </option>
+        ))}
+      </select>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        {registeredPositions.length === 0 ? (
+          <>
+            No positions yet. <Link to="/app/positions" style={{ color: "#667eea" }}>Add one on the Positions page</Link>.
+          </>
+        ) : (
+          <>
+            {selected?.description ? `${selected.description}. ` : ""}
+            {desktopSize || mobileSize
+              ? `Recommended images: desktop ${desktopSize || "any size"}, mobile ${mobileSize || "any size"}.`
+              : ""}
+            {value && value === defaultValue && isUnregistered
+              ? "This position isn't registered. Register it on the Positions page or choose another."
+              : ""}
+          </>
+        )}
+      </p>
+    </div>
+  );
+}
+
+const CONTENT_TYPE_OPTIONS = [
+  { value: "banner", label: "Banner", help: "Image banner shown by the Scheduled Banner block placed for its position." },
+  {
+    value: "announcement",
+    label: "Announcement bar",
+    help: "One-line message at the top of every page, shown by the Announcement bar app embed. Live announcements rotate.",
+  },
+  {
+    value: "popup",
+    label: "Popup",
+    help: "Dialog with an image, headline, body and button, opened by the Popup app embed on its trigger.",
+  },
+];
+
+function ContentTypeSelect({ name, value, onChange }) {
+  const selectId = useId();
+  return (
+    <div>
+      <label htmlFor={selectId} style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
+        Type
+      </label>
+      <select
+        id={selectId}
+        name={name}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        style={{
+          width: "100%",
+          padding: "0.375rem 0.5rem",
+          border: "1px solid #c9cccf",
+          borderRadius: "4px",
+          fontSize: "0.8125rem",
+          boxSizing: "border-box",
+        }}
+      >
+        {CONTENT_TYPE_OPTIONS.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        {CONTENT_TYPE_OPTIONS.find((option) => option.value === value)?.help}
+      </p>
+    </div>
+  );
+}
+
+// Stored as the character itself; the embed prints it before the message
+const ANNOUNCEMENT_ICONS = [
+  { value: "", label: "None" },
+  { value: "📣", label: "📣 Megaphone" },
+  { value: "🚚", label: "🚚 Delivery" },
+  { value: "🏷️", label: "🏷️ Sale" },
+  { value: "🎁", label: "🎁 Gift" },
+  { value: "⏰", label: "⏰ Clock" },
+  { value: "⭐", label: "⭐ Star" },
+  { value: "ℹ️", label: "ℹ️ Info" },
+];
+
+function AnnouncementFields({
+  defaultBackground = DEFAULT_ANNOUNCEMENT_COLORS.background,
+  defaultText = DEFAULT_ANNOUNCEMENT_COLORS.text,
+  defaultIcon = "",
+}) {
+  const baseId = useId();
+  const isKnownIcon = ANNOUNCEMENT_ICONS.some((icon) => icon.value === defaultIcon);
+  const labelStyle = { display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" };
+  const colorInputStyle = { width: "100%", height: "2rem", padding: "0.125rem", border: "1px solid #c9cccf", borderRadius: "4px", boxSizing: "border-box" };
+
+  return (
+    <div style={{ display: "flex", gap: "15px", marginBottom: "0.5rem" }}>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <label htmlFor={`${baseId}-background`} style={labelStyle}>
+          Background colour
+        </label>
+        <input type="color" id={`${baseId}-background`} name="background_color" defaultValue={defaultBackground} style={colorInputStyle} />
+      </div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <label htmlFor={`${baseId}-text`} style={labelStyle}>
+          Text colour
+        </label>
+        <input type="color" id={`${baseId}-text`} name="text_color" defaultValue={defaultText} style={colorInputStyle} />
+      </div>
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <label htmlFor={`${baseId}-icon`} style={labelStyle}>
+          Icon
+        </label>
+        <select
+          id={`${baseId}-icon`}
+          name="icon"
+          defaultValue={defaultIcon}
+          style={{
+            width: "100%",
+            padding: "0.375rem 0.5rem",
+            border: "1px solid #c9cccf",
+            borderRadius: "4px",
+            fontSize: "0.8125rem",
+            boxSizing: "border-box",
+          }}
+        >
+          {/* Keeps an icon set outside the app */}
+          {!isKnownIcon && <option value={defaultIcon}>{defaultIcon}</option>}
+          {ANNOUNCEMENT_ICONS.map((icon) => (
+            <option key={icon.value} value={icon.value}>
+              {icon.label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+function BannerVideoFields({ mediaFiles, defaultDesktop = "", defaultMobile = "" }) {
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <div style={{ display: "flex", gap: "15px" }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <MediaLibraryPicker
+            name="desktop_video"
+            label="Desktop Video"
+            mediaType="video"
+            mediaFiles={mediaFiles}
+            defaultValue={defaultDesktop}
+          />
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <MediaLibraryPicker
+            name="mobile_video"
+            label="Mobile Video"
+            mediaType="video"
+            mediaFiles={mediaFiles}
+            defaultValue={defaultMobile}
+          />
+        </div>
+      </div>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        Optional MP4 or WebM. It plays muted on a loop in place of the image of the same size, which becomes its
+        poster and is shown instead to visitors who prefer reduced motion.
+      </p>
+    </div>
+  );
+}
+
+function CountdownSelect({ defaultValue = "" }) {
+  const id = useId();
+
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <label htmlFor={id} style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
+        Countdown
+      </label>
+      <select
+        id={id}
+        name="countdown"
+        defaultValue={defaultValue}
+        style={{
+          width: "100%",
+          padding: "0.375rem 0.5rem",
+          border: "1px solid #c9cccf",
+          borderRadius: "4px",
+          fontSize: "0.8125rem",
+          boxSizing: "border-box",
+        }}
+      >
+        {COUNTDOWN_TARGETS.map((target) => (
+          <option key={target.value} value={target.value}>
+            {target.label}
+          </option>
+        ))}
+      </select>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        A live timer in the banner. Counting to the next entry&apos;s start suits teasers shown before a sale. Format,
+        labels and the message at zero are set in the block&apos;s theme settings.
+      </p>
+    </div>
+  );
+}
+
+function PopupFields({ defaultSettings = getPopupSettings({}) }) {
+  const baseId = useId();
+  const [trigger, setTrigger] = useState(defaultSettings.trigger);
+  const [frequency, setFrequency] = useState(defaultSettings.frequency);
+  const triggerOption = POPUP_TRIGGERS.find((option) => option.value === trigger);
+  const labelStyle = { display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" };
+  const inputStyle = {
+    width: "100%",
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+    boxSizing: "border-box",
+  };
+
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <div style={{ display: "flex", gap: "15px" }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <label htmlFor={`${baseId}-trigger`} style={labelStyle}>
+            Opens
+          </label>
+          <select
+            id={`${baseId}-trigger`}
+            name="popup_trigger"
+            value={trigger}
+            onChange={(event) => setTrigger(event.target.value)}
+            style={inputStyle}
+          >
+            {POPUP_TRIGGERS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          {triggerOption?.unit && (
+            <>
+              <label htmlFor={`${baseId}-trigger-value`} style={labelStyle}>
+                {triggerOption.unit === "seconds" ? "Delay (seconds)" : "Scroll depth (%)"}
+              </label>
+              <input
+                key={trigger}
+                type="number"
+                id={`${baseId}-trigger-value`}
+                name="popup_trigger_value"
+                min={0}
+                max={triggerOption.max}
+                step={1}
+                defaultValue={
+                  trigger === defaultSettings.trigger ? defaultSettings.triggerValue : triggerOption.defaultValue
+                }
+                style={inputStyle}
+              />
+            </>
+          )}
+        </div>
+      </div>
+      <div style={{ display: "flex", gap: "15px", marginTop: "0.5rem" }}>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <label htmlFor={`${baseId}-frequency`} style={labelStyle}>
+            Shows a visitor
+          </label>
+          <select
+            id={`${baseId}-frequency`}
+            name="popup_frequency"
+            value={frequency}
+            onChange={(event) => setFrequency(event.target.value)}
+            style={inputStyle}
+          >
+            {POPUP_FREQUENCIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          {frequency === "days" && (
+            <>
+              <label htmlFor={`${baseId}-frequency-days`} style={labelStyle}>
+                Days between showings
+              </label>
+              <input
+                type="number"
+                id={`${baseId}-frequency-days`}
+                name="popup_frequency_days"
+                min={1}
+                max={365}
+                step={1}
+                defaultValue={defaultSettings.frequencyDays ?? DEFAULT_POPUP_FREQUENCY_DAYS}
+                style={inputStyle}
+              />
+            </>
+          )}
+        </div>
+      </div>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        Kept in each visitor&apos;s browser. Exit intent needs a mouse, so it doesn&apos;t fire on touch screens.
+        Animations are skipped for visitors who prefer reduced motion.
+      </p>
+    </div>
+  );
+}
+
+const TARGET_LINK_TYPES = [
+  { value: "url", label: "URL" },
+  { value: "product", label: "Product" },
+  { value: "collection", label: "Collection" },
+  { value: "page", label: "Page" },
+  { value: "article", label: "Blog post" },
+];
+
+// Where the banner links to: a typed URL, or a product, collection, page or
+// article the block resolves on the storefront. Products and collections use the
+// App Bridge resource picker, which doesn't offer pages or articles, so those are
+// searched through the action.
+function TargetLinkField({ defaultUrl = "", defaultReference = null }) {
+  const shopify = useAppBridge();
+  const fieldId = useId();
+  const containerRef = useRef(null);
+  const [type, setType] = useState(defaultReference?.type || "url");
+  const [resource, setResource] = useState(defaultReference);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [results, setResults] = useState([]);
+  const [searchError, setSearchError] = useState("");
+  const [isSearching, setIsSearching] = useState(false);
+
+  // Follow form.reset(), which doesn't fire change events
+  useEffect(() => {
+    const form = containerRef.current?.closest("form");
+    if (!form) {
+      return undefined;
+    }
+    const handleReset = () => {
+      setType(defaultReference?.type || "url");
+      setResource(defaultReference);
+      setSearchOpen(false);
+    };
+    form.addEventListener("reset", handleReset);
+    return () => form.removeEventListener("reset", handleReset);
+  }, [defaultReference]);
+
+  // Hidden inputs change without events, so let the preview and issue list know
+  useEffect(() => {
+    containerRef.current?.closest("form")?.dispatchEvent(new Event("change"));
+  }, [type, resource]);
+
+  const search = async (term) => {
+    setIsSearching(true);
+    setSearchError("");
+    try {
+      const response = await fetch(window.location.pathname, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ intent: "searchTargets", type, query: term }),
+        credentials: "include",
+      });
+      const result = await response.json();
+      if (result.success) {
+        setResults(result.results);
+      } else {
+        setSearchError(result.error || "Search failed");
+      }
+    } catch (err) {
+      setSearchError(err.message || "Search failed");
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const choose = async () => {
+    if (type === "product" || type === "collection") {
+      const selection = await shopify.resourcePicker({
+        type,
+        action: "select",
+        selectionIds: resource?.type === type ? [{ id: resource.id }] : [],
+      });
+      if (selection?.length) {
+        setResource({ type, id: selection[0].id, title: selection[0].title });
+      }
+      return;
+    }
+    setSearchOpen(true);
+    setSearchTerm("");
+    await search("");
+  };
+
+  const chosen = resource?.type === type ? resource : null;
+  const inputStyle = {
+    width: "100%",
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+    boxSizing: "border-box",
+  };
+
+  return (
+    <div ref={containerRef}>
+      <label htmlFor={fieldId} style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
+        Link to
+      </label>
+      <div style={{ display: "flex", gap: "0.5rem" }}>
+        <select
+          aria-label="Link type"
+          value={type}
+          onChange={(event) => {
+            setType(event.target.value);
+            setSearchOpen(false);
+          }}
+          style={{ ...inputStyle, width: "auto" }}
+        >
+          {TARGET_LINK_TYPES.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        {type === "url" ? (
+          <input
+            type="url"
+            id={fieldId}
+            name="target_url"
+            defaultValue={defaultUrl}
+            placeholder="https://example.com"
+            style={inputStyle}
+          />
+        ) : (
+          <>
+            <input type="hidden" name="target_type" value={type} />
+            <input type="hidden" name="target_resource" value={chosen?.id || ""} />
+            <span
+              id={fieldId}
+              style={{ flex: 1, alignSelf: "center", fontSize: "0.8125rem", color: chosen ? "#202223" : "#8c9196" }}
+            >
+              {chosen ? chosen.title || chosen.id : "Nothing chosen"}
+            </span>
+            <button
+              type="button"
+              onClick={choose}
+              style={{
+                padding: "0.25rem 0.75rem",
+                border: "1px solid #c9cccf",
+                borderRadius: "4px",
+                backgroundColor: "white",
+                cursor: "pointer",
+                fontSize: "0.8125rem",
+              }}
+            >
+              {chosen ? "Change" : "Choose"}
+            </button>
+          </>
+        )}
+      </div>
+      {searchOpen && type !== "url" && (
+        <div style={{ marginTop: "0.5rem", padding: "0.5rem", border: "1px solid #e1e3e5", borderRadius: "4px" }}>
+          <input
+            type="search"
+            aria-label={`Search ${type === "page" ? "pages" : "blog posts"}`}
+            value={searchTerm}
+            placeholder="Search by title"
+            onChange={(event) => setSearchTerm(event.target.value)}
+            onKeyDown={(event) => {
+              // Enter would submit the entry form
+              if (event.key === "Enter") {
+                event.preventDefault();
+                search(searchTerm);
+              }
+            }}
+            style={inputStyle}
+          />
+          {searchError && <p style={{ margin: "0.5rem 0 0 0", fontSize: "0.75rem", color: "#d72c0d" }}>{searchError}</p>}
+          <div style={{ maxHeight: "180px", overflowY: "auto", marginTop: "0.5rem" }}>
+            {isSearching && <p style={{ margin: 0, fontSize: "0.75rem", color: "#666" }}>Searching...</p>}
+            {!isSearching && results.length === 0 && (
+              <p style={{ margin: 0, fontSize: "0.75rem", color: "#666" }}>Nothing found.</p>
+            )}
+            {!isSearching &&
+              results.map((item) => (
+                <button
+                  key={item.id}
+                  type="button"
+                  onClick={() => {
+                    setResource({ type, id: item.id, title: item.title });
+                    setSearchOpen(false);
+                  }}
+                  style={{
+                    display: "block",
+                    width: "100%",
+                    textAlign: "left",
+                    padding: "0.375rem 0.5rem",
+                    border: "none",
+                    borderBottom: "1px solid #f1f2f3",
+                    background: item.id === chosen?.id ? "#f4f5fa" : "white",
+                    cursor: "pointer",
+                    fontSize: "0.8125rem",
+                  }}
+                >
+                  {item.title}
+                  <span style={{ display: "block", fontSize: "0.6875rem", color: "#8c9196" }}>{item.subtitle}</span>
+                </button>
+              ))}
+          </div>
+        </div>
+      )}
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        {type === "url"
+          ? "Typed links break when a handle changes; link a resource to keep them working."
+          : "The storefront builds the link from the resource, so it follows handle changes."}
+      </p>
+    </div>
+  );
+}
+
+// An instant in the entry's zone, plus store and viewer time when they differ.
+function ZonedDateTime({ value, timeZone, shopTimeZone, viewerTimeZone }) {
+  const primary = formatInTimeZone(value, timeZone);
+  if (!primary) {
+    return "Not set";
+  }
+
+  return (
+    <>
+      {primary}
+      {shopTimeZone !== timeZone && (
+        <div style={{ fontSize: "0.75rem", color: "#8c9196" }}>Store: {formatInTimeZone(value, shopTimeZone)}</div>
+      )}
+      {viewerTimeZone && viewerTimeZone !== timeZone && viewerTimeZone !== shopTimeZone && (
+        <div style={{ fontSize: "0.75rem", color: "#8c9196" }}>You: {formatInTimeZone(value, viewerTimeZone)}</div>
+      )}
+    </>
+  );
+}
+
+// Shows what a datetime-local value in the chosen zone means for the store and the viewer.
+function LocalTimeHint({ value, timeZone, shopTimeZone, viewerTimeZone }) {
+  const instant = value ? parseLocalDateTimeToUTC(value, timeZone) : null;
+  if (!instant || (timeZone === shopTimeZone && timeZone === viewerTimeZone)) {
+    return null;
+  }
+
+  return (
+    <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+      Store time: {formatInTimeZone(instant, shopTimeZone)}
+      <br />
+      Your time: {formatInTimeZone(instant, viewerTimeZone)}
+    </p>
+  );
+}
+
+function ConflictWarning({ conflicts, timeZone }) {
+  const formatDate = (value) => {
+    try {
+      return new Date(value).toLocaleString(undefined, {
+        timeZone: timeZone || undefined,
+        dateStyle: "medium",
+        timeStyle: "short",
+      });
+    } catch (e) {
+      return value;
+    }
+  };
+
+  return (
+    <div
+      role="alert"
+      style={{
+        padding: "0.75rem",
+        marginBottom: "1rem",
+        backgroundColor: "#fff5ea",
+        border: "1px solid #e1b878",
+        color: "#4f3a00",
+        borderRadius: "4px",
+        fontSize: "0.875rem",
+      }}
+    >
+      <strong>
+        This schedule overlaps with {conflicts.length} active {conflicts.length === 1 ? "entry" : "entries"} in
+        position &quot;{conflicts[0]?.positionId}&quot;.
+      </strong>
+      <ul style={{ margin: "0.5rem 0", paddingLeft: "1.25rem" }}>
+        {conflicts.map((conflict) => (
+          <li key={conflict.id} style={{ marginBottom: "0.25rem" }}>
+            <strong>{conflict.title}</strong> (priority {conflict.priority}): overlaps{" "}
+            {formatDate(conflict.overlapStart)} – {formatDate(conflict.overlapEnd)}.{" "}
+            {conflict.winner === "this" && "This entry would be shown."}
+            {conflict.winner === "other" && `"${conflict.title}" would be shown instead.`}
+            {conflict.winner === "tie" && "Same priority and start, so the storefront pick is unpredictable."}
+          </li>
+        ))}
+      </ul>
+      <span>
+        Adjust the dates or priority, or choose &quot;Save anyway&quot; to keep both entries. A Scheduled Banner
+        block in carousel mode shows overlapping entries as slides in this order.
+      </span>
+    </div>
+  );
+}
+
+function RecurrenceFields({ name, defaultValue = "", timeZone = "UTC" }) {
+  const initialRule = parseRecurrenceRule(defaultValue, timeZone);
+  const initialOrdinalDay = initialRule?.byDay?.find((d) => d.ordinal !== null);
+  const [frequency, setFrequency] = useState(initialRule?.freq ?? "");
+  const [repeatInterval, setRepeatInterval] = useState(initialRule?.interval ?? 1);
+  const [weekdays, setWeekdays] = useState(
+    initialRule?.freq === "WEEKLY" ? initialRule.byDay.map((d) => d.weekday) : [],
+  );
+  const [monthlyMode, setMonthlyMode] = useState(initialOrdinalDay ? "weekday" : "day");
+  const [monthlyOrdinal, setMonthlyOrdinal] = useState(initialOrdinalDay?.ordinal ?? 1);
+  const [monthlyWeekday, setMonthlyWeekday] = useState(initialOrdinalDay?.weekday ?? "MO");
+  const [endMode, setEndMode] = useState(initialRule?.count ? "count" : initialRule?.until ? "until" : "never");
+  const [count, setCount] = useState(initialRule?.count ?? 10);
+  const [untilDate, setUntilDate] = useState(
+    initialRule?.until ? initialRule.until.setZone(timeZone || "UTC").toISODate() : "",
+  );
+  const baseId = useId();
+
+  let rule = "";
+  if (frequency) {
+    let byDay = [];
+    if (frequency === "WEEKLY") {
+      byDay = WEEKDAY_CODES.filter((code) => weekdays.includes(code)).map((weekday) => ({ weekday, ordinal: null }));
+    } else if (frequency === "MONTHLY" && monthlyMode === "weekday") {
+      byDay = [{ weekday: monthlyWeekday, ordinal: Number(monthlyOrdinal) }];
+    }
+    rule = serializeRecurrenceRule({
+      freq: frequency,
+      interval: Math.max(1, Number(repeatInterval) || 1),
+      byDay,
+      byMonthDay: [],
+      count: endMode === "count" ? Math.max(1, Number(count) || 1) : null,
+      until: null,
+    });
+    // UNTIL is posted as a bare date; the server resolves it to the end of that day in the entry's timezone
+    if (endMode === "until" && untilDate) {
+      rule += `;UNTIL=${untilDate.replaceAll("-", "")}`;
+    }
+  }
+
+  const unitLabel = { DAILY: "day(s)", WEEKLY: "week(s)", MONTHLY: "month(s)" }[frequency];
+  const inputStyle = {
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+    boxSizing: "border-box",
+  };
+  const labelStyle = { display: "block", marginBottom: "0.25rem", fontWeight: "500", fontSize: "0.8125rem" };
+
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <input type="hidden" name={name} value={rule} readOnly />
+      <label htmlFor={`${baseId}-frequency`} style={labelStyle}>
+        Repeat
+      </label>
+      <select
+        id={`${baseId}-frequency`}
+        value={frequency}
+        onChange={(e) => setFrequency(e.target.value)}
+        style={{ ...inputStyle, width: "100%" }}
+      >
+        <option value="">Does not repeat</option>
+        <option value="DAILY">Daily</option>
+        <option value="WEEKLY">Weekly</option>
+        <option value="MONTHLY">Monthly</option>
+      </select>
+      {frequency && (
+        <div style={{ marginTop: "0.5rem", padding: "0.75rem", border: "1px solid #e1e3e5", borderRadius: "4px", backgroundColor: "#fafbfb" }}>
+          <div style={{ display: "flex", alignItems: "center", gap: "0.5rem", marginBottom: "0.5rem", fontSize: "0.8125rem" }}>
+            <label htmlFor={`${baseId}-interval`}>Every</label>
+            <input
+              type="number"
+              id={`${baseId}-interval`}
+              min={1}
+              value={repeatInterval}
+              onChange={(e) => setRepeatInterval(e.target.value)}
+              style={{ ...inputStyle, width: "4.5rem" }}
+            />
+            <span>{unitLabel}</span>
+          </div>
+          {frequency === "WEEKLY" && (
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "0.5rem", marginBottom: "0.5rem" }}>
+              {WEEKDAY_CODES.map((code) => (
+                <label key={code} htmlFor={`${baseId}-day-${code}`} style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem", fontSize: "0.8125rem" }}>
+                  <input
+                    type="checkbox"
+                    id={`${baseId}-day-${code}`}
+                    checked={weekdays.includes(code)}
+                    onChange={(e) =>
+                      setWeekdays((prev) => (e.target.checked ? [...prev, code] : prev.filter((day) => day !== code)))
+                    }
+                  />
+                  {WEEKDAY_LABELS[code]}
+                </label>
+              ))}
+            </div>
+          )}
+          {frequency === "MONTHLY" && (
+            <div style={{ display: "flex", flexDirection: "column", gap: "0.25rem", marginBottom: "0.5rem", fontSize: "0.8125rem" }}>
+              <label htmlFor={`${baseId}-monthly-day`} style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem" }}>
+                <input
+                  type="radio"
+                  id={`${baseId}-monthly-day`}
+                  checked={monthlyMode === "day"}
+                  onChange={() => setMonthlyMode("day")}
+                />
+                On the same day of the month as the start date
+              </label>
+              <div style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem" }}>
+                <input
+                  type="radio"
+                  id={`${baseId}-monthly-weekday`}
+                  aria-label="On a weekday of the month"
+                  checked={monthlyMode === "weekday"}
+                  onChange={() => setMonthlyMode("weekday")}
+                />
+                <label htmlFor={`${baseId}-monthly-weekday`}>On the</label>
+                <select
+                  aria-label="Week of the month"
+                  value={monthlyOrdinal}
+                  disabled={monthlyMode !== "weekday"}
+                  onChange={(e) => setMonthlyOrdinal(e.target.value)}
+                  style={inputStyle}
+                >
+                  <option value={1}>first</option>
+                  <option value={2}>second</option>
+                  <option value={3}>third</option>
+                  <option value={4}>fourth</option>
+                  <option value={-1}>last</option>
+                </select>
+                <select
+                  aria-label="Day of the week"
+                  value={monthlyWeekday}
+                  disabled={monthlyMode !== "weekday"}
+                  onChange={(e) => setMonthlyWeekday(e.target.value)}
+                  style={inputStyle}
+                >
+                  {WEEKDAY_CODES.map((code) => (
+                    <option key={code} value={code}>
+                      {WEEKDAY_LABELS[code]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          )}
+          <div style={{ display: "flex", alignItems: "center", gap: "0.5rem", fontSize: "0.8125rem" }}>
+            <label htmlFor={`${baseId}-end-mode`}>Ends</label>
+            <select id={`${baseId}-end-mode`} value={endMode} onChange={(e) => setEndMode(e.target.value)} style={inputStyle}>
+              <option value="never">Never</option>
+              <option value="count">After</option>
+              <option value="until">On date</option>
+            </select>
+            {endMode === "count" && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  aria-label="Number of occurrences"
+                  value={count}
+                  onChange={(e) => setCount(e.target.value)}
+                  style={{ ...inputStyle, width: "4.5rem" }}
+                />
+                <span>occurrences</span>
+              </>
+            )}
+            {endMode === "until" && (
+              <input
+                type="date"
+                aria-label="Repeat until"
+                value={untilDate}
+                onChange={(e) => setUntilDate(e.target.value)}
+                style={inputStyle}
+              />
+            )}
+          </div>
+          <p style={{ margin: "0.5rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+            Each occurrence lasts as long as the first start/end window and follows local time in {timeZone || "UTC"}.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Time-of-day ranges within the schedule. Posts a JSON list of
+// { days, start, end } (ISO weekdays, HH:mm) in a hidden input; empty means all day.
+function DaypartFields({ name, defaultValue = "" }) {
+  const [ranges, setRanges] = useState(() =>
+    (parseDayparts(defaultValue) || []).map((daypart) => ({
+      days: daypart.days,
+      start: minutesToTime(daypart.start),
+      end: minutesToTime(daypart.end),
+    })),
+  );
+  const baseId = useId();
+
+  const updateRange = (index, changes) =>
+    setRanges((prev) => prev.map((range, i) => (i === index ? { ...range, ...changes } : range)));
+  const toggleDay = (index, day, checked) =>
+    setRanges((prev) =>
+      prev.map((range, i) =>
+        i === index
+          ? { ...range, days: checked ? [...range.days, day].sort((a, b) => a - b) : range.days.filter((d) => d !== day) }
+          : range,
+      ),
+    );
+
+  const inputStyle = {
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+    boxSizing: "border-box",
+  };
+  const summary = describeDayparts(
+    ranges
+      .map((range) => ({ ...range, start: timeToMinutes(range.start), end: timeToMinutes(range.end) }))
+      .filter((range) => range.days.length > 0 && range.start !== null && range.end !== null),
+  );
+
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <input type="hidden" name={name} value={JSON.stringify(ranges)} readOnly />
+      <span style={{ display: "block", marginBottom: "0.25rem", fontWeight: "500", fontSize: "0.8125rem" }}>
+        Time of day
+      </span>
+      {ranges.length === 0 ? (
+        <p style={{ margin: "0 0 0.5rem 0", fontSize: "0.75rem", color: "#666" }}>
+          Shows all day while scheduled. Add a range to limit it to certain hours.
+        </p>
+      ) : (
+        ranges.map((range, index) => (
+          <div
+            key={index}
+            style={{ marginBottom: "0.5rem", padding: "0.75rem", border: "1px solid #e1e3e5", borderRadius: "4px", backgroundColor: "#fafbfb" }}
+          >
+            <div style={{ display: "flex", flexWrap: "wrap", gap: "0.5rem", marginBottom: "0.5rem" }}>
+              {WEEKDAY_CODES.map((code, dayIndex) => (
+                <label
+                  key={code}
+                  htmlFor={`${baseId}-${index}-day-${code}`}
+                  style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem", fontSize: "0.8125rem" }}
+                >
+                  <input
+                    type="checkbox"
+                    id={`${baseId}-${index}-day-${code}`}
+                    checked={range.days.includes(dayIndex + 1)}
+                    onChange={(e) => toggleDay(index, dayIndex + 1, e.target.checked)}
+                  />
+                  {WEEKDAY_LABELS[code]}
+                </label>
+              ))}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: "0.5rem", fontSize: "0.8125rem" }}>
+              <label htmlFor={`${baseId}-${index}-start`}>From</label>
+              <input
+                type="time"
+                id={`${baseId}-${index}-start`}
+                value={range.start}
+                onChange={(e) => updateRange(index, { start: e.target.value })}
+                style={inputStyle}
+              />
+              <label htmlFor={`${baseId}-${index}-end`}>to</label>
+              <input
+                type="time"
+                id={`${baseId}-${index}-end`}
+                value={range.end}
+                onChange={(e) => updateRange(index, { end: e.target.value })}
+                style={inputStyle}
+              />
+              <button
+                type="button"
+                onClick={() => setRanges((prev) => prev.filter((_, i) => i !== index))}
+                style={{ marginLeft: "auto", background: "none", border: "none", color: "#d72c0d", cursor: "pointer", fontSize: "0.8125rem" }}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+        ))
+      )}
+      <button
+        type="button"
+        onClick={() => setRanges((prev) => [...prev, { days: [1, 2, 3, 4, 5], start: "11:00", end: "14:00" }])}
+        style={{
+          padding: "0.25rem 0.75rem",
+          border: "1px solid #c9cccf",
+          borderRadius: "4px",
+          backgroundColor: "white",
+          cursor: "pointer",
+          fontSize: "0.8125rem",
+        }}
+      >
+        Add time range
+      </button>
+      {summary && (
+        <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#667eea" }}>
+          ◷ {summary} (entry timezone). A range ending before it starts runs past midnight.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// The form's current values, read on every edit so it works with both the
+// Polaris fields of the create form and plain inputs.
+function useFormValues(formRef) {
+  const [values, setValues] = useState({});
+
+  useEffect(() => {
+    const form = formRef.current;
+    if (!form) {
+      return undefined;
+    }
+    let timer = null;
+    const read = () => {
+      clearTimeout(timer);
+      // Polaris fields update their form value after the event has fired
+      timer = setTimeout(() => setValues(Object.fromEntries(new FormData(form).entries())), 0);
+    };
+    read();
+    form.addEventListener("input", read);
+    form.addEventListener("change", read);
+    return () => {
+      clearTimeout(timer);
+      form.removeEventListener("input", read);
+      form.removeEventListener("change", read);
+    };
+  }, [formRef]);
+
+  return values;
+}
+
+function LiveBannerPreview({ formRef, mediaFiles, bannerSettings }) {
+  const values = useFormValues(formRef);
+  const [now, setNow] = useState(null);
+  const text = (key) => (typeof values[key] === "string" ? values[key].trim() : "");
+  const imageUrl = (key) => mediaFiles.find((file) => file.id === text(key))?.url || "";
+  const videoUrl = (key) => mediaFiles.find((file) => file.id === text(key))?.videoUrl || "";
+  const positionId = text("position_id");
+  const placedSettings = bannerSettings?.positions?.[positionId];
+  const countdownTarget = getCountdownTarget({ countdown: text("countdown") });
+
+  // Ticks only while a countdown is shown; set after mount so server and client render alike
+  useEffect(() => {
+    if (!countdownTarget) {
+      return undefined;
+    }
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [countdownTarget]);
+
+  // The next entry's start isn't known here, nor the end before one is entered
+  let countdownSeconds = COUNTDOWN_SAMPLE_SECONDS;
+  const endAt = countdownTarget === "end" && text("end_at") ? parseLocalDateTimeToUTC(text("end_at"), text("timezone")) : null;
+  if (endAt && now) {
+    countdownSeconds = Math.max(0, (new Date(endAt).getTime() - now) / 1000);
+  }
+
+  let source = "Default block settings: the live theme couldn't be read.";
+  if (placedSettings) {
+    source = `Settings of the block placed for "${positionId}" in ${bannerSettings.themeName}.`;
+  } else if (bannerSettings) {
+    source = positionId
+      ? `Default block settings: no block for "${positionId}" in ${bannerSettings.themeName}.`
+      : "Default block settings until a position is entered.";
+  }
+
+  return (
+    <BannerPreview
+      headline={text("headline")}
+      description={text("description")}
+      buttonText={text("button_text")}
+      hasLink={Boolean(text("target_url") || text("target_resource"))}
+      desktopImageUrl={imageUrl("desktop_banner")}
+      mobileImageUrl={imageUrl("mobile_banner")}
+      desktopVideoUrl={videoUrl("desktop_video")}
+      mobileVideoUrl={videoUrl("mobile_video")}
+      countdown={countdownTarget ? { target: countdownTarget, seconds: countdownSeconds } : null}
+      settings={placedSettings}
+      source={source}
+    />
+  );
+}
+
+// Shown for countdowns the preview can't time: 1d 02:14:33
+const COUNTDOWN_SAMPLE_SECONDS = 94473;
+
+// The announcement in the form with the embed's markup, updated as it's edited.
+function LiveAnnouncementPreview({ formRef }) {
+  const values = useFormValues(formRef);
+  const text = (key) => (typeof values[key] === "string" ? values[key].trim() : "");
+  const message = text("headline");
+
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <p style={{ margin: "0 0 0.25rem 0", fontWeight: "500", fontSize: "0.8125rem" }}>Preview</p>
+      <div
+        style={{
+          backgroundColor: text("background_color") || DEFAULT_ANNOUNCEMENT_COLORS.background,
+          color: text("text_color") || DEFAULT_ANNOUNCEMENT_COLORS.text,
+          padding: "0.625rem 1rem",
+          textAlign: "center",
+          fontSize: "0.875rem",
+          lineHeight: 1.4,
+          borderRadius: "4px",
+        }}
+      >
+        {text("icon") && <span style={{ marginRight: "0.5rem" }}>{text("icon")}</span>}
+        <span style={{ textDecoration: text("target_url") || text("target_resource") ? "underline" : "none" }}>
+          {message || "Your message"}
+        </span>
+      </div>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        Font size and rotation speed are set in the embed&apos;s theme settings. The link is optional.
+      </p>
+    </div>
+  );
+}
+
+// The popup in the form with the embed's markup, updated as it's edited.
+function LivePopupPreview({ formRef, mediaFiles }) {
+  const values = useFormValues(formRef);
+  const text = (key) => (typeof values[key] === "string" ? values[key].trim() : "");
+  const imageUrl = mediaFiles.find((file) => file.id === text("desktop_banner"))?.url || "";
+  const settings = parsePopupSettings({
+    trigger: text("popup_trigger"),
+    triggerValue: text("popup_trigger_value"),
+    frequency: text("popup_frequency"),
+    frequencyDays: text("popup_frequency_days"),
+  });
+
+  return (
+    <div style={{ marginBottom: "0.5rem" }}>
+      <p style={{ margin: "0 0 0.25rem 0", fontWeight: "500", fontSize: "0.8125rem" }}>Preview</p>
+      <div
+        style={{
+          display: "flex",
+          justifyContent: "center",
+          padding: "1.5rem 1rem",
+          backgroundColor: "rgba(0, 0, 0, 0.5)",
+          borderRadius: "4px",
+        }}
+      >
+        <div
+          style={{
+            position: "relative",
+            width: "100%",
+            maxWidth: "320px",
+            backgroundColor: "#ffffff",
+            color: "#1a1a1a",
+            borderRadius: "8px",
+            overflow: "hidden",
+            boxShadow: "0 10px 40px rgba(0, 0, 0, 0.25)",
+          }}
+        >
+          <span
+            aria-hidden="true"
+            style={{ position: "absolute", top: "0.25rem", right: "0.5rem", fontSize: "1.25rem", lineHeight: 1 }}
+          >
+            ×
+          </span>
+          {imageUrl && <img src={imageUrl} alt="" style={{ display: "block", width: "100%", height: "auto" }} />}
+          <div style={{ padding: "1rem", textAlign: "center" }}>
+            <div style={{ fontSize: "1.125rem", fontWeight: "600", marginBottom: "0.375rem" }}>
+              {text("headline") || (imageUrl ? "" : "Your headline")}
+            </div>
+            {text("description") && (
+              <p style={{ margin: "0 0 0.75rem 0", fontSize: "0.8125rem", lineHeight: 1.5 }}>{text("description")}</p>
+            )}
+            {text("button_text") && (
+              <span
+                style={{
+                  display: "inline-block",
+                  padding: "0.5rem 1.25rem",
+                  borderRadius: "6px",
+                  backgroundColor: "#1a1a1a",
+                  color: "#ffffff",
+                  fontSize: "0.8125rem",
+                  fontWeight: "600",
+                }}
+              >
+                {text("button_text")}
+              </span>
+            )}
+          </div>
+        </div>
+      </div>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        {settings ? describePopupSettings({
+          popup_trigger: settings.trigger,
+          popup_trigger_value: settings.triggerValue,
+          popup_frequency: settings.frequency,
+          popup_frequency_days: settings.frequencyDays,
+        }) : "Check the trigger and frequency numbers."}{" "}
+        Width, overlay and button colours are set in the embed&apos;s theme settings.
+      </p>
+    </div>
+  );
+}
+
+// What would keep the entry in the form from rendering, updated as it's edited.
+function LiveEntryIssues({ formRef, validationContext }) {
+  const values = useFormValues(formRef);
+  const linkFields = buildTargetFields({
+    type: values.target_type,
+    resourceId: values.target_resource,
+    url: values.target_url,
+  });
+  const issues = validateEntry(
+    {
+      ...values,
+      ...Object.fromEntries(linkFields.map((field) => [field.key, field.value])),
+      is_fallback: values.is_fallback ? "true" : "false",
+    },
+    { ...validationContext, requireDates: false },
+  );
+
+  if (issues.length === 0) {
+    return null;
+  }
+  const fatal = hasFatalIssues(issues);
+  return (
+    <div
+      style={{
+        padding: "0.75rem",
+        backgroundColor: fatal ? "#fff4f4" : "#fff5ea",
+        border: `1px solid ${fatal ? "#fecbcb" : "#ffd79d"}`,
+        borderRadius: "4px",
+        fontSize: "0.875rem",
+      }}
+    >
+      <strong>{fatal ? "Won't show on the storefront" : "Shows only in part"}</strong>
+      <EntryIssueList issues={issues} />
+    </div>
+  );
+}
+
+function EntryIssueList({ issues }) {
+  return (
+    <ul style={{ margin: "0.25rem 0 0 0", paddingLeft: "1.25rem" }}>
+      {issues.map((issue) => (
+        <li key={issue.code} style={{ color: issue.fatal ? "#d72c0d" : "#8a6116" }}>
+          {issue.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Issue count for the entries table; the messages are in the tooltip.
+function EntryIssuesBadge({ issues }) {
+  const fatal = hasFatalIssues(issues);
+  return (
+    <div
+      title={issues.map((issue) => issue.message).join("\n")}
+      style={{ marginTop: "0.25rem", fontSize: "0.6875rem", fontWeight: "600", color: fatal ? "#d72c0d" : "#8a6116" }}
+    >
+      ⚠ {issues.length} {issues.length === 1 ? "issue" : "issues"}
+    </div>
+  );
+}
+
+// Renders an entry with the block's markup in a simulated desktop or mobile
+// viewport, scaled down to fit the modal.
+function BannerPreview({
+  headline,
+  description,
+  buttonText,
+  hasLink,
+  desktopImageUrl,
+  mobileImageUrl,
+  desktopVideoUrl,
+  mobileVideoUrl,
+  countdown,
+  settings,
+  source,
+}) {
+  const [device, setDevice] = useState("desktop");
+  const [containerWidth, setContainerWidth] = useState(0);
+  const [frameHeight, setFrameHeight] = useState(0);
+  const containerRef = useRef(null);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    if (typeof ResizeObserver === "undefined") {
+      return undefined;
+    }
+    const observer = new ResizeObserver(() => {
+      setContainerWidth(containerRef.current?.clientWidth || 0);
+      setFrameHeight(frameRef.current?.offsetHeight || 0);
+    });
+    if (containerRef.current) observer.observe(containerRef.current);
+    if (frameRef.current) observer.observe(frameRef.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const resolved = resolveBannerSettings(settings);
+  const breakpoint = Number(resolved.breakpoint) || BANNER_BLOCK_DEFAULTS.breakpoint;
+  const frameWidth =
+    device === "desktop" ? Math.max(PREVIEW_DESKTOP_WIDTH, breakpoint) : Math.min(PREVIEW_MOBILE_WIDTH, breakpoint - 1);
+  const scale = containerWidth ? Math.min(1, containerWidth / frameWidth) : 1;
+  const contentBelow = resolved.mobile_content_below === true || resolved.mobile_content_below === "true";
+  const overlayStyle = { "--overlay-color": resolved.overlay_color, "--overlay-opacity": Number(resolved.overlay_opacity) / 100 };
+  const titleFont = getFontStyle(resolved.title_font);
+  const descriptionFont = getFontStyle(resolved.description_font);
+  const buttonStyle = {
+    padding: `${resolved.button_padding_top}px ${resolved.button_padding_right}px ${resolved.button_padding_bottom}px ${resolved.button_padding_left}px`,
+    fontSize: `${resolved.button_font_size}em`,
+    borderRadius: `${resolved.button_border_radius}px`,
+    textTransform: resolved.button_text_uppercase === true || resolved.button_text_uppercase === "true" ? "uppercase" : undefined,
+  };
+
+  const renderCountdown = (color) => {
+    if (!countdown) {
+      return null;
+    }
+    const label = countdown.target === "end" ? resolved.countdown_end_label : resolved.countdown_start_label;
+    const zeroMessage = String(resolved.countdown_zero_message || "").trim();
+    const ended = countdown.seconds < 1;
+    if (ended && !zeroMessage) {
+      return null;
+    }
+    const { days, hours, minutes, seconds } = splitCountdown(countdown.seconds);
+    const unitLabels = String(resolved.countdown_unit_labels).split(",");
+    const boxes = [
+      [hours, unitLabels[1]],
+      [minutes, unitLabels[2]],
+      [seconds, unitLabels[3]],
+    ];
+    if (days > 0) {
+      boxes.unshift([days, unitLabels[0]]);
+    }
+    return (
+      <div className="scheduled-banner__countdown" style={{ fontSize: `${resolved.countdown_font_size}em`, color }}>
+        {label && !ended && <span className="scheduled-banner__countdown-label">{label} </span>}
+        <span className="scheduled-banner__countdown-value">
+          {ended && zeroMessage}
+          {!ended && resolved.countdown_format === "boxes" &&
+            boxes.map(([value, unitLabel], index) => (
+              <span key={index} className="scheduled-banner__countdown-unit">
+                <span className="scheduled-banner__countdown-number">{String(value).padStart(2, "0")}</span>
+                <span className="scheduled-banner__countdown-unit-label">{(unitLabel || "").trim()}</span>
+              </span>
+            ))}
+          {!ended && resolved.countdown_format !== "boxes" && formatCountdown(countdown.seconds, resolved.countdown_format)}
+        </span>
+      </div>
+    );
+  };
+
+  const renderOverlay = (variant, alignment) => (
+    <div
+      className={`scheduled-banner__banner-content scheduled-banner__banner-content--${variant} scheduled-banner__banner-content--v-${resolved.vertical_alignment} scheduled-banner__banner-content--align-${alignment}`}
+      style={overlayStyle}
+    >
+      <div className="scheduled-banner__content-inner">
+        {headline && (
+          <h2 className="scheduled-banner__title" style={{ fontSize: `${resolved.headline_font_size}em`, color: resolved.title_color_overlay, ...titleFont }}>
+            {headline}
+          </h2>
+        )}
+        {description && (
+          <p className="scheduled-banner__description" style={{ fontSize: `${resolved.description_font_size}em`, color: resolved.description_color_overlay, ...descriptionFont }}>
+            {description}
+          </p>
+        )}
+        {renderCountdown(resolved.title_color_overlay)}
+        {buttonText && (
+          <span
+            className="scheduled-banner__button scheduled-banner__button--overlay"
+            style={{ ...buttonStyle, backgroundColor: resolved.button_bg_overlay, color: resolved.button_text_overlay }}
+          >
+            {buttonText}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+
+  // The block renders nothing without an image or video; the preview shows a placeholder instead
+  const renderImage = (url, video, aspectRatio) => {
+    if (video) {
+      return <video src={video} poster={url || undefined} className="scheduled-banner__banner-img" muted autoPlay loop playsInline />;
+    }
+    return url ? (
+      <img src={url} alt={headline} className="scheduled-banner__banner-img" />
+    ) : (
+      <span className="scheduled-banner__banner-placeholder" style={{ aspectRatio }} />
+    );
+  };
+
+  const toggleStyle = (active) => ({
+    padding: "0.25rem 0.75rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    backgroundColor: active ? "#667eea" : "white",
+    color: active ? "white" : "#303030",
+    fontSize: "0.8125rem",
+    cursor: "pointer",
+  });
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "0.5rem" }}>
+        <p style={{ margin: 0, fontWeight: "500", fontSize: "0.875rem" }}>Preview</p>
+        <div style={{ display: "flex", gap: "0.25rem" }}>
+          <button type="button" onClick={() => setDevice("desktop")} aria-pressed={device === "desktop"} style={toggleStyle(device === "desktop")}>
+            Desktop
+          </button>
+          <button type="button" onClick={() => setDevice("mobile")} aria-pressed={device === "mobile"} style={toggleStyle(device === "mobile")}>
+            Mobile
+          </button>
+        </div>
+      </div>
+      <div
+        ref={containerRef}
+        style={{
+          width: "100%",
+          height: frameHeight ? `${frameHeight * scale}px` : undefined,
+          overflow: "hidden",
+          border: "1px solid #e1e3e5",
+          borderRadius: "4px",
+          backgroundColor: "#f6f6f7",
+        }}
+      >
+        <style>{BANNER_PREVIEW_CSS}</style>
+        <div
+          ref={frameRef}
+          className={`scheduled-banner-preview scheduled-banner-preview--${device}`}
+          style={{
+            width: `${frameWidth}px`,
+            margin: scale < 1 ? 0 : "0 auto",
+            transform: scale < 1 ? `scale(${scale})` : undefined,
+            transformOrigin: "top left",
+            fontSize: "16px",
+            fontFamily: "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif",
+            lineHeight: "normal",
+            backgroundColor: "white",
+          }}
+        >
+          <div className="scheduled-banner">
+            <div className={`scheduled-banner__banner-container${contentBelow ? " scheduled-banner__banner-container--mobile-below" : ""}`}>
+              <div className="scheduled-banner__banner scheduled-banner__banner--desktop">
+                {renderImage(desktopImageUrl, desktopVideoUrl, "16 / 6")}
+                {renderOverlay("desktop", resolved.content_alignment_desktop)}
+              </div>
+              <div className="scheduled-banner__banner scheduled-banner__banner--mobile">
+                {renderImage(mobileImageUrl, mobileVideoUrl, "4 / 5")}
+                {!contentBelow && renderOverlay("mobile", resolved.content_alignment_mobile)}
+              </div>
+              {contentBelow && (
+                <div className={`scheduled-banner__content-below scheduled-banner__content-below--mobile-only scheduled-banner__content-below--align-${resolved.content_alignment_mobile}`}>
+                  {headline && (
+                    <h2
+                      className="scheduled-banner__title scheduled-banner__title--below"
+                      style={{ fontSize: `${Number(resolved.headline_font_size) * 0.8}em`, color: resolved.title_color_below, ...titleFont }}
+                    >
+                      {headline}
+                    </h2>
+                  )}
+                  {description && (
+                    <p
+                      className="scheduled-banner__description scheduled-banner__description--below"
+                      style={{ fontSize: `${resolved.description_font_size}em`, color: resolved.description_color_below, ...descriptionFont }}
+                    >
+                      {description}
+                    </p>
+                  )}
+                  {renderCountdown(resolved.title_color_below)}
+                  {buttonText && (
+                    <span
+                      className="scheduled-banner__button scheduled-banner__button--below"
+                      style={{ ...buttonStyle, margin: 0, backgroundColor: resolved.button_bg_below, color: resolved.button_text_below }}
+                    >
+                      {buttonText}
+                    </span>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+      <p style={{ margin: "0.25rem 0 0 0", fontSize: "0.75rem", color: "#666" }}>
+        {source}
+        {!hasLink && " Without a link the block stays hidden on the storefront."}
+        {countdown?.target === "next_start" && " The countdown shows a sample time; the storefront counts to the next entry's start."}
+      </p>
+    </div>
+  );
+}
+
+// Actions for the ticked rows. Delete asks for a second click.
+function BulkActionBar({ count, registeredPositions, trashRetentionDays, isRunning, onRun, onClear }) {
+  const [confirmingDelete, setConfirmingDelete] = useState(false);
+  const [positionId, setPositionId] = useState("");
+  const [amount, setAmount] = useState("1");
+  const [unit, setUnit] = useState("days");
+  const [edge, setEdge] = useState("both");
+  const fieldStyle = {
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+  };
+  const buttonStyle = {
+    padding: "0.375rem 0.75rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    backgroundColor: "white",
+    fontSize: "0.8125rem",
+    cursor: isRunning ? "not-allowed" : "pointer",
+  };
+  const groupStyle = { display: "flex", alignItems: "center", gap: "0.375rem" };
+
+  return (
+    <div
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "0.75rem 1.25rem",
+        padding: "0.75rem",
+        marginBottom: "0.75rem",
+        border: "1px solid #c9cccf",
+        borderRadius: "8px",
+        backgroundColor: "#f6f6f7",
+        fontSize: "0.8125rem",
+      }}
+    >
+      <span style={{ fontWeight: "600" }}>
+        {count} selected
+        <button
+          type="button"
+          onClick={onClear}
+          style={{ marginLeft: "0.5rem", background: "none", border: "none", padding: 0, color: "#667eea", textDecoration: "underline", cursor: "pointer", fontSize: "0.8125rem" }}
+        >
+          Clear
+        </button>
+      </span>
+      <div style={groupStyle}>
+        <button type="button" disabled={isRunning} onClick={() => onRun({ intent: "bulkActivate" })} style={buttonStyle}>
+          Activate
+        </button>
+        <button type="button" disabled={isRunning} onClick={() => onRun({ intent: "bulkDraft" })} style={buttonStyle}>
+          Set to draft
+        </button>
+      </div>
+      <div style={groupStyle}>
+        <select
+          value={positionId}
+          onChange={(event) => setPositionId(event.target.value)}
+          aria-label="Move selected entries to position"
+          style={{ ...fieldStyle, maxWidth: "180px" }}
+        >
+          <option value="">Move to position…</option>
+          {registeredPositions.map((position) => (
+            <option key={position.positionId} value={position.positionId}>
+              {position.name}
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          disabled={isRunning || !positionId}
+          onClick={() => onRun({ intent: "bulkChangePosition", positionId })}
+          style={buttonStyle}
+        >
+          Move
+        </button>
+      </div>
+      <div style={groupStyle}>
+        <select value={edge} onChange={(event) => setEdge(event.target.value)} aria-label="Dates to shift" style={fieldStyle}>
+          <option value="both">Shift start and end</option>
+          <option value="start">Shift start</option>
+          <option value="end">Shift end</option>
+        </select>
+        <span>by</span>
+        <input
+          type="number"
+          step="1"
+          value={amount}
+          onChange={(event) => setAmount(event.target.value)}
+          aria-label="Shift amount, negative for earlier"
+          style={{ ...fieldStyle, width: "64px" }}
+        />
+        <select value={unit} onChange={(event) => setUnit(event.target.value)} aria-label="Shift unit" style={fieldStyle}>
+          <option value="minutes">minutes</option>
+          <option value="hours">hours</option>
+          <option value="days">days</option>
+          <option value="weeks">weeks</option>
+          <option value="months">months</option>
+          <option value="years">years</option>
+        </select>
+        <button
+          type="button"
+          disabled={isRunning || !Number.parseInt(amount, 10)}
+          onClick={() => onRun({ intent: "bulkShiftDates", amount: Number.parseInt(amount, 10), unit, edge })}
+          style={buttonStyle}
+        >
+          Shift
+        </button>
+      </div>
+      <div style={groupStyle}>
+        {confirmingDelete ? (
+          <>
+            <span style={{ color: "#d72c0d" }}>
+              Delete {count} {count === 1 ? "entry" : "entries"}? {count === 1 ? "It stays" : "They stay"} in the Trash for{" "}
+              {trashRetentionDays} days.
+            </span>
+            <button type="button" disabled={isRunning} onClick={() => setConfirmingDelete(false)} style={buttonStyle}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              disabled={isRunning}
+              onClick={() => {
+                setConfirmingDelete(false);
+                onRun({ intent: "bulkDelete" });
+              }}
+              style={{ ...buttonStyle, border: "none", backgroundColor: "#d72c0d", color: "white" }}
+            >
+              Delete
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            disabled={isRunning}
+            onClick={() => setConfirmingDelete(true)}
+            style={{ ...buttonStyle, color: "#d72c0d" }}
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {isRunning && <span style={{ color: "#616161" }}>Working...</span>}
+    </div>
+  );
+}
+
+// Per-entry outcome of the last bulk action, with undo for status changes and deletes
+function BulkResultBanner({ result, isRunning, onUndo, onActivateAnyway, onRestoreAnyway, onDismiss }) {
+  const failures = result.results.filter((item) => item.error);
+  const blockedIds = failures.filter((item) => item.blocked && !item.trashId).map((item) => item.id);
+  const blockedTrashIds = failures.filter((item) => item.blocked && item.trashId).map((item) => item.trashId);
+  const notes = result.results.filter((item) => !item.error && item.note);
+  let tone = "success";
+  if (result.error) {
+    tone = "critical";
+  } else if (failures.length > 0) {
+    tone = "warning";
+  }
+
+  return (
+    <div style={{ marginBottom: "0.75rem" }}>
+      <s-banner tone={tone} title={result.error ? "Bulk action failed" : result.message}>
+        {result.error && <div>{result.error}</div>}
+        {failures.length > 0 && (
+          <ul style={{ margin: "0.25rem 0", paddingLeft: "1.25rem" }}>
+            {failures.map((item) => (
+              <li key={item.id}>
+                <strong>{item.title}</strong>: {item.error}
+              </li>
+            ))}
+          </ul>
+        )}
+        {notes.length > 0 && (
+          <ul style={{ margin: "0.25rem 0", paddingLeft: "1.25rem" }}>
+            {notes.map((item) => (
+              <li key={item.id}>
+                <strong>{item.title}</strong>: {item.note}
+              </li>
+            ))}
+          </ul>
+        )}
+        <div style={{ display: "flex", gap: "0.75rem", marginTop: "0.5rem" }}>
+          {result.undo && (
+            <button
+              type="button"
+              disabled={isRunning}
+              onClick={onUndo}
+              style={{ background: "none", border: "none", padding: 0, color: "#667eea", textDecoration: "underline", cursor: "pointer", fontSize: "0.8125rem" }}
+            >
+              Undo
+            </button>
+          )}
+          {blockedIds.length > 0 && (
+            <button
+              type="button"
+              disabled={isRunning}
+              onClick={() => onActivateAnyway(blockedIds)}
+              style={{ background: "none", border: "none", padding: 0, color: "#667eea", textDecoration: "underline", cursor: "pointer", fontSize: "0.8125rem" }}
+            >
+              Activate {blockedIds.length === 1 ? "it" : `these ${blockedIds.length}`} anyway
+            </button>
+          )}
+          {blockedTrashIds.length > 0 && (
+            <button
+              type="button"
+              disabled={isRunning}
+              onClick={() => onRestoreAnyway(blockedTrashIds)}
+              style={{ background: "none", border: "none", padding: 0, color: "#667eea", textDecoration: "underline", cursor: "pointer", fontSize: "0.8125rem" }}
+            >
+              Restore {blockedTrashIds.length === 1 ? "it" : `these ${blockedTrashIds.length}`} anyway
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={onDismiss}
+            style={{ background: "none", border: "none", padding: 0, color: "#616161", textDecoration: "underline", cursor: "pointer", fontSize: "0.8125rem" }}
+          >
+            Dismiss
+          </button>
+        </div>
+      </s-banner>
+    </div>
+  );
+}
+
+function EntryFilters({ query, positions, campaigns, isFiltered }) {
+  const fieldStyle = {
+    padding: "0.375rem 0.5rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+    boxSizing: "border-box",
+  };
+  const labelStyle = { display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.75rem" };
+  const sort = serializeSort(query.sort);
+
+  return (
+    <Form method="get" style={{ marginBottom: "0.75rem" }}>
+      {sort && <input type="hidden" name="sort" value={sort} />}
+      {query.view !== "table" && <input type="hidden" name="view" value={query.view} />}
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "flex-end", gap: "0.5rem" }}>
+        <div style={{ flex: "1 1 200px" }}>
+          <label htmlFor="entries-search" style={labelStyle}>
+            Search
+          </label>
+          <input
+            id="entries-search"
+            type="search"
+            name="q"
+            defaultValue={query.q}
+            placeholder="Title, headline or position"
+            style={{ ...fieldStyle, width: "100%" }}
+          />
+        </div>
+        <div>
+          <label htmlFor="entries-position" style={labelStyle}>
+            Position
+          </label>
+          <select id="entries-position" name="position" defaultValue={query.position} style={fieldStyle}>
+            <option value="">All positions</option>
+            {positions.map((position) => (
+              <option key={position} value={position}>
+                {position}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="entries-status" style={labelStyle}>
+            Status
+          </label>
+          <select id="entries-status" name="status" defaultValue={query.status} style={fieldStyle}>
+            <option value="">Any status</option>
+            <option value="active">Active</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="draft">Draft</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="entries-state" style={labelStyle}>
+            Schedule
+          </label>
+          <select id="entries-state" name="state" defaultValue={query.state} style={fieldStyle}>
+            <option value="">Any time</option>
+            <option value="live">Live now</option>
+            <option value="upcoming">Upcoming</option>
+            <option value="expired">Expired</option>
+          </select>
+        </div>
+        <div>
+          <label htmlFor="entries-lifecycle" style={labelStyle}>
+            State
+          </label>
+          <select id="entries-lifecycle" name="lifecycle" defaultValue={query.lifecycle} style={fieldStyle}>
+            <option value="">Any state</option>
+            {Object.entries(LIFECYCLE_BADGES).map(([state, badge]) => (
+              <option key={state} value={state}>
+                {badge.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {campaigns.length > 0 && (
+          <div>
+            <label htmlFor="entries-campaign" style={labelStyle}>
+              Campaign
+            </label>
+            <select id="entries-campaign" name="campaign" defaultValue={query.campaign} style={fieldStyle}>
+              <option value="">All entries</option>
+              <option value="none">No campaign</option>
+              {campaigns.map((campaign) => (
+                <option key={campaign.id} value={campaign.id}>
+                  {campaign.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label htmlFor="entries-from" style={labelStyle}>
+            Runs from
+          </label>
+          <input id="entries-from" type="date" name="from" defaultValue={query.from} style={fieldStyle} />
+        </div>
+        <div>
+          <label htmlFor="entries-to" style={labelStyle}>
+            Runs until
+          </label>
+          <input id="entries-to" type="date" name="to" defaultValue={query.to} style={fieldStyle} />
+        </div>
+        <s-button type="submit">Apply</s-button>
+        {isFiltered && (
+          <Link
+            to={`?${new URLSearchParams({ ...(sort ? { sort } : {}), ...(query.view !== "table" ? { view: query.view } : {}) })}`}
+            style={{ fontSize: "0.8125rem", color: "#667eea", alignSelf: "center" }}
+          >
+            Clear filters
+          </Link>
+        )}
+        {query.campaign && query.campaign !== "none" && (
+          <Link
+            to={`/app/campaigns/${encodeURIComponent(query.campaign)}`}
+            style={{ fontSize: "0.8125rem", color: "#667eea", alignSelf: "center" }}
+          >
+            View campaign
+          </Link>
+        )}
+      </div>
+    </Form>
+  );
+}
+
+function LifecycleBadge({ state }) {
+  const badge = LIFECYCLE_BADGES[state];
+  return (
+    <span
+      title={badge.description}
+      style={{
+        display: "inline-block",
+        padding: "0.125rem 0.5rem",
+        borderRadius: "10px",
+        fontSize: "0.75rem",
+        fontWeight: "600",
+        background: badge.background,
+        color: badge.color,
+      }}
+    >
+      {badge.label}
+    </span>
+  );
+}
+
+// Entries per lifecycle state across all entries. Clicking a state filters the list by it.
+function LifecycleSummary({ counts, selected, onSelect }) {
+  return (
+    <div style={{ display: "flex", flexWrap: "wrap", gap: "0.5rem" }}>
+      {Object.entries(LIFECYCLE_BADGES).map(([state, badge]) => (
+        <button
+          key={state}
+          type="button"
+          onClick={() => onSelect(state)}
+          aria-pressed={selected === state}
+          title={badge.description}
+          style={{
+            display: "flex",
+            flexDirection: "column",
+            alignItems: "flex-start",
+            minWidth: "110px",
+            padding: "0.5rem 0.75rem",
+            border: `1px solid ${selected === state ? badge.color : "#e1e3e5"}`,
+            borderRadius: "8px",
+            background: selected === state ? badge.background : "white",
+            cursor: "pointer",
+            textAlign: "left",
+          }}
+        >
+          <span style={{ fontSize: "1.25rem", fontWeight: "600", color: badge.color }}>{counts[state] ?? 0}</span>
+          <span style={{ fontSize: "0.75rem", color: "#616161" }}>{badge.label}</span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function EntryPagination({ pageInfo, pageSize }) {
+  const [searchParams] = useSearchParams();
+  const pageLink = (key, cursor) => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    params.set(key, cursor);
+    return `?${params}`;
+  };
+  const linkStyle = (enabled) => ({
+    padding: "0.25rem 0.75rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    fontSize: "0.8125rem",
+    color: enabled ? "#303030" : "#c9cccf",
+    textDecoration: "none",
+    pointerEvents: enabled ? "auto" : "none",
+  });
+
+  return (
+    <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", padding: "0.75rem 0" }}>
+      <span style={{ fontSize: "0.8125rem", color: "#616161" }}>
+        {pageInfo.offset + 1}–{pageInfo.offset + pageSize} of {pageInfo.total}
+      </span>
+      <div style={{ display: "flex", gap: "0.5rem" }}>
+        <Link
+          to={pageLink("before", pageInfo.startCursor)}
+          aria-disabled={!pageInfo.hasPreviousPage}
+          style={linkStyle(pageInfo.hasPreviousPage)}
+        >
+          Previous
+        </Link>
+        <Link
+          to={pageLink("after", pageInfo.endCursor)}
+          aria-disabled={!pageInfo.hasNextPage}
+          style={linkStyle(pageInfo.hasNextPage)}
+        >
+          Next
+        </Link>
+      </div>
+    </div>
+  );
+}
+
+function ScheduleViewControls({ view, onViewChange, span, onSpanChange, anchor, onAnchorChange, timeZone }) {
+  const range = getTimelineRange(span, anchor, timeZone);
+  const rangeLabel = formatTimelineRange(span, range, timeZone);
+  const buttonStyle = (selected) => ({
+    padding: "0.25rem 0.75rem",
+    border: "1px solid #c9cccf",
+    borderRadius: "4px",
+    backgroundColor: selected ? "#667eea" : "white",
+    color: selected ? "white" : "#303030",
+    cursor: "pointer",
+    fontSize: "0.8125rem",
+  });
+
+  return (
+    <div style={{ marginBottom: "0.75rem" }}>
+      <div style={{ display: "flex", flexWrap: "wrap", alignItems: "center", gap: "0.5rem" }}>
+        {[
+          ["table", "Table"],
+          ["timeline", "Timeline"],
+          ["calendar", "Calendar"],
+        ].map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            aria-pressed={view === value}
+            onClick={() => onViewChange(value)}
+            style={buttonStyle(view === value)}
+          >
+            {label}
+          </button>
+        ))}
+        {view !== "table" && (
+          <>
+            <span style={{ width: "1px", height: "20px", backgroundColor: "#e1e3e5", margin: "0 0.25rem" }} />
+            {TIMELINE_SPANS.map((value) => (
+              <button
+                key={value}
+                type="button"
+                aria-pressed={span === value}
+                onClick={() => onSpanChange(value)}
+                style={buttonStyle(span === value)}
+              >
+                {value === "week" ? "Week" : "Month"}
+              </button>
+            ))}
+            <button
+              type="button"
+              aria-label={`Previous ${span}`}
+              onClick={() => onAnchorChange(shiftAnchor(span, anchor, -1, timeZone))}
+              style={buttonStyle(false)}
+            >
+              ‹
+            </button>
+            <button type="button" onClick={() => onAnchorChange(new Date())} style={buttonStyle(false)}>
+              Today
             </button>
             <button
               type="button"
-              onClick={handleDelete}
-              disabled={isDeleting}
-              style={{
-                padding: "0.5rem 1rem",
-                border: "none",
-                borderRadius: "4px",
-                backgroundColor: "#d72c0d",
-                color: "white",
-                cursor: isDeleting ? "not-allowed" : "pointer",
-              }}
+              aria-label={`Next ${span}`}
+              onClick={() => onAnchorChange(shiftAnchor(span, anchor, 1, timeZone))}
+              style={buttonStyle(false)}
             >
-              {isDeleting ? "Deleting..." : "Delete"}
+              ›
             </button>
+            <span style={{ fontSize: "0.875rem", fontWeight: "500" }}>{rangeLabel}</span>
+          </>
+        )}
+      </div>
+      {view !== "table" && (
+        <>
+          <ScheduleLegend />
+          <p style={{ margin: 0, fontSize: "0.75rem", color: "#616161" }}>
+            {view === "timeline"
+              ? "Drag a bar to move an entry, or drag its edges to change the start or end. Click to edit."
+              : "Drag an entry to another day to move it. Click to edit."}{" "}
+            Recurring entries (↻) can&apos;t be dragged; change them from the edit dialog. Times are in the store timezone ({timeZone}).
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+const ENTRY_STATE_COLORS = {
+  active: { background: "#667eea", color: "white" },
+  scheduled: { background: "#a5b4fc", color: "#1e1b4b" },
+  draft: { background: "#e4e5e7", color: "#303030" },
+};
+const OVERLAP_BACKGROUND = "repeating-linear-gradient(45deg, rgba(215, 44, 13, 0.18) 0 6px, rgba(215, 44, 13, 0.06) 6px 12px)";
+const TIMELINE_LANE_HEIGHT = 28;
+
+function ScheduleLegend() {
+  return (
+    <div style={{ display: "flex", gap: "1rem", fontSize: "0.75rem", color: "#616161", margin: "0.5rem 0" }}>
+      {Object.entries(ENTRY_STATE_COLORS).map(([state, colors]) => (
+        <span key={state} style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem" }}>
+          <span style={{ width: "12px", height: "12px", borderRadius: "3px", background: colors.background }} />
+          {state}
+        </span>
+      ))}
+      <span style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem" }}>
+        <span style={{ width: "12px", height: "12px", borderRadius: "3px", background: OVERLAP_BACKGROUND }} />
+        overlap
+      </span>
+      <span style={{ display: "inline-flex", alignItems: "center", gap: "0.25rem" }}>
+        <span style={{ width: "2px", height: "12px", background: "#d72c0d" }} />
+        now
+      </span>
+    </div>
+  );
+}
+
+function ScheduleTimeline({ entries, span, anchor, timeZone, getEntryState, onMove, onEdit }) {
+  const range = getTimelineRange(span, anchor, timeZone);
+  const rangeStart = range.start.getTime();
+  const rangeMs = range.end.getTime() - rangeStart;
+  const rows = buildTimelineRows(entries, range);
+  const ticks = buildTimelineTicks(span, range, timeZone);
+  const [preview, setPreview] = useState(null); // {entryId, start, end} while dragging
+  const dragRef = useRef(null);
+  const suppressClickRef = useRef(false);
+  const now = Date.now();
+
+  const toPercent = (date) => ((new Date(date).getTime() - rangeStart) / rangeMs) * 100;
+
+  const handlePointerDown = (event, bar) => {
+    if (bar.recurring) {
+      return;
+    }
+    const track = event.currentTarget.parentElement.getBoundingClientRect();
+    dragRef.current = {
+      bar,
+      mode: event.target.dataset?.edge || "move",
+      originX: event.clientX,
+      trackWidth: track.width,
+      moved: false,
+    };
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    const drag = dragRef.current;
+    if (!drag) {
+      return;
+    }
+    const dx = event.clientX - drag.originX;
+    if (!drag.moved && Math.abs(dx) < 4) {
+      return;
+    }
+    drag.moved = true;
+    const deltaMs = (dx / drag.trackWidth) * rangeMs;
+    const start = new Date(drag.bar.fieldMap.start_at);
+    const end = new Date(drag.bar.fieldMap.end_at);
+    let nextStart = start;
+    let nextEnd = end;
+    if (drag.mode === "move") {
+      nextStart = snapDate(start.getTime() + deltaMs, span);
+      nextEnd = new Date(nextStart.getTime() + (end - start));
+    } else if (drag.mode === "start") {
+      nextStart = snapDate(start.getTime() + deltaMs, span);
+    } else {
+      nextEnd = snapDate(end.getTime() + deltaMs, span);
+    }
+    if (nextEnd > nextStart) {
+      drag.preview = { entryId: drag.bar.entry.id, start: nextStart, end: nextEnd };
+      setPreview(drag.preview);
+    }
+  };
+
+  const handlePointerUp = async () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag?.moved) {
+      return;
+    }
+    suppressClickRef.current = true;
+    if (drag.preview) {
+      await onMove(drag.bar.entry, drag.preview.start, drag.preview.end);
+    }
+    setPreview(null);
+  };
+
+  return (
+    <div style={{ overflowX: "auto", width: "100%" }}>
+      <div style={{ minWidth: span === "month" ? "900px" : "700px" }}>
+        <div style={{ display: "flex", borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+          <div style={{ width: "140px", flexShrink: 0, padding: "0.5rem", fontWeight: "600", fontSize: "0.8125rem" }}>
+            Position ID
+          </div>
+          <div style={{ position: "relative", flex: 1, height: "32px" }}>
+            {ticks.map((tick) => (
+              <span
+                key={tick.key}
+                style={{
+                  position: "absolute",
+                  left: `${toPercent(tick.start)}%`,
+                  top: "0.5rem",
+                  paddingLeft: "0.25rem",
+                  fontSize: "0.6875rem",
+                  color: tick.isToday ? "#d72c0d" : "#616161",
+                  fontWeight: tick.isToday ? "600" : "400",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {tick.label}
+              </span>
+            ))}
           </div>
         </div>
+        {rows.length === 0 && (
+          <p style={{ fontSize: "0.875rem", color: "#616161", padding: "0.75rem" }}>No dated entries in this range.</p>
+        )}
+        {rows.map((row) => (
+          <div key={row.positionId} style={{ display: "flex", borderBottom: "1px solid #e1e3e5" }}>
+            <div
+              style={{
+                width: "140px",
+                flexShrink: 0,
+                padding: "0.5rem",
+                fontSize: "0.8125rem",
+                fontWeight: "500",
+                borderRight: "1px solid #e1e3e5",
+                overflow: "hidden",
+                textOverflow: "ellipsis",
+              }}
+            >
+              {row.positionId || "(none)"}
+              {row.overlaps.length > 0 && (
+                <div style={{ fontSize: "0.6875rem", color: "#d72c0d", fontWeight: "400" }}>
+                  {row.overlaps.length} {row.overlaps.length === 1 ? "overlap" : "overlaps"}
+                </div>
+              )}
+            </div>
+            <div style={{ position: "relative", flex: 1, height: `${row.lanes * TIMELINE_LANE_HEIGHT + 8}px` }}>
+              {ticks.map((tick) => (
+                <span
+                  key={tick.key}
+                  style={{
+                    position: "absolute",
+                    left: `${toPercent(tick.start)}%`,
+                    top: 0,
+                    bottom: 0,
+                    borderLeft: "1px solid #f1f1f1",
+                  }}
+                />
+              ))}
+              {row.overlaps.map((overlap) => (
+                <span
+                  key={`${overlap.start.getTime()}-${overlap.end.getTime()}`}
+                  title="Entries overlap here"
+                  style={{
+                    position: "absolute",
+                    left: `${Math.max(toPercent(overlap.start), 0)}%`,
+                    width: `${Math.min(toPercent(overlap.end), 100) - Math.max(toPercent(overlap.start), 0)}%`,
+                    top: 0,
+                    bottom: 0,
+                    background: OVERLAP_BACKGROUND,
+                  }}
+                />
+              ))}
+              {now >= rangeStart && now < range.end.getTime() && (
+                <span
+                  title="Now"
+                  style={{ position: "absolute", left: `${toPercent(now)}%`, top: 0, bottom: 0, borderLeft: "2px solid #d72c0d", zIndex: 2 }}
+                />
+              )}
+              {row.bars.map((bar) => {
+                const isDragged = preview?.entryId === bar.entry.id && !bar.recurring;
+                const start = isDragged ? preview.start : bar.start;
+                const end = isDragged ? preview.end : bar.end;
+                const left = Math.max(toPercent(start), 0);
+                const width = Math.max(Math.min(toPercent(end), 100) - left, 0.5);
+                const colors = ENTRY_STATE_COLORS[getEntryState(bar.entry)];
+                const title = bar.fieldMap.title || "(untitled)";
+                return (
+                  <button
+                    type="button"
+                    key={`${bar.entry.id}-${bar.start.getTime()}`}
+                    title={`${title}: ${formatInTimeZone(start, timeZone)} – ${formatInTimeZone(end, timeZone)}${bar.recurring ? " (recurring, edit to change)" : ""}`}
+                    onPointerDown={(event) => handlePointerDown(event, bar)}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={() => {
+                      dragRef.current = null;
+                      setPreview(null);
+                    }}
+                    onClick={() => {
+                      if (suppressClickRef.current) {
+                        suppressClickRef.current = false;
+                        return;
+                      }
+                      onEdit(bar.entry);
+                    }}
+                    style={{
+                      position: "absolute",
+                      left: `${left}%`,
+                      width: `${width}%`,
+                      top: `${bar.lane * TIMELINE_LANE_HEIGHT + 4}px`,
+                      height: `${TIMELINE_LANE_HEIGHT - 4}px`,
+                      ...colors,
+                      border: isDragged ? "2px solid #303030" : "1px solid rgba(0, 0, 0, 0.15)",
+                      borderRadius: "4px",
+                      padding: "0 0.5rem",
+                      fontSize: "0.75rem",
+                      textAlign: "left",
+                      overflow: "hidden",
+                      whiteSpace: "nowrap",
+                      textOverflow: "ellipsis",
+                      cursor: bar.recurring ? "pointer" : "grab",
+                      touchAction: "none",
+                      zIndex: 1,
+                    }}
+                  >
+                    {!bar.recurring && (
+                      <span
+                        data-edge="start"
+                        style={{ position: "absolute", left: 0, top: 0, bottom: 0, width: "6px", cursor: "ew-resize" }}
+                      />
+                    )}
+                    {bar.recurring ? "↻ " : ""}
+                    {title}
+                    {!bar.recurring && (
+                      <span
+                        data-edge="end"
+                        style={{ position: "absolute", right: 0, top: 0, bottom: 0, width: "6px", cursor: "ew-resize" }}
+                      />
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ScheduleCalendar({ entries, span, anchor, timeZone, getEntryState, onMove, onEdit }) {
+  const days = buildCalendarDays(span, anchor, timeZone);
+  const range = { start: days[0].start, end: days[days.length - 1].end };
+  const [dropTarget, setDropTarget] = useState(null);
+  const windows = [];
+  for (const entry of entries) {
+    const fieldMap = getFieldMap(entry);
+    if (isFallbackEntry(fieldMap)) {
+      continue;
+    }
+    for (const window of getEntryWindows(fieldMap, range)) {
+      windows.push({ entry, fieldMap, recurring: Boolean(fieldMap.recurrence_rule), ...window });
+    }
+  }
+
+  const handleDrop = async (event, day) => {
+    event.preventDefault();
+    setDropTarget(null);
+    const entryId = event.dataTransfer.getData("text/plain");
+    const sourceDay = event.dataTransfer.getData("application/x-source-day");
+    const item = windows.find((window) => window.entry.id === entryId && !window.recurring);
+    const dayDelta = sourceDay ? daysBetween(sourceDay, day.start, timeZone) : 0;
+    if (!item || dayDelta === 0) {
+      return;
+    }
+    const moved = shiftWindowByDays(
+      { start: item.fieldMap.start_at, end: item.fieldMap.end_at },
+      dayDelta,
+      timeZone,
+    );
+    await onMove(item.entry, moved.start, moved.end);
+  };
+
+  return (
+    <div style={{ width: "100%" }}>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(7, minmax(0, 1fr))", borderLeft: "1px solid #e1e3e5" }}>
+        {["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].map((label) => (
+          <div
+            key={label}
+            style={{
+              padding: "0.5rem",
+              fontWeight: "600",
+              fontSize: "0.75rem",
+              backgroundColor: "#f6f6f7",
+              borderTop: "1px solid #e1e3e5",
+              borderRight: "1px solid #e1e3e5",
+              borderBottom: "2px solid #e1e3e5",
+            }}
+          >
+            {label}
+          </div>
+        ))}
+        {days.map((day) => {
+          const dayWindows = windows.filter((window) => window.start < day.end && window.end > day.start);
+          // Entries of one position that share this day are highlighted as overlapping
+          const positionCounts = {};
+          for (const window of dayWindows) {
+            const positionId = String(window.fieldMap.position_id || "").trim();
+            positionCounts[positionId] = (positionCounts[positionId] || 0) + 1;
+          }
+          return (
+            <div
+              key={day.key}
+              onDragOver={(event) => {
+                event.preventDefault();
+                setDropTarget(day.key);
+              }}
+              onDragLeave={() => setDropTarget((current) => (current === day.key ? null : current))}
+              onDrop={(event) => handleDrop(event, day)}
+              style={{
+                minHeight: span === "month" ? "96px" : "240px",
+                padding: "0.25rem",
+                borderRight: "1px solid #e1e3e5",
+                borderBottom: "1px solid #e1e3e5",
+                backgroundColor: dropTarget === day.key ? "#f4f5fa" : day.inMonth ? "white" : "#fafafa",
+                boxShadow: day.isToday ? "inset 0 0 0 2px #d72c0d" : undefined,
+              }}
+            >
+              <div
+                style={{
+                  fontSize: "0.75rem",
+                  fontWeight: day.isToday ? "700" : "500",
+                  color: day.isToday ? "#d72c0d" : day.inMonth ? "#303030" : "#8c9196",
+                  marginBottom: "0.25rem",
+                }}
+              >
+                {day.label}
+              </div>
+              {dayWindows.map((window) => {
+                const overlapping = positionCounts[String(window.fieldMap.position_id || "").trim()] > 1;
+                const title = window.fieldMap.title || "(untitled)";
+                return (
+                  <button
+                    type="button"
+                    key={`${window.entry.id}-${window.start.getTime()}`}
+                    draggable={!window.recurring}
+                    onDragStart={(event) => {
+                      event.dataTransfer.setData("text/plain", window.entry.id);
+                      event.dataTransfer.setData("application/x-source-day", day.start.toISOString());
+                      event.dataTransfer.effectAllowed = "move";
+                    }}
+                    onClick={() => onEdit(window.entry)}
+                    title={`${title} (${window.fieldMap.position_id || "no position"}): ${formatInTimeZone(window.start, timeZone)} – ${formatInTimeZone(window.end, timeZone)}${overlapping ? " · overlaps another entry in this position" : ""}`}
+                    style={{
+                      display: "block",
+                      width: "100%",
+                      marginBottom: "2px",
+                      padding: "0.125rem 0.375rem",
+                      ...ENTRY_STATE_COLORS[getEntryState(window.entry)],
+                      border: overlapping ? "2px solid #d72c0d" : "1px solid rgba(0, 0, 0, 0.15)",
+                      borderRadius: "3px",
+                      fontSize: "0.6875rem",
+                      textAlign: "left",
+                      overflow: "hidden",
+                      whiteSpace: "nowrap",
+                      textOverflow: "ellipsis",
+                      cursor: window.recurring ? "pointer" : "grab",
+                    }}
+                  >
+                    {window.recurring ? "↻ " : ""}
+                    {title}
+                  </button>
+                );
+              })}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
 }
 
-function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" }) {
+function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "", mediaType = "image" }) {
   const [selectedFileId, setSelectedFileId] = useState(defaultValue);
   const [showPicker, setShowPicker] = useState(false);
   const [searchTerm, setSearchTerm] = useState("");
@@ -1387,6 +4917,8 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
   const triggerId = useId();
 
   const selectedFile = localMediaFiles.find((f) => f.id === selectedFileId);
+  const isVideo = mediaType === "video";
+  const noun = isVideo ? "video" : "image";
 
   useEffect(() => {
     setLocalMediaFiles(mediaFiles);
@@ -1401,9 +4933,11 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
     }
   };
 
-  const filteredFiles = localMediaFiles.filter((file) =>
-    (file.alt || "").toLowerCase().includes(searchTerm.toLowerCase()) ||
-    (file.url || "").toLowerCase().includes(searchTerm.toLowerCase()),
+  const filteredFiles = localMediaFiles.filter(
+    (file) =>
+      (file.mediaType || "image") === mediaType &&
+      ((file.alt || "").toLowerCase().includes(searchTerm.toLowerCase()) ||
+        (file.url || "").toLowerCase().includes(searchTerm.toLowerCase())),
   );
 
   const handleFileUpload = async (event) => {
@@ -1415,9 +4949,9 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
       return;
     }
 
-    if (!file.type.startsWith("image/")) {
+    if (isVideo ? !isVideoMimeType(file.type) : !file.type.startsWith("image/")) {
       debugLog("[MediaLibraryPicker] Invalid file type:", file.type);
-      setUploadError("Please upload an image file");
+      setUploadError(isVideo ? "Please upload an MP4 or WebM video" : "Please upload an image file");
       return;
     }
 
@@ -1445,8 +4979,13 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
       debugLog("[MediaLibraryPicker] Submitting FormData with file:", file.name, "Size:", file.size, "Type:", file.type);
 
       const uploadStartTime = Date.now();
+      // Videos are larger, so they get longer
+      const timeoutSeconds = isVideo ? 300 : 60;
       const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error("Upload timeout: Request took longer than 60 seconds")), 60000);
+        setTimeout(
+          () => reject(new Error(`Upload timeout: Request took longer than ${timeoutSeconds} seconds`)),
+          timeoutSeconds * 1000,
+        );
       });
       const fetchPromise = fetch(window.location.pathname, {
         method: "POST",
@@ -1496,8 +5035,10 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
           const newFile = {
             id: result.file.id,
             url: result.file.url,
-            alt: result.file.alt || "Uploaded image",
+            alt: result.file.alt || `Uploaded ${noun}`,
             createdAt: result.file.createdAt || new Date().toISOString(),
+            mediaType: result.file.mediaType || "image",
+            videoUrl: result.file.videoUrl || "",
           };
           debugLog("[MediaLibraryPicker] Upload successful, file:", newFile);
           setLocalMediaFiles((prev) => [newFile, ...prev]);
@@ -1557,6 +5098,8 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
   useEffect(() => {
     if (hiddenInputRef.current) {
       hiddenInputRef.current.value = selectedFileId;
+      // Hidden inputs fire no events of their own; form listeners such as the banner preview need one
+      hiddenInputRef.current.dispatchEvent(new Event("change", { bubbles: true }));
     }
   }, [selectedFileId]);
 
@@ -1589,24 +5132,30 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
             alignItems: "center",
           }}
         >
-          <span>{selectedFile ? `Selected: ${selectedFile.alt || "Image"}` : `Select ${label} from media library`}</span>
+          <span>{selectedFile ? `Selected: ${selectedFile.alt || (isVideo ? "Video" : "Image")}` : `Select ${label} from media library`}</span>
           <span style={{ color: "#666", fontSize: "0.75rem" }}>Browse →</span>
         </button>
         <input type="hidden" ref={hiddenInputRef} name={name} value={selectedFileId} />
-        {selectedFile && selectedFile.url && (
+        {selectedFile && (selectedFile.url || isVideo) && (
           <div style={{ marginTop: "0.5rem" }}>
-            <img
-              src={selectedFile.url}
-              alt={selectedFile.alt || ""}
-              style={{
-                maxWidth: "200px",
-                maxHeight: "150px",
-                objectFit: "contain",
-                border: "1px solid #c9cccf",
-                borderRadius: "4px",
-                padding: "0.25rem",
-              }}
-            />
+            {selectedFile.url ? (
+              <img
+                src={selectedFile.url}
+                alt={selectedFile.alt || ""}
+                style={{
+                  maxWidth: "200px",
+                  maxHeight: "150px",
+                  objectFit: "contain",
+                  border: "1px solid #c9cccf",
+                  borderRadius: "4px",
+                  padding: "0.25rem",
+                }}
+              />
+            ) : (
+              <p style={{ margin: 0, fontSize: "0.75rem", color: "#666" }}>
+                Shopify is still processing this video; its preview appears once it&apos;s ready.
+              </p>
+            )}
             <button
               type="button"
               onClick={() => {
@@ -1703,7 +5252,7 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
               <div style={{ display: "flex", gap: "0.5rem", marginBottom: "1rem" }}>
                 <input
                   type="text"
-                  placeholder="Search images..."
+                  placeholder={`Search ${noun}s...`}
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   style={{
@@ -1717,7 +5266,7 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
                 <input
                   ref={fileInputRef}
                   type="file"
-                  accept="image/*"
+                  accept={isVideo ? VIDEO_MIME_TYPES.join(",") : "image/*"}
                   onChange={handleFileUpload}
                   style={{ display: "none" }}
                   disabled={isUploading}
@@ -1738,7 +5287,7 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
                     whiteSpace: "nowrap",
                   }}
                 >
-                  {isUploading ? "Uploading..." : "Upload Image"}
+                  {isUploading ? "Uploading..." : isVideo ? "Upload Video" : "Upload Image"}
                 </button>
               </div>
               {isUploading && (
@@ -1819,7 +5368,7 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
             >
               {filteredFiles.length === 0 ? (
                 <div style={{ gridColumn: "1 / -1", textAlign: "center", padding: "2rem", color: "#666" }}>
-                  {localMediaFiles.length === 0 ? "No images found in media library" : "No images match your search"}
+                  {searchTerm ? `No ${noun}s match your search` : `No ${noun}s found in media library`}
                 </div>
               ) : (
                 filteredFiles.map((file) => (
@@ -1838,17 +5387,36 @@ function MediaLibraryPicker({ name, label, mediaFiles = [], defaultValue = "" })
                       width: "100%",
                     }}
                   >
-                    <img
-                      src={file.url}
-                      alt={file.alt || ""}
-                      style={{
-                        width: "100%",
-                        aspectRatio: "1",
-                        objectFit: "cover",
-                        borderRadius: "4px",
-                        marginBottom: "0.5rem",
-                      }}
-                    />
+                    {file.url ? (
+                      <img
+                        src={file.url}
+                        alt={file.alt || ""}
+                        style={{
+                          width: "100%",
+                          aspectRatio: "1",
+                          objectFit: "cover",
+                          borderRadius: "4px",
+                          marginBottom: "0.5rem",
+                        }}
+                      />
+                    ) : (
+                      <span
+                        style={{
+                          display: "flex",
+                          alignItems: "center",
+                          justifyContent: "center",
+                          width: "100%",
+                          aspectRatio: "1",
+                          borderRadius: "4px",
+                          marginBottom: "0.5rem",
+                          backgroundColor: "#f6f6f7",
+                          color: "#666",
+                          fontSize: "0.75rem",
+                        }}
+                      >
+                        Processing...
+                      </span>
+                    )}
                     <div
                       style={{
                         fontSize: "0.75rem",
@@ -1875,6 +5443,8 @@ const mediaFileShape = PropTypes.shape({
   id: PropTypes.string.isRequired,
   url: PropTypes.string,
   alt: PropTypes.string,
+  mediaType: PropTypes.oneOf(["image", "video"]),
+  videoUrl: PropTypes.string,
   image: PropTypes.shape({
     url: PropTypes.string,
     width: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
@@ -1887,6 +5457,124 @@ MediaLibraryPicker.propTypes = {
   label: PropTypes.string.isRequired,
   mediaFiles: PropTypes.arrayOf(mediaFileShape),
   defaultValue: PropTypes.string,
+  mediaType: PropTypes.oneOf(["image", "video"]),
+};
+
+const entryIssueShape = PropTypes.shape({
+  code: PropTypes.string.isRequired,
+  message: PropTypes.string.isRequired,
+  fatal: PropTypes.bool,
+});
+
+const validationContextShape = PropTypes.shape({
+  registeredPositionIds: PropTypes.arrayOf(PropTypes.string),
+  placedPositionIds: PropTypes.arrayOf(PropTypes.string),
+  placedEmbedPositionIds: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)),
+  missingFileIds: PropTypes.arrayOf(PropTypes.string),
+  nextStartPositionIds: PropTypes.arrayOf(PropTypes.string),
+});
+
+const registeredPositionShape = PropTypes.shape({
+  positionId: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  desktopWidth: PropTypes.number,
+  desktopHeight: PropTypes.number,
+  mobileWidth: PropTypes.number,
+  mobileHeight: PropTypes.number,
+});
+
+PositionSelect.propTypes = {
+  name: PropTypes.string.isRequired,
+  defaultValue: PropTypes.string,
+  registeredPositions: PropTypes.arrayOf(registeredPositionShape).isRequired,
+};
+
+ContentTypeSelect.propTypes = {
+  name: PropTypes.string.isRequired,
+  value: PropTypes.oneOf(["banner", "announcement", "popup"]).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+AnnouncementFields.propTypes = {
+  defaultBackground: PropTypes.string,
+  defaultText: PropTypes.string,
+  defaultIcon: PropTypes.string,
+};
+
+BannerVideoFields.propTypes = {
+  mediaFiles: PropTypes.arrayOf(mediaFileShape).isRequired,
+  defaultDesktop: PropTypes.string,
+  defaultMobile: PropTypes.string,
+};
+
+CountdownSelect.propTypes = {
+  defaultValue: PropTypes.oneOf(["", "end", "next_start"]),
+};
+
+PopupFields.propTypes = {
+  defaultSettings: PropTypes.shape({
+    trigger: PropTypes.string,
+    triggerValue: PropTypes.number,
+    frequency: PropTypes.string,
+    frequencyDays: PropTypes.number,
+  }),
+};
+
+TargetLinkField.propTypes = {
+  defaultUrl: PropTypes.string,
+  defaultReference: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string,
+  }),
+};
+
+TimeZoneSelect.propTypes = {
+  name: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  shopTimeZone: PropTypes.string.isRequired,
+};
+
+ZonedDateTime.propTypes = {
+  value: PropTypes.string,
+  timeZone: PropTypes.string.isRequired,
+  shopTimeZone: PropTypes.string.isRequired,
+  viewerTimeZone: PropTypes.string,
+};
+
+LocalTimeHint.propTypes = {
+  value: PropTypes.string,
+  timeZone: PropTypes.string.isRequired,
+  shopTimeZone: PropTypes.string.isRequired,
+  viewerTimeZone: PropTypes.string,
+};
+
+ConflictWarning.propTypes = {
+  conflicts: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      title: PropTypes.string,
+      positionId: PropTypes.string,
+      priority: PropTypes.number,
+      overlapStart: PropTypes.string,
+      overlapEnd: PropTypes.string,
+      winner: PropTypes.oneOf(["this", "other", "tie"]),
+    }),
+  ).isRequired,
+  timeZone: PropTypes.string,
+};
+
+RecurrenceFields.propTypes = {
+  name: PropTypes.string.isRequired,
+  defaultValue: PropTypes.string,
+  timeZone: PropTypes.string,
+};
+
+DaypartFields.propTypes = {
+  name: PropTypes.string.isRequired,
+  defaultValue: PropTypes.string,
 };
 
 EditEntryModal.propTypes = {
@@ -1901,10 +5589,30 @@ EditEntryModal.propTypes = {
     ),
   }).isRequired,
   mediaFiles: PropTypes.arrayOf(mediaFileShape),
+  bannerSettings: PropTypes.shape({
+    themeName: PropTypes.string,
+    positions: PropTypes.objectOf(PropTypes.object),
+  }),
+  validationContext: validationContextShape,
+  registeredPositions: PropTypes.arrayOf(registeredPositionShape).isRequired,
   onClose: PropTypes.func.isRequired,
   onSuccess: PropTypes.func.isRequired,
   userTimeZone: PropTypes.string,
-  userTimezoneOffset: PropTypes.number,
+  shopTimeZone: PropTypes.string.isRequired,
+};
+
+DuplicateEntryModal.propTypes = {
+  entry: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    fields: PropTypes.arrayOf(
+      PropTypes.shape({
+        key: PropTypes.string,
+        value: PropTypes.string,
+      }),
+    ),
+  }).isRequired,
+  onClose: PropTypes.func.isRequired,
+  onSuccess: PropTypes.func.isRequired,
 };
 
 DeleteEntryModal.propTypes = {
@@ -1917,10 +5625,159 @@ DeleteEntryModal.propTypes = {
       }),
     ),
   }).isRequired,
+  trashRetentionDays: PropTypes.number.isRequired,
   onClose: PropTypes.func.isRequired,
   onSuccess: PropTypes.func.isRequired,
 };
 
+const scheduleViewPropTypes = {
+  entries: PropTypes.arrayOf(PropTypes.object).isRequired,
+  span: PropTypes.oneOf(["week", "month"]).isRequired,
+  anchor: PropTypes.instanceOf(Date).isRequired,
+  timeZone: PropTypes.string,
+  getEntryState: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onEdit: PropTypes.func.isRequired,
+};
+
+LiveBannerPreview.propTypes = {
+  formRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  mediaFiles: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, url: PropTypes.string })).isRequired,
+  bannerSettings: PropTypes.shape({
+    themeName: PropTypes.string,
+    positions: PropTypes.objectOf(PropTypes.object),
+  }),
+};
+
+LiveAnnouncementPreview.propTypes = {
+  formRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+};
+
+LivePopupPreview.propTypes = {
+  formRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  mediaFiles: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, url: PropTypes.string })).isRequired,
+};
+
+LiveEntryIssues.propTypes = {
+  formRef: PropTypes.shape({ current: PropTypes.any }).isRequired,
+  validationContext: validationContextShape,
+};
+
+EntryIssueList.propTypes = {
+  issues: PropTypes.arrayOf(entryIssueShape).isRequired,
+};
+
+EntryIssuesBadge.propTypes = {
+  issues: PropTypes.arrayOf(entryIssueShape).isRequired,
+};
+
+BannerPreview.propTypes = {
+  headline: PropTypes.string,
+  description: PropTypes.string,
+  buttonText: PropTypes.string,
+  hasLink: PropTypes.bool,
+  desktopImageUrl: PropTypes.string,
+  mobileImageUrl: PropTypes.string,
+  desktopVideoUrl: PropTypes.string,
+  mobileVideoUrl: PropTypes.string,
+  countdown: PropTypes.shape({
+    target: PropTypes.oneOf(["end", "next_start"]).isRequired,
+    seconds: PropTypes.number.isRequired,
+  }),
+  settings: PropTypes.object,
+  source: PropTypes.string,
+};
+
+BulkActionBar.propTypes = {
+  count: PropTypes.number.isRequired,
+  registeredPositions: PropTypes.arrayOf(registeredPositionShape).isRequired,
+  trashRetentionDays: PropTypes.number.isRequired,
+  isRunning: PropTypes.bool,
+  onRun: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+};
+
+BulkResultBanner.propTypes = {
+  result: PropTypes.shape({
+    message: PropTypes.string,
+    error: PropTypes.string,
+    results: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string,
+        error: PropTypes.string,
+        note: PropTypes.string,
+        blocked: PropTypes.bool,
+        trashId: PropTypes.string,
+      }),
+    ).isRequired,
+    undo: PropTypes.shape({
+      intent: PropTypes.string.isRequired,
+      statuses: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, status: PropTypes.string })),
+      trashIds: PropTypes.arrayOf(PropTypes.string),
+    }),
+  }).isRequired,
+  isRunning: PropTypes.bool,
+  onUndo: PropTypes.func.isRequired,
+  onActivateAnyway: PropTypes.func.isRequired,
+  onRestoreAnyway: PropTypes.func.isRequired,
+  onDismiss: PropTypes.func.isRequired,
+};
+
+EntryFilters.propTypes = {
+  query: PropTypes.shape({
+    q: PropTypes.string,
+    position: PropTypes.string,
+    status: PropTypes.string,
+    state: PropTypes.string,
+    lifecycle: PropTypes.string,
+    campaign: PropTypes.string,
+    from: PropTypes.string,
+    to: PropTypes.string,
+    sort: PropTypes.arrayOf(PropTypes.shape({ column: PropTypes.string, direction: PropTypes.string })),
+    view: PropTypes.string,
+  }).isRequired,
+  positions: PropTypes.arrayOf(PropTypes.string).isRequired,
+  campaigns: PropTypes.arrayOf(PropTypes.shape({ id: PropTypes.string, name: PropTypes.string })).isRequired,
+  isFiltered: PropTypes.bool,
+};
+
+LifecycleBadge.propTypes = {
+  state: PropTypes.oneOf(Object.keys(LIFECYCLE_BADGES)).isRequired,
+};
+
+LifecycleSummary.propTypes = {
+  counts: PropTypes.objectOf(PropTypes.number).isRequired,
+  selected: PropTypes.string,
+  onSelect: PropTypes.func.isRequired,
+};
+
+EntryPagination.propTypes = {
+  pageInfo: PropTypes.shape({
+    total: PropTypes.number.isRequired,
+    offset: PropTypes.number.isRequired,
+    hasPreviousPage: PropTypes.bool.isRequired,
+    hasNextPage: PropTypes.bool.isRequired,
+    startCursor: PropTypes.string,
+    endCursor: PropTypes.string,
+  }).isRequired,
+  pageSize: PropTypes.number.isRequired,
+};
+
+ScheduleViewControls.propTypes = {
+  view: PropTypes.oneOf(["table", "timeline", "calendar"]).isRequired,
+  onViewChange: PropTypes.func.isRequired,
+  span: PropTypes.oneOf(["week", "month"]).isRequired,
+  onSpanChange: PropTypes.func.isRequired,
+  anchor: PropTypes.instanceOf(Date).isRequired,
+  onAnchorChange: PropTypes.func.isRequired,
+  timeZone: PropTypes.string,
+};
+
+ScheduleTimeline.propTypes = scheduleViewPropTypes;
+
+ScheduleCalendar.propTypes = scheduleViewPropTypes;
+
 export const headers = (headersArgs) => {
   return boundary.headers(headersArgs);
 };
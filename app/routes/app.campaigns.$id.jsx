@@ -0,0 +1,423 @@
+import { Link, useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
+import { authenticate } from "../shopify.server";
+import {
+  CAMPAIGN_STATUSES,
+  addEntriesToCampaign,
+  deleteCampaign,
+  getCampaign,
+  getEntryCampaignMap,
+  listCampaigns,
+  removeEntryFromCampaign,
+  setCampaignStatus,
+  updateCampaignWindow,
+} from "../services/campaigns.server";
+import { loadAllEntries } from "../services/metaobjects.server";
+import { describeActivationBlocker } from "../services/scheduler.server";
+import { json } from "../utils/responses.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import { formatInTimeZone, toDateTimeLocalValue } from "../utils/datetime";
+import { getFieldMap } from "../utils/entries";
+import { parseCampaignForm } from "../utils/campaigns";
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const campaign = await getCampaign({ shop: session.shop, id: params.id });
+  if (!campaign) {
+    throw new Response("Campaign not found", { status: 404 });
+  }
+  const shopTimeZone = await getShopTimeZone(admin);
+
+  try {
+    const [allEntries, entryCampaigns, campaigns] = await Promise.all([
+      loadAllEntries(admin),
+      getEntryCampaignMap(session.shop),
+      listCampaigns(session.shop),
+    ]);
+    const campaignNames = Object.fromEntries(campaigns.map((c) => [c.id, c.name]));
+    const entries = allEntries.map((entry) => {
+      const fieldMap = getFieldMap(entry);
+      const campaignId = entryCampaigns[entry.id] || null;
+      return {
+        id: entry.id,
+        title: fieldMap.title || "(untitled)",
+        positionId: fieldMap.position_id || "",
+        startAt: fieldMap.start_at || null,
+        endAt: fieldMap.end_at || null,
+        status: entry.capabilities?.publishable?.status || "DRAFT",
+        campaignName: campaignId && campaignId !== campaign.id ? campaignNames[campaignId] || null : null,
+        inCampaign: campaignId === campaign.id,
+      };
+    });
+
+    return {
+      shopTimeZone,
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        startAt: campaign.startAt.toISOString(),
+        endAt: campaign.endAt.toISOString(),
+      },
+      members: entries.filter((entry) => entry.inCampaign),
+      candidates: entries.filter((entry) => !entry.inCampaign),
+    };
+  } catch (error) {
+    console.error("Error loading campaign:", error);
+    return {
+      shopTimeZone,
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        startAt: campaign.startAt.toISOString(),
+        endAt: campaign.endAt.toISOString(),
+      },
+      members: [],
+      candidates: [],
+      error: `Failed to load campaign entries: ${error.message}`,
+    };
+  }
+};
+
+const withEntryErrors = (errors, message) =>
+  errors.length > 0
+    ? json({ error: `Failed to update some entries: ${errors.join(", ")}`, success: false })
+    : json({ success: true, message });
+
+// Entries that would be switched on with blocking issues or conflicts; the page
+// offers to resubmit the same intent with confirm_issues.
+const withBlockedEntries = (intent, blocked, entryIds = []) =>
+  json({
+    success: false,
+    requiresIssueOverride: true,
+    intent,
+    entryIds,
+    blocked: blocked.map((blocker) => ({ id: blocker.id, title: blocker.title, issue: describeActivationBlocker(blocker) })),
+  });
+
+export const action = async ({ request, params }) => {
+  const { admin, session, redirect } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const shop = session.shop;
+  const id = params.id;
+
+  try {
+    if (intent === "update") {
+      const shopTimeZone = await getShopTimeZone(admin);
+      const { error, name, startAt, endAt } = parseCampaignForm(formData, shopTimeZone);
+      if (error) {
+        return json({ error, success: false });
+      }
+      const result = await updateCampaignWindow({ admin, shop, id, name, startAt, endAt });
+      if (result.error) {
+        return json({ error: result.error, success: false }, { status: 404 });
+      }
+      return withEntryErrors(result.errors, "Campaign saved. Entry dates follow the new window.");
+    }
+
+    if (intent === "activate" || intent === "deactivate") {
+      const status = intent === "activate" ? CAMPAIGN_STATUSES.ACTIVE : CAMPAIGN_STATUSES.DRAFT;
+      const result = await setCampaignStatus({
+        admin,
+        shop,
+        id,
+        status,
+        confirmIssues: formData.get("confirm_issues") === "true",
+      });
+      if (result.error) {
+        return json({ error: result.error, success: false }, { status: 404 });
+      }
+      if (result.blocked) {
+        return withBlockedEntries(intent, result.blocked);
+      }
+      return withEntryErrors(
+        result.errors,
+        status === CAMPAIGN_STATUSES.ACTIVE ? "Campaign activated." : "Campaign deactivated.",
+      );
+    }
+
+    if (intent === "addEntries") {
+      const entryIds = formData.getAll("entryId").map(String).filter(Boolean);
+      if (entryIds.length === 0) {
+        return json({ error: "Select at least one entry to add.", success: false });
+      }
+      const result = await addEntriesToCampaign({
+        admin,
+        shop,
+        id,
+        entryIds,
+        confirmIssues: formData.get("confirm_issues") === "true",
+      });
+      if (result.error) {
+        return json({ error: result.error, success: false }, { status: 404 });
+      }
+      if (result.blocked) {
+        return withBlockedEntries(intent, result.blocked, entryIds);
+      }
+      return withEntryErrors(result.errors, `Added ${entryIds.length} ${entryIds.length === 1 ? "entry" : "entries"}.`);
+    }
+
+    if (intent === "removeEntry") {
+      await removeEntryFromCampaign({ shop, id, entryId: String(formData.get("entryId") || "") });
+      return json({ success: true, message: "Entry removed from the campaign." });
+    }
+
+    if (intent === "delete") {
+      await deleteCampaign({ shop, id });
+      return redirect("/app/campaigns");
+    }
+
+    return json({ error: "Unknown intent", success: false }, { status: 400 });
+  } catch (error) {
+    console.error("[CAMPAIGN ACTION] Error:", error);
+    return json({ error: `Failed to process request: ${error.message || "Unknown error"}`, success: false });
+  }
+};
+
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+const inputStyle = {
+  width: "100%",
+  padding: "0.375rem 0.5rem",
+  border: "1px solid #c9cccf",
+  borderRadius: "4px",
+  fontSize: "0.8125rem",
+  boxSizing: "border-box",
+};
+const labelStyle = { display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" };
+const smallButtonStyle = (disabled) => ({
+  padding: "0.25rem 0.75rem",
+  border: "1px solid #c9cccf",
+  borderRadius: "4px",
+  backgroundColor: "white",
+  cursor: disabled ? "not-allowed" : "pointer",
+  fontSize: "0.8125rem",
+});
+
+export default function CampaignPage() {
+  const { campaign, members, candidates, shopTimeZone, error: loaderError } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSubmitting = fetcher.state !== "idle";
+  const isActive = campaign.status === "ACTIVE";
+
+  return (
+    <s-page heading={`Block Scheduler | ${campaign.name}`}>
+      {(loaderError || fetcher.data?.error) && (
+        <s-banner tone="critical" title="Error">
+          {loaderError || fetcher.data?.error}
+        </s-banner>
+      )}
+      {fetcher.data?.success && fetcher.data?.message && (
+        <s-banner tone="success">{fetcher.data.message}</s-banner>
+      )}
+      {fetcher.data?.requiresIssueOverride && (
+        <s-banner tone="warning" title="Some entries need attention before they are switched on">
+          <ul style={{ margin: "0.25rem 0", paddingLeft: "1.25rem" }}>
+            {fetcher.data.blocked.map((item) => (
+              <li key={item.id}>
+                <strong>{item.title}</strong>: {item.issue}
+              </li>
+            ))}
+          </ul>
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value={fetcher.data.intent} />
+            {fetcher.data.entryIds.map((entryId) => (
+              <input key={entryId} type="hidden" name="entryId" value={entryId} />
+            ))}
+            <input type="hidden" name="confirm_issues" value="true" />
+            <button type="submit" disabled={isSubmitting} style={smallButtonStyle(isSubmitting)}>
+              {fetcher.data.intent === "addEntries" ? "Add them anyway" : "Activate anyway"}
+            </button>
+          </fetcher.Form>
+        </s-banner>
+      )}
+      <s-section>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+          <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: 0 }}>Campaign</h2>
+          <Link to="/app/campaigns" style={{ fontSize: "0.875rem", color: "#667eea" }}>
+            All campaigns
+          </Link>
+        </div>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          Moving the window moves every entry in the campaign with it. Dates are in the store timezone (
+          {shopTimeZone}).
+        </p>
+        <fetcher.Form method="post" key={`${campaign.startAt}-${campaign.endAt}-${campaign.name}`}>
+          <input type="hidden" name="intent" value="update" />
+          <s-stack direction="block" gap="base">
+            <s-text-field label="Name" name="name" required defaultValue={campaign.name} />
+            <div style={{ display: "flex", gap: "15px" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <label htmlFor="campaign-start-at" style={labelStyle}>
+                  Start Date & Time
+                </label>
+                <input
+                  type="datetime-local"
+                  id="campaign-start-at"
+                  name="start_at"
+                  required
+                  defaultValue={toDateTimeLocalValue(campaign.startAt, shopTimeZone)}
+                  style={inputStyle}
+                />
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <label htmlFor="campaign-end-at" style={labelStyle}>
+                  End Date & Time
+                </label>
+                <input
+                  type="datetime-local"
+                  id="campaign-end-at"
+                  name="end_at"
+                  required
+                  defaultValue={toDateTimeLocalValue(campaign.endAt, shopTimeZone)}
+                  style={inputStyle}
+                />
+              </div>
+            </div>
+            <div>
+              <s-button type="submit" variant="primary" disabled={isSubmitting}>
+                {isSubmitting ? "Saving..." : "Save Campaign"}
+              </s-button>
+            </div>
+          </s-stack>
+        </fetcher.Form>
+        <div style={{ display: "flex", gap: "0.5rem", marginTop: "1rem" }}>
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value={isActive ? "deactivate" : "activate"} />
+            <s-button type="submit" disabled={isSubmitting}>
+              {isActive ? "Deactivate all entries" : "Activate all entries"}
+            </s-button>
+          </fetcher.Form>
+          <fetcher.Form
+            method="post"
+            onSubmit={(event) => {
+              if (!window.confirm("Delete this campaign? Its entries are kept.")) {
+                event.preventDefault();
+              }
+            }}
+          >
+            <input type="hidden" name="intent" value="delete" />
+            <s-button type="submit" tone="critical" disabled={isSubmitting}>
+              Delete campaign
+            </s-button>
+          </fetcher.Form>
+        </div>
+      </s-section>
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Entries ({members.length})</h2>
+        {members.length === 0 ? (
+          <s-text>No entries in this campaign yet.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Title</th>
+                  <th style={headerCellStyle}>Position ID</th>
+                  <th style={headerCellStyle}>Status</th>
+                  <th style={headerCellStyle}>Start</th>
+                  <th style={headerCellStyle}>End</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {members.map((entry) => (
+                  <MemberRow
+                    key={entry.id}
+                    entry={entry}
+                    timeZone={shopTimeZone}
+                    fetcher={fetcher}
+                    disabled={isSubmitting}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Add Entries</h2>
+        {candidates.length === 0 ? (
+          <s-text>Every entry is already in this campaign.</s-text>
+        ) : (
+          <fetcher.Form method="post" key={members.length}>
+            <input type="hidden" name="intent" value="addEntries" />
+            <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+              Added entries are moved into the campaign window and take the campaign status. An entry belongs to
+              one campaign at a time.
+            </p>
+            <div style={{ maxHeight: "240px", overflowY: "auto", border: "1px solid #e1e3e5", borderRadius: "4px" }}>
+              {candidates.map((entry) => (
+                <div
+                  key={entry.id}
+                  style={{ display: "flex", alignItems: "center", gap: "0.5rem", padding: "0.5rem 0.75rem", borderBottom: "1px solid #f1f1f1" }}
+                >
+                  <input type="checkbox" id={`add-${entry.id}`} name="entryId" value={entry.id} />
+                  <label htmlFor={`add-${entry.id}`} style={{ fontSize: "0.8125rem" }}>
+                    {entry.title} ({entry.positionId || "no position"})
+                    {entry.campaignName ? ` · in ${entry.campaignName}` : ""}
+                  </label>
+                </div>
+              ))}
+            </div>
+            <div style={{ marginTop: "0.75rem" }}>
+              <s-button type="submit" disabled={isSubmitting}>
+                Add selected entries
+              </s-button>
+            </div>
+          </fetcher.Form>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function MemberRow({ entry, timeZone, fetcher, disabled }) {
+  const isActive = entry.status === "ACTIVE";
+
+  return (
+    <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+      <td style={{ ...cellStyle, fontWeight: "500" }}>{entry.title}</td>
+      <td style={cellStyle}>{entry.positionId || "-"}</td>
+      <td style={{ ...cellStyle, color: isActive ? "#1f5199" : "#616161" }}>{isActive ? "active" : "draft"}</td>
+      <td style={{ ...cellStyle, color: "#666" }}>{entry.startAt ? formatInTimeZone(entry.startAt, timeZone) : "-"}</td>
+      <td style={{ ...cellStyle, color: "#666" }}>{entry.endAt ? formatInTimeZone(entry.endAt, timeZone) : "-"}</td>
+      <td style={{ padding: "0.75rem", textAlign: "center", whiteSpace: "nowrap" }}>
+        <fetcher.Form method="post">
+          <input type="hidden" name="intent" value="removeEntry" />
+          <input type="hidden" name="entryId" value={entry.id} />
+          <button type="submit" disabled={disabled} style={smallButtonStyle(disabled)}>
+            Remove
+          </button>
+        </fetcher.Form>
+      </td>
+    </tr>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+MemberRow.propTypes = {
+  entry: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    positionId: PropTypes.string,
+    status: PropTypes.string.isRequired,
+    startAt: PropTypes.string,
+    endAt: PropTypes.string,
+  }).isRequired,
+  timeZone: PropTypes.string,
+  fetcher: PropTypes.shape({
+    Form: PropTypes.elementType.isRequired,
+  }).isRequired,
+  disabled: PropTypes.bool,
+};
@@ -0,0 +1,189 @@
+import { Link, useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
+import { authenticate } from "../shopify.server";
+import { createCampaign, listCampaigns } from "../services/campaigns.server";
+import { json } from "../utils/responses.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import { formatInTimeZone } from "../utils/datetime";
+import { parseCampaignForm } from "../utils/campaigns";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shopTimeZone = await getShopTimeZone(admin);
+
+  try {
+    const campaigns = await listCampaigns(session.shop);
+    return {
+      shopTimeZone,
+      campaigns: campaigns.map((campaign) => ({
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        startAt: campaign.startAt.toISOString(),
+        endAt: campaign.endAt.toISOString(),
+        entryCount: campaign._count.entries,
+      })),
+    };
+  } catch (error) {
+    console.error("Error loading campaigns:", error);
+    return { campaigns: [], shopTimeZone, error: `Failed to load campaigns: ${error.message}` };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  try {
+    const shopTimeZone = await getShopTimeZone(admin);
+    const { error, name, startAt, endAt } = parseCampaignForm(formData, shopTimeZone);
+    if (error) {
+      return json({ error, success: false });
+    }
+    const campaign = await createCampaign({ shop: session.shop, name, startAt, endAt });
+    return json({ success: true, message: "Campaign created.", campaignId: campaign.id });
+  } catch (error) {
+    console.error("[CAMPAIGNS ACTION] Error:", error);
+    return json({ error: `Failed to create campaign: ${error.message || "Unknown error"}`, success: false });
+  }
+};
+
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+const inputStyle = {
+  width: "100%",
+  padding: "0.375rem 0.5rem",
+  border: "1px solid #c9cccf",
+  borderRadius: "4px",
+  fontSize: "0.8125rem",
+  boxSizing: "border-box",
+};
+const labelStyle = { display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" };
+
+export default function CampaignsPage() {
+  const { campaigns, shopTimeZone, error: loaderError } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSubmitting = fetcher.state !== "idle";
+
+  return (
+    <s-page heading="Block Scheduler | Campaigns">
+      {(loaderError || fetcher.data?.error) && (
+        <s-banner tone="critical" title="Error">
+          {loaderError || fetcher.data?.error}
+        </s-banner>
+      )}
+      {fetcher.data?.success && fetcher.data?.message && (
+        <s-banner tone="success">{fetcher.data.message}</s-banner>
+      )}
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>New Campaign</h2>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          A campaign groups entries across positions under one date window. Dates are in the store timezone (
+          {shopTimeZone}).
+        </p>
+        <fetcher.Form method="post" key={fetcher.data?.campaignId}>
+          <s-stack direction="block" gap="base">
+            <s-text-field label="Name" name="name" required placeholder="e.g., Black Friday" />
+            <div style={{ display: "flex", gap: "15px" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <label htmlFor="campaign-start-at" style={labelStyle}>
+                  Start Date & Time
+                </label>
+                <input type="datetime-local" id="campaign-start-at" name="start_at" required style={inputStyle} />
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <label htmlFor="campaign-end-at" style={labelStyle}>
+                  End Date & Time
+                </label>
+                <input type="datetime-local" id="campaign-end-at" name="end_at" required style={inputStyle} />
+              </div>
+            </div>
+            <div>
+              <s-button type="submit" variant="primary" disabled={isSubmitting}>
+                {isSubmitting ? "Creating..." : "Create Campaign"}
+              </s-button>
+            </div>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Campaigns</h2>
+        {campaigns.length === 0 ? (
+          <s-text>No campaigns yet.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Name</th>
+                  <th style={headerCellStyle}>Status</th>
+                  <th style={headerCellStyle}>Start</th>
+                  <th style={headerCellStyle}>End</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}>Entries</th>
+                </tr>
+              </thead>
+              <tbody>
+                {campaigns.map((campaign) => (
+                  <CampaignRow key={campaign.id} campaign={campaign} timeZone={shopTimeZone} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function CampaignRow({ campaign, timeZone }) {
+  const isActive = campaign.status === "ACTIVE";
+
+  return (
+    <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+      <td style={{ ...cellStyle, fontWeight: "500" }}>
+        <Link to={`/app/campaigns/${encodeURIComponent(campaign.id)}`} style={{ color: "#667eea" }}>
+          {campaign.name}
+        </Link>
+      </td>
+      <td style={cellStyle}>
+        <span
+          style={{
+            display: "inline-block",
+            padding: "0.125rem 0.5rem",
+            borderRadius: "10px",
+            fontSize: "0.75rem",
+            fontWeight: "600",
+            background: isActive ? "#e3f1df" : "#f1f1f1",
+            color: isActive ? "#1f5199" : "#616161",
+          }}
+        >
+          {isActive ? "active" : "draft"}
+        </span>
+      </td>
+      <td style={{ ...cellStyle, color: "#666" }}>{formatInTimeZone(campaign.startAt, timeZone)}</td>
+      <td style={{ ...cellStyle, color: "#666" }}>{formatInTimeZone(campaign.endAt, timeZone)}</td>
+      <td style={{ padding: "0.75rem", fontSize: "0.8125rem", textAlign: "center" }}>{campaign.entryCount}</td>
+    </tr>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+CampaignRow.propTypes = {
+  campaign: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    startAt: PropTypes.string.isRequired,
+    endAt: PropTypes.string.isRequired,
+    entryCount: PropTypes.number.isRequired,
+  }).isRequired,
+  timeZone: PropTypes.string,
+};
@@ -16,7 +16,13 @@ export default function App() {
   return (
     <AppProvider embedded apiKey={apiKey}>
       <s-app-nav>
+        <s-link href="/app" rel="home">Dashboard</s-link>
         <s-link href="/app/block-scheduler">Entries</s-link>
+        <s-link href="/app/campaigns">Campaigns</s-link>
+        <s-link href="/app/positions">Positions</s-link>
+        <s-link href="/app/trash">Trash</s-link>
+        <s-link href="/app/preview">Schedule Preview</s-link>
+        <s-link href="/app/scheduler">Scheduled Jobs</s-link>
       </s-app-nav>
       <Outlet />
     </AppProvider>
@@ -0,0 +1,452 @@
+import { useState } from "react";
+import { Link, useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
+import { authenticate } from "../shopify.server";
+import {
+  createPosition,
+  deletePosition,
+  listPositions,
+  registerPositions,
+  renamePosition,
+  updatePosition,
+} from "../services/positions.server";
+import { loadAllEntries } from "../services/metaobjects.server";
+import { loadPlacedBannerSettings } from "../services/theme.server";
+import { json } from "../utils/responses.server";
+import { getFieldMap } from "../utils/entries";
+import { POSITION_ID_PATTERN, formatImageSize, normalizePositionId, parsePositionForm } from "../utils/positions";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  try {
+    const [positions, entries, theme] = await Promise.all([
+      listPositions(session.shop),
+      loadAllEntries(admin),
+      loadPlacedBannerSettings(admin),
+    ]);
+    const entryCounts = {};
+    for (const entry of entries) {
+      const positionId = String(getFieldMap(entry).position_id || "").trim();
+      if (positionId) {
+        entryCounts[positionId] = (entryCounts[positionId] || 0) + 1;
+      }
+    }
+    const registered = new Set(positions.map((position) => position.positionId));
+
+    return {
+      themeName: theme?.themeName || null,
+      positions: positions.map((position) => ({
+        id: position.id,
+        positionId: position.positionId,
+        name: position.name,
+        description: position.description || "",
+        desktopWidth: position.desktopWidth,
+        desktopHeight: position.desktopHeight,
+        mobileWidth: position.mobileWidth,
+        mobileHeight: position.mobileHeight,
+        entryCount: entryCounts[position.positionId] || 0,
+        // null when the theme couldn't be read; switched on app embeds count as placed
+        placed: theme
+          ? position.positionId in theme.positions ||
+            Object.values(theme.embedPositions).some((embedPositions) => position.positionId in embedPositions)
+          : null,
+      })),
+      unregistered: Object.keys(entryCounts)
+        .filter((positionId) => !registered.has(positionId))
+        .sort()
+        .map((positionId) => ({ positionId, entryCount: entryCounts[positionId] })),
+    };
+  } catch (error) {
+    console.error("Error loading positions:", error);
+    return { positions: [], unregistered: [], themeName: null, error: `Failed to load positions: ${error.message}` };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const shop = session.shop;
+  const id = String(formData.get("id") || "");
+
+  try {
+    if (intent === "create") {
+      const { error, ...fields } = parsePositionForm(formData);
+      if (error) {
+        return json({ error, success: false });
+      }
+      const result = await createPosition({ shop, ...fields });
+      if (result.error) {
+        return json({ error: result.error, success: false });
+      }
+      return json({ success: true, message: `Position "${fields.positionId}" created.`, createdId: result.position.id });
+    }
+
+    if (intent === "update") {
+      const { error, name, description, desktopWidth, desktopHeight, mobileWidth, mobileHeight } = parsePositionForm(
+        formData,
+        { withId: false },
+      );
+      if (error) {
+        return json({ error, success: false });
+      }
+      await updatePosition({ shop, id, name, description, desktopWidth, desktopHeight, mobileWidth, mobileHeight });
+      return json({ success: true, message: "Position saved." });
+    }
+
+    if (intent === "rename") {
+      const positionId = normalizePositionId(formData.get("position_id"));
+      if (!POSITION_ID_PATTERN.test(positionId)) {
+        return json({ error: "Position ID must use lowercase letters, digits, underscores or hyphens", success: false });
+      }
+      const result = await renamePosition({ admin, shop, id, positionId });
+      if (result.error) {
+        return json({ error: result.error, success: false });
+      }
+      if (result.failed.length > 0) {
+        return json({
+          error: `Position not renamed: ${result.failed.length} ${result.failed.length === 1 ? "entry" : "entries"} couldn't be moved, so the others were moved back.`,
+          success: false,
+          failed: result.failed,
+          stranded: result.stranded,
+        });
+      }
+      return json({
+        success: true,
+        message: `Position renamed to "${positionId}" and ${result.moved} ${result.moved === 1 ? "entry" : "entries"} moved. Update the Position ID setting of the theme block to match.`,
+      });
+    }
+
+    if (intent === "delete") {
+      const result = await deletePosition({ admin, shop, id });
+      if (result.error) {
+        return json({ error: result.error, success: false });
+      }
+      return json({ success: true, message: "Position deleted." });
+    }
+
+    if (intent === "register") {
+      const added = await registerPositions({ shop, positionIds: formData.getAll("position_id").map(String) });
+      return json({ success: true, message: `Registered ${added.length} ${added.length === 1 ? "position" : "positions"}.` });
+    }
+
+    return json({ error: "Unknown intent", success: false }, { status: 400 });
+  } catch (error) {
+    console.error("[POSITIONS ACTION] Error:", error);
+    return json({ error: `Failed to process request: ${error.message || "Unknown error"}`, success: false });
+  }
+};
+
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+const inputStyle = {
+  width: "100%",
+  padding: "0.375rem 0.5rem",
+  border: "1px solid #c9cccf",
+  borderRadius: "4px",
+  fontSize: "0.8125rem",
+  boxSizing: "border-box",
+};
+const labelStyle = { display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" };
+const smallButtonStyle = (disabled) => ({
+  padding: "0.25rem 0.75rem",
+  border: "1px solid #c9cccf",
+  borderRadius: "4px",
+  backgroundColor: "white",
+  cursor: disabled ? "not-allowed" : "pointer",
+  fontSize: "0.8125rem",
+});
+
+const DIMENSION_FIELDS = [
+  { name: "desktopWidth", label: "Desktop width (px)" },
+  { name: "desktopHeight", label: "Desktop height (px)" },
+  { name: "mobileWidth", label: "Mobile width (px)" },
+  { name: "mobileHeight", label: "Mobile height (px)" },
+];
+
+function DimensionFields({ idPrefix, position }) {
+  return (
+    <div style={{ display: "flex", gap: "15px" }}>
+      {DIMENSION_FIELDS.map((field) => (
+        <div key={field.name} style={{ flex: 1, minWidth: 0 }}>
+          <label htmlFor={`${idPrefix}-${field.name}`} style={labelStyle}>
+            {field.label}
+          </label>
+          <input
+            type="number"
+            min="1"
+            step="1"
+            id={`${idPrefix}-${field.name}`}
+            name={field.name}
+            defaultValue={position?.[field.name] ?? ""}
+            style={inputStyle}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default function PositionsPage() {
+  const { positions, unregistered, themeName, error: loaderError } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSubmitting = fetcher.state !== "idle";
+
+  return (
+    <s-page heading="Block Scheduler | Positions">
+      {(loaderError || fetcher.data?.error) && (
+        <s-banner tone="critical" title="Error">
+          {loaderError || fetcher.data?.error}
+          {fetcher.data?.failed?.length > 0 && (
+            <ul style={{ margin: "0.25rem 0", paddingLeft: "1.25rem" }}>
+              {fetcher.data.failed.map((item) => (
+                <li key={item.id}>
+                  <strong>{item.title}</strong>: {item.error}
+                </li>
+              ))}
+            </ul>
+          )}
+          {fetcher.data?.stranded?.length > 0 && (
+            <p style={{ margin: "0.25rem 0 0 0" }}>
+              Still on the new ID, move these back by hand:{" "}
+              {fetcher.data.stranded.map((item) => item.title).join(", ")}
+            </p>
+          )}
+        </s-banner>
+      )}
+      {fetcher.data?.success && fetcher.data?.message && (
+        <s-banner tone="success">{fetcher.data.message}</s-banner>
+      )}
+      {unregistered.length > 0 && (
+        <s-banner tone="warning" title="Entries use unregistered positions">
+          <p style={{ margin: "0 0 0.5rem 0" }}>
+            {unregistered.map((item) => `${item.positionId} (${item.entryCount})`).join(", ")}. These entries can&apos;t
+            be saved until their position is registered or they are moved.
+          </p>
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value="register" />
+            {unregistered.map((item) => (
+              <input key={item.positionId} type="hidden" name="position_id" value={item.positionId} />
+            ))}
+            <s-button type="submit" disabled={isSubmitting}>
+              Register all
+            </s-button>
+          </fetcher.Form>
+        </s-banner>
+      )}
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>New Position</h2>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          The Position ID must match the Position ID setting of the Scheduled Banner block in the theme. Image
+          dimensions are a guide for whoever uploads banners.
+        </p>
+        <fetcher.Form method="post" key={fetcher.data?.createdId}>
+          <input type="hidden" name="intent" value="create" />
+          <s-stack direction="block" gap="base">
+            <div style={{ display: "flex", gap: "15px" }}>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <s-text-field label="Position ID" name="position_id" required placeholder="e.g., homepage_banner" />
+              </div>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <s-text-field label="Name" name="name" required placeholder="e.g., Homepage hero" />
+              </div>
+            </div>
+            <s-text-area label="Description" name="description" rows={2} placeholder="Where it appears in the theme" />
+            <DimensionFields idPrefix="new-position" />
+            <div>
+              <s-button type="submit" variant="primary" disabled={isSubmitting}>
+                {isSubmitting ? "Creating..." : "Create Position"}
+              </s-button>
+            </div>
+          </s-stack>
+        </fetcher.Form>
+      </s-section>
+      <s-section>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+          <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: 0 }}>Positions</h2>
+          <Link to="/app/block-scheduler" style={{ fontSize: "0.875rem", color: "#667eea" }}>
+            Entries
+          </Link>
+        </div>
+        {positions.length === 0 ? (
+          <s-text>No positions yet.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Position ID</th>
+                  <th style={headerCellStyle}>Name</th>
+                  <th style={headerCellStyle}>Desktop image</th>
+                  <th style={headerCellStyle}>Mobile image</th>
+                  <th style={headerCellStyle}>Entries</th>
+                  <th style={headerCellStyle}>{themeName ? `In ${themeName}` : "In theme"}</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {positions.map((position) => (
+                  <PositionRow key={position.id} position={position} fetcher={fetcher} disabled={isSubmitting} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function PositionRow({ position, fetcher, disabled }) {
+  const [mode, setMode] = useState(null);
+
+  let placedLabel = "-";
+  if (position.placed !== null) {
+    placedLabel = position.placed ? "Placed" : "Not placed";
+  }
+
+  return (
+    <>
+      <tr style={{ borderBottom: mode ? "none" : "1px solid #e1e3e5" }}>
+        <td style={{ ...cellStyle, fontFamily: "monospace" }}>{position.positionId}</td>
+        <td style={cellStyle}>
+          <div style={{ fontWeight: "500" }}>{position.name}</div>
+          {position.description && <div style={{ color: "#666", fontSize: "0.75rem" }}>{position.description}</div>}
+        </td>
+        <td style={{ ...cellStyle, color: "#666" }}>
+          {formatImageSize(position.desktopWidth, position.desktopHeight) || "-"}
+        </td>
+        <td style={{ ...cellStyle, color: "#666" }}>
+          {formatImageSize(position.mobileWidth, position.mobileHeight) || "-"}
+        </td>
+        <td style={{ ...cellStyle, textAlign: "center" }}>{position.entryCount}</td>
+        <td style={{ ...cellStyle, color: position.placed === false ? "#b98900" : "#666" }}>{placedLabel}</td>
+        <td style={{ padding: "0.75rem", whiteSpace: "nowrap" }}>
+          <div style={{ display: "flex", gap: "0.5rem" }}>
+            <button
+              type="button"
+              onClick={() => setMode(mode === "edit" ? null : "edit")}
+              style={smallButtonStyle(false)}
+            >
+              Edit
+            </button>
+            <button
+              type="button"
+              onClick={() => setMode(mode === "rename" ? null : "rename")}
+              style={smallButtonStyle(false)}
+            >
+              Rename
+            </button>
+            <fetcher.Form
+              method="post"
+              onSubmit={(event) => {
+                if (!window.confirm(`Delete position "${position.positionId}"?`)) {
+                  event.preventDefault();
+                }
+              }}
+            >
+              <input type="hidden" name="intent" value="delete" />
+              <input type="hidden" name="id" value={position.id} />
+              <button
+                type="submit"
+                disabled={disabled || position.entryCount > 0}
+                title={position.entryCount > 0 ? "Move its entries to another position first" : undefined}
+                style={smallButtonStyle(disabled || position.entryCount > 0)}
+              >
+                Delete
+              </button>
+            </fetcher.Form>
+          </div>
+        </td>
+      </tr>
+      {mode && (
+        <tr style={{ borderBottom: "1px solid #e1e3e5", backgroundColor: "#fafbfb" }}>
+          <td colSpan={7} style={{ padding: "0.75rem" }}>
+            {mode === "edit" ? (
+              <fetcher.Form method="post" onSubmit={() => setMode(null)}>
+                <input type="hidden" name="intent" value="update" />
+                <input type="hidden" name="id" value={position.id} />
+                <s-stack direction="block" gap="base">
+                  <s-text-field label="Name" name="name" required defaultValue={position.name} />
+                  <s-text-area label="Description" name="description" rows={2} defaultValue={position.description} />
+                  <DimensionFields idPrefix={`position-${position.id}`} position={position} />
+                  <div>
+                    <s-button type="submit" variant="primary" disabled={disabled}>
+                      Save
+                    </s-button>
+                  </div>
+                </s-stack>
+              </fetcher.Form>
+            ) : (
+              <fetcher.Form
+                method="post"
+                onSubmit={(event) => {
+                  const message =
+                    position.entryCount > 0
+                      ? `Move ${position.entryCount} ${position.entryCount === 1 ? "entry" : "entries"} to the new Position ID?`
+                      : "Rename this position?";
+                  if (!window.confirm(message)) {
+                    event.preventDefault();
+                    return;
+                  }
+                  setMode(null);
+                }}
+              >
+                <input type="hidden" name="intent" value="rename" />
+                <input type="hidden" name="id" value={position.id} />
+                <s-stack direction="block" gap="base">
+                  <s-text-field label="New Position ID" name="position_id" required defaultValue={position.positionId} />
+                  <s-text tone="caution">
+                    Every entry in this position moves to the new ID. Banners stop showing until the Position ID
+                    setting of the theme block is changed to match.
+                  </s-text>
+                  <div>
+                    <s-button type="submit" variant="primary" disabled={disabled}>
+                      Rename
+                    </s-button>
+                  </div>
+                </s-stack>
+              </fetcher.Form>
+            )}
+          </td>
+        </tr>
+      )}
+    </>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+const positionShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  positionId: PropTypes.string.isRequired,
+  name: PropTypes.string.isRequired,
+  description: PropTypes.string,
+  desktopWidth: PropTypes.number,
+  desktopHeight: PropTypes.number,
+  mobileWidth: PropTypes.number,
+  mobileHeight: PropTypes.number,
+  entryCount: PropTypes.number.isRequired,
+  placed: PropTypes.bool,
+});
+
+DimensionFields.propTypes = {
+  idPrefix: PropTypes.string.isRequired,
+  position: positionShape,
+};
+
+PositionRow.propTypes = {
+  position: positionShape.isRequired,
+  fetcher: PropTypes.shape({
+    Form: PropTypes.elementType.isRequired,
+  }).isRequired,
+  disabled: PropTypes.bool,
+};
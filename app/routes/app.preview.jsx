@@ -0,0 +1,236 @@
+import { Form, useLoaderData, useNavigation, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
+import { authenticate } from "../shopify.server";
+import { loadAllEntries } from "../services/metaobjects.server";
+import { getPendingJobsByEntry } from "../services/scheduler.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import { formatInTimeZone, parseLocalDateTimeToUTC, toDateTimeLocalValue } from "../utils/datetime";
+import { getEntryPriority, getFieldMap } from "../utils/entries";
+import { evaluateSchedule } from "../utils/selection";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shopTimeZone = await getShopTimeZone(admin);
+  const url = new URL(request.url);
+  const requestedAt = url.searchParams.get("at") || "";
+  const parsedAt = requestedAt ? parseLocalDateTimeToUTC(requestedAt, shopTimeZone) : null;
+  const at = parsedAt || new Date().toISOString();
+
+  try {
+    const [entries, pendingJobs] = await Promise.all([loadAllEntries(admin), getPendingJobsByEntry(session.shop)]);
+    // Switched on entries: published now, or drafts waiting for their scheduled publish
+    const positions = evaluateSchedule({
+      at,
+      entries: entries.map((entry) => ({
+        id: entry.id,
+        fieldMap: getFieldMap(entry),
+        published:
+          entry.capabilities?.publishable?.status === "ACTIVE" ||
+          (pendingJobs[entry.id] || []).some((job) => job.action === "ACTIVATE"),
+      })),
+    });
+
+    return {
+      shopTimeZone,
+      at,
+      error: requestedAt && !parsedAt ? "Invalid date. Showing the schedule for now." : null,
+      positions: positions.map((position) => ({
+        positionId: position.positionId,
+        contentType: position.contentType,
+        rotationIds: position.rotation.map((candidate) => candidate.id),
+        hidden: position.hidden,
+        usedFallback: position.usedFallback,
+        winnerId: position.winner?.id ?? null,
+        candidates: position.candidates.map((candidate) => ({
+          id: candidate.id,
+          title: candidate.fieldMap.title || "(untitled)",
+          priority: getEntryPriority(candidate.fieldMap),
+          isFallback: candidate.isFallback,
+          startAt: candidate.fieldMap.start_at || null,
+          endAt: candidate.fieldMap.end_at || null,
+          reason: candidate.reason,
+        })),
+      })),
+    };
+  } catch (error) {
+    console.error("Error building schedule preview:", error);
+    return { positions: [], shopTimeZone, at, error: `Failed to load entries: ${error.message}` };
+  }
+};
+
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+
+// App embeds that render non-banner positions
+const EMBED_LABELS = { announcement: "Announcement bar", popup: "Popup" };
+
+export default function PreviewPage() {
+  const { positions, shopTimeZone, at, error: loaderError } = useLoaderData();
+  const navigation = useNavigation();
+  const isLoading = navigation.state === "loading";
+
+  return (
+    <s-page heading="Block Scheduler | Schedule Preview">
+      {loaderError && (
+        <s-banner tone="critical" title="Error">
+          {loaderError}
+        </s-banner>
+      )}
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Preview a moment</h2>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          See what each position shows on the storefront at a given time, in the store timezone ({shopTimeZone}).
+          Switched on entries count as published.
+        </p>
+        <Form method="get" style={{ display: "flex", gap: "0.5rem", alignItems: "flex-end", flexWrap: "wrap" }}>
+          <div>
+            <label htmlFor="preview-at" style={{ display: "block", marginBottom: "0", fontWeight: "500", fontSize: "0.8125rem" }}>
+              Date & Time
+            </label>
+            <input
+              type="datetime-local"
+              id="preview-at"
+              name="at"
+              key={at}
+              defaultValue={toDateTimeLocalValue(at, shopTimeZone)}
+              style={{
+                padding: "0.375rem 0.5rem",
+                border: "1px solid #c9cccf",
+                borderRadius: "4px",
+                fontSize: "0.8125rem",
+              }}
+            />
+          </div>
+          <s-button type="submit" disabled={isLoading}>
+            {isLoading ? "Loading..." : "Preview"}
+          </s-button>
+        </Form>
+        <p style={{ margin: "0.75rem 0 0 0", fontSize: "0.875rem" }}>
+          Showing <strong>{formatInTimeZone(at, shopTimeZone)}</strong>
+        </p>
+      </s-section>
+      {positions.length === 0 ? (
+        <s-section>
+          <s-text>No entries yet.</s-text>
+        </s-section>
+      ) : (
+        positions.map((position) => (
+          <PositionPreview
+            key={`${position.positionId}-${position.contentType}`}
+            position={position}
+            timeZone={shopTimeZone}
+          />
+        ))
+      )}
+    </s-page>
+  );
+}
+
+function PositionPreview({ position, timeZone }) {
+  const winner = position.candidates.find((candidate) => candidate.id === position.winnerId);
+  const embedLabel = EMBED_LABELS[position.contentType];
+  let summary = "Nothing is shown: no entry is live.";
+  if (winner && position.hidden) {
+    summary = `Nothing is shown: "${winner.title}" wins but has no target URL, so the block stays hidden.`;
+  } else if (position.rotationIds.length > 1) {
+    summary = `Rotates ${position.rotationIds.length} announcements, starting with "${winner.title}".`;
+  } else if (winner) {
+    summary = `Shows "${winner.title}"${position.usedFallback ? " (fallback)" : ""}.`;
+  }
+
+  return (
+    <s-section>
+      <h2 style={{ fontSize: "1.1rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>
+        {position.positionId || "(no position)"}
+        {embedLabel && (
+          <span style={{ marginLeft: "0.5rem", color: "#616161", fontSize: "0.8125rem", fontWeight: "400" }}>
+            {embedLabel}
+          </span>
+        )}
+      </h2>
+      <p style={{ margin: "0 0 0.75rem 0", fontSize: "0.875rem", color: winner && !position.hidden ? "#1f5199" : "#8e1f0b" }}>
+        {summary}
+      </p>
+      <div style={{ overflowX: "auto", width: "100%" }}>
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+          <thead>
+            <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+              <th style={headerCellStyle}>Entry</th>
+              <th style={headerCellStyle}>Priority</th>
+              <th style={headerCellStyle}>Start</th>
+              <th style={headerCellStyle}>End</th>
+              <th style={{ ...headerCellStyle, borderRight: "none" }}>Result</th>
+            </tr>
+          </thead>
+          <tbody>
+            {position.candidates.map((candidate) => {
+              const isWinner = candidate.id === position.winnerId;
+              const isRotating = !isWinner && position.rotationIds.includes(candidate.id);
+              return (
+                <tr
+                  key={candidate.id}
+                  style={{ borderBottom: "1px solid #e1e3e5", backgroundColor: isWinner ? "#f4f5fa" : undefined }}
+                >
+                  <td style={{ ...cellStyle, fontWeight: isWinner ? "600" : "500" }}>
+                    {candidate.title}
+                    {candidate.isFallback && <span style={{ marginLeft: "0.5rem", color: "#4338ca", fontSize: "0.75rem" }}>Fallback</span>}
+                  </td>
+                  <td style={{ ...cellStyle, textAlign: "center" }}>{candidate.isFallback ? "-" : candidate.priority}</td>
+                  <td style={{ ...cellStyle, color: "#666" }}>
+                    {candidate.startAt ? formatInTimeZone(candidate.startAt, timeZone) : "-"}
+                  </td>
+                  <td style={{ ...cellStyle, color: "#666" }}>
+                    {candidate.endAt ? formatInTimeZone(candidate.endAt, timeZone) : "-"}
+                  </td>
+                  <td
+                    style={{
+                      padding: "0.75rem",
+                      fontSize: "0.8125rem",
+                      color: isWinner || isRotating ? "#1f5199" : "#616161",
+                    }}
+                  >
+                    {isWinner && (position.hidden ? "Wins, but has no target URL" : "Shown")}
+                    {isRotating && "Shown in rotation"}
+                    {!isWinner && !isRotating && candidate.reason}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </s-section>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+PositionPreview.propTypes = {
+  position: PropTypes.shape({
+    positionId: PropTypes.string.isRequired,
+    contentType: PropTypes.oneOf(["banner", "announcement", "popup"]).isRequired,
+    rotationIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+    hidden: PropTypes.bool.isRequired,
+    usedFallback: PropTypes.bool.isRequired,
+    winnerId: PropTypes.string,
+    candidates: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        title: PropTypes.string.isRequired,
+        priority: PropTypes.number.isRequired,
+        isFallback: PropTypes.bool.isRequired,
+        startAt: PropTypes.string,
+        endAt: PropTypes.string,
+        reason: PropTypes.string,
+      }),
+    ).isRequired,
+  }).isRequired,
+  timeZone: PropTypes.string,
+};
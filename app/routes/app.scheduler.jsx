@@ -0,0 +1,234 @@
+import { useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
+import { authenticate } from "../shopify.server";
+import { cancelJob, listJobHistory, retryJob, syncShopSchedules } from "../services/scheduler.server";
+import { json } from "../utils/responses.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import { formatInTimeZone } from "../utils/datetime";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shopTimeZone = await getShopTimeZone(admin);
+
+  try {
+    const jobs = await listJobHistory(session.shop);
+    return {
+      shopTimeZone,
+      jobs: jobs.map((job) => ({
+        id: job.id,
+        entryId: job.entryId,
+        entryTitle: job.entryTitle,
+        action: job.action,
+        status: job.status,
+        runAt: job.runAt.toISOString(),
+        nextAttemptAt: job.nextAttemptAt.toISOString(),
+        completedAt: job.completedAt?.toISOString() ?? null,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        lastError: job.lastError,
+        result: job.result,
+      })),
+    };
+  } catch (error) {
+    console.error("Error loading scheduler jobs:", error);
+    return { jobs: [], shopTimeZone, error: `Failed to load scheduled jobs: ${error.message}` };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const id = String(formData.get("id") || "");
+
+  try {
+    if (intent === "retry") {
+      const { count } = await retryJob({ shop: session.shop, id });
+      return count
+        ? json({ success: true, message: "Job queued for another attempt." })
+        : json({ error: "Only failed or cancelled jobs can be retried.", success: false });
+    }
+
+    if (intent === "cancel") {
+      const { count } = await cancelJob({ shop: session.shop, id });
+      return count
+        ? json({ success: true, message: "Job cancelled." })
+        : json({ error: "Only pending jobs can be cancelled.", success: false });
+    }
+
+    if (intent === "sync") {
+      const { synced, errors } = await syncShopSchedules({ admin, shop: session.shop });
+      if (errors.length > 0) {
+        return json({ error: `Failed to schedule some entries: ${errors.join(", ")}`, success: false });
+      }
+      return json({ success: true, message: `Scheduled ${synced} entries.` });
+    }
+
+    return json({ error: "Unknown intent", success: false }, { status: 400 });
+  } catch (error) {
+    console.error("[SCHEDULER ACTION] Error:", error);
+    return json({ error: `Failed to process request: ${error.message || "Unknown error"}`, success: false });
+  }
+};
+
+const JOB_ACTION_LABELS = {
+  ACTIVATE: "Publish",
+  DEACTIVATE: "Unpublish",
+  REFRESH: "Refresh windows",
+};
+
+const STATUS_COLORS = {
+  PENDING: { background: "#eef2ff", color: "#4338ca" },
+  RUNNING: { background: "#fff7e6", color: "#8a6116" },
+  SUCCEEDED: { background: "#e3f1df", color: "#1f5199" },
+  FAILED: { background: "#fbeae5", color: "#8e1f0b" },
+  CANCELLED: { background: "#f1f1f1", color: "#616161" },
+};
+
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+
+export default function SchedulerPage() {
+  const { jobs, shopTimeZone, error: loaderError } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSubmitting = fetcher.state !== "idle";
+
+  return (
+    <s-page heading="Block Scheduler | Scheduled Jobs">
+      {(loaderError || fetcher.data?.error) && (
+        <s-banner tone="critical" title="Error">
+          {loaderError || fetcher.data?.error}
+        </s-banner>
+      )}
+      {fetcher.data?.success && fetcher.data?.message && (
+        <s-banner tone="success">{fetcher.data.message}</s-banner>
+      )}
+      <s-section>
+        <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: "0 0 10px 0" }}>Job History</h2>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          Active entries are published at their start time and set back to draft after they end.
+        </p>
+        <fetcher.Form method="post" style={{ marginBottom: "1rem" }}>
+          <input type="hidden" name="intent" value="sync" />
+          <s-button type="submit" disabled={isSubmitting}>
+            {isSubmitting ? "Scheduling..." : "Schedule all entries"}
+          </s-button>
+        </fetcher.Form>
+        {jobs.length === 0 ? (
+          <s-text>No jobs yet. Jobs appear here when an active entry has a future start or end.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Entry</th>
+                  <th style={headerCellStyle}>Action</th>
+                  <th style={headerCellStyle}>Scheduled for</th>
+                  <th style={headerCellStyle}>Status</th>
+                  <th style={headerCellStyle}>Attempts</th>
+                  <th style={headerCellStyle}>Details</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map((job) => (
+                  <JobRow key={job.id} job={job} timeZone={shopTimeZone} fetcher={fetcher} disabled={isSubmitting} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function JobRow({ job, timeZone, fetcher, disabled }) {
+  const colors = STATUS_COLORS[job.status] || STATUS_COLORS.CANCELLED;
+  const canRetry = job.status === "FAILED" || job.status === "CANCELLED";
+  const canCancel = job.status === "PENDING";
+  const details =
+    job.lastError ||
+    job.result ||
+    (job.status === "PENDING" && job.attempts > 0
+      ? `Next attempt ${formatInTimeZone(job.nextAttemptAt, timeZone)}`
+      : "");
+
+  return (
+    <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+      <td style={{ ...cellStyle, fontWeight: "500" }}>{job.entryTitle || job.entryId}</td>
+      <td style={cellStyle}>{JOB_ACTION_LABELS[job.action] || job.action}</td>
+      <td style={{ ...cellStyle, color: "#666" }}>{formatInTimeZone(job.runAt, timeZone)}</td>
+      <td style={cellStyle}>
+        <span
+          style={{
+            display: "inline-block",
+            padding: "0.125rem 0.5rem",
+            borderRadius: "10px",
+            fontSize: "0.75rem",
+            fontWeight: "600",
+            ...colors,
+          }}
+        >
+          {job.status.toLowerCase()}
+        </span>
+      </td>
+      <td style={{ ...cellStyle, textAlign: "center" }}>
+        {job.attempts}/{job.maxAttempts}
+      </td>
+      <td style={{ ...cellStyle, color: job.lastError ? "#8e1f0b" : "#666" }}>{details || "-"}</td>
+      <td style={{ padding: "0.75rem", textAlign: "center", whiteSpace: "nowrap" }}>
+        {(canRetry || canCancel) && (
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value={canRetry ? "retry" : "cancel"} />
+            <input type="hidden" name="id" value={job.id} />
+            <button
+              type="submit"
+              disabled={disabled}
+              style={{
+                padding: "0.25rem 0.75rem",
+                border: "1px solid #c9cccf",
+                borderRadius: "4px",
+                backgroundColor: "white",
+                cursor: disabled ? "not-allowed" : "pointer",
+                fontSize: "0.8125rem",
+              }}
+            >
+              {canRetry ? "Retry" : "Cancel"}
+            </button>
+          </fetcher.Form>
+        )}
+      </td>
+    </tr>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+JobRow.propTypes = {
+  job: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    entryId: PropTypes.string.isRequired,
+    entryTitle: PropTypes.string,
+    action: PropTypes.string.isRequired,
+    status: PropTypes.string.isRequired,
+    runAt: PropTypes.string.isRequired,
+    nextAttemptAt: PropTypes.string.isRequired,
+    attempts: PropTypes.number.isRequired,
+    maxAttempts: PropTypes.number.isRequired,
+    lastError: PropTypes.string,
+    result: PropTypes.string,
+  }).isRequired,
+  timeZone: PropTypes.string,
+  fetcher: PropTypes.shape({
+    Form: PropTypes.elementType.isRequired,
+  }).isRequired,
+  disabled: PropTypes.bool,
+};
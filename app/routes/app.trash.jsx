@@ -0,0 +1,281 @@
+import { Link, useFetcher, useLoaderData, useRouteError } from "react-router";
+import { boundary } from "@shopify/shopify-app-react-router/server";
+import PropTypes from "prop-types";
+import { authenticate } from "../shopify.server";
+import { restoreTrashedEntry } from "../services/bulk-entries.server";
+import { describeActivationBlocker } from "../services/scheduler.server";
+import {
+  deleteTrashedEntry,
+  emptyTrash,
+  getTrashPurgeDate,
+  getTrashRetentionDays,
+  listTrash,
+  purgeExpiredTrash,
+} from "../services/trash.server";
+import { json } from "../utils/responses.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import { formatInTimeZone } from "../utils/datetime";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const shopTimeZone = await getShopTimeZone(admin);
+  const retentionDays = getTrashRetentionDays();
+
+  try {
+    // The scheduler purges hourly; this keeps the list exact in between
+    await purgeExpiredTrash({ shop: session.shop });
+    const trashed = await listTrash(session.shop);
+    return {
+      shopTimeZone,
+      retentionDays,
+      entries: trashed.map((entry) => {
+        const files = entry.files ? JSON.parse(entry.files) : {};
+        return {
+          id: entry.id,
+          title: entry.title,
+          positionId: entry.positionId,
+          status: entry.status,
+          campaign: Boolean(entry.campaignId),
+          // A video's preview frame stands in when there's no image
+          desktopImageUrl: files.desktop_banner?.url || files.desktop_video?.url || null,
+          mobileImageUrl: files.mobile_banner?.url || files.mobile_video?.url || null,
+          deletedAt: entry.deletedAt.toISOString(),
+          purgeAt: getTrashPurgeDate(entry.deletedAt).toISOString(),
+        };
+      }),
+    };
+  } catch (error) {
+    console.error("Error loading trash:", error);
+    return { entries: [], shopTimeZone, retentionDays, error: `Failed to load trash: ${error.message}` };
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const shop = session.shop;
+  const id = String(formData.get("id") || "");
+
+  try {
+    if (intent === "restore") {
+      const result = await restoreTrashedEntry({
+        admin,
+        shop,
+        id,
+        shopTimeZone: await getShopTimeZone(admin),
+        confirmIssues: formData.get("confirm_issues") === "true",
+      });
+      if (result.error) {
+        return json({ error: `Failed to restore entry: ${result.error}`, success: false });
+      }
+      if (result.blocked) {
+        return json({
+          success: false,
+          requiresIssueOverride: true,
+          id,
+          issue: describeActivationBlocker(result.blocked[0]),
+        });
+      }
+      return json({ success: true, message: "Entry restored.", notes: result.notes });
+    }
+
+    if (intent === "delete") {
+      await deleteTrashedEntry({ shop, id });
+      return json({ success: true, message: "Entry permanently deleted." });
+    }
+
+    if (intent === "empty") {
+      const { count } = await emptyTrash(shop);
+      return json({ success: true, message: `${count} ${count === 1 ? "entry" : "entries"} permanently deleted.` });
+    }
+
+    return json({ error: "Unknown intent", success: false }, { status: 400 });
+  } catch (error) {
+    console.error("[TRASH ACTION] Error:", error);
+    return json({ error: `Failed to process request: ${error.message || "Unknown error"}`, success: false });
+  }
+};
+
+const cellStyle = { padding: "0.75rem", borderRight: "1px solid #e1e3e5", fontSize: "0.8125rem" };
+const headerCellStyle = { padding: "0.75rem", textAlign: "left", fontWeight: "600", borderRight: "1px solid #e1e3e5" };
+const smallButtonStyle = (disabled) => ({
+  padding: "0.25rem 0.75rem",
+  border: "1px solid #c9cccf",
+  borderRadius: "4px",
+  backgroundColor: "white",
+  cursor: disabled ? "not-allowed" : "pointer",
+  fontSize: "0.8125rem",
+});
+const thumbnailStyle = { width: "48px", height: "32px", objectFit: "cover", borderRadius: "4px", border: "1px solid #e1e3e5" };
+
+export default function TrashPage() {
+  const { entries, shopTimeZone, retentionDays, error: loaderError } = useLoaderData();
+  const fetcher = useFetcher();
+  const isSubmitting = fetcher.state !== "idle";
+
+  return (
+    <s-page heading="Block Scheduler | Trash">
+      {(loaderError || fetcher.data?.error) && (
+        <s-banner tone="critical" title="Error">
+          {loaderError || fetcher.data?.error}
+        </s-banner>
+      )}
+      {fetcher.data?.success && fetcher.data?.message && (
+        <s-banner tone={fetcher.data.notes?.length ? "warning" : "success"} title={fetcher.data.message}>
+          {fetcher.data.notes?.length > 0 && (
+            <ul style={{ margin: "0.25rem 0", paddingLeft: "1.25rem" }}>
+              {fetcher.data.notes.map((note) => (
+                <li key={note}>{note}</li>
+              ))}
+            </ul>
+          )}
+        </s-banner>
+      )}
+      {fetcher.data?.requiresIssueOverride && (
+        <s-banner tone="warning" title="This entry would be switched on again, but it needs attention">
+          <div>{fetcher.data.issue}</div>
+          <fetcher.Form method="post" style={{ marginTop: "0.5rem" }}>
+            <input type="hidden" name="intent" value="restore" />
+            <input type="hidden" name="id" value={fetcher.data.id} />
+            <input type="hidden" name="confirm_issues" value="true" />
+            <button type="submit" disabled={isSubmitting} style={smallButtonStyle(isSubmitting)}>
+              Restore anyway
+            </button>
+          </fetcher.Form>
+        </s-banner>
+      )}
+      <s-section>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "10px" }}>
+          <h2 style={{ fontSize: "1.2rem", lineHeight: 1.1, margin: 0 }}>Deleted entries</h2>
+          <div style={{ display: "flex", gap: "0.75rem", alignItems: "center" }}>
+            <Link to="/app/block-scheduler" style={{ fontSize: "0.875rem", color: "#667eea" }}>
+              Entries
+            </Link>
+            {entries.length > 0 && (
+              <fetcher.Form
+                method="post"
+                onSubmit={(event) => {
+                  if (!window.confirm(`Permanently delete all ${entries.length} entries in the trash?`)) {
+                    event.preventDefault();
+                  }
+                }}
+              >
+                <input type="hidden" name="intent" value="empty" />
+                <button type="submit" disabled={isSubmitting} style={{ ...smallButtonStyle(isSubmitting), color: "#d72c0d" }}>
+                  Empty trash
+                </button>
+              </fetcher.Form>
+            )}
+          </div>
+        </div>
+        <p style={{ margin: "0 0 0.75rem 0", color: "#616161", fontSize: "0.875rem" }}>
+          Deleted entries are kept for {retentionDays} days. Restoring brings back their content, images, campaign and
+          schedule; entries that were switched on are switched on again.
+        </p>
+        {entries.length === 0 ? (
+          <s-text>The trash is empty.</s-text>
+        ) : (
+          <div style={{ overflowX: "auto", width: "100%" }}>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: "0.875rem" }}>
+              <thead>
+                <tr style={{ borderBottom: "2px solid #e1e3e5", backgroundColor: "#f6f6f7" }}>
+                  <th style={headerCellStyle}>Images</th>
+                  <th style={headerCellStyle}>Title</th>
+                  <th style={headerCellStyle}>Position</th>
+                  <th style={headerCellStyle}>Was</th>
+                  <th style={headerCellStyle}>Deleted</th>
+                  <th style={headerCellStyle}>Purged</th>
+                  <th style={{ ...headerCellStyle, borderRight: "none" }}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map((entry) => (
+                  <TrashRow
+                    key={entry.id}
+                    entry={entry}
+                    timeZone={shopTimeZone}
+                    fetcher={fetcher}
+                    disabled={isSubmitting}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </s-section>
+    </s-page>
+  );
+}
+
+function TrashRow({ entry, timeZone, fetcher, disabled }) {
+  return (
+    <tr style={{ borderBottom: "1px solid #e1e3e5" }}>
+      <td style={cellStyle}>
+        <div style={{ display: "flex", gap: "0.25rem" }}>
+          {[entry.desktopImageUrl, entry.mobileImageUrl].filter(Boolean).map((url) => (
+            <img key={url} src={url} alt="" style={thumbnailStyle} />
+          ))}
+        </div>
+      </td>
+      <td style={{ ...cellStyle, fontWeight: "500" }}>{entry.title}</td>
+      <td style={{ ...cellStyle, fontFamily: "monospace" }}>{entry.positionId || "-"}</td>
+      <td style={{ ...cellStyle, color: "#666" }}>
+        {entry.status === "ACTIVE" ? "Active" : "Draft"}
+        {entry.campaign && ", in a campaign"}
+      </td>
+      <td style={{ ...cellStyle, color: "#666" }}>{formatInTimeZone(entry.deletedAt, timeZone)}</td>
+      <td style={{ ...cellStyle, color: "#666" }}>{formatInTimeZone(entry.purgeAt, timeZone)}</td>
+      <td style={{ padding: "0.75rem", whiteSpace: "nowrap" }}>
+        <div style={{ display: "flex", gap: "0.5rem" }}>
+          <fetcher.Form method="post">
+            <input type="hidden" name="intent" value="restore" />
+            <input type="hidden" name="id" value={entry.id} />
+            <button type="submit" disabled={disabled} style={smallButtonStyle(disabled)}>
+              Restore
+            </button>
+          </fetcher.Form>
+          <fetcher.Form
+            method="post"
+            onSubmit={(event) => {
+              if (!window.confirm(`Permanently delete "${entry.title}"? This cannot be undone.`)) {
+                event.preventDefault();
+              }
+            }}
+          >
+            <input type="hidden" name="intent" value="delete" />
+            <input type="hidden" name="id" value={entry.id} />
+            <button type="submit" disabled={disabled} style={{ ...smallButtonStyle(disabled), color: "#d72c0d" }}>
+              Delete permanently
+            </button>
+          </fetcher.Form>
+        </div>
+      </td>
+    </tr>
+  );
+}
+
+export const headers = (headersArgs) => {
+  return boundary.headers(headersArgs);
+};
+
+export function ErrorBoundary() {
+  return boundary.error(useRouteError());
+}
+
+TrashRow.propTypes = {
+  entry: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    positionId: PropTypes.string,
+    status: PropTypes.string.isRequired,
+    campaign: PropTypes.bool,
+    desktopImageUrl: PropTypes.string,
+    mobileImageUrl: PropTypes.string,
+    deletedAt: PropTypes.string.isRequired,
+    purgeAt: PropTypes.string.isRequired,
+  }).isRequired,
+  timeZone: PropTypes.string.isRequired,
+  fetcher: PropTypes.shape({ Form: PropTypes.elementType.isRequired }).isRequired,
+  disabled: PropTypes.bool,
+};
@@ -22,5 +22,15 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Without an offline session the scheduler can no longer act for this shop, and
+  // nothing else the app stored for it is of use after the uninstall
+  await db.$transaction([
+    db.scheduledJob.deleteMany({ where: { shop } }),
+    db.trashedEntry.deleteMany({ where: { shop } }),
+    db.campaignEntry.deleteMany({ where: { shop } }),
+    db.campaign.deleteMany({ where: { shop } }),
+    db.position.deleteMany({ where: { shop } }),
+  ]);
+
   return new Response();
 };
@@ -1,8 +1,64 @@
 import { Buffer } from "buffer";
 import { authenticate } from "../shopify.server";
 import { ensureActiveSubscription } from "../utils/billing.server";
-import { parseLocalDateTimeToUTC, getDefaultDateBounds } from "../utils/datetime";
+import { parseLocalDateTimeToUTC, getDefaultDateBounds, isValidTimeZone } from "../utils/datetime";
+import { buildOccurrenceWindows, normalizeRecurrenceRule } from "../utils/recurrence";
+import { buildDaypartsValue, parseDayparts } from "../utils/dayparts";
+import {
+  PRIORITY_LIMIT,
+  SHIFT_UNITS,
+  buildContentTypeFields,
+  buildTargetFields,
+  findNextStarts,
+  findOtherFallback,
+  getFieldMap,
+  isFallbackEntry,
+  parsePriority,
+} from "../utils/entries";
+import { findScheduleConflicts } from "../utils/conflicts";
+import { getBlockingIssues } from "../utils/validation";
+import {
+  JOB_ACTIONS,
+  getPendingJobsByEntry,
+  planPublication,
+  planWindowRefresh,
+  scheduleEntryJobs,
+  syncEntrySchedule,
+  syncNextStarts,
+} from "./scheduler.server";
+import { isVideoMimeType, toMediaFile } from "../utils/media";
 import { json } from "../utils/responses.server";
+import { getShopTimeZone } from "../utils/shop.server";
+import {
+  countLifecycleStates,
+  filterEntries,
+  getLifecycleState,
+  paginateEntries,
+  parseEntryQuery,
+  sortEntries,
+} from "../utils/entry-query";
+import {
+  duplicateEntry,
+  loadAllEntries,
+  loadEntriesByIds,
+  loadEntryFieldMap,
+  updateEntryFields,
+} from "./metaobjects.server";
+import { getEntryCampaignMap, listCampaigns } from "./campaigns.server";
+import { loadPlacedBannerSettings } from "./theme.server";
+import { listPositions, unknownPositionError } from "./positions.server";
+import {
+  BULK_LIMIT,
+  bulkChangePosition,
+  bulkDelete,
+  bulkRestore,
+  bulkSetStatus,
+  bulkShiftDates,
+  trashEntry,
+} from "./bulk-entries.server";
+import { getTrashRetentionDays } from "./trash.server";
+import { loadValidationContext, validateEntries } from "./validation.server";
+import { TARGET_SEARCH_TYPES, searchTargetResources } from "./targets.server";
 
 const isDevEnvironment = process.env.NODE_ENV !== "production";
 const debugLog = (...args) => {
@@ -16,8 +72,23 @@ const debugWarn = (...args) => {
   }
 };
 
+const BULK_INTENTS = [
+  "bulkActivate",
+  "bulkDraft",
+  "bulkRestoreStatus",
+  "bulkDelete",
+  "bulkRestore",
+  "bulkChangePosition",
+  "bulkShiftDates",
+];
+
+const PRIORITY_ERROR = `Priority must be a whole number between -${PRIORITY_LIMIT} and ${PRIORITY_LIMIT}.`;
+
+const fallbackTakenError = (fallback, positionId) =>
+  `"${getFieldMap(fallback).title || "(untitled)"}" is already the fallback for position "${positionId}". Unmark it first.`;
+
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   const confirmationUrl = await ensureActiveSubscription(admin, request);
   if (confirmationUrl) {
@@ -25,64 +96,98 @@ export const loader = async ({ request }) => {
   }
 
   try {
-    const response = await admin.graphql(
-      `#graphql
-      query ListSchedulableEntities($first: Int!) {
-        metaobjects(type: "schedulable_entity", first: $first) {
-          nodes {
-            id
-            handle
-            fields {
-              key
-              value
-              reference {
-                ... on MediaImage {
-                  id
-                  image {
-                    url
+    // Filtering and sorting need values the Admin API can't query on (dates,
+    // status, pending jobs), so every entry is read page by page and the list
+    // is narrowed, sorted and paged here.
+    const entries = [];
+    let after = null;
+    do {
+      const response = await admin.graphql(
+        `#graphql
+        query ListSchedulableEntities($first: Int!, $after: String) {
+          metaobjects(type: "schedulable_entity", first: $first, after: $after) {
+            nodes {
+              id
+              handle
+              fields {
+                key
+                value
+                reference {
+                  ... on MediaImage {
+                    id
+                    image {
+                      url
+                    }
+                  }
+                  ... on Video {
+                    id
+                    preview {
+                      image {
+                        url
+                      }
+                    }
+                  }
+                  ... on Product {
+                    title
+                  }
+                  ... on Collection {
+                    title
+                  }
+                  ... on Page {
+                    title
+                  }
+                  ... on Article {
+                    title
                   }
                 }
               }
-            }
-            capabilities {
-              publishable {
-                status
+              capabilities {
+                publishable {
+                  status
+                }
               }
+              updatedAt
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
             }
-            updatedAt
           }
         }
+      `,
+        { variables: { first: 100, after } },
+      );
+      const jsonResponse = await response.json();
+
+      debugLog("Loader GraphQL response:", JSON.stringify(jsonResponse, null, 2));
+
+      if (jsonResponse?.errors) {
+        console.error("GraphQL errors in loader:", JSON.stringify(jsonResponse.errors, null, 2));
+        const errorMessages = jsonResponse.errors.map((e) => e.message).join(", ");
+        if (errorMessages.includes("metaobject definition") || errorMessages.includes("type")) {
+          debugWarn("Metaobject definition may not exist yet. Returning empty entries.");
+          return {
+            entries: [],
+            error: "Metaobject definition not found. Please ensure the app has been properly installed.",
+          };
+        }
+        throw new Error(`GraphQL error: ${errorMessages}`);
       }
-    `,
-      { variables: { first: 50 } },
-    );
-    const jsonResponse = await response.json();
-
-    debugLog("Loader GraphQL response:", JSON.stringify(jsonResponse, null, 2));
-
-    if (jsonResponse?.errors) {
-      console.error("GraphQL errors in loader:", JSON.stringify(jsonResponse.errors, null, 2));
-      const errorMessages = jsonResponse.errors.map((e) => e.message).join(", ");
-      if (errorMessages.includes("metaobject definition") || errorMessages.includes("type")) {
-        debugWarn("Metaobject definition may not exist yet. Returning empty entries.");
-        return {
-          entries: [],
-          error: "Metaobject definition not found. Please ensure the app has been properly installed.",
-        };
-      }
-      throw new Error(`GraphQL error: ${errorMessages}`);
-    }
 
-    const entries = jsonResponse?.data?.metaobjects?.nodes ?? [];
+      const connection = jsonResponse?.data?.metaobjects;
+      entries.push(...(connection?.nodes ?? []));
+      after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after);
 
     let mediaFiles = [];
     try {
       const filesResponse = await admin.graphql(
         `#graphql
         query GetMediaFiles($first: Int!) {
-          files(first: $first, query: "media_type:image") {
+          files(first: $first, query: "media_type:image OR media_type:video") {
             edges {
               node {
+                __typename
                 id
                 createdAt
                 ... on MediaImage {
@@ -93,6 +198,18 @@ export const loader = async ({ request }) => {
                     height
                   }
                 }
+                ... on Video {
+                  alt
+                  preview {
+                    image {
+                      url
+                    }
+                  }
+                  sources {
+                    url
+                    mimeType
+                  }
+                }
               }
             }
           }
@@ -101,13 +218,7 @@ export const loader = async ({ request }) => {
         { variables: { first: 250 } },
       );
       const filesJson = await filesResponse.json();
-      mediaFiles =
-        filesJson?.data?.files?.edges?.map((edge) => ({
-          id: edge.node.id,
-          url: edge.node.image?.url || "",
-          alt: edge.node.alt || "",
-          createdAt: edge.node.createdAt,
-        })) || [];
+      mediaFiles = filesJson?.data?.files?.edges?.map((edge) => toMediaFile(edge.node)) || [];
       mediaFiles.sort((a, b) => {
         const dateA = new Date(a.createdAt || 0);
         const dateB = new Date(b.createdAt || 0);
@@ -117,7 +228,105 @@ export const loader = async ({ request }) => {
       console.error("Error loading media files:", error);
     }
 
-    return { entries, mediaFiles };
+    let scheduledJobs = {};
+    try {
+      scheduledJobs = await getPendingJobsByEntry(session.shop);
+    } catch (error) {
+      console.error("Error loading scheduled jobs:", error);
+    }
+
+    let campaigns = [];
+    let entryCampaigns = {};
+    try {
+      campaigns = (await listCampaigns(session.shop)).map((campaign) => ({ id: campaign.id, name: campaign.name }));
+      entryCampaigns = await getEntryCampaignMap(session.shop);
+    } catch (error) {
+      console.error("Error loading campaigns:", error);
+    }
+
+    let registeredPositions = [];
+    try {
+      registeredPositions = (await listPositions(session.shop)).map((position) => ({
+        positionId: position.positionId,
+        name: position.name,
+        description: position.description || "",
+        desktopWidth: position.desktopWidth,
+        desktopHeight: position.desktopHeight,
+        mobileWidth: position.mobileWidth,
+        mobileHeight: position.mobileHeight,
+      }));
+    } catch (error) {
+      console.error("Error loading positions:", error);
+    }
+
+    const shopTimeZone = await getShopTimeZone(admin);
+    // Placed block settings make the create/edit preview match the storefront
+    const bannerSettings = await loadPlacedBannerSettings(admin);
+
+    const query = parseEntryQuery(new URL(request.url).searchParams);
+    const now = new Date();
+    const filteredEntries = sortEntries(
+      filterEntries(entries, query, { scheduledJobs, entryCampaigns, timeZone: shopTimeZone, now }),
+      query.sort,
+    );
+    // The timeline and calendar show every matching entry; the table is paged
+    const { entries: pageEntries, pageInfo } =
+      query.view === "table"
+        ? paginateEntries(filteredEntries, query)
+        : { entries: filteredEntries, pageInfo: null };
+    // Computed here so the badges and the counts agree with the filter
+    const lifecycleStates = Object.fromEntries(
+      pageEntries.map((entry) => [entry.id, getLifecycleState(entry, scheduledJobs[entry.id], now)]),
+    );
+    const lifecycleCounts = countLifecycleStates(entries, { scheduledJobs, now });
+
+    // Drag-to-reorder needs each position's full storefront order, not just this page
+    const positionOrders = {};
+    for (const entry of sortEntries(entries)) {
+      const fieldMap = getFieldMap(entry);
+      if (!isFallbackEntry(fieldMap)) {
+        (positionOrders[String(fieldMap.position_id || "")] ||= []).push(entry.id);
+      }
+    }
+    const positions = [...new Set(entries.map((entry) => String(getFieldMap(entry).position_id || "").trim()))]
+      .filter(Boolean)
+      .sort();
+
+    // The forms run the same checks as the user types, so they get the context too
+    let validationContext = null;
+    let entryIssues = {};
+    try {
+      validationContext = await loadValidationContext({
+        admin,
+        shop: session.shop,
+        entries: pageEntries,
+        theme: bannerSettings,
+        nextStarts: findNextStarts({ entries, pendingJobs: scheduledJobs, now }),
+      });
+      entryIssues = validateEntries(pageEntries, validationContext);
+    } catch (error) {
+      console.error("Error validating entries:", error);
+    }
+
+    return {
+      entries: pageEntries,
+      totalEntries: entries.length,
+      pageInfo,
+      lifecycleStates,
+      lifecycleCounts,
+      positions,
+      positionOrders,
+      registeredPositions,
+      mediaFiles,
+      scheduledJobs,
+      shopTimeZone,
+      campaigns,
+      entryCampaigns,
+      bannerSettings,
+      validationContext,
+      entryIssues,
+      trashRetentionDays: getTrashRetentionDays(),
+    };
   } catch (error) {
     console.error("Error loading schedulable entities:", error);
     return {
@@ -136,7 +345,7 @@ export const action = async ({ request }) => {
     debugLog("[ACTION] Accept header:", request.headers.get("accept"));
     debugLog("[ACTION] X-Requested-With:", request.headers.get("x-requested-with"));
 
-    const { admin } = await authenticate.admin(request);
+    const { admin, session } = await authenticate.admin(request);
 
     const confirmationUrl = await ensureActiveSubscription(admin, request);
     if (confirmationUrl) {
@@ -154,87 +363,205 @@ export const action = async ({ request }) => {
 
       if (body.intent === "delete") {
         debugLog("[ACTION] Processing delete request for entry:", body.id);
-        const deleteResponse = await admin.graphql(
-          `#graphql
-          mutation DeleteSchedulableEntity($id: ID!) {
-            metaobjectDelete(id: $id) {
-              deletedId
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-          { variables: { id: body.id } },
-        );
-
-        const deleteJson = await deleteResponse.json();
-
-        if (deleteJson?.errors) {
-          const errors = deleteJson.errors.map((e) => e.message).join(", ");
-          console.error("[ACTION] GraphQL errors deleting entry:", errors);
-          return json({ error: `Failed to delete entry: ${errors}`, success: false });
-        }
-
-        if (deleteJson?.data?.metaobjectDelete?.userErrors?.length > 0) {
-          const errors = deleteJson.data.metaobjectDelete.userErrors
-            .map((e) => e.message)
-            .join(", ");
-          console.error("[ACTION] User errors deleting entry:", errors);
-          return json({ error: `Failed to delete entry: ${errors}`, success: false });
+        const { error, trashId } = await trashEntry({ admin, shop: session.shop, id: body.id });
+        if (error) {
+          console.error("[ACTION] Error deleting entry:", error);
+          return json({ error: `Failed to delete entry: ${error}`, success: false });
         }
 
-        debugLog("[ACTION] Entry deleted successfully");
-        return json({ success: true, message: "Entry deleted successfully!" });
+        debugLog("[ACTION] Entry moved to trash:", trashId);
+        return json({ success: true, message: "Entry moved to the trash." });
       }
 
       if (body.intent === "update") {
         debugLog("[ACTION] Processing update request for entry:", body.id);
 
         const fields = [];
-        const userTimeZone = typeof body.timezone === "string" && body.timezone.trim() ? body.timezone.trim() : null;
-        const rawOffset = body.timezoneOffset ?? body.timezone_offset;
-        const userTimezoneOffsetForUpdate =
-          rawOffset !== undefined && rawOffset !== null && rawOffset !== "" && !Number.isNaN(Number(rawOffset))
-            ? Number(rawOffset)
-            : undefined;
+        const requestedTimeZone = typeof body.timezone === "string" ? body.timezone.trim() : "";
+        if (requestedTimeZone && !isValidTimeZone(requestedTimeZone)) {
+          return json({ error: `Unknown timezone "${requestedTimeZone}".`, success: false });
+        }
+
+        // The stored fields, read once for everything below that depends on them
+        const existing = await loadEntryFieldMap(admin, body.id);
+
+        // Dates are entered in the entry's timezone: the one posted, else the one
+        // already stored on the entry, else the store's
+        let entryTimeZone = requestedTimeZone;
+        if (entryTimeZone) {
+          fields.push({ key: "timezone", value: entryTimeZone });
+        } else {
+          entryTimeZone = isValidTimeZone(existing.timezone) ? existing.timezone : await getShopTimeZone(admin);
+        }
 
         if (body.title) fields.push({ key: "title", value: body.title });
-        if (body.positionId) fields.push({ key: "position_id", value: body.positionId });
+        if (body.positionId) {
+          const positionId = String(body.positionId).trim();
+          // Entries already in an unregistered position can still be saved, but can't move into one
+          if (positionId !== String(existing.position_id || "").trim()) {
+            const positionError = await unknownPositionError({ shop: session.shop, positionId });
+            if (positionError) {
+              return json({ error: positionError, success: false });
+            }
+          }
+          fields.push({ key: "position_id", value: positionId });
+        }
         if (body.headline !== undefined) fields.push({ key: "headline", value: body.headline || "" });
         if (body.description !== undefined) fields.push({ key: "description", value: body.description || "" });
 
         if (body.startAt !== undefined) {
           if (body.startAt) {
-            const formattedStart = parseLocalDateTimeToUTC(body.startAt, userTimeZone, userTimezoneOffsetForUpdate);
+            const formattedStart = parseLocalDateTimeToUTC(body.startAt, entryTimeZone);
             if (!formattedStart) {
               return json({ error: "Invalid Start Date format. Please ensure the date is valid.", success: false });
             }
             fields.push({ key: "start_at", value: formattedStart });
           } else {
-            const defaults = getDefaultDateBounds(userTimeZone, userTimezoneOffsetForUpdate);
+            const defaults = getDefaultDateBounds(entryTimeZone);
             fields.push({ key: "start_at", value: defaults.start });
           }
         }
 
         if (body.endAt !== undefined) {
           if (body.endAt) {
-            const formattedEnd = parseLocalDateTimeToUTC(body.endAt, userTimeZone, userTimezoneOffsetForUpdate);
+            const formattedEnd = parseLocalDateTimeToUTC(body.endAt, entryTimeZone);
             if (!formattedEnd) {
               return json({ error: "Invalid End Date format. Please ensure the date is valid.", success: false });
             }
             fields.push({ key: "end_at", value: formattedEnd });
           } else {
-            const defaults = getDefaultDateBounds(userTimeZone, userTimezoneOffsetForUpdate);
+            const defaults = getDefaultDateBounds(entryTimeZone);
             fields.push({ key: "end_at", value: defaults.end });
           }
         }
 
         if (body.desktopBanner) fields.push({ key: "desktop_banner", value: body.desktopBanner });
         if (body.mobileBanner) fields.push({ key: "mobile_banner", value: body.mobileBanner });
-        if (body.targetUrl !== undefined) fields.push({ key: "target_url", value: body.targetUrl || "" });
+        if (body.desktopVideo !== undefined || body.mobileVideo !== undefined) {
+          // Videos can be removed again; like the link references, only stored ones are cleared
+          fields.push(
+            ...[
+              { key: "desktop_video", value: String(body.desktopVideo || "").trim() },
+              { key: "mobile_video", value: String(body.mobileVideo || "").trim() },
+            ].filter((field) => field.value || existing[field.key]),
+          );
+        }
+        if (body.targetUrl !== undefined || body.targetType !== undefined) {
+          // Only references that are set get cleared, so shops whose definition
+          // doesn't have the reference fields yet can still save URLs
+          fields.push(
+            ...buildTargetFields({ type: body.targetType, resourceId: body.targetResource, url: body.targetUrl }).filter(
+              (field) => field.key === "target_url" || field.value || existing[field.key],
+            ),
+          );
+        }
         if (body.buttonText !== undefined) fields.push({ key: "button_text", value: body.buttonText || "" });
+        if (body.contentType !== undefined) {
+          const content = buildContentTypeFields(body);
+          if (content.error) {
+            return json({ error: content.error, success: false });
+          }
+          // Like the link references, unset fields are only cleared when stored
+          fields.push(...content.fields.filter((field) => field.value || existing[field.key]));
+        }
+
+        if (body.priority !== undefined) {
+          const priority = parsePriority(body.priority);
+          if (priority === null) {
+            return json({ error: PRIORITY_ERROR, success: false });
+          }
+          fields.push({ key: "priority", value: String(priority) });
+        }
+
+        if (body.isFallback !== undefined) {
+          fields.push({ key: "is_fallback", value: body.isFallback ? "true" : "false" });
+        }
+
+        if (body.dayparts !== undefined) {
+          const dayparts = parseDayparts(body.dayparts);
+          if (dayparts === null) {
+            return json({ error: "Invalid time-of-day ranges. Each range needs at least one day and different start and end times.", success: false });
+          }
+          fields.push({ key: "dayparts", value: buildDaypartsValue(dayparts, entryTimeZone) });
+        } else if (requestedTimeZone) {
+          // The stored offsets belong to the old timezone
+          const existingDayparts = parseDayparts(existing.dayparts);
+          if (existingDayparts?.length) {
+            fields.push({ key: "dayparts", value: buildDaypartsValue(existingDayparts, entryTimeZone) });
+          }
+        }
+
+        if (body.recurrenceRule !== undefined) {
+          const recurrenceRule = normalizeRecurrenceRule(body.recurrenceRule || "", entryTimeZone);
+          if (recurrenceRule === null) {
+            return json({ error: "Invalid recurrence rule. Please check the repeat settings.", success: false });
+          }
+
+          const startValue = fields.find((f) => f.key === "start_at")?.value || existing.start_at;
+          const endValue = fields.find((f) => f.key === "end_at")?.value || existing.end_at;
+
+          fields.push({ key: "recurrence_rule", value: recurrenceRule });
+          fields.push({
+            key: "occurrences",
+            value: JSON.stringify(
+              buildOccurrenceWindows({
+                startAt: startValue,
+                endAt: endValue,
+                rule: recurrenceRule,
+                timeZone: entryTimeZone,
+              }),
+            ),
+          });
+        }
+
+        // Only one fallback per position, including when a fallback moves to another position
+        let allEntries = null;
+        if (body.isFallback === true || body.positionId) {
+          allEntries = await loadAllEntries(admin);
+          const currentEntry = allEntries.find((entry) => entry.id === body.id);
+          const updatedFieldMap = {
+            ...getFieldMap(currentEntry),
+            ...Object.fromEntries(fields.map((f) => [f.key, f.value])),
+          };
+          if (isFallbackEntry(updatedFieldMap)) {
+            const otherFallback = findOtherFallback(allEntries, { id: body.id, positionId: updatedFieldMap.position_id });
+            if (otherFallback) {
+              return json({ error: fallbackTakenError(otherFallback, updatedFieldMap.position_id), success: false });
+            }
+          }
+        }
+
+        if (body.confirmConflicts !== true) {
+          let conflicts = [];
+          try {
+            allEntries = allEntries || (await loadAllEntries(admin));
+            const pendingJobs = await getPendingJobsByEntry(session.shop);
+            const currentEntry = allEntries.find((entry) => entry.id === body.id);
+            // Drafts waiting for their scheduled publish are checked like published entries
+            if (
+              currentEntry?.capabilities?.publishable?.status === "ACTIVE" ||
+              (pendingJobs[body.id] || []).some((job) => job.action === "ACTIVATE")
+            ) {
+              conflicts = findScheduleConflicts({
+                candidate: {
+                  id: body.id,
+                  fieldMap: {
+                    ...getFieldMap(currentEntry),
+                    ...Object.fromEntries(fields.map((f) => [f.key, f.value])),
+                  },
+                },
+                entries: allEntries,
+                pendingJobs,
+              });
+            }
+          } catch (error) {
+            debugWarn("[ACTION] Could not check for schedule conflicts:", error);
+          }
+          if (conflicts.length > 0) {
+            debugLog("[ACTION] Update would overlap with", conflicts.length, "entries; asking for confirmation");
+            return json({ success: false, requiresConfirmation: true, conflicts });
+          }
+        }
 
         const updateResponse = await admin.graphql(
           `#graphql
@@ -277,64 +604,229 @@ export const action = async ({ request }) => {
           return json({ error: `Failed to update entry: ${errors}`, success: false });
         }
 
+        // New dates may move the entry in or out of its window, so re-plan its jobs
+        try {
+          const schedule = await syncEntrySchedule({ admin, shop: session.shop, entryId: body.id });
+          if (schedule.error) {
+            console.error("[ACTION] Error rescheduling updated entry:", schedule.error);
+          }
+        } catch (error) {
+          console.error("[ACTION] Error rescheduling updated entry:", error);
+        }
+
         debugLog("[ACTION] Entry updated successfully");
         return json({ success: true, message: "Entry updated successfully!" });
       }
 
-      if (body.intent === "toggleStatus") {
-        debugLog("[ACTION] Processing toggle status request for entry:", body.id, "to status:", body.status);
+      if (body.intent === "reorder") {
+        const orderedIds = Array.isArray(body.orderedIds)
+          ? body.orderedIds.filter((id) => typeof id === "string" && id)
+          : [];
+        debugLog("[ACTION] Processing reorder request for position:", body.positionId, "entries:", orderedIds.length);
 
-        const toggleResponse = await admin.graphql(
-          `#graphql
-          mutation ToggleEntryStatus($id: ID!, $metaobject: MetaobjectUpdateInput!) {
-            metaobjectUpdate(id: $id, metaobject: $metaobject) {
-              metaobject {
-                id
-                handle
-                capabilities {
-                  publishable {
-                    status
-                  }
-                }
-              }
-              userErrors {
-                field
-                message
-              }
+        if (orderedIds.length === 0) {
+          return json({ error: "No entries provided to reorder", success: false });
+        }
+
+        // The first entry gets the highest priority so the table order matches the storefront order
+        const failures = [];
+        for (const [index, id] of orderedIds.entries()) {
+          const error = await updateEntryFields(admin, id, [
+            { key: "priority", value: String(orderedIds.length - index) },
+          ]);
+          if (error) {
+            console.error("[ACTION] Error updating priority for entry:", id, error);
+            failures.push(error);
+          }
+        }
+
+        if (failures.length > 0) {
+          return json({ error: `Failed to reorder entries: ${failures.join(", ")}`, success: false });
+        }
+
+        debugLog("[ACTION] Entries reordered successfully");
+        return json({ success: true, message: "Priorities updated successfully!" });
+      }
+
+      if (body.intent === "searchTargets") {
+        if (!TARGET_SEARCH_TYPES.includes(body.type)) {
+          return json({ error: "Unknown resource type", success: false }, { status: 400 });
+        }
+        const results = await searchTargetResources(admin, { type: body.type, query: body.query });
+        return json({ success: true, results });
+      }
+
+      if (body.intent === "duplicate") {
+        debugLog("[ACTION] Processing duplicate request for entry:", body.id);
+
+        let shift = null;
+        if (body.amount !== undefined && body.amount !== null && body.amount !== "") {
+          const amount = Number.parseInt(String(body.amount), 10);
+          if (!Number.isFinite(amount)) {
+            return json({ error: "Shift by a whole number", success: false });
+          }
+          if (!SHIFT_UNITS.includes(body.unit)) {
+            return json({ error: "Unknown shift unit", success: false });
+          }
+          shift = { amount, unit: body.unit };
+        }
+
+        const { error, entry } = await duplicateEntry(admin, body.id, {
+          shift,
+          shopTimeZone: await getShopTimeZone(admin),
+        });
+        if (error) {
+          console.error("[ACTION] Error duplicating entry:", error);
+          return json({ error: `Failed to duplicate entry: ${error}`, success: false });
+        }
+
+        // Like a new entry, the copy's occurrences and daypart offsets get rebuilt before they run out
+        const refreshAt = planWindowRefresh(getFieldMap(entry));
+        if (refreshAt) {
+          try {
+            await scheduleEntryJobs({
+              shop: session.shop,
+              entryId: entry.id,
+              entryTitle: getFieldMap(entry).title,
+              jobs: [{ action: JOB_ACTIONS.REFRESH, runAt: refreshAt }],
+            });
+          } catch (jobError) {
+            console.error("[ACTION] Error scheduling the window refresh for the copy:", jobError);
+          }
+        }
+        await syncNextStarts({ admin, shop: session.shop });
+
+        debugLog("[ACTION] Entry duplicated as draft:", entry.id);
+        return json({ success: true, message: "Entry duplicated as a draft.", entry });
+      }
+
+      if (BULK_INTENTS.includes(body.intent)) {
+        const ids = Array.isArray(body.ids) ? [...new Set(body.ids.filter((id) => typeof id === "string" && id))] : [];
+        const trashIds = Array.isArray(body.trashIds)
+          ? [...new Set(body.trashIds.filter((id) => typeof id === "string" && id))]
+          : [];
+        const statuses =
+          body.intent === "bulkRestoreStatus" && Array.isArray(body.statuses)
+            ? body.statuses.filter((change) => typeof change?.id === "string" && change.id)
+            : ids.map((id) => ({ id, status: body.intent === "bulkActivate" ? "ACTIVE" : "DRAFT" }));
+        let count = ids.length;
+        if (["bulkActivate", "bulkDraft", "bulkRestoreStatus"].includes(body.intent)) {
+          count = statuses.length;
+        } else if (body.intent === "bulkRestore") {
+          count = trashIds.length;
+        }
+        debugLog("[ACTION] Processing bulk request:", body.intent, "entries:", count);
+
+        if (count === 0) {
+          return json({ error: "No entries selected", success: false });
+        }
+        if (count > BULK_LIMIT) {
+          return json({ error: `Select at most ${BULK_LIMIT} entries at a time`, success: false });
+        }
+
+        let outcome;
+        if (body.intent === "bulkDelete") {
+          outcome = await bulkDelete({ admin, shop: session.shop, ids });
+        } else if (body.intent === "bulkRestore") {
+          outcome = await bulkRestore({
+            admin,
+            shop: session.shop,
+            trashIds,
+            shopTimeZone: await getShopTimeZone(admin),
+            confirmIssues: body.confirmIssues === true,
+          });
+        } else if (body.intent === "bulkChangePosition") {
+          const positionId = typeof body.positionId === "string" ? body.positionId.trim() : "";
+          if (!positionId) {
+            return json({ error: "Choose a position to move the entries to", success: false });
+          }
+          const positionError = await unknownPositionError({ shop: session.shop, positionId });
+          if (positionError) {
+            return json({ error: positionError, success: false });
+          }
+          outcome = await bulkChangePosition({ admin, shop: session.shop, ids, positionId });
+        } else if (body.intent === "bulkShiftDates") {
+          const amount = Number.parseInt(String(body.amount ?? ""), 10);
+          if (!Number.isFinite(amount) || amount === 0) {
+            return json({ error: "Shift by a whole number other than zero", success: false });
+          }
+          if (!SHIFT_UNITS.includes(body.unit)) {
+            return json({ error: "Unknown shift unit", success: false });
+          }
+          outcome = await bulkShiftDates({
+            admin,
+            shop: session.shop,
+            ids,
+            amount,
+            unit: body.unit,
+            edge: ["start", "end"].includes(body.edge) ? body.edge : "both",
+            shopTimeZone: await getShopTimeZone(admin),
+          });
+        } else if (body.intent === "bulkActivate" && body.confirmIssues !== true) {
+          // Entries that wouldn't render are left out until the merchant insists
+          const blocked = [];
+          for (const entry of await loadEntriesByIds(admin, ids)) {
+            const issues = getBlockingIssues(getFieldMap(entry));
+            if (issues.length > 0) {
+              blocked.push({
+                id: entry.id,
+                title: getFieldMap(entry).title || "(untitled)",
+                error: `Not switched on: ${issues.map((issue) => issue.message).join(", ")}`,
+                blocked: true,
+              });
             }
           }
-        `,
-          {
-            variables: {
-              id: body.id,
-              metaobject: {
-                capabilities: {
-                  publishable: {
-                    status: body.status,
-                  },
-                },
-              },
-            },
-          },
-        );
+          outcome = await bulkSetStatus({
+            admin,
+            shop: session.shop,
+            statuses: statuses.filter((change) => !blocked.some((item) => item.id === change.id)),
+          });
+          outcome = { ...outcome, results: [...outcome.results, ...blocked] };
+        } else {
+          outcome = await bulkSetStatus({ admin, shop: session.shop, statuses });
+        }
 
-        const toggleJson = await toggleResponse.json();
+        const failed = outcome.results.filter((result) => result.error);
+        const succeeded = outcome.results.length - failed.length;
+        debugLog("[ACTION] Bulk request finished:", succeeded, "succeeded,", failed.length, "failed");
+        return json({
+          success: failed.length === 0,
+          message: `${succeeded} of ${outcome.results.length} ${outcome.results.length === 1 ? "entry" : "entries"} updated.`,
+          results: outcome.results,
+          undo: outcome.undo,
+        });
+      }
+
+      if (body.intent === "toggleStatus") {
+        debugLog("[ACTION] Processing toggle status request for entry:", body.id, "to status:", body.status);
 
-        if (toggleJson?.errors) {
-          const errors = toggleJson.errors.map((e) => e.message).join(", ");
-          console.error("[ACTION] GraphQL errors toggling status:", errors);
-          return json({ error: `Failed to toggle status: ${errors}`, success: false });
+        if (body.status === "ACTIVE" && body.confirmIssues !== true) {
+          const issues = getBlockingIssues(await loadEntryFieldMap(admin, body.id));
+          if (issues.length > 0) {
+            debugLog("[ACTION] Entry has", issues.length, "blocking issues; asking for confirmation");
+            return json({ success: false, requiresIssueOverride: true, issues });
+          }
         }
 
-        if (toggleJson?.data?.metaobjectUpdate?.userErrors?.length > 0) {
-          const errors = toggleJson.data.metaobjectUpdate.userErrors
-            .map((e) => e.message)
-            .join(", ");
-          console.error("[ACTION] User errors toggling status:", errors);
-          return json({ error: `Failed to toggle status: ${errors}`, success: false });
+        const schedule = await syncEntrySchedule({
+          admin,
+          shop: session.shop,
+          entryId: body.id,
+          requestedStatus: body.status === "ACTIVE" ? "ACTIVE" : "DRAFT",
+        });
+
+        if (schedule.error) {
+          console.error("[ACTION] Error toggling status:", schedule.error);
+          return json({ error: `Failed to toggle status: ${schedule.error}`, success: false });
         }
 
         debugLog("[ACTION] Status toggled successfully");
+        if (body.status === "ACTIVE" && schedule.status !== "ACTIVE") {
+          const message = schedule.jobs.length
+            ? "Entry will be published automatically at its start time."
+            : "Entry has already ended, so it was left as draft.";
+          return json({ success: true, message });
+        }
         return json({ success: true, message: "Status updated successfully!" });
       }
     }
@@ -397,6 +889,8 @@ export const action = async ({ request }) => {
         const fileName = file.name || `upload-${Date.now()}.jpg`;
         const fileType = file.type || "image/jpeg";
         const fileSize = file.size || 0;
+        // MP4 and WebM become Video files; everything else is uploaded as an image
+        const isVideo = isVideoMimeType(fileType);
 
         debugLog("[ACTION] File:", fileName, "Type:", fileType, "Size:", fileSize, "bytes");
 
@@ -453,8 +947,10 @@ export const action = async ({ request }) => {
                 {
                   filename: fileName,
                   mimeType: fileType,
-                  resource: "IMAGE",
+                  resource: isVideo ? "VIDEO" : "IMAGE",
                   httpMethod: "POST",
+                  // Video targets are sized up front
+                  ...(isVideo ? { fileSize: String(fileSize) } : {}),
                 },
               ],
             },
@@ -544,6 +1040,7 @@ export const action = async ({ request }) => {
           mutation fileCreate($files: [FileCreateInput!]!) {
             fileCreate(files: $files) {
               files {
+                __typename
                 ... on MediaImage {
                   id
                   fileStatus
@@ -553,6 +1050,20 @@ export const action = async ({ request }) => {
                     altText
                   }
                 }
+                ... on Video {
+                  id
+                  fileStatus
+                  alt
+                  preview {
+                    image {
+                      url
+                    }
+                  }
+                  sources {
+                    url
+                    mimeType
+                  }
+                }
               }
               userErrors {
                 field
@@ -565,7 +1076,7 @@ export const action = async ({ request }) => {
             variables: {
               files: [
                 {
-                  contentType: "IMAGE",
+                  contentType: isVideo ? "VIDEO" : "IMAGE",
                   originalSource: stagedTarget.resourceUrl,
                   alt: file.name || "",
                 },
@@ -606,6 +1117,15 @@ export const action = async ({ request }) => {
         let fileUrl = uploadedFile.image?.url;
         let fileAlt = uploadedFile.alt || file.name;
 
+        // Videos take minutes to process; the picker shows them as processing until
+        // the loader finds their preview and sources
+        if (isVideo) {
+          return json(
+            { success: true, file: { ...toMediaFile(uploadedFile), alt: fileAlt } },
+            { status: 200 },
+          );
+        }
+
         if (!fileUrl && uploadedFile.fileStatus !== "READY") {
           debugLog("[ACTION] File is still processing, waiting for URL...");
           for (let i = 0; i < 5; i++) {
@@ -648,6 +1168,8 @@ export const action = async ({ request }) => {
               url: fileUrl || uploadedFile.image?.url || stagedTarget.resourceUrl,
               alt: fileAlt,
               createdAt: new Date().toISOString(),
+              mediaType: "image",
+              videoUrl: "",
             },
           },
           { status: 200 },
@@ -677,16 +1199,30 @@ export const action = async ({ request }) => {
     const startAt = String(formData.get("start_at") || "").trim();
     const endAt = String(formData.get("end_at") || "").trim();
     const targetUrl = String(formData.get("target_url") || "").trim();
+    const targetType = String(formData.get("target_type") || "");
+    const targetResource = String(formData.get("target_resource") || "").trim();
     const buttonText = String(formData.get("button_text") || "").trim();
+    const content = buildContentTypeFields({
+      contentType: formData.get("content_type"),
+      backgroundColor: formData.get("background_color"),
+      textColor: formData.get("text_color"),
+      icon: formData.get("icon"),
+      popupTrigger: formData.get("popup_trigger"),
+      popupTriggerValue: formData.get("popup_trigger_value"),
+      popupFrequency: formData.get("popup_frequency"),
+      popupFrequencyDays: formData.get("popup_frequency_days"),
+      countdown: formData.get("countdown"),
+    });
     const status = formData.get("status") ? "ACTIVE" : "DRAFT";
     const desktopBanner = String(formData.get("desktop_banner") || "").trim();
     const mobileBanner = String(formData.get("mobile_banner") || "").trim();
-    const userTimeZone = String(formData.get("timezone") || "").trim() || null;
-    const userTimezoneOffsetRaw = formData.get("timezone_offset");
-    const userTimezoneOffset =
-      userTimezoneOffsetRaw !== null && userTimezoneOffsetRaw !== undefined && userTimezoneOffsetRaw !== "" && !Number.isNaN(Number(userTimezoneOffsetRaw))
-        ? Number(userTimezoneOffsetRaw)
-        : undefined;
+    const desktopVideo = String(formData.get("desktop_video") || "").trim();
+    const mobileVideo = String(formData.get("mobile_video") || "").trim();
+    const rawRecurrenceRule = String(formData.get("recurrence_rule") || "").trim();
+    const isFallback = Boolean(formData.get("is_fallback"));
+    const dayparts = parseDayparts(String(formData.get("dayparts") || ""));
+    const priority = parsePriority(formData.get("priority"));
+    const requestedTimeZone = String(formData.get("timezone") || "").trim();
 
     if (!title) {
       return json({ error: "Title is required", success: false }, { status: 400 });
@@ -694,6 +1230,25 @@ export const action = async ({ request }) => {
     if (!positionId) {
       return json({ error: "Position ID is required", success: false }, { status: 400 });
     }
+    if (content.error) {
+      return json({ error: content.error, success: false }, { status: 400 });
+    }
+    const positionError = await unknownPositionError({ shop: session.shop, positionId });
+    if (positionError) {
+      return json({ error: positionError, success: false }, { status: 400 });
+    }
+    if (priority === null) {
+      return json({ error: PRIORITY_ERROR, success: false }, { status: 400 });
+    }
+    if (requestedTimeZone && !isValidTimeZone(requestedTimeZone)) {
+      return json({ error: `Unknown timezone "${requestedTimeZone}".`, success: false }, { status: 400 });
+    }
+    if (dayparts === null) {
+      return json(
+        { error: "Invalid time-of-day ranges. Each range needs at least one day and different start and end times.", success: false },
+        { status: 400 },
+      );
+    }
 
     debugLog("Raw form data:", {
       positionId,
@@ -707,13 +1262,23 @@ export const action = async ({ request }) => {
       status,
       desktopBanner,
       mobileBanner,
-      userTimeZone,
-      userTimezoneOffset,
+      rawRecurrenceRule,
+      isFallback,
+      dayparts,
+      priority,
+      requestedTimeZone,
     });
 
-    const defaults = getDefaultDateBounds(userTimeZone, userTimezoneOffset);
-    const formattedStartAt = startAt ? parseLocalDateTimeToUTC(startAt, userTimeZone, userTimezoneOffset) : defaults.start;
-    const formattedEndAt = endAt ? parseLocalDateTimeToUTC(endAt, userTimeZone, userTimezoneOffset) : defaults.end;
+    // Entries use the store's timezone unless the form picked another one
+    const entryTimeZone = requestedTimeZone || (await getShopTimeZone(admin));
+    const recurrenceRule = normalizeRecurrenceRule(rawRecurrenceRule, entryTimeZone);
+    if (recurrenceRule === null) {
+      return json({ error: "Invalid recurrence rule. Please check the repeat settings.", success: false }, { status: 400 });
+    }
+
+    const defaults = getDefaultDateBounds(entryTimeZone);
+    const formattedStartAt = startAt ? parseLocalDateTimeToUTC(startAt, entryTimeZone) : defaults.start;
+    const formattedEndAt = endAt ? parseLocalDateTimeToUTC(endAt, entryTimeZone) : defaults.end;
 
     if (!formattedStartAt || !formattedEndAt) {
       return json({ error: "Invalid date/time values", success: false }, { status: 400 });
@@ -780,6 +1345,38 @@ export const action = async ({ request }) => {
                     type: "file_reference",
                     validations: [{ name: "file_type", value: "image" }],
                   },
+                  {
+                    name: "Desktop Video",
+                    key: "desktop_video",
+                    type: "file_reference",
+                    validations: [{ name: "file_type_options", value: JSON.stringify(["Video"]) }],
+                  },
+                  {
+                    name: "Mobile Video",
+                    key: "mobile_video",
+                    type: "file_reference",
+                    validations: [{ name: "file_type_options", value: JSON.stringify(["Video"]) }],
+                  },
+                  { name: "Recurrence Rule", key: "recurrence_rule", type: "single_line_text_field" },
+                  { name: "Timezone", key: "timezone", type: "single_line_text_field" },
+                  { name: "Occurrences", key: "occurrences", type: "json" },
+                  { name: "Priority", key: "priority", type: "number_integer" },
+                  { name: "Fallback", key: "is_fallback", type: "boolean" },
+                  { name: "Dayparts", key: "dayparts", type: "json" },
+                  { name: "Target Product", key: "target_product", type: "product_reference" },
+                  { name: "Target Collection", key: "target_collection", type: "collection_reference" },
+                  { name: "Target Page", key: "target_page", type: "page_reference" },
+                  { name: "Target Article", key: "target_article", type: "article_reference" },
+                  { name: "Content Type", key: "content_type", type: "single_line_text_field" },
+                  { name: "Background Color", key: "background_color", type: "color" },
+                  { name: "Text Color", key: "text_color", type: "color" },
+                  { name: "Icon", key: "icon", type: "single_line_text_field" },
+                  { name: "Popup Trigger", key: "popup_trigger", type: "single_line_text_field" },
+                  { name: "Popup Trigger Value", key: "popup_trigger_value", type: "number_integer" },
+                  { name: "Popup Frequency", key: "popup_frequency", type: "single_line_text_field" },
+                  { name: "Popup Frequency Days", key: "popup_frequency_days", type: "number_integer" },
+                  { name: "Countdown", key: "countdown", type: "single_line_text_field" },
+                  { name: "Next Start", key: "next_start_at", type: "date_time" },
                 ],
               },
             },
@@ -805,8 +1402,29 @@ export const action = async ({ request }) => {
       { key: "description", value: description },
       { key: "start_at", value: formattedStartAt },
       { key: "end_at", value: formattedEndAt },
-      { key: "target_url", value: targetUrl },
+      // Only the chosen link reference is sent
+      ...buildTargetFields({ type: targetType, resourceId: targetResource, url: targetUrl }).filter(
+        (field) => field.key === "target_url" || field.value,
+      ),
       { key: "button_text", value: buttonText },
+      // Only the fields of the entry's type are sent
+      ...content.fields.filter((field) => field.value),
+      { key: "recurrence_rule", value: recurrenceRule },
+      { key: "timezone", value: entryTimeZone },
+      { key: "priority", value: String(priority) },
+      { key: "is_fallback", value: isFallback ? "true" : "false" },
+      { key: "dayparts", value: buildDaypartsValue(dayparts, entryTimeZone) },
+      {
+        key: "occurrences",
+        value: JSON.stringify(
+          buildOccurrenceWindows({
+            startAt: formattedStartAt,
+            endAt: formattedEndAt,
+            rule: recurrenceRule,
+            timeZone: entryTimeZone,
+          }),
+        ),
+      },
     ];
 
     if (desktopBanner) {
@@ -815,6 +1433,57 @@ export const action = async ({ request }) => {
     if (mobileBanner) {
       fields.push({ key: "mobile_banner", value: mobileBanner });
     }
+    if (desktopVideo) {
+      fields.push({ key: "desktop_video", value: desktopVideo });
+    }
+    if (mobileVideo) {
+      fields.push({ key: "mobile_video", value: mobileVideo });
+    }
+
+    if (isFallback) {
+      const otherFallback = findOtherFallback(await loadAllEntries(admin), { id: null, positionId });
+      if (otherFallback) {
+        return json({ error: fallbackTakenError(otherFallback, positionId), success: false }, { status: 400 });
+      }
+    }
+
+    if (status === "ACTIVE" && !formData.get("confirm_issues")) {
+      const issues = getBlockingIssues(Object.fromEntries(fields.map((f) => [f.key, f.value])));
+      if (issues.length > 0) {
+        debugLog("[ACTION] New entry has", issues.length, "blocking issues; asking for confirmation");
+        return json({ success: false, requiresIssueOverride: true, issues });
+      }
+    }
+
+    if (status === "ACTIVE" && !formData.get("confirm_conflicts")) {
+      let conflicts = [];
+      try {
+        const [entries, pendingJobs] = await Promise.all([
+          loadAllEntries(admin),
+          getPendingJobsByEntry(session.shop),
+        ]);
+        conflicts = findScheduleConflicts({
+          candidate: { id: null, fieldMap: Object.fromEntries(fields.map((f) => [f.key, f.value])) },
+          entries,
+          pendingJobs,
+        });
+      } catch (error) {
+        debugWarn("[ACTION] Could not check for schedule conflicts:", error);
+      }
+      if (conflicts.length > 0) {
+        debugLog("[ACTION] New entry would overlap with", conflicts.length, "entries; asking for confirmation");
+        return json({ success: false, requiresConfirmation: true, conflicts });
+      }
+    }
+
+    // Entries that start later are created as drafts and published by the scheduler
+    const createdFieldMap = Object.fromEntries(fields.map((f) => [f.key, f.value]));
+    const publication = planPublication({ requestedStatus: status, fieldMap: createdFieldMap });
+    // Open-ended occurrences and daypart offsets get rebuilt before they run out
+    const refreshAt = planWindowRefresh(createdFieldMap);
+    const jobs = refreshAt
+      ? [...publication.jobs, { action: JOB_ACTIONS.REFRESH, runAt: refreshAt }]
+      : publication.jobs;
 
     const createResponse = await admin.graphql(
       `#graphql
@@ -843,7 +1512,7 @@ export const action = async ({ request }) => {
             fields,
             capabilities: {
               publishable: {
-                status,
+                status: publication.status,
               },
             },
           },
@@ -875,6 +1544,20 @@ export const action = async ({ request }) => {
       });
     }
 
+    if (jobs.length > 0) {
+      try {
+        await scheduleEntryJobs({
+          shop: session.shop,
+          entryId: createdMetaobject.id,
+          entryTitle: title,
+          jobs,
+        });
+      } catch (error) {
+        console.error("[ACTION] Error scheduling jobs for new entry:", error);
+      }
+    }
+    await syncNextStarts({ admin, shop: session.shop });
+
     debugLog("[ACTION] Entry created successfully, returning success");
     return json({ success: true, message: "Entry created successfully!" });
   } catch (error) {
@@ -0,0 +1,377 @@
+import { isValidTimeZone } from "../utils/datetime";
+import { buildDaypartsValue, parseDayparts } from "../utils/dayparts";
+import {
+  ENTRY_FILE_FIELDS,
+  findOtherFallback,
+  getFieldMap,
+  getShiftedDateFields,
+  isFallbackEntry,
+} from "../utils/entries";
+import { mapWithConcurrency } from "../utils/concurrency";
+import {
+  cancelEntryJobs,
+  describeActivationBlocker,
+  findActivationBlockers,
+  getPendingJobsByEntry,
+  syncEntrySchedule,
+  syncNextStarts,
+} from "./scheduler.server";
+import {
+  createDraftEntry,
+  loadAllEntries,
+  loadEntriesByIds,
+  loadExistingFileIds,
+  updateEntryFields,
+} from "./metaobjects.server";
+import {
+  CAMPAIGN_STATUSES,
+  addEntriesToCampaign,
+  getCampaign,
+  getEntryCampaignMap,
+  removeEntryFromCampaigns,
+} from "./campaigns.server";
+import { deleteTrashedEntry, getTrashedEntry, saveTrashedEntry } from "./trash.server";
+
+// Admin API calls in flight at once; higher trips the rate limit on larger selections
+export const BULK_CONCURRENCY = 4;
+// nodes(ids:) accepts at most 250 ids
+export const BULK_LIMIT = 250;
+
+const entryTitle = (entry) => getFieldMap(entry).title || "(untitled)";
+// Runs `worker` over entries with BULK_CONCURRENCY calls in flight; an entry whose
+// worker throws is still named in the results
+const mapEntries = (entries, worker) =>
+  mapWithConcurrency(entries, BULK_CONCURRENCY, worker, {
+    describe: (entry) => ({ id: entry.id, title: entryTitle(entry) }),
+  });
+
+// Deletes an entry with its pending jobs and campaign membership. Returns an
+// error message, or null when the entry is gone.
+export const deleteEntry = async ({ admin, shop, id }) => {
+  const response = await admin.graphql(
+    `#graphql
+    mutation DeleteSchedulableEntity($id: ID!) {
+      metaobjectDelete(id: $id) {
+        deletedId
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { variables: { id } },
+  );
+  const responseJson = await response.json();
+
+  if (responseJson?.errors) {
+    return responseJson.errors.map((e) => e.message).join(", ");
+  }
+  if (responseJson?.data?.metaobjectDelete?.userErrors?.length > 0) {
+    return responseJson.data.metaobjectDelete.userErrors.map((e) => e.message).join(", ");
+  }
+
+  try {
+    await cancelEntryJobs({ shop, entryId: id, reason: "Entry deleted" });
+  } catch (error) {
+    console.error("Error cancelling scheduled jobs for deleted entry:", error);
+  }
+  try {
+    await removeEntryFromCampaigns({ shop, entryId: id });
+  } catch (error) {
+    console.error("Error removing deleted entry from its campaign:", error);
+  }
+  return null;
+};
+
+const isSwitchedOn = (entry, pendingJobs = []) =>
+  entry.capabilities?.publishable?.status === "ACTIVE" || pendingJobs.some((job) => job.action === "ACTIVATE");
+
+// Snapshots an entry into the trash, then deletes it. `entry` comes from
+// loadEntriesByIds, so image and video references are included. Returns { error }
+// or the trash row id.
+const snapshotAndDelete = async ({ admin, shop, entry, switchedOn, campaignId }) => {
+  const fieldMap = getFieldMap(entry);
+  const files = Object.fromEntries(
+    (entry.fields || [])
+      .filter((field) => field.reference?.id)
+      .map((field) => [field.key, { id: field.reference.id, url: (field.reference.image ?? field.reference.preview?.image)?.url || null }]),
+  );
+  const trashed = await saveTrashedEntry({
+    shop,
+    entryId: entry.id,
+    handle: entry.handle || null,
+    title: fieldMap.title || "(untitled)",
+    positionId: String(fieldMap.position_id || "").trim() || null,
+    fields: JSON.stringify(fieldMap),
+    files: JSON.stringify(files),
+    status: switchedOn ? "ACTIVE" : "DRAFT",
+    campaignId: campaignId || null,
+  });
+
+  const error = await deleteEntry({ admin, shop, id: entry.id });
+  if (error) {
+    await deleteTrashedEntry({ shop, id: trashed.id });
+    return { error };
+  }
+  return { error: null, trashId: trashed.id };
+};
+
+// Moves one entry to the trash. Returns { error } or { trashId }.
+export const trashEntry = async ({ admin, shop, id }) => {
+  const [[entry], pendingJobs, entryCampaigns] = await Promise.all([
+    loadEntriesByIds(admin, [id]),
+    getPendingJobsByEntry(shop),
+    getEntryCampaignMap(shop),
+  ]);
+  if (!entry) {
+    return { error: "Entry not found" };
+  }
+  const trashed = await snapshotAndDelete({
+    admin,
+    shop,
+    entry,
+    switchedOn: isSwitchedOn(entry, pendingJobs[id]),
+    campaignId: entryCampaigns[id],
+  });
+  if (!trashed.error) {
+    await syncNextStarts({ admin, shop });
+  }
+  return trashed;
+};
+
+// Recreates a trashed entry as a draft, under its old handle when it's still
+// free, then puts it back in its campaign or switches it on again as it was.
+// Images and videos deleted from Files since are dropped, and a fallback whose position
+// has a new one comes back as a regular entry. An entry that would be switched on
+// with blocking issues or conflicts stays in the trash and comes back as
+// { blocked } unless `confirmIssues` is set. Returns { error }, { blocked } or
+// { entry, notes }.
+export const restoreTrashedEntry = async ({ admin, shop, id, shopTimeZone, confirmIssues = false }) => {
+  const trashed = await getTrashedEntry({ shop, id });
+  if (!trashed) {
+    return { error: "Not in the trash anymore" };
+  }
+
+  const values = JSON.parse(trashed.fields);
+  const notes = [];
+  const fileKeys = Object.keys(ENTRY_FILE_FIELDS).filter((key) => values[key]);
+  const existingFiles = await loadExistingFileIds(admin, fileKeys.map((key) => values[key]));
+  for (const key of fileKeys) {
+    if (!existingFiles.has(values[key])) {
+      delete values[key];
+      const label = ENTRY_FILE_FIELDS[key];
+      notes.push(`${label.charAt(0).toUpperCase()}${label.slice(1)} was deleted from Files`);
+    }
+  }
+
+  if (isFallbackEntry(values)) {
+    const otherFallback = findOtherFallback(await loadAllEntries(admin), { id: null, positionId: values.position_id });
+    if (otherFallback) {
+      values.is_fallback = "false";
+      notes.push(`Restored as a regular entry: "${entryTitle(otherFallback)}" is now the fallback`);
+    }
+  }
+
+  // Stored DST offsets start from when they were built, so refresh them
+  const dayparts = parseDayparts(values.dayparts);
+  if (dayparts?.length) {
+    values.dayparts = buildDaypartsValue(dayparts, isValidTimeZone(values.timezone) ? values.timezone : shopTimeZone);
+  }
+
+  const campaign = trashed.campaignId ? await getCampaign({ shop, id: trashed.campaignId }) : null;
+  const switchOn = campaign ? campaign.status === CAMPAIGN_STATUSES.ACTIVE : trashed.status === "ACTIVE";
+  if (switchOn && !confirmIssues) {
+    const blocked = await findActivationBlockers({ admin, shop, candidates: [{ id: null, fieldMap: values }] });
+    if (blocked.length > 0) {
+      return { error: null, blocked };
+    }
+  }
+
+  let created = await createDraftEntry(admin, values, { handle: trashed.handle });
+  if (created.error && trashed.handle) {
+    created = await createDraftEntry(admin, values);
+  }
+  if (created.error) {
+    return { error: created.error };
+  }
+  await deleteTrashedEntry({ shop, id });
+
+  const entryId = created.entry.id;
+  const joined = campaign
+    ? await addEntriesToCampaign({ admin, shop, id: campaign.id, entryIds: [entryId], confirmIssues: true })
+    : null;
+  if (joined && !joined.error) {
+    notes.push(...joined.errors);
+  } else if (trashed.status === "ACTIVE") {
+    const schedule = await syncEntrySchedule({ admin, shop, entryId, requestedStatus: "ACTIVE" });
+    if (schedule.error) {
+      notes.push(`Restored as a draft: ${schedule.error}`);
+    }
+  }
+  return { error: null, entry: created.entry, notes };
+};
+
+// Loads the selected entries and reports ids that no longer exist as failures.
+const loadSelection = async (admin, ids) => {
+  const entries = await loadEntriesByIds(admin, ids);
+  const found = new Set(entries.map((entry) => entry.id));
+  const missing = ids.filter((id) => !found.has(id)).map((id) => ({ id, title: id, error: "Entry not found" }));
+  return { entries, missing };
+};
+
+// Sets each entry to ACTIVE or DRAFT through the scheduler, so entries outside
+// their window get a scheduled publish instead. `statuses` is [{ id, status }].
+// The undo restores what each entry was set to before: switched on (live or
+// waiting for its activation) or draft.
+export const bulkSetStatus = async ({ admin, shop, statuses }) => {
+  const requested = new Map(statuses.map(({ id, status }) => [id, status === "ACTIVE" ? "ACTIVE" : "DRAFT"]));
+  const [{ entries, missing }, pendingJobs] = await Promise.all([
+    loadSelection(admin, [...requested.keys()]),
+    getPendingJobsByEntry(shop),
+  ]);
+
+  const results = await mapEntries(entries, async (entry) => {
+    const previousStatus =
+      entry.capabilities?.publishable?.status === "ACTIVE" ||
+      (pendingJobs[entry.id] || []).some((job) => job.action === "ACTIVATE")
+        ? "ACTIVE"
+        : "DRAFT";
+    const requestedStatus = requested.get(entry.id);
+    const schedule = await syncEntrySchedule({
+      admin,
+      shop,
+      entryId: entry.id,
+      requestedStatus,
+      updateNextStarts: false,
+    });
+    if (schedule.error) {
+      return { id: entry.id, title: entryTitle(entry), error: schedule.error };
+    }
+
+    let note = null;
+    if (requestedStatus === "ACTIVE" && schedule.status !== "ACTIVE") {
+      note = schedule.jobs.length ? "Publishes at its start time" : "Already ended, left as draft";
+    }
+    return { id: entry.id, title: entryTitle(entry), error: null, note, previousStatus };
+  });
+  await syncNextStarts({ admin, shop });
+
+  const undo = results
+    .filter((result) => !result.error)
+    .map((result) => ({ id: result.id, status: result.previousStatus }));
+  return {
+    results: [...results, ...missing],
+    undo: undo.length > 0 ? { intent: "bulkRestoreStatus", statuses: undo } : null,
+  };
+};
+
+// Moves entries to the trash. The undo restores them.
+export const bulkDelete = async ({ admin, shop, ids }) => {
+  const [{ entries, missing }, pendingJobs, entryCampaigns] = await Promise.all([
+    loadSelection(admin, ids),
+    getPendingJobsByEntry(shop),
+    getEntryCampaignMap(shop),
+  ]);
+  const results = await mapEntries(entries, async (entry) => {
+    const { error, trashId } = await snapshotAndDelete({
+      admin,
+      shop,
+      entry,
+      switchedOn: isSwitchedOn(entry, pendingJobs[entry.id]),
+      campaignId: entryCampaigns[entry.id],
+    });
+    return { id: entry.id, title: entryTitle(entry), error, trashId };
+  });
+  await syncNextStarts({ admin, shop });
+
+  const trashIds = results.filter((result) => !result.error).map((result) => result.trashId);
+  return {
+    results: [...results, ...missing],
+    undo: trashIds.length > 0 ? { intent: "bulkRestore", trashIds } : null,
+  };
+};
+
+// Restores trashed entries. Entries held back by restoreTrashedEntry are reported
+// as blocked under their trash id so they can be restored anyway.
+export const bulkRestore = async ({ admin, shop, trashIds, shopTimeZone, confirmIssues = false }) => {
+  const results = await mapWithConcurrency(trashIds, BULK_CONCURRENCY, async (id) => {
+    const restored = await restoreTrashedEntry({ admin, shop, id, shopTimeZone, confirmIssues });
+    if (restored.blocked) {
+      return {
+        id,
+        title: restored.blocked[0].title,
+        error: `Not restored: ${describeActivationBlocker(restored.blocked[0])}`,
+        blocked: true,
+        trashId: id,
+      };
+    }
+    return {
+      id: restored.entry?.id || id,
+      title: restored.entry ? entryTitle(restored.entry) : id,
+      error: restored.error,
+      note: restored.notes?.length ? restored.notes.join(", ") : null,
+    };
+  });
+  return { results, undo: null };
+};
+
+// Moves entries to another position. A position keeps a single fallback, so a
+// fallback only moves when the target has none yet (and only the first one).
+export const bulkChangePosition = async ({ admin, shop, ids, positionId }) => {
+  const position = String(positionId || "").trim();
+  const allEntries = await loadAllEntries(admin);
+  const selected = new Set(ids);
+  const entries = allEntries.filter((entry) => selected.has(entry.id));
+  const found = new Set(entries.map((entry) => entry.id));
+  const missing = ids.filter((id) => !found.has(id)).map((id) => ({ id, title: id, error: "Entry not found" }));
+
+  let targetFallback = allEntries.find((entry) => {
+    const fieldMap = getFieldMap(entry);
+    return !selected.has(entry.id) && isFallbackEntry(fieldMap) && String(fieldMap.position_id || "").trim() === position;
+  });
+  const blocked = new Map();
+  for (const entry of entries) {
+    if (!isFallbackEntry(getFieldMap(entry))) {
+      continue;
+    }
+    if (targetFallback) {
+      blocked.set(entry.id, `"${entryTitle(targetFallback)}" is already the fallback for position "${position}"`);
+    } else {
+      targetFallback = entry;
+    }
+  }
+
+  const results = await mapEntries(entries, async (entry) => ({
+    id: entry.id,
+    title: entryTitle(entry),
+    error: blocked.get(entry.id) || (await updateEntryFields(admin, entry.id, [{ key: "position_id", value: position }])),
+  }));
+  await syncNextStarts({ admin, shop });
+  return { results: [...results, ...missing], undo: null };
+};
+
+// Moves the start, the end or both by `amount` `unit`s in each entry's timezone.
+export const bulkShiftDates = async ({ admin, shop, ids, amount, unit, edge, shopTimeZone }) => {
+  const { entries, missing } = await loadSelection(admin, ids);
+
+  const results = await mapEntries(entries, async (entry) => {
+    const fieldMap = getFieldMap(entry);
+    const title = entryTitle(entry);
+    const timeZone = isValidTimeZone(fieldMap.timezone) ? fieldMap.timezone : shopTimeZone;
+    const shifted = getShiftedDateFields(fieldMap, { amount, unit, edge, timeZone });
+    if (shifted.error) {
+      return { id: entry.id, title, error: shifted.error };
+    }
+
+    const error = await updateEntryFields(admin, entry.id, shifted.fields);
+    if (error) {
+      return { id: entry.id, title, error };
+    }
+
+    const schedule = await syncEntrySchedule({ admin, shop, entryId: entry.id, updateNextStarts: false });
+    return { id: entry.id, title, error: schedule.error || null };
+  });
+  await syncNextStarts({ admin, shop });
+  return { results: [...results, ...missing], undo: null };
+};
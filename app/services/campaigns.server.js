@@ -0,0 +1,208 @@
+import prisma from "../db.server";
+import { cascadeEntryDates } from "../utils/campaigns";
+import { getFieldMap } from "../utils/entries";
+import { buildOccurrenceWindows } from "../utils/recurrence";
+import { findActivationBlockers, syncEntrySchedule, syncNextStarts } from "./scheduler.server";
+import { loadEntriesByIds, updateEntryFields } from "./metaobjects.server";
+
+export const CAMPAIGN_STATUSES = {
+  DRAFT: "DRAFT",
+  ACTIVE: "ACTIVE",
+};
+
+export const listCampaigns = async (shop) =>
+  prisma.campaign.findMany({
+    where: { shop },
+    orderBy: { startAt: "asc" },
+    include: { _count: { select: { entries: true } } },
+  });
+
+export const getCampaign = async ({ shop, id }) =>
+  prisma.campaign.findFirst({
+    where: { shop, id },
+    include: { entries: { orderBy: { createdAt: "asc" } } },
+  });
+
+// entryId -> campaign id, for filtering and badges on the entries page.
+export const getEntryCampaignMap = async (shop) => {
+  const memberships = await prisma.campaignEntry.findMany({
+    where: { shop },
+    select: { entryId: true, campaignId: true },
+  });
+  return Object.fromEntries(memberships.map((membership) => [membership.entryId, membership.campaignId]));
+};
+
+export const createCampaign = async ({ shop, name, startAt, endAt }) =>
+  prisma.campaign.create({ data: { shop, name, startAt, endAt } });
+
+// Entries are left as they are; only the grouping goes away.
+export const deleteCampaign = async ({ shop, id }) => prisma.campaign.deleteMany({ where: { shop, id } });
+
+export const removeEntryFromCampaigns = async ({ shop, entryId }) =>
+  prisma.campaignEntry.deleteMany({ where: { shop, entryId } });
+
+const toWindow = (campaign) => ({ startAt: campaign.startAt.toISOString(), endAt: campaign.endAt.toISOString() });
+
+// Moves one entry's dates into the campaign window and re-plans its publication.
+// Returns an error message or null. Callers run syncNextStarts once afterwards.
+const applyCampaignWindow = async ({ admin, shop, entry, previousWindow, window, requestedStatus }) => {
+  const fieldMap = getFieldMap(entry);
+  const dates = cascadeEntryDates({ fieldMap, previousWindow, window });
+
+  if (dates) {
+    const fields = [
+      { key: "start_at", value: dates.start_at },
+      { key: "end_at", value: dates.end_at },
+    ];
+    if (fieldMap.recurrence_rule) {
+      fields.push({
+        key: "occurrences",
+        value: JSON.stringify(
+          buildOccurrenceWindows({
+            startAt: dates.start_at,
+            endAt: dates.end_at,
+            rule: fieldMap.recurrence_rule,
+            timeZone: fieldMap.timezone,
+          }),
+        ),
+      });
+    }
+    const error = await updateEntryFields(admin, entry.id, fields);
+    if (error) {
+      return `${fieldMap.title || entry.id}: ${error}`;
+    }
+  }
+
+  if (!dates && !requestedStatus) {
+    return null;
+  }
+  const schedule = await syncEntrySchedule({
+    admin,
+    shop,
+    entryId: entry.id,
+    requestedStatus,
+    updateNextStarts: false,
+  });
+  return schedule.error ? `${fieldMap.title || entry.id}: ${schedule.error}` : null;
+};
+
+// Changes the campaign window and cascades it to every entry in the campaign.
+// Returns the per-entry errors.
+export const updateCampaignWindow = async ({ admin, shop, id, name, startAt, endAt }) => {
+  const campaign = await getCampaign({ shop, id });
+  if (!campaign) {
+    return { error: "Campaign not found", errors: [] };
+  }
+
+  const updated = await prisma.campaign.update({ where: { id }, data: { name, startAt, endAt } });
+  const entries = await loadEntriesByIds(
+    admin,
+    campaign.entries.map((membership) => membership.entryId),
+  );
+
+  const errors = [];
+  for (const entry of entries) {
+    const error = await applyCampaignWindow({
+      admin,
+      shop,
+      entry,
+      previousWindow: toWindow(campaign),
+      window: toWindow(updated),
+    });
+    if (error) {
+      errors.push(error);
+    }
+  }
+  await syncNextStarts({ admin, shop });
+  return { error: null, errors };
+};
+
+// Adds entries to a campaign, taking them out of any other campaign. Their dates
+// are clamped into the campaign window and they follow the campaign status. When
+// that switches them on, entries with blocking issues or conflicts stop the whole
+// call and come back as `blocked` unless `confirmIssues` is set.
+export const addEntriesToCampaign = async ({ admin, shop, id, entryIds, confirmIssues = false }) => {
+  const campaign = await getCampaign({ shop, id });
+  if (!campaign) {
+    return { error: "Campaign not found", errors: [] };
+  }
+
+  const entries = await loadEntriesByIds(admin, entryIds);
+  if (campaign.status === CAMPAIGN_STATUSES.ACTIVE && !confirmIssues) {
+    const blocked = await findActivationBlockers({
+      admin,
+      shop,
+      candidates: entries.map((entry) => {
+        const fieldMap = getFieldMap(entry);
+        return { id: entry.id, fieldMap: { ...fieldMap, ...cascadeEntryDates({ fieldMap, window: toWindow(campaign) }) } };
+      }),
+    });
+    if (blocked.length > 0) {
+      return { error: null, errors: [], blocked };
+    }
+  }
+
+  const errors = [];
+  for (const entry of entries) {
+    await prisma.campaignEntry.upsert({
+      where: { shop_entryId: { shop, entryId: entry.id } },
+      create: { shop, entryId: entry.id, campaignId: id },
+      update: { campaignId: id },
+    });
+    const error = await applyCampaignWindow({
+      admin,
+      shop,
+      entry,
+      window: toWindow(campaign),
+      requestedStatus: campaign.status,
+    });
+    if (error) {
+      errors.push(error);
+    }
+  }
+  await syncNextStarts({ admin, shop });
+  return { error: null, errors };
+};
+
+export const removeEntryFromCampaign = async ({ shop, id, entryId }) =>
+  prisma.campaignEntry.deleteMany({ where: { shop, campaignId: id, entryId } });
+
+// Activates or deactivates every entry of the campaign the same way the entry
+// status toggle does. Returns the per-entry errors. Activation checks the entries
+// first and returns them as `blocked`, changing nothing, unless `confirmIssues`
+// is set.
+export const setCampaignStatus = async ({ admin, shop, id, status, confirmIssues = false }) => {
+  const campaign = await getCampaign({ shop, id });
+  if (!campaign) {
+    return { error: "Campaign not found", errors: [] };
+  }
+
+  if (status === CAMPAIGN_STATUSES.ACTIVE && !confirmIssues) {
+    const entries = await loadEntriesByIds(
+      admin,
+      campaign.entries.map((membership) => membership.entryId),
+    );
+    const blocked = await findActivationBlockers({
+      admin,
+      shop,
+      candidates: entries.map((entry) => ({ id: entry.id, fieldMap: getFieldMap(entry) })),
+    });
+    if (blocked.length > 0) {
+      return { error: null, errors: [], blocked };
+    }
+  }
+
+  await prisma.campaign.update({ where: { id }, data: { status } });
+
+  const errors = [];
+  for (const { entryId } of campaign.entries) {
+    const schedule = await syncEntrySchedule({ admin, shop, entryId, requestedStatus: status, updateNextStarts: false });
+    if (schedule.error === "Entry not found") {
+      await removeEntryFromCampaigns({ shop, entryId });
+    } else if (schedule.error) {
+      errors.push(schedule.error);
+    }
+  }
+  await syncNextStarts({ admin, shop });
+  return { error: null, errors };
+};
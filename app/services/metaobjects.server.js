@@ -0,0 +1,281 @@
+import { isValidTimeZone } from "../utils/datetime";
+import { buildDaypartsValue, parseDayparts } from "../utils/dayparts";
+import { getFieldMap, getShiftedDateFields } from "../utils/entries";
+import { buildOccurrenceWindows } from "../utils/recurrence";
+
+// Shared reads and writes for schedulable_entity metaobjects.
+
+export const loadEntryFieldMap = async (admin, id) => {
+  const response = await admin.graphql(
+    `#graphql
+    query GetSchedulableEntityFields($id: ID!) {
+      metaobject(id: $id) {
+        id
+        fields {
+          key
+          value
+        }
+      }
+    }
+  `,
+    { variables: { id } },
+  );
+  const responseJson = await response.json();
+  const fields = responseJson?.data?.metaobject?.fields ?? [];
+  return Object.fromEntries(fields.map((f) => [f.key, f.value]));
+};
+
+export const loadAllEntries = async (admin) => {
+  const entries = [];
+  let after = null;
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      query ListAllSchedulableEntities($first: Int!, $after: String) {
+        metaobjects(type: "schedulable_entity", first: $first, after: $after) {
+          nodes {
+            id
+            handle
+            fields {
+              key
+              value
+            }
+            capabilities {
+              publishable {
+                status
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+      { variables: { first: 250, after } },
+    );
+    const responseJson = await response.json();
+    if (responseJson?.errors) {
+      throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+    }
+    const connection = responseJson?.data?.metaobjects;
+    entries.push(...(connection?.nodes ?? []));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return entries;
+};
+
+// Returns an error message, or null when the update went through.
+export const updateEntryFields = async (admin, id, fields) => {
+  const response = await admin.graphql(
+    `#graphql
+    mutation UpdateSchedulableEntityFields($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+      metaobjectUpdate(id: $id, metaobject: $metaobject) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { variables: { id, metaobject: { fields } } },
+  );
+  const responseJson = await response.json();
+
+  if (responseJson?.errors) {
+    return responseJson.errors.map((e) => e.message).join(", ");
+  }
+  if (responseJson?.data?.metaobjectUpdate?.userErrors?.length > 0) {
+    return responseJson.data.metaobjectUpdate.userErrors.map((e) => e.message).join(", ");
+  }
+  return null;
+};
+
+// Entries with their fields (image and video references included) and status,
+// in the order of `ids`. Missing entries are skipped.
+export const loadEntriesByIds = async (admin, ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const response = await admin.graphql(
+    `#graphql
+    query GetSchedulableEntitiesByIds($ids: [ID!]!) {
+      nodes(ids: $ids) {
+        ... on Metaobject {
+          id
+          handle
+          fields {
+            key
+            value
+            reference {
+              ... on MediaImage {
+                id
+                image {
+                  url
+                }
+              }
+              ... on Video {
+                id
+                preview {
+                  image {
+                    url
+                  }
+                }
+              }
+            }
+          }
+          capabilities {
+            publishable {
+              status
+            }
+          }
+        }
+      }
+    }
+  `,
+    { variables: { ids } },
+  );
+  const responseJson = await response.json();
+  if (responseJson?.errors) {
+    throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+  }
+  return (responseJson?.data?.nodes ?? []).filter((node) => node?.id);
+};
+
+// The subset of `ids` that still exist as files, e.g. banners deleted from Files since.
+export const loadExistingFileIds = async (admin, ids) => {
+  const existing = new Set();
+  // nodes(ids:) accepts at most 250 ids
+  for (let index = 0; index < ids.length; index += 250) {
+    const response = await admin.graphql(
+      `#graphql
+      query GetExistingFiles($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on File {
+            id
+          }
+        }
+      }
+    `,
+      { variables: { ids: ids.slice(index, index + 250) } },
+    );
+    const responseJson = await response.json();
+    if (responseJson?.errors) {
+      throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+    }
+    for (const node of responseJson?.data?.nodes ?? []) {
+      if (node?.id) {
+        existing.add(node.id);
+      }
+    }
+  }
+  return existing;
+};
+
+// Creates a draft entry from a field map, skipping empty values. Returns { error }
+// or { entry } shaped like the entries list.
+export const createDraftEntry = async (admin, values, { handle = null } = {}) => {
+  const response = await admin.graphql(
+    `#graphql
+    mutation CreateDraftSchedulableEntity($metaobject: MetaobjectCreateInput!) {
+      metaobjectCreate(metaobject: $metaobject) {
+        metaobject {
+          id
+          handle
+          fields {
+            key
+            value
+            reference {
+              ... on MediaImage {
+                id
+                image {
+                  url
+                }
+              }
+            }
+          }
+          capabilities {
+            publishable {
+              status
+            }
+          }
+          updatedAt
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    {
+      variables: {
+        metaobject: {
+          type: "schedulable_entity",
+          ...(handle ? { handle } : {}),
+          fields: Object.entries(values)
+            .filter(([, value]) => value !== null && value !== undefined && value !== "")
+            .map(([key, value]) => ({ key, value })),
+          capabilities: { publishable: { status: "DRAFT" } },
+        },
+      },
+    },
+  );
+  const responseJson = await response.json();
+
+  if (responseJson?.errors) {
+    return { error: responseJson.errors.map((e) => e.message).join(", ") };
+  }
+  if (responseJson?.data?.metaobjectCreate?.userErrors?.length > 0) {
+    return { error: responseJson.data.metaobjectCreate.userErrors.map((e) => e.message).join(", ") };
+  }
+  const entry = responseJson?.data?.metaobjectCreate?.metaobject;
+  return entry?.id ? { error: null, entry } : { error: "The entry was not created" };
+};
+
+// Creates a draft copy of an entry, banners included, with " (copy)" after the
+// title and its dates optionally moved by `shift` ({ amount, unit }). The copy is
+// never the fallback, since its position already has one, and its occurrences are
+// built from now rather than copied. Returns { error } or { entry } shaped like
+// the entries list.
+export const duplicateEntry = async (admin, id, { shift = null, shopTimeZone = "UTC" } = {}) => {
+  const [source] = await loadEntriesByIds(admin, [id]);
+  if (!source) {
+    return { error: "Entry not found" };
+  }
+
+  const fieldMap = getFieldMap(source);
+  const timeZone = isValidTimeZone(fieldMap.timezone) ? fieldMap.timezone : shopTimeZone;
+  const values = {
+    ...fieldMap,
+    title: `${fieldMap.title || "(untitled)"} (copy)`,
+    is_fallback: "false",
+  };
+  // Stored DST offsets start from when they were built, so refresh them
+  const dayparts = parseDayparts(fieldMap.dayparts);
+  if (dayparts?.length) {
+    values.dayparts = buildDaypartsValue(dayparts, timeZone);
+  }
+  if (shift?.amount) {
+    const shifted = getShiftedDateFields(fieldMap, { ...shift, timeZone });
+    if (shifted.error) {
+      return { error: shifted.error };
+    }
+    for (const field of shifted.fields) {
+      values[field.key] = field.value;
+    }
+  }
+  // The scheduler sets the next start of the copy's position once it exists
+  delete values.next_start_at;
+  if (values.recurrence_rule) {
+    values.occurrences = JSON.stringify(
+      buildOccurrenceWindows({ startAt: values.start_at, endAt: values.end_at, rule: values.recurrence_rule, timeZone }),
+    );
+  }
+
+  return createDraftEntry(admin, values);
+};
@@ -0,0 +1,95 @@
+import prisma from "../db.server";
+import { getFieldMap } from "../utils/entries";
+import { mapWithConcurrency } from "../utils/concurrency";
+import { BULK_CONCURRENCY } from "./bulk-entries.server";
+import { loadAllEntries, updateEntryFields } from "./metaobjects.server";
+
+export const listPositions = async (shop) =>
+  prisma.position.findMany({ where: { shop }, orderBy: { positionId: "asc" } });
+
+export const isRegisteredPosition = async ({ shop, positionId }) =>
+  (await prisma.position.count({ where: { shop, positionId: String(positionId || "").trim() } })) > 0;
+
+// Error message for an entry position that isn't in the registry, or null.
+export const unknownPositionError = async ({ shop, positionId }) =>
+  (await isRegisteredPosition({ shop, positionId }))
+    ? null
+    : `Unknown position "${positionId}". Add it on the Positions page first.`;
+
+export const createPosition = async ({ shop, ...data }) => {
+  if (await isRegisteredPosition({ shop, positionId: data.positionId })) {
+    return { error: `Position "${data.positionId}" already exists` };
+  }
+  return { error: null, position: await prisma.position.create({ data: { shop, ...data } }) };
+};
+
+// Registers ids already used by entries, named after the id so they can be tidied up later.
+export const registerPositions = async ({ shop, positionIds }) => {
+  const existing = new Set((await listPositions(shop)).map((position) => position.positionId));
+  const added = [...new Set(positionIds)].filter((positionId) => positionId && !existing.has(positionId));
+  for (const positionId of added) {
+    await prisma.position.create({ data: { shop, positionId, name: positionId } });
+  }
+  return added;
+};
+
+export const updatePosition = async ({ shop, id, name, description, desktopWidth, desktopHeight, mobileWidth, mobileHeight }) =>
+  prisma.position.updateMany({
+    where: { shop, id },
+    data: { name, description, desktopWidth, desktopHeight, mobileWidth, mobileHeight },
+  });
+
+// Changes a position's id and moves every entry that uses it. The registry row is
+// only renamed once every entry has moved; otherwise the moved ones go back and
+// `failed` lists the rest, with `stranded` for any that couldn't be moved back.
+export const renamePosition = async ({ admin, shop, id, positionId }) => {
+  const position = await prisma.position.findFirst({ where: { shop, id } });
+  if (!position) {
+    return { error: "Position not found", failed: [], stranded: [] };
+  }
+  if (position.positionId === positionId) {
+    return { error: null, failed: [], stranded: [], moved: 0 };
+  }
+  if (await isRegisteredPosition({ shop, positionId })) {
+    return { error: `Position "${positionId}" already exists`, failed: [], stranded: [] };
+  }
+
+  const entries = await loadAllEntries(admin);
+  // Merging into ids entries already use could leave two fallbacks in one position
+  if (entries.some((entry) => String(getFieldMap(entry).position_id || "").trim() === positionId)) {
+    return { error: `Entries already use "${positionId}". Register it instead of renaming.`, failed: [], stranded: [] };
+  }
+
+  const describe = (entry) => ({ id: entry.id, title: getFieldMap(entry).title || entry.id });
+  const moveTo = (target) => async (entry) => ({
+    ...describe(entry),
+    error: await updateEntryFields(admin, entry.id, [{ key: "position_id", value: target }]),
+  });
+  const moving = entries.filter((entry) => String(getFieldMap(entry).position_id || "").trim() === position.positionId);
+  const results = await mapWithConcurrency(moving, BULK_CONCURRENCY, moveTo(positionId), { describe });
+  const failed = results.filter((result) => result.error);
+  if (failed.length > 0) {
+    const moved = moving.filter((entry) => !failed.some((result) => result.id === entry.id));
+    const rollback = await mapWithConcurrency(moved, BULK_CONCURRENCY, moveTo(position.positionId), { describe });
+    return { error: null, failed, stranded: rollback.filter((result) => result.error), moved: 0 };
+  }
+
+  await prisma.position.update({ where: { id }, data: { positionId } });
+  return { error: null, failed: [], stranded: [], moved: moving.length };
+};
+
+// Only unused positions can go, so no entry is left pointing at nothing.
+export const deletePosition = async ({ admin, shop, id }) => {
+  const position = await prisma.position.findFirst({ where: { shop, id } });
+  if (!position) {
+    return { error: "Position not found" };
+  }
+  const inUse = (await loadAllEntries(admin)).filter(
+    (entry) => String(getFieldMap(entry).position_id || "").trim() === position.positionId,
+  ).length;
+  if (inUse > 0) {
+    return { error: `${inUse} ${inUse === 1 ? "entry uses" : "entries use"} "${position.positionId}". Move them first.` };
+  }
+  await prisma.position.delete({ where: { id } });
+  return { error: null };
+};
@@ -0,0 +1,689 @@
+/* eslint-env node */
+
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import {
+  OCCURRENCE_HORIZON_DAYS,
+  buildOccurrenceWindows,
+  expandOccurrences,
+  parseRecurrenceRule,
+} from "../utils/recurrence";
+import { buildDaypartsValue, parseDayparts } from "../utils/dayparts";
+import { isValidTimeZone } from "../utils/datetime";
+import { findScheduleConflicts } from "../utils/conflicts";
+import { getCountdownTarget } from "../utils/countdown";
+import { findNextStarts, getContentType, getFieldMap, isFallbackEntry } from "../utils/entries";
+import { getShopTimeZone } from "../utils/shop.server";
+import { getBlockingIssues } from "../utils/validation";
+import { loadAllEntries, updateEntryFields } from "./metaobjects.server";
+import { purgeExpiredTrash } from "./trash.server";
+
+export const JOB_ACTIONS = {
+  ACTIVATE: "ACTIVATE",
+  DEACTIVATE: "DEACTIVATE",
+  REFRESH: "REFRESH",
+};
+
+export const JOB_STATUSES = {
+  PENDING: "PENDING",
+  RUNNING: "RUNNING",
+  SUCCEEDED: "SUCCEEDED",
+  FAILED: "FAILED",
+  CANCELLED: "CANCELLED",
+};
+
+const TARGET_STATUS = {
+  [JOB_ACTIONS.ACTIVATE]: "ACTIVE",
+  [JOB_ACTIONS.DEACTIVATE]: "DRAFT",
+};
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 25;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stored occurrences and daypart offsets cover OCCURRENCE_HORIZON_DAYS from when
+// they were built; they are rebuilt halfway through
+const REFRESH_AFTER_DAYS = OCCURRENCE_HORIZON_DAYS / 2;
+
+const shouldLogScheduler =
+  process.env.DEBUG_SCHEDULER === "true" || process.env.NODE_ENV !== "production";
+const schedulerLog = (...args) => {
+  if (shouldLogScheduler) {
+    console.log(...args);
+  }
+};
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Publication window for an entry. Recurring entries stay published for the
+// whole series; open-ended series have no end.
+const getPublicationWindow = (fieldMap) => {
+  const start = toDate(fieldMap?.start_at);
+  const end = toDate(fieldMap?.end_at);
+  if (!start || !end || end <= start) {
+    return null;
+  }
+
+  if (!fieldMap.recurrence_rule) {
+    return { start, end };
+  }
+
+  const parsed = parseRecurrenceRule(fieldMap.recurrence_rule, fieldMap.timezone);
+  if (!parsed || (!parsed.count && !parsed.until)) {
+    return { start, end: null };
+  }
+  const occurrences = expandOccurrences({
+    startAt: fieldMap.start_at,
+    endAt: fieldMap.end_at,
+    rule: parsed,
+    timeZone: fieldMap.timezone,
+    limit: Number.POSITIVE_INFINITY,
+  });
+  const last = occurrences[occurrences.length - 1];
+  return { start, end: last ? last.end.toJSDate() : end };
+};
+
+// Decides the status an entry should have right now and which jobs will move it
+// later. An ACTIVE request before the start is stored as DRAFT until it is due.
+export const planPublication = ({ requestedStatus, fieldMap, now = new Date() }) => {
+  // Fallbacks are not time-bound, so they stay published until switched off
+  const window = isFallbackEntry(fieldMap) ? null : getPublicationWindow(fieldMap);
+  if (requestedStatus !== "ACTIVE" || !window) {
+    return { status: requestedStatus, jobs: [] };
+  }
+
+  if (window.end && window.end <= now) {
+    return { status: "DRAFT", jobs: [] };
+  }
+
+  const jobs = [];
+  if (window.start > now) {
+    jobs.push({ action: JOB_ACTIONS.ACTIVATE, runAt: window.start });
+  }
+  if (window.end) {
+    jobs.push({ action: JOB_ACTIONS.DEACTIVATE, runAt: window.end });
+  }
+
+  return { status: window.start > now ? "DRAFT" : "ACTIVE", jobs };
+};
+
+const parseStoredJson = (value) => {
+  try {
+    return JSON.parse(value || "null");
+  } catch (error) {
+    return null;
+  }
+};
+
+// When the stored occurrences or daypart offsets of an entry need rebuilding, or
+// null when they cover everything it will need. Overdue refreshes are due now.
+export const planWindowRefresh = (fieldMap, now = new Date()) => {
+  const dueDates = [];
+
+  if (fieldMap?.recurrence_rule) {
+    const stored = parseStoredJson(fieldMap.occurrences);
+    const windows = Array.isArray(stored) ? stored : [];
+    const last = windows[windows.length - 1];
+    const lastEnd = last ? new Date(Number(last.end) * 1000) : now;
+    // Finite series whose last window is already stored never need one
+    const [nextWindow] = expandOccurrences({
+      startAt: fieldMap.start_at,
+      endAt: fieldMap.end_at,
+      rule: fieldMap.recurrence_rule,
+      timeZone: fieldMap.timezone,
+      from: lastEnd > now ? lastEnd : now,
+      limit: 1,
+    });
+    if (nextWindow) {
+      dueDates.push(last ? new Date(Number(last.start) * 1000 - REFRESH_AFTER_DAYS * DAY_MS) : now);
+    }
+  }
+
+  const dayparts = parseStoredJson(fieldMap?.dayparts);
+  if (dayparts?.ranges?.length > 0 && dayparts.offsets?.length > 0) {
+    // The offsets start a day before they were built
+    dueDates.push(new Date(Number(dayparts.offsets[0].from) * 1000 + (REFRESH_AFTER_DAYS + 1) * DAY_MS));
+  }
+
+  const valid = dueDates.filter((date) => !Number.isNaN(date.getTime()));
+  if (valid.length === 0) {
+    return null;
+  }
+  const due = new Date(Math.min(...valid.map((date) => date.getTime())));
+  return due > now ? due : now;
+};
+
+const buildIdempotencyKey = (shop, entryId, action, runAt) =>
+  `${shop}:${entryId}:${action}:${runAt.toISOString()}`;
+
+// Replaces the pending jobs of an entry. Jobs are keyed by entry, action and
+// time, so re-planning an unchanged entry never queues a duplicate.
+export const scheduleEntryJobs = async ({ shop, entryId, entryTitle, jobs }) => {
+  const keys = jobs.map((job) => buildIdempotencyKey(shop, entryId, job.action, job.runAt));
+
+  await prisma.scheduledJob.updateMany({
+    where: {
+      shop,
+      entryId,
+      status: JOB_STATUSES.PENDING,
+      idempotencyKey: { notIn: keys },
+    },
+    data: { status: JOB_STATUSES.CANCELLED, completedAt: new Date(), result: "Replaced by a newer schedule" },
+  });
+
+  for (const [index, job] of jobs.entries()) {
+    const idempotencyKey = keys[index];
+    const existing = await prisma.scheduledJob.findUnique({ where: { idempotencyKey } });
+    if (!existing) {
+      await prisma.scheduledJob.create({
+        data: {
+          shop,
+          entryId,
+          entryTitle: entryTitle || null,
+          action: job.action,
+          runAt: job.runAt,
+          nextAttemptAt: job.runAt,
+          idempotencyKey,
+        },
+      });
+    } else if (existing.status === JOB_STATUSES.CANCELLED) {
+      await prisma.scheduledJob.update({
+        where: { id: existing.id },
+        data: {
+          status: JOB_STATUSES.PENDING,
+          entryTitle: entryTitle || existing.entryTitle,
+          nextAttemptAt: job.runAt,
+          attempts: 0,
+          lastError: null,
+          result: null,
+          completedAt: null,
+        },
+      });
+    } else if (entryTitle && existing.entryTitle !== entryTitle) {
+      await prisma.scheduledJob.update({ where: { id: existing.id }, data: { entryTitle } });
+    }
+  }
+};
+
+export const cancelEntryJobs = async ({ shop, entryId, reason }) =>
+  prisma.scheduledJob.updateMany({
+    where: { shop, entryId, status: JOB_STATUSES.PENDING },
+    data: { status: JOB_STATUSES.CANCELLED, completedAt: new Date(), result: reason || "Cancelled" },
+  });
+
+export const getPendingJobsByEntry = async (shop) => {
+  const jobs = await prisma.scheduledJob.findMany({
+    where: { shop, status: { in: [JOB_STATUSES.PENDING, JOB_STATUSES.RUNNING] } },
+    orderBy: { runAt: "asc" },
+    select: { entryId: true, action: true, runAt: true },
+  });
+  const byEntry = {};
+  for (const job of jobs) {
+    (byEntry[job.entryId] ||= []).push({ action: job.action, runAt: job.runAt.toISOString() });
+  }
+  return byEntry;
+};
+
+export const hasPendingActivation = async ({ shop, entryId }) =>
+  (await prisma.scheduledJob.count({
+    where: { shop, entryId, action: JOB_ACTIONS.ACTIVATE, status: JOB_STATUSES.PENDING },
+  })) > 0;
+
+// The checks the entry form runs before switching an entry on: fatal issues and
+// overlaps with switched on entries of the same position. `candidates` is
+// [{ id, fieldMap }] with the fields the entries will have; id is null for an
+// entry that doesn't exist yet. Returns only the candidates with a problem.
+export const findActivationBlockers = async ({ admin, shop, candidates }) => {
+  if (candidates.length === 0) {
+    return [];
+  }
+  const [entries, pendingJobs] = await Promise.all([loadAllEntries(admin), getPendingJobsByEntry(shop)]);
+  return candidates
+    .map((candidate) => ({
+      id: candidate.id,
+      title: candidate.fieldMap.title || "(untitled)",
+      issues: getBlockingIssues(candidate.fieldMap),
+      conflicts: findScheduleConflicts({ candidate, entries, pendingJobs }),
+    }))
+    .filter((blocker) => blocker.issues.length > 0 || blocker.conflicts.length > 0);
+};
+
+export const describeActivationBlocker = (blocker) =>
+  [
+    ...blocker.issues.map((issue) => issue.message),
+    ...blocker.conflicts.map((conflict) => `Overlaps "${conflict.title}"`),
+  ].join(", ");
+
+export const listJobHistory = async (shop, { take = 100 } = {}) =>
+  prisma.scheduledJob.findMany({
+    where: { shop },
+    orderBy: [{ runAt: "desc" }, { createdAt: "desc" }],
+    take,
+  });
+
+export const retryJob = async ({ shop, id }) =>
+  prisma.scheduledJob.updateMany({
+    where: { id, shop, status: { in: [JOB_STATUSES.FAILED, JOB_STATUSES.CANCELLED] } },
+    data: {
+      status: JOB_STATUSES.PENDING,
+      nextAttemptAt: new Date(),
+      attempts: 0,
+      lastError: null,
+      result: null,
+      completedAt: null,
+    },
+  });
+
+export const cancelJob = async ({ shop, id }) =>
+  prisma.scheduledJob.updateMany({
+    where: { id, shop, status: JOB_STATUSES.PENDING },
+    data: { status: JOB_STATUSES.CANCELLED, completedAt: new Date(), result: "Cancelled from the admin" },
+  });
+
+// Returns the entry's publishable status, or null when it no longer exists.
+const fetchEntryStatus = async (admin, id) => {
+  const response = await admin.graphql(
+    `#graphql
+    query GetSchedulableEntityStatus($id: ID!) {
+      metaobject(id: $id) {
+        id
+        capabilities {
+          publishable {
+            status
+          }
+        }
+      }
+    }
+  `,
+    { variables: { id } },
+  );
+  const responseJson = await response.json();
+  if (responseJson?.errors) {
+    throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+  }
+  const metaobject = responseJson?.data?.metaobject;
+  return metaobject ? metaobject.capabilities?.publishable?.status || "DRAFT" : null;
+};
+
+// Returns an error message, or null when the status was set.
+export const setEntryStatus = async (admin, id, status) => {
+  const response = await admin.graphql(
+    `#graphql
+    mutation SetSchedulableEntityStatus($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+      metaobjectUpdate(id: $id, metaobject: $metaobject) {
+        metaobject {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
+  `,
+    { variables: { id, metaobject: { capabilities: { publishable: { status } } } } },
+  );
+  const responseJson = await response.json();
+
+  if (responseJson?.errors) {
+    return responseJson.errors.map((e) => e.message).join(", ");
+  }
+  if (responseJson?.data?.metaobjectUpdate?.userErrors?.length > 0) {
+    return responseJson.data.metaobjectUpdate.userErrors.map((e) => e.message).join(", ");
+  }
+  return null;
+};
+
+const fetchEntry = async (admin, id) => {
+  const response = await admin.graphql(
+    `#graphql
+    query GetSchedulableEntityForScheduling($id: ID!) {
+      metaobject(id: $id) {
+        id
+        fields {
+          key
+          value
+        }
+        capabilities {
+          publishable {
+            status
+          }
+        }
+      }
+    }
+  `,
+    { variables: { id } },
+  );
+  const responseJson = await response.json();
+  if (responseJson?.errors) {
+    throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+  }
+  return responseJson?.data?.metaobject ?? null;
+};
+
+const writeNextStarts = async ({ admin, shop, now }) => {
+  const [entries, pendingJobs] = await Promise.all([loadAllEntries(admin), getPendingJobsByEntry(shop)]);
+  const nextStarts = findNextStarts({ entries, pendingJobs, now });
+  const errors = [];
+  for (const entry of entries) {
+    const fieldMap = getFieldMap(entry);
+    if (getContentType(fieldMap) !== "banner" || getCountdownTarget(fieldMap) !== "next_start") {
+      continue;
+    }
+    const nextStart = nextStarts[String(fieldMap.position_id || "").trim()] || null;
+    const stored = fieldMap.next_start_at ? new Date(fieldMap.next_start_at) : null;
+    if (stored?.getTime() === nextStart?.getTime()) {
+      continue;
+    }
+    const error = await updateEntryFields(admin, entry.id, [
+      { key: "next_start_at", value: nextStart ? nextStart.toISOString() : "" },
+    ]);
+    if (error) {
+      errors.push(`${fieldMap.title || entry.id}: ${error}`);
+    }
+  }
+  return errors;
+};
+
+// Copies each position's next start onto its banner entries that count down to
+// it, since Liquid only sees published entries and an upcoming entry stays a
+// draft until its publish job runs. Called whenever jobs are planned or run, as
+// they decide which drafts will switch on. Errors are logged, not returned: a
+// stale teaser shouldn't fail the change that caused it.
+export const syncNextStarts = async ({ admin, shop, now = new Date() }) => {
+  try {
+    const errors = await writeNextStarts({ admin, shop, now });
+    if (errors.length > 0) {
+      console.error("[scheduler] Error updating next starts:", errors.join(", "));
+    }
+  } catch (error) {
+    console.error("[scheduler] Error updating next starts:", error);
+  }
+};
+
+// Brings an entry's status and pending jobs in line with its dates. Without a
+// requested status the entry keeps its intent: it counts as ACTIVE when it is
+// live now or waiting for a scheduled activation. Callers that sync many entries
+// pass `updateNextStarts: false` and call syncNextStarts once at the end.
+export const syncEntrySchedule = async ({
+  admin,
+  shop,
+  entryId,
+  requestedStatus,
+  updateNextStarts = true,
+  now = new Date(),
+}) => {
+  const entry = await fetchEntry(admin, entryId);
+  if (!entry) {
+    await cancelEntryJobs({ shop, entryId, reason: "Entry no longer exists" });
+    return { error: "Entry not found" };
+  }
+
+  const fieldMap = Object.fromEntries((entry.fields || []).map((f) => [f.key, f.value]));
+  const currentStatus = entry.capabilities?.publishable?.status || "DRAFT";
+  const intendedStatus =
+    requestedStatus ||
+    (currentStatus === "ACTIVE" || (await hasPendingActivation({ shop, entryId })) ? "ACTIVE" : "DRAFT");
+
+  const plan = planPublication({ requestedStatus: intendedStatus, fieldMap, now });
+  if (plan.status !== currentStatus) {
+    const error = await setEntryStatus(admin, entryId, plan.status);
+    if (error) {
+      return { error };
+    }
+  }
+
+  const refreshAt = planWindowRefresh(fieldMap, now);
+  await scheduleEntryJobs({
+    shop,
+    entryId,
+    entryTitle: fieldMap.title,
+    jobs: refreshAt ? [...plan.jobs, { action: JOB_ACTIONS.REFRESH, runAt: refreshAt }] : plan.jobs,
+  });
+  if (updateNextStarts) {
+    await syncNextStarts({ admin, shop, now });
+  }
+  return { error: null, status: plan.status, jobs: plan.jobs };
+};
+
+// Rebuilds the stored occurrences and daypart offsets of an entry from now, then
+// re-plans it, which queues the next refresh. Returns { error }, { missing } when
+// the entry is gone, or { result }.
+export const refreshEntryWindows = async ({ admin, shop, entryId, now = new Date() }) => {
+  const entry = await fetchEntry(admin, entryId);
+  if (!entry) {
+    return { error: null, missing: true };
+  }
+
+  const fieldMap = Object.fromEntries((entry.fields || []).map((f) => [f.key, f.value]));
+  const timeZone = isValidTimeZone(fieldMap.timezone) ? fieldMap.timezone : await getShopTimeZone(admin);
+  const fields = [];
+  if (fieldMap.recurrence_rule) {
+    fields.push({
+      key: "occurrences",
+      value: JSON.stringify(
+        buildOccurrenceWindows({
+          startAt: fieldMap.start_at,
+          endAt: fieldMap.end_at,
+          rule: fieldMap.recurrence_rule,
+          timeZone,
+          now,
+        }),
+      ),
+    });
+  }
+  const dayparts = parseDayparts(fieldMap.dayparts);
+  if (dayparts?.length) {
+    fields.push({ key: "dayparts", value: buildDaypartsValue(dayparts, timeZone, now) });
+  }
+
+  if (fields.length > 0) {
+    const error = await updateEntryFields(admin, entryId, fields);
+    if (error) {
+      return { error };
+    }
+  }
+  const schedule = await syncEntrySchedule({ admin, shop, entryId, now });
+  if (schedule.error) {
+    return { error: schedule.error };
+  }
+  const refreshed = fields.map((f) => f.key).join(" and ");
+  return { error: null, result: refreshed ? `Refreshed ${refreshed}` : "Nothing to refresh" };
+};
+
+// Re-plans every entry of a shop, e.g. for entries created before the scheduler
+// existed. Returns the number of entries synced and any per-entry errors.
+export const syncShopSchedules = async ({ admin, shop }) => {
+  const entryIds = [];
+  let after = null;
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      query ListSchedulableEntityIds($first: Int!, $after: String) {
+        metaobjects(type: "schedulable_entity", first: $first, after: $after) {
+          nodes {
+            id
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    `,
+      { variables: { first: 250, after } },
+    );
+    const responseJson = await response.json();
+    if (responseJson?.errors) {
+      throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+    }
+    const connection = responseJson?.data?.metaobjects;
+    entryIds.push(...(connection?.nodes ?? []).map((node) => node.id));
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  const errors = [];
+  for (const entryId of entryIds) {
+    try {
+      const { error } = await syncEntrySchedule({ admin, shop, entryId, updateNextStarts: false });
+      if (error) {
+        errors.push(error);
+      }
+    } catch (error) {
+      errors.push(error?.message || String(error));
+    }
+  }
+  await syncNextStarts({ admin, shop });
+  return { synced: entryIds.length - errors.length, errors };
+};
+
+const getRetryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+const runJob = async (job) => {
+  const targetStatus = TARGET_STATUS[job.action];
+  const { admin } = await unauthenticated.admin(job.shop);
+
+  if (job.action === JOB_ACTIONS.REFRESH) {
+    const { error, missing, result } = await refreshEntryWindows({ admin, shop: job.shop, entryId: job.entryId });
+    if (error) {
+      throw new Error(error);
+    }
+    return missing
+      ? { status: JOB_STATUSES.CANCELLED, result: "Entry no longer exists" }
+      : { status: JOB_STATUSES.SUCCEEDED, result };
+  }
+
+  const currentStatus = await fetchEntryStatus(admin, job.entryId);
+  if (currentStatus === null) {
+    return { status: JOB_STATUSES.CANCELLED, result: "Entry no longer exists" };
+  }
+  if (currentStatus === targetStatus) {
+    return { status: JOB_STATUSES.SUCCEEDED, result: `Already ${targetStatus}` };
+  }
+
+  const error = await setEntryStatus(admin, job.entryId, targetStatus);
+  if (error) {
+    throw new Error(error);
+  }
+  // A started entry is no longer the next start of its position
+  await syncNextStarts({ admin, shop: job.shop });
+  return { status: JOB_STATUSES.SUCCEEDED, result: `Set to ${targetStatus}` };
+};
+
+// Executes every due job once. Jobs are claimed with a conditional update so two
+// workers sharing a database never run the same job.
+export const runDueJobs = async (now = new Date()) => {
+  const dueJobs = await prisma.scheduledJob.findMany({
+    where: { status: JOB_STATUSES.PENDING, nextAttemptAt: { lte: now } },
+    orderBy: { runAt: "asc" },
+    take: BATCH_SIZE,
+  });
+
+  let processed = 0;
+  for (const job of dueJobs) {
+    const claim = await prisma.scheduledJob.updateMany({
+      where: { id: job.id, status: JOB_STATUSES.PENDING },
+      data: { status: JOB_STATUSES.RUNNING, attempts: { increment: 1 } },
+    });
+    if (claim.count === 0) {
+      continue;
+    }
+
+    const attempts = job.attempts + 1;
+    try {
+      const outcome = await runJob(job);
+      await prisma.scheduledJob.update({
+        where: { id: job.id },
+        data: { ...outcome, lastError: null, completedAt: new Date() },
+      });
+      schedulerLog(`[scheduler] ${job.action} ${job.entryId} on ${job.shop}: ${outcome.result}`);
+    } catch (error) {
+      const message = error?.message || String(error);
+      const exhausted = attempts >= job.maxAttempts;
+      console.error(
+        `[scheduler] ${job.action} ${job.entryId} on ${job.shop} failed (attempt ${attempts}/${job.maxAttempts}):`,
+        message,
+      );
+      await prisma.scheduledJob.update({
+        where: { id: job.id },
+        data: exhausted
+          ? { status: JOB_STATUSES.FAILED, lastError: message, completedAt: new Date() }
+          : {
+              status: JOB_STATUSES.PENDING,
+              lastError: message,
+              nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts)),
+            },
+      });
+    }
+    processed += 1;
+  }
+  return processed;
+};
+
+// Starts the polling loop once per process. Jobs live in the database, so after a
+// restart the loop simply picks up where it left off; jobs interrupted mid-run
+// are put back in the queue first.
+export const startScheduler = () => {
+  if (global.schedulerGlobal) {
+    return global.schedulerGlobal;
+  }
+
+  const parsedInterval = Number(process.env.SCHEDULER_POLL_INTERVAL_MS);
+  const intervalMs = parsedInterval > 0 ? parsedInterval : DEFAULT_POLL_INTERVAL_MS;
+  let ticking = false;
+  let lastTrashPurge = 0;
+
+  const tick = async () => {
+    if (ticking) {
+      return;
+    }
+    ticking = true;
+    try {
+      await runDueJobs();
+    } catch (error) {
+      console.error("[scheduler] Error running due jobs:", error);
+    }
+    // Deleted entries past the retention period go for good
+    if (Date.now() - lastTrashPurge >= TRASH_PURGE_INTERVAL_MS) {
+      lastTrashPurge = Date.now();
+      try {
+        const purged = await purgeExpiredTrash();
+        if (purged > 0) {
+          schedulerLog(`[scheduler] Purged ${purged} trashed entries`);
+        }
+      } catch (error) {
+        console.error("[scheduler] Error purging trash:", error);
+      }
+    }
+    ticking = false;
+  };
+
+  const rehydrate = async () => {
+    try {
+      const { count } = await prisma.scheduledJob.updateMany({
+        where: { status: JOB_STATUSES.RUNNING },
+        data: { status: JOB_STATUSES.PENDING },
+      });
+      if (count > 0) {
+        schedulerLog(`[scheduler] Re-queued ${count} interrupted jobs`);
+      }
+    } catch (error) {
+      console.error("[scheduler] Error re-queuing interrupted jobs:", error);
+    }
+    await tick();
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  rehydrate();
+
+  schedulerLog(`[scheduler] Started, polling every ${intervalMs}ms`);
+  global.schedulerGlobal = { timer, tick };
+  return global.schedulerGlobal;
+};
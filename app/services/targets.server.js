@@ -0,0 +1,52 @@
+// Pages and blog articles for the target link picker. The App Bridge resource
+// picker only covers products and collections.
+
+const SEARCH_LIMIT = 25;
+
+const SEARCH_QUERIES = {
+  page: `#graphql
+    query SearchTargetPages($first: Int!, $query: String) {
+      pages(first: $first, query: $query, sortKey: TITLE) {
+        nodes {
+          id
+          title
+          handle
+        }
+      }
+    }
+  `,
+  article: `#graphql
+    query SearchTargetArticles($first: Int!, $query: String) {
+      articles(first: $first, query: $query, sortKey: TITLE) {
+        nodes {
+          id
+          title
+          handle
+          blog {
+            title
+          }
+        }
+      }
+    }
+  `,
+};
+
+export const TARGET_SEARCH_TYPES = Object.keys(SEARCH_QUERIES);
+
+// Resources whose title contains `query`, as { id, title, subtitle }.
+export const searchTargetResources = async (admin, { type, query }) => {
+  const term = String(query || "").trim().replace(/["\\]/g, "");
+  const response = await admin.graphql(SEARCH_QUERIES[type], {
+    variables: { first: SEARCH_LIMIT, query: term ? `title:*${term}*` : null },
+  });
+  const responseJson = await response.json();
+  if (responseJson?.errors) {
+    throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+  }
+  const nodes = responseJson?.data?.[type === "page" ? "pages" : "articles"]?.nodes ?? [];
+  return nodes.map((node) => ({
+    id: node.id,
+    title: node.title,
+    subtitle: node.blog ? `${node.blog.title} / ${node.handle}` : node.handle,
+  }));
+};
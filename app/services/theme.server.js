@@ -0,0 +1,127 @@
+// Reads the settings of Scheduled Banner blocks placed in the live theme, so the
+// admin preview can use the merchant's fonts, colours and layout, and which
+// Announcement bar and Popup app embeds are switched on.
+
+const BANNER_BLOCK_TYPE = /\/blocks\/scheduled-banner\//;
+const THEME_SETTINGS_FILE = "config/settings_data.json";
+
+// App embed block and default position id per content type
+const APP_EMBEDS = {
+  announcement: { type: /\/blocks\/announcement-bar\//, defaultPositionId: "announcement_bar" },
+  popup: { type: /\/blocks\/popup\//, defaultPositionId: "popup" },
+};
+
+// Theme JSON files may open with a /* ... */ comment, which JSON.parse rejects
+const parseThemeJson = (content) => {
+  try {
+    return JSON.parse(String(content || "").replace(/^\s*\/\*[\s\S]*?\*\//, ""));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Block settings by position id from parsed template and section group files.
+// The first enabled block found for a position wins.
+export const collectBannerBlockSettings = (files) => {
+  const positions = {};
+  for (const file of files) {
+    for (const section of Object.values(file?.sections || {})) {
+      for (const block of Object.values(section?.blocks || {})) {
+        if (!BANNER_BLOCK_TYPE.test(block?.type || "") || block.disabled) {
+          continue;
+        }
+        const settings = block.settings || {};
+        const positionId = String(settings.position_id ?? "homepage_banner").trim();
+        if (!(positionId in positions)) {
+          positions[positionId] = settings;
+        }
+      }
+    }
+  }
+  return positions;
+};
+
+// Embed settings by content type, then position id, from parsed
+// settings_data.json. App embeds live in its `current.blocks`; switched off ones
+// are kept there as disabled.
+export const collectAppEmbedSettings = (settingsData) => {
+  const embeds = Object.fromEntries(Object.keys(APP_EMBEDS).map((contentType) => [contentType, {}]));
+  const current = typeof settingsData?.current === "object" ? settingsData.current : null;
+  for (const block of Object.values(current?.blocks || {})) {
+    const contentType = Object.keys(APP_EMBEDS).find((key) => APP_EMBEDS[key].type.test(block?.type || ""));
+    if (!contentType || block.disabled) {
+      continue;
+    }
+    const settings = block.settings || {};
+    const positionId = String(settings.position_id ?? APP_EMBEDS[contentType].defaultPositionId).trim();
+    if (!(positionId in embeds[contentType])) {
+      embeds[contentType][positionId] = settings;
+    }
+  }
+  return embeds;
+};
+
+// Returns { themeName, positions, embedPositions }, or null when the theme can't be read
+// (e.g. the read_themes scope hasn't been granted yet).
+export const loadPlacedBannerSettings = async (admin) => {
+  try {
+    const files = [];
+    let settingsData = null;
+    let themeName = "";
+    let after = null;
+    do {
+      const response = await admin.graphql(
+        `#graphql
+        query GetMainThemeJsonFiles($after: String) {
+          themes(first: 1, roles: [MAIN]) {
+            nodes {
+              name
+              files(filenames: ["templates/*.json", "sections/*.json", "config/settings_data.json"], first: 50, after: $after) {
+                nodes {
+                  filename
+                  body {
+                    ... on OnlineStoreThemeFileBodyText {
+                      content
+                    }
+                  }
+                }
+                pageInfo {
+                  hasNextPage
+                  endCursor
+                }
+              }
+            }
+          }
+        }
+      `,
+        { variables: { after } },
+      );
+      const responseJson = await response.json();
+      if (responseJson?.errors) {
+        throw new Error(responseJson.errors.map((e) => e.message).join(", "));
+      }
+      const theme = responseJson?.data?.themes?.nodes?.[0];
+      if (!theme) {
+        return null;
+      }
+      themeName = theme.name;
+      for (const file of theme.files?.nodes ?? []) {
+        if (file.filename === THEME_SETTINGS_FILE) {
+          settingsData = parseThemeJson(file.body?.content);
+        } else {
+          files.push(parseThemeJson(file.body?.content));
+        }
+      }
+      after = theme.files?.pageInfo?.hasNextPage ? theme.files.pageInfo.endCursor : null;
+    } while (after);
+
+    return {
+      themeName,
+      positions: collectBannerBlockSettings(files),
+      embedPositions: collectAppEmbedSettings(settingsData),
+    };
+  } catch (error) {
+    console.error("Error loading theme block settings:", error);
+    return null;
+  }
+};
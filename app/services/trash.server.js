@@ -0,0 +1,33 @@
+import prisma from "../db.server";
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a deleted entry stays restorable, from TRASH_RETENTION_DAYS
+export const getTrashRetentionDays = () => {
+  const parsed = Number.parseInt(process.env.TRASH_RETENTION_DAYS ?? "", 10);
+  return parsed > 0 ? parsed : DEFAULT_RETENTION_DAYS;
+};
+
+export const getTrashPurgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + getTrashRetentionDays() * DAY_MS);
+
+export const listTrash = async (shop) =>
+  prisma.trashedEntry.findMany({ where: { shop }, orderBy: { deletedAt: "desc" } });
+
+export const getTrashedEntry = async ({ shop, id }) => prisma.trashedEntry.findFirst({ where: { shop, id } });
+
+export const saveTrashedEntry = async (data) => prisma.trashedEntry.create({ data });
+
+export const deleteTrashedEntry = async ({ shop, id }) => prisma.trashedEntry.deleteMany({ where: { shop, id } });
+
+export const emptyTrash = async (shop) => prisma.trashedEntry.deleteMany({ where: { shop } });
+
+// Drops trash older than the retention period, for one shop or all of them.
+export const purgeExpiredTrash = async ({ shop, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - getTrashRetentionDays() * DAY_MS);
+  const { count } = await prisma.trashedEntry.deleteMany({
+    where: { ...(shop ? { shop } : {}), deletedAt: { lt: cutoff } },
+  });
+  return count;
+};
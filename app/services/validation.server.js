@@ -0,0 +1,47 @@
+import { ENTRY_FILE_FIELDS, getFieldMap } from "../utils/entries";
+import { validateEntry } from "../utils/validation";
+import { listPositions } from "./positions.server";
+import { loadExistingFileIds } from "./metaobjects.server";
+import { loadPlacedBannerSettings } from "./theme.server";
+
+// Everything validateEntry checks against, as plain lists so the loader can hand
+// it to the forms. `theme` is the result of loadPlacedBannerSettings when the
+// caller already has it, and `nextStarts` the result of findNextStarts over every
+// entry of the shop.
+export const loadValidationContext = async ({ admin, shop, entries, theme, nextStarts = null }) => {
+  const fileIds = [
+    ...new Set(
+      entries.flatMap((entry) => {
+        const fieldMap = getFieldMap(entry);
+        return Object.keys(ENTRY_FILE_FIELDS)
+          .map((key) => fieldMap[key])
+          .filter(Boolean);
+      }),
+    ),
+  ];
+  const [positions, placed, existingFileIds] = await Promise.all([
+    listPositions(shop),
+    theme === undefined ? loadPlacedBannerSettings(admin) : theme,
+    loadExistingFileIds(admin, fileIds),
+  ]);
+  return {
+    registeredPositionIds: positions.map((position) => position.positionId),
+    // null when the theme can't be read, so the check is skipped
+    placedPositionIds: placed ? Object.keys(placed.positions) : null,
+    placedEmbedPositionIds: placed
+      ? Object.fromEntries(
+          Object.entries(placed.embedPositions).map(([contentType, positions]) => [contentType, Object.keys(positions)]),
+        )
+      : null,
+    missingFileIds: fileIds.filter((id) => !existingFileIds.has(id)),
+    nextStartPositionIds: nextStarts ? Object.keys(nextStarts) : null,
+  };
+};
+
+// Issues per entry id, leaving out entries without any.
+export const validateEntries = (entries, context) =>
+  Object.fromEntries(
+    entries
+      .map((entry) => [entry.id, validateEntry(getFieldMap(entry), context)])
+      .filter(([, issues]) => issues.length > 0),
+  );
@@ -6,6 +6,7 @@ import {
 } from "@shopify/shopify-app-react-router/server";
 import { PrismaSessionStorage } from "@shopify/shopify-app-session-storage-prisma";
 import prisma from "./db.server";
+import { DEFAULT_ENTRY_PRIORITY } from "./utils/entries";
 
 const isDevEnvironment = process.env.NODE_ENV !== "production";
 const shouldDebugAfterAuth =
@@ -24,6 +25,280 @@ const afterAuthError = (...args) => {
   console.error(...args);
 };
 
+// Field definitions for the schedulable_entity metaobject. Fields added after the
+// first release are created on existing definitions by the afterAuth hook, so
+// they must stay optional.
+const schedulableEntityFieldDefinitions = [
+  {
+    name: "Title",
+    key: "title",
+    type: "single_line_text_field",
+    required: true,
+  },
+  {
+    name: "Position ID",
+    key: "position_id",
+    type: "single_line_text_field",
+    required: true,
+  },
+  {
+    name: "Start At",
+    key: "start_at",
+    type: "date_time",
+    required: false,
+  },
+  {
+    name: "End At",
+    key: "end_at",
+    type: "date_time",
+    required: false,
+  },
+  {
+    name: "Description",
+    key: "description",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Desktop Banner",
+    key: "desktop_banner",
+    type: "file_reference",
+    required: false,
+  },
+  {
+    name: "Mobile Banner",
+    key: "mobile_banner",
+    type: "file_reference",
+    required: false,
+  },
+  {
+    name: "Target URL",
+    key: "target_url",
+    type: "url",
+    required: false,
+  },
+  {
+    name: "Headline",
+    key: "headline",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Button Text",
+    key: "button_text",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Recurrence Rule",
+    key: "recurrence_rule",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Timezone",
+    key: "timezone",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Occurrences",
+    key: "occurrences",
+    type: "json",
+    required: false,
+  },
+  {
+    name: "Priority",
+    key: "priority",
+    type: "number_integer",
+    required: false,
+  },
+  {
+    name: "Fallback",
+    key: "is_fallback",
+    type: "boolean",
+    required: false,
+  },
+  {
+    name: "Dayparts",
+    key: "dayparts",
+    type: "json",
+    required: false,
+  },
+  // Linked resource, used instead of target_url when set
+  {
+    name: "Target Product",
+    key: "target_product",
+    type: "product_reference",
+    required: false,
+  },
+  {
+    name: "Target Collection",
+    key: "target_collection",
+    type: "collection_reference",
+    required: false,
+  },
+  {
+    name: "Target Page",
+    key: "target_page",
+    type: "page_reference",
+    required: false,
+  },
+  {
+    name: "Target Article",
+    key: "target_article",
+    type: "article_reference",
+    required: false,
+  },
+  // "announcement" and "popup" entries render in their app embeds; blank means banner
+  {
+    name: "Content Type",
+    key: "content_type",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Background Color",
+    key: "background_color",
+    type: "color",
+    required: false,
+  },
+  {
+    name: "Text Color",
+    key: "text_color",
+    type: "color",
+    required: false,
+  },
+  {
+    name: "Icon",
+    key: "icon",
+    type: "single_line_text_field",
+    required: false,
+  },
+  // When a popup opens and how often a visitor sees it (app/utils/popups.js)
+  {
+    name: "Popup Trigger",
+    key: "popup_trigger",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Popup Trigger Value",
+    key: "popup_trigger_value",
+    type: "number_integer",
+    required: false,
+  },
+  {
+    name: "Popup Frequency",
+    key: "popup_frequency",
+    type: "single_line_text_field",
+    required: false,
+  },
+  {
+    name: "Popup Frequency Days",
+    key: "popup_frequency_days",
+    type: "number_integer",
+    required: false,
+  },
+  // Hero videos; the banner images become their posters
+  {
+    name: "Desktop Video",
+    key: "desktop_video",
+    type: "file_reference",
+    required: false,
+    validations: [{ name: "file_type_options", value: JSON.stringify(["Video"]) }],
+  },
+  {
+    name: "Mobile Video",
+    key: "mobile_video",
+    type: "file_reference",
+    required: false,
+    validations: [{ name: "file_type_options", value: JSON.stringify(["Video"]) }],
+  },
+  // What a banner's timer counts down to: "end" or "next_start" (app/utils/countdown.js)
+  {
+    name: "Countdown",
+    key: "countdown",
+    type: "single_line_text_field",
+    required: false,
+  },
+  // Set by the scheduler on next_start countdown entries: the next start in their
+  // position, which the storefront can't see while that entry is still a draft
+  {
+    name: "Next Start",
+    key: "next_start_at",
+    type: "date_time",
+    required: false,
+  },
+];
+
+// Entries created before the priority field existed get the default priority so
+// the storefront keeps falling back to "latest start wins" for them.
+const backfillEntryPriorities = async (admin) => {
+  let after = null;
+  let updated = 0;
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      query ListEntriesForPriorityBackfill($first: Int!, $after: String) {
+        metaobjects(type: "schedulable_entity", first: $first, after: $after) {
+          nodes {
+            id
+            priority: field(key: "priority") { value }
+          }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+      { variables: { first: 250, after } },
+    );
+    const responseJson = await response.json();
+    if (responseJson?.errors?.length) {
+      afterAuthWarn(
+        `[afterAuth] Could not list entries for the priority backfill:`,
+        responseJson.errors.map((e) => e.message).join(", "),
+      );
+      break;
+    }
+    const connection = responseJson?.data?.metaobjects;
+    for (const node of connection?.nodes ?? []) {
+      if (node.priority?.value) {
+        continue;
+      }
+      const updateResponse = await admin.graphql(
+        `#graphql
+        mutation BackfillEntryPriority($id: ID!, $metaobject: MetaobjectUpdateInput!) {
+          metaobjectUpdate(id: $id, metaobject: $metaobject) {
+            metaobject { id }
+            userErrors { field message }
+          }
+        }
+      `,
+        {
+          variables: {
+            id: node.id,
+            metaobject: {
+              fields: [{ key: "priority", value: String(DEFAULT_ENTRY_PRIORITY) }],
+            },
+          },
+        },
+      );
+      const updateJson = await updateResponse.json();
+      const errors = [
+        ...(updateJson?.errors ?? []).map((e) => e.message),
+        ...(updateJson?.data?.metaobjectUpdate?.userErrors ?? []).map((e) => `${e.field}: ${e.message}`),
+      ];
+      if (errors.length) {
+        afterAuthWarn(`[afterAuth] Could not backfill the priority on ${node.id}:`, errors.join(", "));
+        continue;
+      }
+      updated += 1;
+    }
+    after = connection?.pageInfo?.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+  return updated;
+};
+
 const shopify = shopifyApp({
   apiKey: process.env.SHOPIFY_API_KEY,
   apiSecretKey: process.env.SHOPIFY_API_SECRET || "",
@@ -96,6 +371,19 @@ const shopify = shopifyApp({
             `[afterAuth] Metaobject definition already exists: ${def.id}`,
           );
           try {
+            // Create any fields introduced since this shop's definition was made
+            const existingKeys = new Set(
+              (def.fieldDefinitions || []).map((field) => field.key),
+            );
+            const missingFields = schedulableEntityFieldDefinitions.filter(
+              (field) => !existingKeys.has(field.key),
+            );
+            if (missingFields.length) {
+              afterAuthInfo(
+                `[afterAuth] Adding missing fields: ${missingFields.map((field) => field.key).join(", ")}`,
+              );
+            }
+
             // Check if we need to update capabilities (onlineStore and renderable)
             afterAuthInfo(
               `[afterAuth] Attempting to enable onlineStore and renderable capabilities if not already enabled`,
@@ -120,6 +408,13 @@ const shopify = shopifyApp({
                 variables: {
                   id: def.id,
                   definition: {
+                    ...(missingFields.length
+                      ? {
+                          fieldDefinitions: missingFields.map((field) => ({
+                            create: field,
+                          })),
+                        }
+                      : {}),
                     capabilities: {
                       onlineStore: {
                         enabled: true,
@@ -155,6 +450,12 @@ const shopify = shopifyApp({
               afterAuthInfo(
                 `[afterAuth] Successfully updated onlineStore and renderable capabilities`,
               );
+              if (missingFields.some((field) => field.key === "priority")) {
+                const backfilled = await backfillEntryPriorities(admin);
+                afterAuthInfo(
+                  `[afterAuth] Backfilled default priority on ${backfilled} entries`,
+                );
+              }
             }
             
           } catch (updateError) {
@@ -185,68 +486,7 @@ const shopify = shopifyApp({
               definition: {
                 type,
                 name: "Schedulable Entity",
-                fieldDefinitions: [
-                  {
-                    name: "Title",
-                    key: "title",
-                    type: "single_line_text_field",
-                    required: true,
-                  },
-                  {
-                    name: "Position ID",
-                    key: "position_id",
-                    type: "single_line_text_field",
-                    required: true,
-                  },
-                  {
-                    name: "Start At",
-                    key: "start_at",
-                    type: "date_time",
-                    required: false,
-                  },
-                  {
-                    name: "End At",
-                    key: "end_at",
-                    type: "date_time",
-                    required: false,
-                  },
-                  {
-                    name: "Description",
-                    key: "description",
-                    type: "single_line_text_field",
-                    required: false,
-                  },
-                  {
-                    name: "Desktop Banner",
-                    key: "desktop_banner",
-                    type: "file_reference",
-                    required: false,
-                  },
-                  {
-                    name: "Mobile Banner",
-                    key: "mobile_banner",
-                    type: "file_reference",
-                    required: false,
-                  },
-                  {
-                    name: "Target URL",
-                    key: "target_url",
-                    type: "url",
-                    required: false,
-                  },
-                  {
-                    name: "Headline",
-                    key: "headline",
-                    type: "single_line_text_field",
-                    required: false,
-                  },
-                  {
-                    name: "Button Text",
-                    key: "button_text",
-                    type: "single_line_text_field",
-                    required: false,
-                  },
-                ],
+                fieldDefinitions: schedulableEntityFieldDefinitions,
                 access: { storefront: "PUBLIC_READ" },
                 capabilities: {
                   publishable: {
@@ -0,0 +1,125 @@
+// Admin preview of the Scheduled Banner block. The markup in BannerPreview and
+// the CSS below copy extensions/scheduled-banner-theme-block/blocks/scheduled-banner.liquid;
+// change them together. The block's breakpoint media queries become the
+// --desktop and --mobile modifiers so the preview can show either layout.
+
+// Defaults from the block schema, used when no placed block is found
+export const BANNER_BLOCK_DEFAULTS = {
+  breakpoint: 768,
+  mobile_content_below: false,
+  title_color_overlay: "#ffffff",
+  title_color_below: "#000000",
+  description_color_overlay: "#ffffff",
+  description_color_below: "#000000",
+  button_bg_overlay: "#ffffff",
+  button_text_overlay: "#000000",
+  button_bg_below: "#000000",
+  button_text_below: "#ffffff",
+  overlay_color: "#000000",
+  overlay_opacity: 70,
+  vertical_alignment: "bottom",
+  content_alignment_desktop: "left",
+  content_alignment_mobile: "left",
+  title_font: "assistant_n4",
+  description_font: "assistant_n4",
+  headline_font_size: 3,
+  description_font_size: 1.0,
+  button_font_size: 0.9,
+  button_border_radius: 0,
+  button_text_uppercase: false,
+  button_padding_top: 20,
+  button_padding_bottom: 20,
+  button_padding_left: 30,
+  button_padding_right: 30,
+  countdown_format: "clock",
+  countdown_end_label: "Ends in",
+  countdown_start_label: "Starts in",
+  countdown_unit_labels: "Days, Hours, Mins, Secs",
+  countdown_zero_message: "",
+  countdown_font_size: 1.2,
+};
+
+// Width of the simulated viewport for each layout
+export const PREVIEW_DESKTOP_WIDTH = 1280;
+export const PREVIEW_MOBILE_WIDTH = 390;
+
+export const resolveBannerSettings = (settings) => {
+  const resolved = { ...BANNER_BLOCK_DEFAULTS };
+  for (const [key, value] of Object.entries(settings || {})) {
+    if (value !== null && value !== undefined && value !== "") {
+      resolved[key] = value;
+    }
+  }
+  return resolved;
+};
+
+// font_picker values are handles like "open_sans_i7": family, then n/i and weight / 100.
+// Only the family name is available here, so the admin's own copy of the font
+// (or a generic fallback) is what renders.
+export const parseFontSetting = (handle) => {
+  const match = /^(.+)_([ni])([1-9])$/.exec(String(handle || ""));
+  if (!match) {
+    return null;
+  }
+  return {
+    family: match[1]
+      .split("_")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" "),
+    style: match[2] === "i" ? "italic" : "normal",
+    weight: Number(match[3]) * 100,
+  };
+};
+
+export const getFontStyle = (handle) => {
+  const font = parseFontSetting(handle);
+  return font ? { fontFamily: `"${font.family}", sans-serif`, fontWeight: font.weight, fontStyle: font.style } : {};
+};
+
+export const BANNER_PREVIEW_CSS = `
+.scheduled-banner-preview .scheduled-banner { width: 100%; }
+.scheduled-banner-preview .scheduled-banner__banner-container { position: relative; width: 100%; }
+.scheduled-banner-preview .scheduled-banner__banner { position: relative; width: 100%; line-height: 0; overflow: hidden; }
+.scheduled-banner-preview .scheduled-banner__banner-img { display: block; width: 100%; height: auto; object-fit: cover; }
+.scheduled-banner-preview .scheduled-banner__banner-placeholder { display: block; width: 100%; background: repeating-linear-gradient(45deg, #c9cccf, #c9cccf 12px, #d9dbdd 12px, #d9dbdd 24px); }
+.scheduled-banner-preview .scheduled-banner__banner-content {
+  position: absolute; top: 0; left: 0; right: 0; bottom: 0;
+  color: white; padding: 40px; display: flex; flex-direction: column; gap: 15px;
+  width: 100%; box-sizing: border-box; overflow: hidden; text-align: left;
+  background: linear-gradient(to top, rgba(0, 0, 0, 0.7), transparent);
+}
+.scheduled-banner-preview .scheduled-banner__banner-content::before {
+  content: ""; position: absolute; inset: 0;
+  background: linear-gradient(to top, var(--overlay-color, rgba(0, 0, 0, 1)), transparent);
+  opacity: var(--overlay-opacity, 0.7); pointer-events: none; z-index: 0;
+}
+.scheduled-banner-preview .scheduled-banner__banner-content--v-top { justify-content: flex-start; }
+.scheduled-banner-preview .scheduled-banner__banner-content--v-center { justify-content: center; }
+.scheduled-banner-preview .scheduled-banner__banner-content--v-bottom { justify-content: flex-end; }
+.scheduled-banner-preview .scheduled-banner__content-inner { position: relative; z-index: 1; display: flex; flex-direction: column; gap: 0; width: 100%; }
+.scheduled-banner-preview .scheduled-banner__banner-content--align-left .scheduled-banner__content-inner { text-align: left; align-items: flex-start; }
+.scheduled-banner-preview .scheduled-banner__banner-content--align-center .scheduled-banner__content-inner { text-align: center; align-items: center; }
+.scheduled-banner-preview .scheduled-banner__banner-content--align-right .scheduled-banner__content-inner { text-align: right; align-items: flex-end; }
+.scheduled-banner-preview .scheduled-banner__content-below { display: none; padding: 30px 20px; text-align: center; background: #fff; }
+.scheduled-banner-preview .scheduled-banner__content-below--align-left { text-align: left; }
+.scheduled-banner-preview .scheduled-banner__content-below--align-center { text-align: center; }
+.scheduled-banner-preview .scheduled-banner__content-below--align-right { text-align: right; }
+.scheduled-banner-preview .scheduled-banner__title { margin: 0 0 10px 0; font-weight: bold; line-height: 1.2; }
+.scheduled-banner-preview .scheduled-banner__description { margin: 0 0 15px 0; line-height: 1.5; }
+.scheduled-banner-preview .scheduled-banner__countdown { margin: 0 0 15px 0; line-height: 1.2; font-weight: 600; font-variant-numeric: tabular-nums; }
+.scheduled-banner-preview .scheduled-banner__countdown-unit {
+  display: inline-flex; flex-direction: column; align-items: center; min-width: 2.6em; margin-right: 0.3em;
+  padding: 0.3em 0.4em; border: 1px solid currentColor; border-radius: 4px; box-sizing: border-box;
+}
+.scheduled-banner-preview .scheduled-banner__countdown-unit:last-child { margin-right: 0; }
+.scheduled-banner-preview .scheduled-banner__countdown-unit-label { font-size: 0.5em; font-weight: 400; text-transform: uppercase; letter-spacing: 0.05em; }
+.scheduled-banner-preview .scheduled-banner__button {
+  display: inline-block; text-decoration: none; font-weight: 600; font-size: 1em;
+  width: auto; border: none; box-sizing: border-box;
+}
+.scheduled-banner-preview--desktop .scheduled-banner__banner--mobile,
+.scheduled-banner-preview--desktop .scheduled-banner__content-below--mobile-only { display: none; }
+.scheduled-banner-preview--mobile .scheduled-banner__banner--desktop { display: none; }
+.scheduled-banner-preview--mobile .scheduled-banner__banner-container--mobile-below .scheduled-banner__banner-content--mobile { display: none; }
+.scheduled-banner-preview--mobile .scheduled-banner__content-below--mobile-only { display: block; }
+`;
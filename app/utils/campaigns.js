@@ -0,0 +1,75 @@
+import { parseLocalDateTimeToUTC } from "./datetime";
+
+const toMillis = (value) => {
+  const millis = value ? new Date(value).getTime() : Number.NaN;
+  return Number.isNaN(millis) ? null : millis;
+};
+
+const toISO = (millis) => new Date(millis).toISOString().replace(/\.000Z$/, "Z");
+
+// New start_at/end_at for an entry when its campaign window changes, or null when
+// the entry keeps its dates. Without a previous window (entry just added) the
+// entry is clamped into the campaign window. Otherwise its start moves with the
+// campaign start and its end with the campaign end, then gets clamped. Recurring
+// entries only shift by the start delta so their occurrence length is kept.
+export const cascadeEntryDates = ({ fieldMap, previousWindow = null, window }) => {
+  const windowStart = toMillis(window?.startAt);
+  const windowEnd = toMillis(window?.endAt);
+  if (windowStart === null || windowEnd === null || windowEnd <= windowStart) {
+    return null;
+  }
+
+  let start = toMillis(fieldMap?.start_at);
+  let end = toMillis(fieldMap?.end_at);
+
+  if (fieldMap?.recurrence_rule) {
+    const previousStart = toMillis(previousWindow?.startAt);
+    if (previousStart === null || start === null || end === null || previousStart === windowStart) {
+      return null;
+    }
+    const delta = windowStart - previousStart;
+    return { start_at: toISO(start + delta), end_at: toISO(end + delta) };
+  }
+
+  if (start !== null && end !== null && previousWindow) {
+    const previousStart = toMillis(previousWindow.startAt);
+    const previousEnd = toMillis(previousWindow.endAt);
+    if (previousStart !== null && previousEnd !== null) {
+      start += windowStart - previousStart;
+      end += windowEnd - previousEnd;
+    }
+  }
+
+  let nextStart = start === null ? windowStart : Math.max(start, windowStart);
+  let nextEnd = end === null ? windowEnd : Math.min(end, windowEnd);
+  if (nextEnd <= nextStart) {
+    nextStart = windowStart;
+    nextEnd = windowEnd;
+  }
+
+  if (nextStart === toMillis(fieldMap?.start_at) && nextEnd === toMillis(fieldMap?.end_at)) {
+    return null;
+  }
+  return { start_at: toISO(nextStart), end_at: toISO(nextEnd) };
+};
+
+// Name and window from the campaign form, with the dates entered in the shop's zone.
+export const parseCampaignForm = (formData, timeZone) => {
+  const name = String(formData.get("name") || "").trim();
+  const startAt = parseLocalDateTimeToUTC(String(formData.get("start_at") || ""), timeZone);
+  const endAt = parseLocalDateTimeToUTC(String(formData.get("end_at") || ""), timeZone);
+
+  const errors = [];
+  if (!name) {
+    errors.push("Name is required");
+  }
+  if (!startAt || !endAt) {
+    errors.push("Start and end dates are required");
+  } else if (new Date(endAt) <= new Date(startAt)) {
+    errors.push("End date must be after the start date");
+  }
+  if (errors.length > 0) {
+    return { error: errors.join(", ") };
+  }
+  return { error: null, name, startAt: new Date(startAt), endAt: new Date(endAt) };
+};
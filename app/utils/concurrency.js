@@ -0,0 +1,26 @@
+const describeItem = (item) =>
+  item && typeof item === "object" ? { id: item.id, title: item.title || item.id } : { id: item, title: item };
+
+// Runs `worker` over `items` with at most `limit` calls in flight. Results keep
+// the order of `items`; a worker that throws yields `{ id, title, error }` for
+// its item, named by `describe(item)`: by default the item's own id and title,
+// or the item itself when it is an id.
+export const mapWithConcurrency = async (items, limit, worker, { describe = describeItem } = {}) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        results[index] = { ...describe(items[index]), error: error.message || String(error) };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, run));
+  return results;
+};
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { mapWithConcurrency } from "./concurrency";
+
+describe("mapWithConcurrency", () => {
+  it("keeps the order of the items", async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (delay) => {
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return delay;
+    });
+
+    expect(results).toEqual([30, 10, 20]);
+  });
+
+  it("names the item whose worker throws", async () => {
+    const fail = async (item) => {
+      throw new Error(`Failed ${item.id || item}`);
+    };
+
+    expect(await mapWithConcurrency([{ id: "a", title: "Sale" }, { id: "b" }], 2, fail)).toEqual([
+      { id: "a", title: "Sale", error: "Failed a" },
+      { id: "b", title: "b", error: "Failed b" },
+    ]);
+    expect(await mapWithConcurrency(["trash-1"], 1, fail)).toEqual([
+      { id: "trash-1", title: "trash-1", error: "Failed trash-1" },
+    ]);
+    expect(
+      await mapWithConcurrency([{ id: "c" }], 1, fail, { describe: (item) => ({ id: item.id, title: "Custom" }) }),
+    ).toEqual([{ id: "c", title: "Custom", error: "Failed c" }]);
+  });
+});
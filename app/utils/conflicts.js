@@ -0,0 +1,96 @@
+import { DateTime } from "luxon";
+import { OCCURRENCE_HORIZON_DAYS } from "./recurrence";
+import { getContentType, getEntryPriority, getEntryWindows, getFieldMap, isAnnouncement, isFallbackEntry } from "./entries";
+
+const findEarliestOverlap = (windowsA, windowsB) => {
+  let earliest = null;
+  for (const a of windowsA) {
+    if (earliest && a.start >= earliest.start) {
+      break;
+    }
+    for (const b of windowsB) {
+      if (b.start >= a.end) {
+        break;
+      }
+      if (b.end <= a.start) {
+        continue;
+      }
+      const start = a.start > b.start ? a.start : b.start;
+      const end = a.end < b.end ? a.end : b.end;
+      if (!earliest || start < earliest.start) {
+        earliest = { start, end, startA: a.start, startB: b.start };
+      }
+      break;
+    }
+  }
+  return earliest;
+};
+
+// Compares a candidate entry (new or edited) against the switched on entries of
+// the same position and reports every upcoming overlap, including which entry the
+// storefront block would show: higher priority first, then the later start.
+// Switched on means published, or a draft waiting for its scheduled publish
+// (`pendingJobs` from getPendingJobsByEntry). Only entries of the same content
+// type compete, and announcements never conflict: live ones rotate in the
+// announcement bar.
+export const findScheduleConflicts = ({ candidate, entries, pendingJobs = {}, now = new Date() }) => {
+  const positionId = String(candidate.fieldMap.position_id || "").trim();
+  const range = {
+    from: now,
+    to: DateTime.fromJSDate(now).plus({ days: OCCURRENCE_HORIZON_DAYS }).toJSDate(),
+  };
+  const candidateWindows = getEntryWindows(candidate.fieldMap, range);
+  if (
+    !positionId ||
+    candidateWindows.length === 0 ||
+    isFallbackEntry(candidate.fieldMap) ||
+    isAnnouncement(candidate.fieldMap)
+  ) {
+    return [];
+  }
+
+  const candidatePriority = getEntryPriority(candidate.fieldMap);
+  const conflicts = [];
+
+  for (const entry of entries) {
+    const switchedOn =
+      entry.capabilities?.publishable?.status === "ACTIVE" ||
+      (pendingJobs[entry.id] || []).some((job) => job.action === "ACTIVATE");
+    if (entry.id === candidate.id || !switchedOn) {
+      continue;
+    }
+    const fieldMap = getFieldMap(entry);
+    if (
+      String(fieldMap.position_id || "").trim() !== positionId ||
+      isFallbackEntry(fieldMap) ||
+      getContentType(fieldMap) !== getContentType(candidate.fieldMap)
+    ) {
+      continue;
+    }
+
+    const overlap = findEarliestOverlap(candidateWindows, getEntryWindows(fieldMap, range));
+    if (!overlap) {
+      continue;
+    }
+
+    const otherPriority = getEntryPriority(fieldMap);
+    let winner = "tie";
+    if (candidatePriority !== otherPriority) {
+      winner = candidatePriority > otherPriority ? "this" : "other";
+    } else if (overlap.startA.getTime() !== overlap.startB.getTime()) {
+      winner = overlap.startA > overlap.startB ? "this" : "other";
+    }
+
+    conflicts.push({
+      id: entry.id,
+      title: fieldMap.title || "(untitled)",
+      positionId,
+      priority: otherPriority,
+      overlapStart: overlap.start.toISOString(),
+      overlapEnd: overlap.end.toISOString(),
+      winner,
+    });
+  }
+
+  return conflicts.sort((a, b) => a.overlapStart.localeCompare(b.overlapStart));
+};
@@ -0,0 +1,51 @@
+// Banner entries can show a live countdown in the Scheduled Banner block. The
+// entry picks what it counts down to: its own end (the current occurrence for
+// recurring entries), or the start of the next scheduled entry in its position,
+// for teasers shown before a sale. The block's settings pick the format, the
+// labels and what replaces the timer at zero. The storefront timer in
+// scheduled-banner.liquid formats the same way; change both together.
+export const COUNTDOWN_TARGETS = [
+  { value: "", label: "No countdown" },
+  { value: "end", label: "This entry's end" },
+  { value: "next_start", label: "Start of the next entry in this position" },
+];
+
+export const COUNTDOWN_FORMATS = ["clock", "compact", "boxes"];
+
+// Defaults from the block schema
+export const COUNTDOWN_DEFAULT_UNIT_LABELS = ["Days", "Hours", "Mins", "Secs"];
+
+export const getCountdownTarget = (fieldMap) =>
+  COUNTDOWN_TARGETS.some((target) => target.value && target.value === fieldMap?.countdown) ? fieldMap.countdown : "";
+
+export const splitCountdown = (seconds) => {
+  const remaining = Math.max(0, Math.floor(seconds));
+  return {
+    days: Math.floor(remaining / 86400),
+    hours: Math.floor((remaining % 86400) / 3600),
+    minutes: Math.floor((remaining % 3600) / 60),
+    seconds: remaining % 60,
+  };
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+// "1d 02:14:33" (clock) or "1d 2h 14m 33s" (compact); days are left out when zero.
+// The boxes format is laid out from splitCountdown instead.
+export const formatCountdown = (seconds, format = "clock") => {
+  const { days, hours, minutes, seconds: secs } = splitCountdown(seconds);
+  const dayPart = days > 0 ? `${days}d ` : "";
+  if (format === "compact") {
+    return `${dayPart}${hours}h ${minutes}m ${secs}s`;
+  }
+  return `${dayPart}${pad(hours)}:${pad(minutes)}:${pad(secs)}`;
+};
+
+// e.g. "Counts down to its end"
+export const describeCountdownTarget = (fieldMap) => {
+  const target = getCountdownTarget(fieldMap);
+  if (target === "end") {
+    return "Counts down to its end";
+  }
+  return target === "next_start" ? "Counts down to the next entry's start" : "";
+};
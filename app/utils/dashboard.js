@@ -0,0 +1,25 @@
+import { DateTime } from "luxon";
+import { getEntryWindows, isFallbackEntry } from "./entries";
+
+export const DASHBOARD_UPCOMING_DAYS = 7;
+
+// Starts and ends within the next `days` days for entries given as
+// { id, fieldMap }, in time order. Fallbacks have no schedule and are skipped.
+export const getUpcomingChanges = (entries, { now = new Date(), days = DASHBOARD_UPCOMING_DAYS } = {}) => {
+  const until = DateTime.fromJSDate(now).plus({ days }).toJSDate();
+  const changes = [];
+  for (const entry of entries) {
+    if (isFallbackEntry(entry.fieldMap)) {
+      continue;
+    }
+    for (const window of getEntryWindows(entry.fieldMap, { from: now, to: until })) {
+      if (window.start >= now) {
+        changes.push({ id: entry.id, kind: "start", at: window.start });
+      }
+      if (window.end <= until) {
+        changes.push({ id: entry.id, kind: "end", at: window.end });
+      }
+    }
+  }
+  return changes.sort((a, b) => a.at - b.at);
+};
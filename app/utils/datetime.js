@@ -1,4 +1,4 @@
-import { DateTime } from "luxon";
+import { DateTime, IANAZone } from "luxon";
 
 const buildOffsetZone = (offsetMinutes) => {
   if (offsetMinutes === undefined || offsetMinutes === null || Number.isNaN(Number(offsetMinutes))) {
@@ -13,6 +13,31 @@ const buildOffsetZone = (offsetMinutes) => {
   return `UTC${sign}${hours}:${minutes}`;
 };
 
+export const isValidTimeZone = (timeZone) =>
+  typeof timeZone === "string" && timeZone.trim() !== "" && IANAZone.isValidZone(timeZone.trim());
+
+export const getSupportedTimeZones = () =>
+  typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+
+// Formats an instant as wall-clock time in the given zone, with the zone's abbreviation.
+export const formatInTimeZone = (value, timeZone, format = DateTime.DATETIME_MED) => {
+  const dateTime =
+    value instanceof Date ? DateTime.fromJSDate(value, { zone: "UTC" }) : DateTime.fromISO(String(value || ""), { zone: "UTC" });
+  if (!dateTime.isValid) {
+    return "";
+  }
+  return dateTime.setZone(timeZone || "UTC").toLocaleString({ ...format, timeZoneName: "short" });
+};
+
+// Value for a datetime-local input showing the instant in the given zone.
+export const toDateTimeLocalValue = (value, timeZone) => {
+  const dateTime = DateTime.fromISO(String(value || ""), { zone: "UTC" });
+  return dateTime.isValid ? dateTime.setZone(timeZone || "UTC").toFormat("yyyy-MM-dd'T'HH:mm") : "";
+};
+
+export const resolveTimeZone = (timeZone, fallbackOffsetMinutes) =>
+  (typeof timeZone === "string" && timeZone.trim()) || buildOffsetZone(fallbackOffsetMinutes) || "UTC";
+
 export const parseLocalDateTimeToUTC = (value, timeZone, fallbackOffsetMinutes) => {
   if (!value) {
     return null;
@@ -70,7 +95,7 @@ export const parseLocalDateTimeToUTC = (value, timeZone, fallbackOffsetMinutes)
 };
 
 export const getDefaultDateBounds = (timeZone, fallbackOffsetMinutes) => {
-  const resolvedZone = timeZone || buildOffsetZone(fallbackOffsetMinutes) || "UTC";
+  const resolvedZone = resolveTimeZone(timeZone, fallbackOffsetMinutes);
 
   const start = DateTime.fromObject(
     { year: 2000, month: 1, day: 1, hour: 0, minute: 0, second: 0 },
@@ -0,0 +1,153 @@
+import { DateTime } from "luxon";
+import { OCCURRENCE_HORIZON_DAYS, WEEKDAY_CODES, WEEKDAY_LABELS } from "./recurrence";
+
+// A daypart is { days: [1..7] (ISO weekdays, Monday = 1), start, end } with start
+// and end in minutes after local midnight. An end before the start runs past
+// midnight and belongs to the day it starts on.
+const MINUTES_PER_DAY = 24 * 60;
+
+export const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+export const timeToMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) {
+    return null;
+  }
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+  return hours * 60 + minutes;
+};
+
+const normalizeDaypart = (daypart) => {
+  const days = [...new Set((daypart?.days || []).map(Number))].sort((a, b) => a - b);
+  if (days.length === 0 || days.some((day) => !Number.isInteger(day) || day < 1 || day > 7)) {
+    return null;
+  }
+  const start = typeof daypart.start === "string" ? timeToMinutes(daypart.start) : Number(daypart.start);
+  const end = typeof daypart.end === "string" ? timeToMinutes(daypart.end) : Number(daypart.end);
+  if (
+    !Number.isInteger(start) ||
+    !Number.isInteger(end) ||
+    start < 0 ||
+    end < 0 ||
+    start >= MINUTES_PER_DAY ||
+    end > MINUTES_PER_DAY ||
+    start === end
+  ) {
+    return null;
+  }
+  return { days, start, end };
+};
+
+// Accepts the stored JSON, a posted JSON string or an array. Returns the list of
+// dayparts ([] for "all day"), or null when any of them is invalid.
+export const parseDayparts = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return [];
+  }
+  let parsed = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.ranges;
+  if (!Array.isArray(list)) {
+    return null;
+  }
+  const dayparts = list.map(normalizeDaypart);
+  return dayparts.includes(null) ? null : dayparts;
+};
+
+// UTC offset changes of a zone over the occurrence horizon, so the theme block
+// can turn "now" into local wall-clock time with integer math.
+export const buildOffsetTransitions = (timeZone, { now = new Date(), days = OCCURRENCE_HORIZON_DAYS } = {}) => {
+  const zone = timeZone || "UTC";
+  const offsetAt = (millis) => DateTime.fromMillis(millis, { zone }).offset;
+  const dayMillis = MINUTES_PER_DAY * 60 * 1000;
+  let cursor = Math.floor(now.getTime() / 60000) * 60000 - dayMillis;
+  const end = cursor + (days + 1) * dayMillis;
+  const transitions = [{ from: cursor / 1000, offset: offsetAt(cursor) * 60 }];
+
+  while (cursor < end) {
+    const next = cursor + dayMillis;
+    const offset = offsetAt(cursor);
+    if (offsetAt(next) !== offset) {
+      // Narrow the change down to the minute
+      let low = cursor;
+      let high = next;
+      while (high - low > 60000) {
+        const middle = low + Math.floor((high - low) / 120000) * 60000;
+        if (offsetAt(middle) === offset) {
+          low = middle;
+        } else {
+          high = middle;
+        }
+      }
+      transitions.push({ from: high / 1000, offset: offsetAt(high) * 60 });
+    }
+    cursor = next;
+  }
+  return transitions;
+};
+
+// Value for the `dayparts` JSON field.
+export const buildDaypartsValue = (dayparts, timeZone, now = new Date()) =>
+  JSON.stringify(
+    dayparts.length > 0
+      ? { ranges: dayparts, offsets: buildOffsetTransitions(timeZone, { now }) }
+      : { ranges: [] },
+  );
+
+export const isWithinDayparts = (dayparts, date, timeZone) => {
+  if (!dayparts?.length) {
+    return true;
+  }
+  const local = DateTime.fromJSDate(new Date(date)).setZone(timeZone || "UTC");
+  const minute = local.hour * 60 + local.minute;
+  const weekday = local.weekday;
+  const previousWeekday = weekday === 1 ? 7 : weekday - 1;
+
+  return dayparts.some(({ days, start, end }) => {
+    if (start < end) {
+      return days.includes(weekday) && minute >= start && minute < end;
+    }
+    return (days.includes(weekday) && minute >= start) || (days.includes(previousWeekday) && minute < end);
+  });
+};
+
+const describeDays = (days) => {
+  if (days.length === 7) {
+    return "Every day";
+  }
+  const runs = [];
+  for (const day of days) {
+    const run = runs[runs.length - 1];
+    if (run && day === run[run.length - 1] + 1) {
+      run.push(day);
+    } else {
+      runs.push([day]);
+    }
+  }
+  const label = (day) => WEEKDAY_LABELS[WEEKDAY_CODES[day - 1]];
+  return runs
+    .map((run) => (run.length > 2 ? `${label(run[0])}–${label(run[run.length - 1])}` : run.map(label).join(", ")))
+    .join(", ");
+};
+
+// e.g. "Mon–Fri 11:00–14:00; Sat, Sun 22:00–02:00"
+export const describeDayparts = (value) => {
+  const dayparts = Array.isArray(value) ? value : parseDayparts(value);
+  if (!dayparts?.length) {
+    return "";
+  }
+  return dayparts
+    .map(({ days, start, end }) => `${describeDays(days)} ${minutesToTime(start)}–${minutesToTime(end)}`)
+    .join("; ");
+};
@@ -0,0 +1,268 @@
+import { DateTime } from "luxon";
+import { OCCURRENCE_HORIZON_DAYS, buildOccurrenceWindows, expandOccurrences } from "./recurrence";
+import { COUNTDOWN_TARGETS } from "./countdown";
+import { buildPopupFields, parsePopupSettings } from "./popups";
+
+export const DEFAULT_ENTRY_PRIORITY = 0;
+export const SHIFT_UNITS = ["minutes", "hours", "days", "weeks", "months", "years"];
+
+export const getFieldMap = (entry) =>
+  Object.fromEntries((entry?.fields || []).map((f) => [f.key, f.value]));
+
+// The theme blocks sort on 1000000000 - priority as a fixed ten-digit key, so
+// priorities stay within nine digits either way
+export const PRIORITY_LIMIT = 999999999;
+
+// The priority as an integer, the default when blank, or null when it isn't a
+// whole number within PRIORITY_LIMIT.
+export const parsePriority = (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return DEFAULT_ENTRY_PRIORITY;
+  }
+  const trimmed = String(value).trim();
+  if (!/^[+-]?\d+$/.test(trimmed)) {
+    return null;
+  }
+  const parsed = Number(trimmed);
+  return Math.abs(parsed) <= PRIORITY_LIMIT ? parsed : null;
+};
+
+export const getEntryPriority = (fieldMap) => parsePriority(fieldMap?.priority) ?? DEFAULT_ENTRY_PRIORITY;
+
+// Reference fields an entry can link to instead of a typed URL. The block builds
+// the link from the referenced object, so it survives handle changes.
+export const TARGET_REFERENCE_FIELDS = {
+  product: "target_product",
+  collection: "target_collection",
+  page: "target_page",
+  article: "target_article",
+};
+
+// The linked resource as { type, id }, or null when the entry uses target_url.
+export const getTargetReference = (fieldMap) => {
+  for (const [type, key] of Object.entries(TARGET_REFERENCE_FIELDS)) {
+    const id = String(fieldMap?.[key] || "").trim();
+    if (id) {
+      return { type, id };
+    }
+  }
+  return null;
+};
+
+// File reference fields and how notes and issues name them. Banner videos play in
+// place of the image of the same size, which becomes their poster.
+export const ENTRY_FILE_FIELDS = {
+  desktop_banner: "desktop image",
+  mobile_banner: "mobile image",
+  desktop_video: "desktop video",
+  mobile_video: "mobile video",
+};
+
+// The block renders nothing without a link.
+export const hasTargetLink = (fieldMap) =>
+  Boolean(getTargetReference(fieldMap)) || String(fieldMap?.target_url || "").trim() !== "";
+
+// Banners render in the Scheduled Banner block; announcements in the Announcement
+// bar app embed, which shows their headline as a one-line message; popups in the
+// Popup app embed (see ./popups). Each ignores the others' entries. Entries
+// without a content_type are banners.
+export const ENTRY_CONTENT_TYPES = ["banner", "announcement", "popup"];
+export const DEFAULT_ANNOUNCEMENT_COLORS = { background: "#1a1a1a", text: "#ffffff" };
+
+export const getContentType = (fieldMap) =>
+  ENTRY_CONTENT_TYPES.includes(fieldMap?.content_type) ? fieldMap.content_type : "banner";
+
+export const isAnnouncement = (fieldMap) => getContentType(fieldMap) === "announcement";
+
+export const isPopup = (fieldMap) => getContentType(fieldMap) === "popup";
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Content type fields for what a form posted. Colours and icon only apply to
+// announcements, trigger and frequency only to popups and the countdown only to
+// banners; they are cleared for the other types. Returns { error } for a colour
+// that isn't #rrggbb or a popup number out of range.
+export const buildContentTypeFields = ({
+  contentType,
+  backgroundColor,
+  textColor,
+  icon,
+  popupTrigger,
+  popupTriggerValue,
+  popupFrequency,
+  popupFrequencyDays,
+  countdown,
+}) => {
+  const type = ENTRY_CONTENT_TYPES.includes(contentType) ? contentType : "banner";
+  const announcement = type === "announcement";
+  const background = String(backgroundColor || "").trim() || DEFAULT_ANNOUNCEMENT_COLORS.background;
+  const text = String(textColor || "").trim() || DEFAULT_ANNOUNCEMENT_COLORS.text;
+  if (announcement && (!HEX_COLOR_PATTERN.test(background) || !HEX_COLOR_PATTERN.test(text))) {
+    return { error: "Announcement colours must be hex values like #1a1a1a." };
+  }
+
+  let popupFields = buildPopupFields({ trigger: "", triggerValue: null, frequency: "", frequencyDays: null });
+  if (type === "popup") {
+    const settings = parsePopupSettings({
+      trigger: popupTrigger,
+      triggerValue: popupTriggerValue,
+      frequency: popupFrequency,
+      frequencyDays: popupFrequencyDays,
+    });
+    if (!settings) {
+      return { error: "Popup delay must be 0-600 seconds, scroll depth 0-100% and the days between showings 1-365." };
+    }
+    popupFields = buildPopupFields(settings);
+  }
+
+  return {
+    error: null,
+    fields: [
+      { key: "content_type", value: type === "banner" ? "" : type },
+      { key: "background_color", value: announcement ? background.toLowerCase() : "" },
+      { key: "text_color", value: announcement ? text.toLowerCase() : "" },
+      { key: "icon", value: announcement ? String(icon || "").trim() : "" },
+      ...popupFields,
+      {
+        key: "countdown",
+        value: type === "banner" && COUNTDOWN_TARGETS.some((target) => target.value === countdown) ? countdown : "",
+      },
+    ],
+  };
+};
+
+// Whether the storefront shows the entry once it is selected: banners need a
+// link, announcements a message and popups a headline or an image (their links
+// are optional).
+export const isRenderable = (fieldMap) => {
+  const contentType = getContentType(fieldMap);
+  if (contentType === "announcement") {
+    return String(fieldMap?.headline || "").trim() !== "";
+  }
+  if (contentType === "popup") {
+    return String(fieldMap?.headline || "").trim() !== "" || String(fieldMap?.desktop_banner || "").trim() !== "";
+  }
+  return hasTargetLink(fieldMap);
+};
+
+// Link fields for what a form posted: the chosen resource or the typed URL. The
+// others are cleared so only one link applies.
+export const buildTargetFields = ({ type, resourceId, url }) => {
+  const referenceKey = resourceId ? TARGET_REFERENCE_FIELDS[type] : null;
+  return [
+    { key: "target_url", value: referenceKey ? "" : String(url || "").trim() },
+    ...Object.values(TARGET_REFERENCE_FIELDS).map((key) => ({ key, value: key === referenceKey ? resourceId : "" })),
+  ];
+};
+
+// The fallback shows whenever nothing scheduled is live in its position, so its
+// dates, priority and recurrence are ignored.
+export const isFallbackEntry = (fieldMap) => fieldMap?.is_fallback === "true";
+
+// Returns the other entry already marked as fallback for a position, if any.
+export const findOtherFallback = (entries, { id, positionId }) => {
+  const position = String(positionId || "").trim();
+  return (
+    entries.find((entry) => {
+      if (entry.id === id) {
+        return false;
+      }
+      const fieldMap = getFieldMap(entry);
+      return isFallbackEntry(fieldMap) && String(fieldMap.position_id || "").trim() === position;
+    }) ?? null
+  );
+};
+
+// Storefront order for entries competing for one position: higher priority
+// first, then the most recent start.
+export const compareByPriority = (fieldMapA, fieldMapB) => {
+  const priorityDiff = getEntryPriority(fieldMapB) - getEntryPriority(fieldMapA);
+  if (priorityDiff !== 0) {
+    return priorityDiff;
+  }
+  const startA = fieldMapA?.start_at ? new Date(fieldMapA.start_at).getTime() : 0;
+  const startB = fieldMapB?.start_at ? new Date(fieldMapB.start_at).getTime() : 0;
+  return startB - startA;
+};
+
+// Concrete [start, end) windows for an entry, optionally clipped to a range.
+// Recurring entries are expanded in their own timezone.
+export const getEntryWindows = (fieldMap, { from, to } = {}) => {
+  if (!fieldMap?.start_at || !fieldMap?.end_at) {
+    return [];
+  }
+
+  if (fieldMap.recurrence_rule) {
+    return expandOccurrences({
+      startAt: fieldMap.start_at,
+      endAt: fieldMap.end_at,
+      rule: fieldMap.recurrence_rule,
+      timeZone: fieldMap.timezone,
+      from,
+      to,
+    }).map((window) => ({ start: window.start.toJSDate(), end: window.end.toJSDate() }));
+  }
+
+  const start = new Date(fieldMap.start_at);
+  const end = new Date(fieldMap.end_at);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end <= start) {
+    return [];
+  }
+  if ((from && end <= new Date(from)) || (to && start >= new Date(to))) {
+    return [];
+  }
+  return [{ start, end }];
+};
+
+// The earliest upcoming start of the switched on banner entries in each position,
+// which next_start countdowns count down to: { positionId: Date }. Switched on
+// means published, or a draft waiting for its scheduled publish (`pendingJobs`
+// from getPendingJobsByEntry). The storefront can't see those drafts, so the
+// scheduler copies this onto the countdown entries as next_start_at.
+export const findNextStarts = ({ entries, pendingJobs = {}, now = new Date() }) => {
+  const range = { from: now, to: DateTime.fromJSDate(now).plus({ days: OCCURRENCE_HORIZON_DAYS }).toJSDate() };
+  const nextStarts = {};
+  for (const entry of entries) {
+    const fieldMap = getFieldMap(entry);
+    const positionId = String(fieldMap.position_id || "").trim();
+    const switchedOn =
+      entry.capabilities?.publishable?.status === "ACTIVE" ||
+      (pendingJobs[entry.id] || []).some((job) => job.action === "ACTIVATE");
+    if (!positionId || !switchedOn || isFallbackEntry(fieldMap) || getContentType(fieldMap) !== "banner") {
+      continue;
+    }
+    const next = getEntryWindows(fieldMap, range).find((window) => window.start > now);
+    if (next && (!nextStarts[positionId] || next.start < nextStarts[positionId])) {
+      nextStarts[positionId] = next.start;
+    }
+  }
+  return nextStarts;
+};
+
+// Date fields for an entry moved by `amount` `unit`s in `timeZone`, so wall-clock
+// times survive DST changes. `edge` picks the start, the end or both; recurring
+// entries get new occurrences. Returns { error } when the window would be empty.
+export const getShiftedDateFields = (fieldMap, { amount, unit, edge = "both", timeZone }) => {
+  if (!fieldMap?.start_at || !fieldMap?.end_at) {
+    return { error: "Missing start or end date" };
+  }
+  const shift = (value) =>
+    DateTime.fromISO(value, { zone: "utc" }).setZone(timeZone).plus({ [unit]: amount }).toUTC().toISO();
+  const startAt = edge === "end" ? fieldMap.start_at : shift(fieldMap.start_at);
+  const endAt = edge === "start" ? fieldMap.end_at : shift(fieldMap.end_at);
+  if (new Date(endAt) <= new Date(startAt)) {
+    return { error: "End would be before start" };
+  }
+
+  const fields = [
+    { key: "start_at", value: startAt },
+    { key: "end_at", value: endAt },
+  ];
+  if (fieldMap.recurrence_rule) {
+    fields.push({
+      key: "occurrences",
+      value: JSON.stringify(buildOccurrenceWindows({ startAt, endAt, rule: fieldMap.recurrence_rule, timeZone })),
+    });
+  }
+  return { error: null, fields };
+};
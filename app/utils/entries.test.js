@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { PRIORITY_LIMIT, findNextStarts, parsePriority } from "./entries";
+
+const NOW = new Date("2026-10-19T10:00:00Z");
+
+const entry = (id, fields = {}, status = "ACTIVE") => ({
+  id,
+  capabilities: { publishable: { status } },
+  fields: Object.entries({
+    position_id: "homepage",
+    start_at: "2026-11-01T00:00:00Z",
+    end_at: "2026-11-10T00:00:00Z",
+    ...fields,
+  }).map(([key, value]) => ({ key, value })),
+});
+
+describe("findNextStarts", () => {
+  it("counts drafts waiting for their scheduled publish", () => {
+    const pendingJobs = { sale: [{ action: "ACTIVATE", runAt: "2026-11-01T00:00:00Z" }] };
+    const nextStarts = findNextStarts({
+      entries: [entry("sale", {}, "DRAFT"), entry("later", { start_at: "2026-11-05T00:00:00Z" })],
+      pendingJobs,
+      now: NOW,
+    });
+
+    expect(nextStarts).toEqual({ homepage: new Date("2026-11-01T00:00:00Z") });
+  });
+
+  it("skips drafts, live entries, fallbacks and announcements", () => {
+    const nextStarts = findNextStarts({
+      entries: [
+        entry("draft", {}, "DRAFT"),
+        entry("live", { start_at: "2026-10-01T00:00:00Z" }),
+        entry("fallback", { is_fallback: "true" }),
+        entry("announcement", { content_type: "announcement" }),
+      ],
+      now: NOW,
+    });
+
+    expect(nextStarts).toEqual({});
+  });
+
+  it("uses the next occurrence of a recurring entry", () => {
+    const nextStarts = findNextStarts({
+      entries: [
+        entry("weekly", {
+          start_at: "2026-10-05T07:00:00Z",
+          end_at: "2026-10-05T15:00:00Z",
+          recurrence_rule: "FREQ=WEEKLY;BYDAY=MO",
+          timezone: "Europe/Paris",
+        }),
+      ],
+      now: NOW,
+    });
+
+    expect(nextStarts).toEqual({ homepage: new Date("2026-10-26T08:00:00Z") });
+  });
+});
+
+describe("parsePriority", () => {
+  it("defaults blanks and reads whole numbers", () => {
+    expect(parsePriority("")).toBe(0);
+    expect(parsePriority(undefined)).toBe(0);
+    expect(parsePriority(" 12 ")).toBe(12);
+    expect(parsePriority("-3")).toBe(-3);
+    expect(parsePriority(String(PRIORITY_LIMIT))).toBe(PRIORITY_LIMIT);
+  });
+
+  it("rejects fractions, junk and priorities the storefront sort key can't hold", () => {
+    expect(parsePriority("1.9")).toBeNull();
+    expect(parsePriority("5abc")).toBeNull();
+    expect(parsePriority("1e3")).toBeNull();
+    expect(parsePriority("99999999999")).toBeNull();
+    expect(parsePriority(String(-PRIORITY_LIMIT - 1))).toBeNull();
+  });
+});
@@ -0,0 +1,224 @@
+import { DateTime } from "luxon";
+import { OCCURRENCE_HORIZON_DAYS } from "./recurrence";
+import {
+  compareByPriority,
+  getEntryPriority,
+  getEntryWindows,
+  getFieldMap,
+  isFallbackEntry,
+  isRenderable,
+} from "./entries";
+
+// The entries list is driven by URL search params so a filtered view can be
+// bookmarked: q, position, status, state, lifecycle, campaign, from, to, sort, after, before, view.
+export const ENTRIES_PAGE_SIZE = 50;
+export const SORTABLE_COLUMNS = ["priority", "title", "position_id", "start_at", "end_at"];
+export const STATUS_FILTERS = ["active", "scheduled", "draft"];
+export const SCHEDULE_STATES = ["live", "upcoming", "expired"];
+export const LIFECYCLE_STATES = ["draft", "scheduled", "live", "hidden", "expired"];
+export const ENTRY_VIEWS = ["table", "timeline", "calendar"];
+
+const oneOf = (value, allowed) => (allowed.includes(value) ? value : "");
+
+// "title:asc,start_at:desc" <-> [{ column, direction }]
+export const parseSort = (value) =>
+  String(value || "")
+    .split(",")
+    .map((part) => {
+      const [column, direction] = part.split(":");
+      return SORTABLE_COLUMNS.includes(column) ? { column, direction: direction === "desc" ? "desc" : "asc" } : null;
+    })
+    .filter(Boolean)
+    .filter((sort, index, list) => list.findIndex((s) => s.column === sort.column) === index);
+
+export const serializeSort = (sortConfig) => sortConfig.map(({ column, direction }) => `${column}:${direction}`).join(",");
+
+export const parseEntryQuery = (searchParams) => {
+  const date = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value || "") ? value : "");
+  return {
+    q: String(searchParams.get("q") || "").trim(),
+    position: String(searchParams.get("position") || "").trim(),
+    status: oneOf(searchParams.get("status"), STATUS_FILTERS),
+    state: oneOf(searchParams.get("state"), SCHEDULE_STATES),
+    lifecycle: oneOf(searchParams.get("lifecycle"), LIFECYCLE_STATES),
+    campaign: String(searchParams.get("campaign") || "").trim(),
+    from: date(searchParams.get("from")),
+    to: date(searchParams.get("to")),
+    sort: parseSort(searchParams.get("sort")),
+    after: searchParams.get("after") || "",
+    before: searchParams.get("before") || "",
+    view: oneOf(searchParams.get("view"), ENTRY_VIEWS) || "table",
+  };
+};
+
+// Whether any filter narrows the list (sorting and paging don't)
+export const hasEntryFilters = (query) =>
+  Boolean(
+    query.q ||
+      query.position ||
+      query.status ||
+      query.state ||
+      query.lifecycle ||
+      query.campaign ||
+      query.from ||
+      query.to,
+  );
+
+// live, upcoming or expired at `now`. Fallbacks ignore their dates and are always on standby.
+export const getScheduleState = (fieldMap, now = new Date()) => {
+  if (isFallbackEntry(fieldMap)) {
+    return "live";
+  }
+  if (getEntryWindows(fieldMap, { from: now, to: new Date(now.getTime() + 1) }).length > 0) {
+    return "live";
+  }
+  if (!fieldMap.recurrence_rule) {
+    return fieldMap.start_at && new Date(fieldMap.start_at) > now ? "upcoming" : "expired";
+  }
+  const horizon = DateTime.fromJSDate(now).plus({ days: OCCURRENCE_HORIZON_DAYS }).toJSDate();
+  return getEntryWindows(fieldMap, { from: now, to: horizon }).length > 0 ? "upcoming" : "expired";
+};
+
+// active, scheduled (draft waiting for its scheduled publish) or draft
+export const getPublishState = (entry, pendingJobs = []) => {
+  if (entry.capabilities?.publishable?.status === "ACTIVE") {
+    return "active";
+  }
+  return pendingJobs.some((job) => job.action === "ACTIVATE") ? "scheduled" : "draft";
+};
+
+// What the storefront does with the entry at `now`, combining the publish status
+// with the schedule: draft, scheduled (switched on, window not reached yet), live,
+// hidden (live but the storefront skips it: a banner without a link or an
+// announcement without a message) or expired.
+export const getLifecycleState = (entry, pendingJobs = [], now = new Date()) => {
+  const fieldMap = getFieldMap(entry);
+  const scheduleState = getScheduleState(fieldMap, now);
+  if (scheduleState === "expired") {
+    return "expired";
+  }
+  const publishState = getPublishState(entry, pendingJobs);
+  if (publishState === "draft") {
+    return "draft";
+  }
+  if (publishState === "scheduled" || scheduleState === "upcoming") {
+    return "scheduled";
+  }
+  return isRenderable(fieldMap) ? "live" : "hidden";
+};
+
+// Entries per lifecycle state, every state present
+export const countLifecycleStates = (entries, { scheduledJobs = {}, now = new Date() } = {}) => {
+  const counts = Object.fromEntries(LIFECYCLE_STATES.map((state) => [state, 0]));
+  for (const entry of entries) {
+    counts[getLifecycleState(entry, scheduledJobs[entry.id], now)] += 1;
+  }
+  return counts;
+};
+
+export const filterEntries = (entries, query, { scheduledJobs = {}, entryCampaigns = {}, timeZone = "UTC", now = new Date() } = {}) => {
+  const search = query.q.toLowerCase();
+  const zone = timeZone || "UTC";
+  const rangeStart = query.from ? DateTime.fromISO(query.from, { zone }).startOf("day").toJSDate() : null;
+  const rangeEnd = query.to ? DateTime.fromISO(query.to, { zone }).plus({ days: 1 }).startOf("day").toJSDate() : null;
+
+  return entries.filter((entry) => {
+    const fieldMap = getFieldMap(entry);
+    if (
+      search &&
+      ![fieldMap.title, fieldMap.headline, fieldMap.position_id].some((value) =>
+        String(value || "").toLowerCase().includes(search),
+      )
+    ) {
+      return false;
+    }
+    if (query.position && String(fieldMap.position_id || "").trim() !== query.position) {
+      return false;
+    }
+    if (query.status && getPublishState(entry, scheduledJobs[entry.id]) !== query.status) {
+      return false;
+    }
+    if (query.state && getScheduleState(fieldMap, now) !== query.state) {
+      return false;
+    }
+    if (query.lifecycle && getLifecycleState(entry, scheduledJobs[entry.id], now) !== query.lifecycle) {
+      return false;
+    }
+    if (query.campaign) {
+      const campaignId = entryCampaigns[entry.id];
+      if (query.campaign === "none" ? campaignId : campaignId !== query.campaign) {
+        return false;
+      }
+    }
+    if ((rangeStart || rangeEnd) && !isFallbackEntry(fieldMap)) {
+      const windows = getEntryWindows(fieldMap, { from: rangeStart || undefined, to: rangeEnd || undefined });
+      if (windows.length === 0) {
+        return false;
+      }
+    }
+    return true;
+  });
+};
+
+// Without an explicit sort entries are grouped by position in storefront order,
+// fallbacks last. Otherwise each sort column applies in turn.
+export const sortEntries = (entries, sortConfig = []) => {
+  const withFieldMaps = entries.map((entry) => ({ entry, fieldMap: getFieldMap(entry) }));
+  withFieldMaps.sort(({ fieldMap: fieldMapA }, { fieldMap: fieldMapB }) => {
+    if (sortConfig.length === 0) {
+      const positionCompare = (fieldMapA.position_id || "").localeCompare(fieldMapB.position_id || "");
+      if (positionCompare !== 0) {
+        return positionCompare;
+      }
+      const fallbackCompare = Number(isFallbackEntry(fieldMapA)) - Number(isFallbackEntry(fieldMapB));
+      return fallbackCompare !== 0 ? fallbackCompare : compareByPriority(fieldMapA, fieldMapB);
+    }
+
+    for (const sort of sortConfig) {
+      let valueA = fieldMapA[sort.column];
+      let valueB = fieldMapB[sort.column];
+      if (sort.column === "priority") {
+        valueA = getEntryPriority(fieldMapA);
+        valueB = getEntryPriority(fieldMapB);
+      } else if (sort.column === "start_at" || sort.column === "end_at") {
+        valueA = valueA ? new Date(valueA).getTime() : 0;
+        valueB = valueB ? new Date(valueB).getTime() : 0;
+      } else {
+        valueA = String(valueA || "").toLowerCase();
+        valueB = String(valueB || "").toLowerCase();
+      }
+
+      if (valueA !== valueB) {
+        const comparison = valueA < valueB ? -1 : 1;
+        return sort.direction === "asc" ? comparison : -comparison;
+      }
+    }
+    return 0;
+  });
+  return withFieldMaps.map(({ entry }) => entry);
+};
+
+// Keyset pagination over the sorted list: `after`/`before` are entry ids at the
+// edge of the previous page. An unknown cursor (e.g. a deleted entry) restarts at the top.
+export const paginateEntries = (entries, { after = "", before = "", pageSize = ENTRIES_PAGE_SIZE } = {}) => {
+  let start = 0;
+  if (after) {
+    const index = entries.findIndex((entry) => entry.id === after);
+    start = index >= 0 ? index + 1 : 0;
+  } else if (before) {
+    const index = entries.findIndex((entry) => entry.id === before);
+    start = index >= 0 ? Math.max(index - pageSize, 0) : 0;
+  }
+  const page = entries.slice(start, start + pageSize);
+  return {
+    entries: page,
+    pageInfo: {
+      total: entries.length,
+      offset: start,
+      hasPreviousPage: start > 0,
+      hasNextPage: start + pageSize < entries.length,
+      startCursor: page[0]?.id ?? null,
+      endCursor: page[page.length - 1]?.id ?? null,
+    },
+  };
+};
@@ -0,0 +1,21 @@
+// Files for the media picker. Banners can use an MP4 or WebM video next to each
+// image; the block plays the video and uses the image as its poster.
+export const VIDEO_MIME_TYPES = ["video/mp4", "video/webm"];
+
+export const isVideoMimeType = (mimeType) => VIDEO_MIME_TYPES.includes(String(mimeType || "").toLowerCase());
+
+// Picker entry for a MediaImage or Video node (queried with __typename). `url` is
+// the image, or the video's preview frame once Shopify has processed it;
+// `videoUrl` is a playable source.
+export const toMediaFile = (node, { createdAt } = {}) => {
+  const isVideo = node?.__typename === "Video";
+  const sources = node?.sources ?? [];
+  return {
+    id: node.id,
+    url: (isVideo ? node.preview?.image?.url : node.image?.url) || "",
+    alt: node.alt || "",
+    createdAt: node.createdAt || createdAt || new Date().toISOString(),
+    mediaType: isVideo ? "video" : "image",
+    videoUrl: isVideo ? (sources.find((source) => source.mimeType === "video/mp4") ?? sources[0])?.url || "" : "",
+  };
+};
@@ -0,0 +1,88 @@
+// Popup entries open in a dialog from the Popup app embed (popup.liquid). When it
+// opens is the trigger: after a delay in seconds, on exit intent (the pointer
+// leaves through the top of the window) or once the visitor has scrolled a share
+// of the page. How often a visitor sees it is the frequency, kept in the
+// visitor's browser: once per session, once every N days, or on every page view
+// until they close it.
+export const POPUP_TRIGGERS = [
+  { value: "delay", label: "After a delay", unit: "seconds", defaultValue: 5, max: 600 },
+  { value: "exit_intent", label: "On exit intent" },
+  { value: "scroll", label: "After scrolling", unit: "% of the page", defaultValue: 50, max: 100 },
+];
+
+export const POPUP_FREQUENCIES = [
+  { value: "session", label: "Once per session" },
+  { value: "days", label: "Once every few days" },
+  { value: "dismiss", label: "Until the visitor closes it" },
+];
+
+export const DEFAULT_POPUP_FREQUENCY_DAYS = 7;
+const MAX_POPUP_FREQUENCY_DAYS = 365;
+
+const parseWholeNumber = (value, fallback) => {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return fallback;
+  }
+  const parsed = Number(String(value).trim());
+  return Number.isInteger(parsed) ? parsed : null;
+};
+
+// Trigger and frequency from stored fields or a form, with defaults filled in.
+// Returns null when a number is out of range.
+export const parsePopupSettings = ({ trigger, triggerValue, frequency, frequencyDays } = {}) => {
+  const triggerOption = POPUP_TRIGGERS.find((option) => option.value === trigger) ?? POPUP_TRIGGERS[0];
+  const frequencyOption = POPUP_FREQUENCIES.find((option) => option.value === frequency) ?? POPUP_FREQUENCIES[0];
+
+  let value = null;
+  if (triggerOption.unit) {
+    value = parseWholeNumber(triggerValue, triggerOption.defaultValue);
+    if (value === null || value < 0 || value > triggerOption.max) {
+      return null;
+    }
+  }
+
+  let days = null;
+  if (frequencyOption.value === "days") {
+    days = parseWholeNumber(frequencyDays, DEFAULT_POPUP_FREQUENCY_DAYS);
+    if (days === null || days < 1 || days > MAX_POPUP_FREQUENCY_DAYS) {
+      return null;
+    }
+  }
+
+  return { trigger: triggerOption.value, triggerValue: value, frequency: frequencyOption.value, frequencyDays: days };
+};
+
+export const getPopupSettings = (fieldMap) =>
+  parsePopupSettings({
+    trigger: fieldMap?.popup_trigger,
+    triggerValue: fieldMap?.popup_trigger_value,
+    frequency: fieldMap?.popup_frequency,
+    frequencyDays: fieldMap?.popup_frequency_days,
+  }) ?? parsePopupSettings();
+
+// Metaobject fields for parsed settings; numbers that don't apply are cleared
+export const buildPopupFields = (settings) => [
+  { key: "popup_trigger", value: settings.trigger },
+  { key: "popup_trigger_value", value: settings.triggerValue === null ? "" : String(settings.triggerValue) },
+  { key: "popup_frequency", value: settings.frequency },
+  { key: "popup_frequency_days", value: settings.frequencyDays === null ? "" : String(settings.frequencyDays) },
+];
+
+// e.g. "After 5 s, once every 7 days"
+export const describePopupSettings = (fieldMap) => {
+  const settings = getPopupSettings(fieldMap);
+  let trigger = "On exit intent";
+  if (settings.trigger === "delay") {
+    trigger = settings.triggerValue === 0 ? "On page load" : `After ${settings.triggerValue} s`;
+  } else if (settings.trigger === "scroll") {
+    trigger = `After scrolling ${settings.triggerValue}%`;
+  }
+
+  let frequency = "once per session";
+  if (settings.frequency === "days") {
+    frequency = settings.frequencyDays === 1 ? "once a day" : `once every ${settings.frequencyDays} days`;
+  } else if (settings.frequency === "dismiss") {
+    frequency = "until closed";
+  }
+  return `${trigger}, ${frequency}`;
+};
@@ -0,0 +1,56 @@
+// Position ids are what the theme block's "Position ID" setting must match, so
+// they are kept to characters that are easy to type and compare.
+export const POSITION_ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+export const normalizePositionId = (value) => String(value || "").trim().toLowerCase();
+
+const parseDimension = (value) => {
+  const text = String(value ?? "").trim();
+  if (!text) {
+    return { value: null };
+  }
+  const number = Number(text);
+  return Number.isInteger(number) && number > 0 ? { value: number } : { error: true };
+};
+
+// Fields from the position form. The id is only read when `withId` is set,
+// since renaming goes through its own intent.
+export const parsePositionForm = (formData, { withId = true } = {}) => {
+  const positionId = normalizePositionId(formData.get("position_id"));
+  const name = String(formData.get("name") || "").trim();
+  const description = String(formData.get("description") || "").trim();
+
+  const errors = [];
+  if (withId && !POSITION_ID_PATTERN.test(positionId)) {
+    errors.push("Position ID must use lowercase letters, digits, underscores or hyphens");
+  }
+  if (!name) {
+    errors.push("Name is required");
+  }
+
+  const dimensions = {};
+  for (const key of ["desktopWidth", "desktopHeight", "mobileWidth", "mobileHeight"]) {
+    const parsed = parseDimension(formData.get(key));
+    if (parsed.error) {
+      errors.push("Image dimensions must be whole numbers of pixels");
+      break;
+    }
+    dimensions[key] = parsed.value;
+  }
+
+  if (errors.length > 0) {
+    return { error: errors.join(", ") };
+  }
+  return { error: null, positionId, name, description: description || null, ...dimensions };
+};
+
+// e.g. "1920 × 600", "1920 wide" or ""
+export const formatImageSize = (width, height) => {
+  if (width && height) {
+    return `${width} × ${height}`;
+  }
+  if (width) {
+    return `${width} wide`;
+  }
+  return height ? `${height} high` : "";
+};
@@ -0,0 +1,345 @@
+import { DateTime } from "luxon";
+
+export const RECURRENCE_FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY"];
+export const WEEKDAY_CODES = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+export const WEEKDAY_LABELS = {
+  MO: "Mon",
+  TU: "Tue",
+  WE: "Wed",
+  TH: "Thu",
+  FR: "Fri",
+  SA: "Sat",
+  SU: "Sun",
+};
+
+// Occurrence windows are materialized onto the entry so the theme block can
+// evaluate them without any date math. Open-ended rules are cut off here.
+export const OCCURRENCE_HORIZON_DAYS = 400;
+export const OCCURRENCE_LIMIT = 400;
+
+// Periods (days, weeks or months) looked at per expansion, counted from the
+// first one that can reach `from`
+const MAX_PERIODS = 5000;
+const PERIOD_UNITS = { DAILY: "days", WEEKLY: "weeks", MONTHLY: "months" };
+const PERIOD_ANCHORS = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" };
+const ORDINAL_LABELS = { 1: "1st", 2: "2nd", 3: "3rd", 4: "4th", 5: "5th", "-1": "last" };
+
+const parseUntil = (value, timeZone) => {
+  if (!value) {
+    return null;
+  }
+  const zone = timeZone || "UTC";
+  const dateTime = DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss'Z'", { zone: "UTC" });
+  if (dateTime.isValid) {
+    return dateTime;
+  }
+  const localDateTime = DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss", { zone });
+  if (localDateTime.isValid) {
+    return localDateTime.toUTC();
+  }
+  // A bare date means "through the end of that day" in the entry's timezone
+  const date = DateTime.fromFormat(value, "yyyyMMdd", { zone });
+  if (date.isValid) {
+    return date.endOf("day").toUTC();
+  }
+  const isoDate = DateTime.fromISO(value, { zone });
+  if (isoDate.isValid) {
+    return (value.length <= 10 ? isoDate.endOf("day") : isoDate).toUTC();
+  }
+  return null;
+};
+
+export const parseRecurrenceRule = (rule, timeZone) => {
+  if (typeof rule !== "string") {
+    return null;
+  }
+
+  const trimmed = rule.trim().replace(/^RRULE:/i, "");
+  if (!trimmed) {
+    return null;
+  }
+
+  const parts = Object.fromEntries(
+    trimmed
+      .split(";")
+      .map((part) => part.split("="))
+      .filter(([key, value]) => key && value !== undefined)
+      .map(([key, value]) => [key.trim().toUpperCase(), value.trim()]),
+  );
+
+  const freq = String(parts.FREQ || "").toUpperCase();
+  if (!RECURRENCE_FREQUENCIES.includes(freq)) {
+    return null;
+  }
+
+  const interval = parts.INTERVAL ? Number.parseInt(parts.INTERVAL, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    return null;
+  }
+
+  const byDay = [];
+  if (parts.BYDAY) {
+    for (const token of parts.BYDAY.split(",")) {
+      const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/i.exec(token.trim());
+      if (!match) {
+        return null;
+      }
+      const ordinal = match[1] ? Number.parseInt(match[1], 10) : null;
+      if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+        return null;
+      }
+      byDay.push({ weekday: match[2].toUpperCase(), ordinal });
+    }
+  }
+
+  const byMonthDay = [];
+  if (parts.BYMONTHDAY) {
+    for (const token of parts.BYMONTHDAY.split(",")) {
+      const day = Number.parseInt(token, 10);
+      if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+        return null;
+      }
+      byMonthDay.push(day);
+    }
+  }
+
+  let count = null;
+  if (parts.COUNT) {
+    count = Number.parseInt(parts.COUNT, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      return null;
+    }
+  }
+
+  let until = null;
+  if (parts.UNTIL) {
+    until = parseUntil(parts.UNTIL, timeZone);
+    if (!until) {
+      return null;
+    }
+  }
+
+  return { freq, interval, byDay, byMonthDay, count, until };
+};
+
+export const serializeRecurrenceRule = (parsed) => {
+  if (!parsed || !RECURRENCE_FREQUENCIES.includes(parsed.freq)) {
+    return "";
+  }
+
+  const parts = [`FREQ=${parsed.freq}`];
+  if (parsed.interval && parsed.interval > 1) {
+    parts.push(`INTERVAL=${parsed.interval}`);
+  }
+  if (parsed.byDay?.length) {
+    parts.push(`BYDAY=${parsed.byDay.map((day) => `${day.ordinal ?? ""}${day.weekday}`).join(",")}`);
+  }
+  if (parsed.byMonthDay?.length) {
+    parts.push(`BYMONTHDAY=${parsed.byMonthDay.join(",")}`);
+  }
+  if (parsed.count) {
+    parts.push(`COUNT=${parsed.count}`);
+  } else if (parsed.until) {
+    const until = DateTime.isDateTime(parsed.until) ? parsed.until : DateTime.fromISO(String(parsed.until));
+    if (until.isValid) {
+      parts.push(`UNTIL=${until.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
+    }
+  }
+
+  return parts.join(";");
+};
+
+// Round-trips a rule so UNTIL is always stored as an absolute UTC timestamp.
+export const normalizeRecurrenceRule = (rule, timeZone) => {
+  if (!rule || !String(rule).trim()) {
+    return "";
+  }
+  const parsed = parseRecurrenceRule(String(rule), timeZone);
+  return parsed ? serializeRecurrenceRule(parsed) : null;
+};
+
+const weekdayNumber = (code) => WEEKDAY_CODES.indexOf(code) + 1;
+
+const withTimeOf = (date, template) =>
+  date.set({
+    hour: template.hour,
+    minute: template.minute,
+    second: template.second,
+    millisecond: 0,
+  });
+
+const candidatesForPeriod = (parsed, dtStart, periodIndex) => {
+  const step = periodIndex * parsed.interval;
+
+  if (parsed.freq === "DAILY") {
+    const day = dtStart.plus({ days: step });
+    if (parsed.byDay.length && !parsed.byDay.some((d) => weekdayNumber(d.weekday) === day.weekday)) {
+      return [];
+    }
+    return [day];
+  }
+
+  if (parsed.freq === "WEEKLY") {
+    const weekStart = dtStart.startOf("week").plus({ weeks: step });
+    const weekdays = parsed.byDay.length
+      ? parsed.byDay.map((d) => weekdayNumber(d.weekday))
+      : [dtStart.weekday];
+    return [...new Set(weekdays)]
+      .sort((a, b) => a - b)
+      .map((weekday) => withTimeOf(weekStart.plus({ days: weekday - 1 }), dtStart));
+  }
+
+  const monthStart = dtStart.startOf("month").plus({ months: step });
+  const daysInMonth = monthStart.daysInMonth;
+  const days = new Set();
+
+  if (parsed.byMonthDay.length) {
+    for (const monthDay of parsed.byMonthDay) {
+      const day = monthDay > 0 ? monthDay : daysInMonth + monthDay + 1;
+      if (day >= 1 && day <= daysInMonth) {
+        days.add(day);
+      }
+    }
+  } else if (parsed.byDay.length) {
+    for (const { weekday, ordinal } of parsed.byDay) {
+      const target = weekdayNumber(weekday);
+      const matches = [];
+      for (let day = 1; day <= daysInMonth; day++) {
+        if (monthStart.set({ day }).weekday === target) {
+          matches.push(day);
+        }
+      }
+      if (ordinal === null) {
+        matches.forEach((day) => days.add(day));
+      } else {
+        const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+        if (day) {
+          days.add(day);
+        }
+      }
+    }
+  } else if (dtStart.day <= daysInMonth) {
+    days.add(dtStart.day);
+  }
+
+  return [...days].sort((a, b) => a - b).map((day) => withTimeOf(monthStart.set({ day }), dtStart));
+};
+
+// The first period whose occurrences can still end after `fromDate`, so series
+// that started long ago don't spend MAX_PERIODS getting there. One period of
+// slack covers occurrences late in their period.
+const firstPeriodReaching = (parsed, dtStart, fromDate, length) => {
+  const unit = PERIOD_UNITS[parsed.freq];
+  const anchor = dtStart.startOf(PERIOD_ANCHORS[parsed.freq]);
+  const elapsed = Math.floor(fromDate.setZone(dtStart.zone).minus(length).diff(anchor, unit)[unit]);
+  return Math.max(0, Math.floor(elapsed / parsed.interval) - 1);
+};
+
+// Expands a rule into concrete occurrence windows. All calendar math happens in
+// the entry's timezone so a 09:00 occurrence stays at 09:00 across DST changes.
+export const expandOccurrences = ({ startAt, endAt, rule, timeZone, from, to, limit = OCCURRENCE_LIMIT }) => {
+  const zone = timeZone || "UTC";
+  const dtStart = DateTime.fromISO(String(startAt || ""), { zone: "UTC" }).setZone(zone);
+  const dtEnd = DateTime.fromISO(String(endAt || ""), { zone: "UTC" }).setZone(zone);
+  if (!dtStart.isValid || !dtEnd.isValid || dtEnd <= dtStart) {
+    return [];
+  }
+
+  const length = dtEnd.diff(dtStart, ["days", "hours", "minutes", "seconds"]);
+  const toWindow = (start) => ({ start, end: start.plus(length) });
+
+  const parsed = typeof rule === "string" ? parseRecurrenceRule(rule, zone) : rule;
+  if (!parsed) {
+    return [toWindow(dtStart)];
+  }
+
+  const fromDate = from ? DateTime.fromJSDate(new Date(from)) : null;
+  const toDate = to ? DateTime.fromJSDate(new Date(to)) : null;
+  const occurrences = [];
+  let emitted = 0;
+
+  const consider = (start) => {
+    emitted += 1;
+    const window = toWindow(start);
+    if ((!fromDate || window.end > fromDate) && (!toDate || window.start < toDate)) {
+      occurrences.push(window);
+    }
+  };
+
+  // DTSTART is always the first instance, even when it doesn't match the rule
+  consider(dtStart);
+
+  // COUNT numbers occurrences from DTSTART, so those series are walked from the start
+  const firstPeriod = fromDate && !parsed.count ? firstPeriodReaching(parsed, dtStart, fromDate, length) : 0;
+  for (let period = firstPeriod; period < firstPeriod + MAX_PERIODS; period++) {
+    const candidates = candidatesForPeriod(parsed, dtStart, period);
+    let passedRange = false;
+
+    for (const candidate of candidates) {
+      if (candidate <= dtStart) {
+        continue;
+      }
+      if (parsed.count && emitted >= parsed.count) {
+        return occurrences;
+      }
+      if (parsed.until && candidate.toUTC() > parsed.until) {
+        return occurrences;
+      }
+      if (toDate && candidate >= toDate) {
+        passedRange = true;
+        break;
+      }
+      consider(candidate);
+      if (occurrences.length >= limit) {
+        return occurrences;
+      }
+    }
+
+    if (passedRange) {
+      break;
+    }
+  }
+
+  return occurrences;
+};
+
+// Windows in epoch seconds, ready to be stored in the `occurrences` JSON field.
+export const buildOccurrenceWindows = ({ startAt, endAt, rule, timeZone, now = new Date() }) => {
+  if (!rule) {
+    return [];
+  }
+  const horizon = DateTime.fromJSDate(now).plus({ days: OCCURRENCE_HORIZON_DAYS });
+  return expandOccurrences({ startAt, endAt, rule, timeZone, from: now, to: horizon.toJSDate() }).map(
+    (window) => ({
+      start: Math.floor(window.start.toSeconds()),
+      end: Math.floor(window.end.toSeconds()),
+    }),
+  );
+};
+
+export const describeRecurrenceRule = (rule, timeZone) => {
+  const parsed = typeof rule === "string" ? parseRecurrenceRule(rule, timeZone) : rule;
+  if (!parsed) {
+    return "";
+  }
+
+  const unit = { DAILY: "day", WEEKLY: "week", MONTHLY: "month" }[parsed.freq];
+  let summary = parsed.interval > 1 ? `Every ${parsed.interval} ${unit}s` : `Every ${unit}`;
+
+  if (parsed.byDay.length) {
+    const days = parsed.byDay
+      .map((d) => (d.ordinal ? `${ORDINAL_LABELS[d.ordinal] || `${d.ordinal}th`} ${WEEKDAY_LABELS[d.weekday]}` : WEEKDAY_LABELS[d.weekday]))
+      .join(", ");
+    summary += ` on ${days}`;
+  } else if (parsed.byMonthDay.length) {
+    summary += ` on day ${parsed.byMonthDay.map((d) => (d === -1 ? "last" : d)).join(", ")}`;
+  }
+
+  if (parsed.count) {
+    summary += `, ${parsed.count} time${parsed.count === 1 ? "" : "s"}`;
+  } else if (parsed.until) {
+    summary += `, until ${parsed.until.setZone(timeZone || "UTC").toLocaleString(DateTime.DATE_MED)}`;
+  }
+
+  return summary;
+};
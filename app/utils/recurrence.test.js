@@ -0,0 +1,136 @@
+import { describe, expect, it } from "vitest";
+import { expandOccurrences, parseRecurrenceRule } from "./recurrence";
+
+const starts = (windows) => windows.map((window) => window.start.toUTC().toISO());
+
+describe("parseRecurrenceRule", () => {
+  it("parses BYDAY with and without ordinals", () => {
+    expect(parseRecurrenceRule("RRULE:FREQ=MONTHLY;BYDAY=2TU,-1FR,SA")).toMatchObject({
+      freq: "MONTHLY",
+      interval: 1,
+      byDay: [
+        { weekday: "TU", ordinal: 2 },
+        { weekday: "FR", ordinal: -1 },
+        { weekday: "SA", ordinal: null },
+      ],
+    });
+  });
+
+  it("rejects unknown frequencies, bad intervals and out-of-range ordinals", () => {
+    expect(parseRecurrenceRule("FREQ=YEARLY")).toBeNull();
+    expect(parseRecurrenceRule("FREQ=DAILY;INTERVAL=0")).toBeNull();
+    expect(parseRecurrenceRule("FREQ=MONTHLY;BYDAY=6MO")).toBeNull();
+    expect(parseRecurrenceRule("FREQ=MONTHLY;BYDAY=0MO")).toBeNull();
+    expect(parseRecurrenceRule("")).toBeNull();
+  });
+
+  it("reads COUNT and UNTIL", () => {
+    expect(parseRecurrenceRule("FREQ=DAILY;COUNT=3").count).toBe(3);
+    expect(parseRecurrenceRule("FREQ=DAILY;COUNT=0")).toBeNull();
+    expect(parseRecurrenceRule("FREQ=DAILY;UNTIL=20261031T120000Z").until.toISO()).toBe("2026-10-31T12:00:00.000Z");
+    // A bare date runs through the end of that day in the entry's timezone
+    expect(parseRecurrenceRule("FREQ=DAILY;UNTIL=20261031", "Europe/Paris").until.toISO()).toBe(
+      "2026-10-31T22:59:59.999Z",
+    );
+  });
+});
+
+describe("expandOccurrences", () => {
+  it("picks ordinal weekdays of each month", () => {
+    const windows = expandOccurrences({
+      startAt: "2026-01-02T10:00:00Z",
+      endAt: "2026-01-02T12:00:00Z",
+      rule: "FREQ=MONTHLY;BYDAY=-1FR",
+      timeZone: "UTC",
+      to: new Date("2026-04-01T00:00:00Z"),
+    });
+
+    expect(starts(windows)).toEqual([
+      "2026-01-02T10:00:00.000Z", // DTSTART is always the first instance
+      "2026-01-30T10:00:00.000Z",
+      "2026-02-27T10:00:00.000Z",
+      "2026-03-27T10:00:00.000Z",
+    ]);
+  });
+
+  it("stops after COUNT occurrences, DTSTART included", () => {
+    const windows = expandOccurrences({
+      startAt: "2026-10-05T09:00:00Z",
+      endAt: "2026-10-05T10:00:00Z",
+      rule: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3",
+      timeZone: "UTC",
+    });
+
+    expect(starts(windows)).toEqual([
+      "2026-10-05T09:00:00.000Z",
+      "2026-10-07T09:00:00.000Z",
+      "2026-10-12T09:00:00.000Z",
+    ]);
+  });
+
+  it("counts COUNT from DTSTART even when `from` is later", () => {
+    const windows = expandOccurrences({
+      startAt: "2026-10-01T09:00:00Z",
+      endAt: "2026-10-01T10:00:00Z",
+      rule: "FREQ=DAILY;COUNT=5",
+      timeZone: "UTC",
+      from: new Date("2026-10-04T00:00:00Z"),
+    });
+
+    expect(starts(windows)).toEqual(["2026-10-04T09:00:00.000Z", "2026-10-05T09:00:00.000Z"]);
+  });
+
+  it("stops at UNTIL", () => {
+    const windows = expandOccurrences({
+      startAt: "2026-10-01T09:00:00Z",
+      endAt: "2026-10-01T10:00:00Z",
+      rule: "FREQ=DAILY;INTERVAL=2;UNTIL=20261007T090000Z",
+      timeZone: "UTC",
+    });
+
+    expect(starts(windows)).toEqual([
+      "2026-10-01T09:00:00.000Z",
+      "2026-10-03T09:00:00.000Z",
+      "2026-10-05T09:00:00.000Z",
+      "2026-10-07T09:00:00.000Z",
+    ]);
+  });
+
+  it("keeps the local time across DST changes", () => {
+    const windows = expandOccurrences({
+      startAt: "2026-10-23T07:00:00Z", // 09:00 in Paris, summer time
+      endAt: "2026-10-23T08:00:00Z",
+      rule: "FREQ=WEEKLY",
+      timeZone: "Europe/Paris",
+      to: new Date("2026-11-01T00:00:00Z"),
+    });
+
+    expect(starts(windows)).toEqual(["2026-10-23T07:00:00.000Z", "2026-10-30T08:00:00.000Z"]);
+  });
+
+  it("reaches today from a DTSTART many years back", () => {
+    const windows = expandOccurrences({
+      startAt: "2010-01-01T09:00:00Z",
+      endAt: "2010-01-01T10:00:00Z",
+      rule: "FREQ=DAILY",
+      timeZone: "UTC",
+      from: new Date("2026-10-19T00:00:00Z"),
+      to: new Date("2026-10-21T00:00:00Z"),
+    });
+
+    expect(starts(windows)).toEqual(["2026-10-19T09:00:00.000Z", "2026-10-20T09:00:00.000Z"]);
+  });
+
+  it("reaches today from the blank-start default", () => {
+    const windows = expandOccurrences({
+      startAt: "2000-01-01T00:00:00Z",
+      endAt: "2000-01-01T02:00:00Z",
+      rule: "FREQ=MONTHLY;BYMONTHDAY=-1",
+      timeZone: "UTC",
+      from: new Date("2026-10-19T00:00:00Z"),
+      to: new Date("2026-12-01T00:00:00Z"),
+    });
+
+    expect(starts(windows)).toEqual(["2026-10-31T00:00:00.000Z", "2026-11-30T00:00:00.000Z"]);
+  });
+});
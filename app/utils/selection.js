@@ -0,0 +1,213 @@
+import { getContentType, getEntryPriority, isFallbackEntry, isRenderable } from "./entries";
+
+// Mirrors the entry selection in extensions/scheduled-banner-theme-block/blocks/scheduled-banner.liquid,
+// announcement-bar.liquid and popup.liquid so the admin can preview what a
+// position shows at any moment. Keep them in lockstep: every rule here has a counterpart in the
+// blocks, evaluated on the stored field values they see (occurrences and daypart
+// offsets included).
+
+const parseJSON = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+const toSeconds = (value) => {
+  const millis = value ? Date.parse(value) : Number.NaN;
+  return Number.isNaN(millis) ? null : Math.floor(millis / 1000);
+};
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+// `{% if range.days contains local_weekday %}` with the block's integer math
+const isWithinStoredDayparts = (daypart, nowTs) => {
+  let localOffset = 0;
+  for (const change of daypart.offsets || []) {
+    if (Number(change.from) <= nowTs) {
+      localOffset = Number(change.offset);
+    } else {
+      break;
+    }
+  }
+  const localTs = nowTs + localOffset;
+  const localDayNumber = Math.floor(localTs / 86400);
+  const localMinute = Math.floor((localTs % 86400) / 60);
+  // 1970-01-01 was a Thursday; weekdays are ISO (Monday = 1)
+  const localWeekday = ((localDayNumber + 3) % 7) + 1;
+  const previousWeekday = ((localDayNumber + 2) % 7) + 1;
+
+  return daypart.ranges.some((range) => {
+    const days = (range.days || []).map(Number);
+    const start = Number(range.start);
+    const end = Number(range.end);
+    if (start < end) {
+      return days.includes(localWeekday) && localMinute >= start && localMinute < end;
+    }
+    return (days.includes(localWeekday) && localMinute >= start) || (days.includes(previousWeekday) && localMinute < end);
+  });
+};
+
+// Whether a scheduled (non-fallback) entry is live at `nowTs`. Returns the start
+// of the matching window, used for tie-breaking, or the reason it isn't live.
+export const getLiveWindow = (fieldMap, nowTs) => {
+  let startTs = null;
+
+  if (!isBlank(fieldMap.recurrence_rule)) {
+    const occurrences = parseJSON(fieldMap.occurrences) || [];
+    const window = occurrences.find(
+      (occurrence) => nowTs >= Number(occurrence.start) && nowTs < Number(occurrence.end),
+    );
+    if (!window) {
+      return { live: false, reason: "No occurrence at this time" };
+    }
+    startTs = Number(window.start);
+  } else {
+    const start = toSeconds(fieldMap.start_at);
+    const end = toSeconds(fieldMap.end_at);
+    if (start === null || end === null) {
+      return { live: false, reason: "Missing start or end date" };
+    }
+    if (nowTs < start) {
+      return { live: false, reason: "Not started yet" };
+    }
+    if (nowTs >= end) {
+      return { live: false, reason: "Already ended" };
+    }
+    startTs = start;
+  }
+
+  const daypart = parseJSON(fieldMap.dayparts);
+  if (daypart?.ranges?.length > 0 && !isWithinStoredDayparts(daypart, nowTs)) {
+    return { live: false, reason: "Outside its time-of-day ranges" };
+  }
+  return { live: true, startTs };
+};
+
+const describeLoss = (candidate, winner) => {
+  if (candidate.priority < winner.priority) {
+    return `Lower priority (${candidate.priority} vs ${winner.priority})`;
+  }
+  if (candidate.startTs < winner.startTs) {
+    return "Same priority, started before the winner";
+  }
+  return "Same priority and start as the winner, listed after it";
+};
+
+// Picks what one position shows at `at`. `entries` are { id, fieldMap, published }
+// where `published` says whether the entry is switched on (drafts never reach the
+// storefront). `contentType` says which storefront piece reads the position: the
+// banner block and the popup embed (popup.liquid) show one winner, the
+// announcement bar rotates every live announcement (announcement-bar.liquid);
+// each ignores the others' entries.
+// Returns the winner (or null), the entries shown in turn, whether the position
+// stays hidden, and every entry of the position with the reason it isn't shown.
+export const evaluatePosition = ({ entries, positionId, at, contentType = "banner" }) => {
+  const nowTs = Math.floor(new Date(at).getTime() / 1000);
+  const position = String(positionId || "").trim();
+  const rotates = contentType === "announcement";
+  const candidates = [];
+  const live = [];
+  let fallback = null;
+
+  for (const entry of entries) {
+    const fieldMap = entry.fieldMap || {};
+    if (String(fieldMap.position_id || "").trim() !== position || getContentType(fieldMap) !== contentType) {
+      continue;
+    }
+    const candidate = { id: entry.id, fieldMap, isFallback: isFallbackEntry(fieldMap), reason: null };
+    candidates.push(candidate);
+
+    if (!entry.published) {
+      candidate.reason = "Draft";
+      continue;
+    }
+
+    // The embeds skip entries they can't show instead of leaving an empty slot
+    if (contentType !== "banner" && !isRenderable(fieldMap)) {
+      candidate.reason = rotates ? "No message" : "No headline or image";
+      continue;
+    }
+
+    if (candidate.isFallback) {
+      if (fallback) {
+        candidate.reason = "Another fallback is used for this position";
+      } else {
+        fallback = candidate;
+      }
+      continue;
+    }
+
+    const liveWindow = getLiveWindow(fieldMap, nowTs);
+    if (!liveWindow.live) {
+      candidate.reason = liveWindow.reason;
+      continue;
+    }
+
+    candidate.priority = getEntryPriority(fieldMap);
+    candidate.startTs = liveWindow.startTs;
+    live.push(candidate);
+  }
+
+  // Stable, so full ties keep list order like the block's strict comparisons
+  live.sort((a, b) => b.priority - a.priority || b.startTs - a.startTs);
+  const winner = live[0] ?? null;
+  if (!rotates) {
+    for (const candidate of live.slice(1)) {
+      candidate.reason = describeLoss(candidate, winner);
+    }
+  }
+
+  let selected = winner;
+  if (fallback) {
+    if (winner) {
+      fallback.reason = "Not needed: a scheduled entry is live";
+    } else {
+      selected = fallback;
+    }
+  }
+
+  let rotation = selected ? [selected] : [];
+  if (rotates && winner) {
+    rotation = live;
+  }
+
+  return {
+    positionId: position,
+    contentType,
+    winner: selected,
+    rotation,
+    usedFallback: Boolean(selected && selected === fallback),
+    // The block renders nothing when the selected banner has no link
+    hidden: !selected || !isRenderable(selected.fieldMap),
+    candidates,
+  };
+};
+
+// An app embed reads a position when it only holds its type of entries
+export const getPositionContentType = (entries, positionId) => {
+  const position = String(positionId || "").trim();
+  const types = new Set(
+    entries
+      .filter((entry) => String(entry.fieldMap?.position_id || "").trim() === position)
+      .map((entry) => getContentType(entry.fieldMap)),
+  );
+  return types.size === 1 ? [...types][0] : "banner";
+};
+
+// Every position and content type that has at least one entry, in alphabetical order.
+export const evaluateSchedule = ({ entries, at }) => {
+  const keys = [
+    ...new Set(
+      entries.map((entry) => `${String(entry.fieldMap?.position_id || "").trim()}\n${getContentType(entry.fieldMap)}`),
+    ),
+  ].sort();
+  return keys.map((key) => {
+    const [positionId, contentType] = key.split("\n");
+    return evaluatePosition({ entries, positionId, at, contentType });
+  });
+};
@@ -0,0 +1,170 @@
+import { describe, expect, it } from "vitest";
+import { buildDaypartsValue } from "./dayparts";
+import { buildOccurrenceWindows } from "./recurrence";
+import { evaluatePosition, getLiveWindow } from "./selection";
+
+const AT = "2026-10-19T10:00:00Z"; // a Monday, 12:00 in Paris
+const toTs = (value) => Math.floor(Date.parse(value) / 1000);
+
+const banner = (id, fields = {}, published = true) => ({
+  id,
+  published,
+  fieldMap: {
+    title: id,
+    position_id: "homepage",
+    start_at: "2026-10-01T00:00:00Z",
+    end_at: "2026-11-01T00:00:00Z",
+    target_url: "/collections/sale",
+    ...fields,
+  },
+});
+
+const evaluate = (entries, at = AT) => evaluatePosition({ entries, positionId: "homepage", at });
+
+describe("getLiveWindow", () => {
+  it("matches start_at <= now < end_at", () => {
+    const { fieldMap } = banner("a");
+    expect(getLiveWindow(fieldMap, toTs(AT))).toEqual({ live: true, startTs: toTs("2026-10-01T00:00:00Z") });
+    expect(getLiveWindow(fieldMap, toTs("2026-09-30T23:59:59Z"))).toEqual({ live: false, reason: "Not started yet" });
+    expect(getLiveWindow(fieldMap, toTs("2026-11-01T00:00:00Z"))).toEqual({ live: false, reason: "Already ended" });
+  });
+
+  it("reports a missing date", () => {
+    const { fieldMap } = banner("a", { end_at: "" });
+    expect(getLiveWindow(fieldMap, toTs(AT))).toEqual({ live: false, reason: "Missing start or end date" });
+  });
+
+  it("uses the stored occurrences of recurring entries", () => {
+    const rule = "FREQ=WEEKLY;BYDAY=MO";
+    const startAt = "2026-10-05T07:00:00Z"; // Mondays 09:00-17:00 in Paris
+    const endAt = "2026-10-05T15:00:00Z";
+    const fieldMap = {
+      start_at: startAt,
+      end_at: endAt,
+      recurrence_rule: rule,
+      timezone: "Europe/Paris",
+      occurrences: JSON.stringify(
+        buildOccurrenceWindows({
+          startAt,
+          endAt,
+          rule,
+          timeZone: "Europe/Paris",
+          now: new Date("2026-10-01T00:00:00Z"),
+        }),
+      ),
+    };
+
+    expect(getLiveWindow(fieldMap, toTs(AT))).toEqual({ live: true, startTs: toTs("2026-10-19T07:00:00Z") });
+    expect(getLiveWindow(fieldMap, toTs("2026-10-20T10:00:00Z"))).toEqual({
+      live: false,
+      reason: "No occurrence at this time",
+    });
+    // After the DST change the occurrence stays at 09:00 local
+    expect(getLiveWindow(fieldMap, toTs("2026-10-26T07:30:00Z")).live).toBe(false);
+    expect(getLiveWindow(fieldMap, toTs("2026-10-26T08:30:00Z"))).toEqual({
+      live: true,
+      startTs: toTs("2026-10-26T08:00:00Z"),
+    });
+  });
+
+  it("limits an entry to its dayparts in its timezone", () => {
+    const dayparts = buildDaypartsValue([{ days: [1], start: 660, end: 840 }], "Europe/Paris", new Date(AT));
+    const { fieldMap } = banner("a", { dayparts });
+
+    expect(getLiveWindow(fieldMap, toTs("2026-10-19T09:00:00Z")).live).toBe(true); // 11:00 local
+    expect(getLiveWindow(fieldMap, toTs("2026-10-19T12:00:00Z"))).toEqual({
+      live: false,
+      reason: "Outside its time-of-day ranges",
+    }); // 14:00 local
+    expect(getLiveWindow(fieldMap, toTs("2026-10-20T10:00:00Z")).live).toBe(false); // Tuesday
+  });
+
+  it("runs a daypart past midnight into the next day", () => {
+    const dayparts = buildDaypartsValue([{ days: [1], start: 1320, end: 120 }], "UTC", new Date(AT));
+    const { fieldMap } = banner("a", { dayparts });
+
+    expect(getLiveWindow(fieldMap, toTs("2026-10-19T23:00:00Z")).live).toBe(true);
+    expect(getLiveWindow(fieldMap, toTs("2026-10-20T01:00:00Z")).live).toBe(true);
+    expect(getLiveWindow(fieldMap, toTs("2026-10-20T23:00:00Z")).live).toBe(false);
+  });
+});
+
+describe("evaluatePosition", () => {
+  it("picks the highest priority", () => {
+    const result = evaluate([banner("low", { priority: "1" }), banner("high", { priority: "5" }), banner("none")]);
+
+    expect(result.winner.id).toBe("high");
+    expect(result.hidden).toBe(false);
+    const reasons = Object.fromEntries(result.candidates.map((candidate) => [candidate.id, candidate.reason]));
+    expect(reasons).toEqual({ low: "Lower priority (1 vs 5)", high: null, none: "Lower priority (0 vs 5)" });
+  });
+
+  it("breaks priority ties on the most recent start, then list order", () => {
+    const older = banner("older", { start_at: "2026-10-01T00:00:00Z" });
+    const newer = banner("newer", { start_at: "2026-10-10T00:00:00Z" });
+    expect(evaluate([older, newer]).winner.id).toBe("newer");
+
+    const first = banner("first");
+    const second = banner("second");
+    const result = evaluate([first, second]);
+    expect(result.winner.id).toBe("first");
+    expect(result.candidates[1].reason).toBe("Same priority and start as the winner, listed after it");
+  });
+
+  it("ignores drafts and other positions", () => {
+    const result = evaluate([banner("draft", { priority: "9" }, false), banner("elsewhere", { position_id: "footer" })]);
+
+    expect(result.winner).toBeNull();
+    expect(result.hidden).toBe(true);
+    expect(result.candidates.map((candidate) => [candidate.id, candidate.reason])).toEqual([["draft", "Draft"]]);
+  });
+
+  it("hides the banner when the winner has no link", () => {
+    const result = evaluate([banner("linkless", { target_url: "", priority: "2" }), banner("linked")]);
+
+    expect(result.winner.id).toBe("linkless");
+    expect(result.hidden).toBe(true);
+  });
+
+  it("counts a linked resource as a link", () => {
+    const result = evaluate([banner("product", { target_url: "", target_product: "gid://shopify/Product/1" })]);
+
+    expect(result.hidden).toBe(false);
+  });
+
+  it("shows the fallback only when nothing scheduled is live", () => {
+    const fallback = banner("fallback", { is_fallback: "true", start_at: "", end_at: "" });
+    const ended = banner("ended", { end_at: "2026-10-10T00:00:00Z" });
+
+    const withoutLive = evaluate([fallback, ended]);
+    expect(withoutLive.winner.id).toBe("fallback");
+    expect(withoutLive.usedFallback).toBe(true);
+
+    const withLive = evaluate([fallback, banner("live")]);
+    expect(withLive.winner.id).toBe("live");
+    expect(withLive.usedFallback).toBe(false);
+    expect(withLive.candidates[0].reason).toBe("Not needed: a scheduled entry is live");
+  });
+
+  it("skips an entry outside its dayparts", () => {
+    const dayparts = buildDaypartsValue([{ days: [1], start: 1080, end: 1200 }], "Europe/Paris", new Date(AT));
+    const result = evaluate([banner("evening", { dayparts, priority: "5" }), banner("allDay")]);
+
+    expect(result.winner.id).toBe("allDay");
+    expect(result.candidates[0].reason).toBe("Outside its time-of-day ranges");
+  });
+
+  it("rotates every live announcement in priority order", () => {
+    const announcement = (id, priority) =>
+      banner(id, { content_type: "announcement", headline: id, target_url: "", priority: String(priority) });
+    const result = evaluatePosition({
+      entries: [announcement("a", 1), announcement("b", 3), announcement("c", 2)],
+      positionId: "homepage",
+      at: AT,
+      contentType: "announcement",
+    });
+
+    expect(result.rotation.map((candidate) => candidate.id)).toEqual(["b", "c", "a"]);
+    expect(result.hidden).toBe(false);
+  });
+});
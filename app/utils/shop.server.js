@@ -0,0 +1,20 @@
+// The store's IANA timezone from its settings. Schedules are entered and shown in
+// this zone unless an entry overrides it.
+export const getShopTimeZone = async (admin) => {
+  try {
+    const response = await admin.graphql(
+      `#graphql
+      query GetShopTimezone {
+        shop {
+          ianaTimezone
+        }
+      }
+    `,
+    );
+    const responseJson = await response.json();
+    return responseJson?.data?.shop?.ianaTimezone || "UTC";
+  } catch (error) {
+    console.error("Error loading shop timezone:", error);
+    return "UTC";
+  }
+};
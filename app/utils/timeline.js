@@ -0,0 +1,152 @@
+import { DateTime } from "luxon";
+import { getEntryWindows, getFieldMap, isFallbackEntry } from "./entries";
+
+export const TIMELINE_SPANS = ["week", "month"];
+
+// Snap steps for dragging, so a moved bar lands on a readable time
+const SNAP_MINUTES = { week: 15, month: 60 };
+
+// The visible [start, end) range around `anchor`, in the given zone. Weeks start on Monday.
+export const getTimelineRange = (span, anchor, timeZone) => {
+  const local = DateTime.fromJSDate(new Date(anchor)).setZone(timeZone || "UTC");
+  const unit = span === "month" ? "month" : "week";
+  const start = local.startOf(unit);
+  return { start: start.toJSDate(), end: start.plus({ [`${unit}s`]: 1 }).toJSDate() };
+};
+
+// e.g. "October 2026" or "Oct 19 – Oct 25, 2026"
+export const formatTimelineRange = (span, range, timeZone) => {
+  const start = DateTime.fromJSDate(range.start).setZone(timeZone || "UTC");
+  if (span === "month") {
+    return start.toFormat("LLLL yyyy");
+  }
+  const last = DateTime.fromJSDate(range.end).setZone(timeZone || "UTC").minus({ days: 1 });
+  return `${start.toFormat("LLL d")} – ${last.toFormat("LLL d, yyyy")}`;
+};
+
+export const shiftAnchor = (span, anchor, direction, timeZone) =>
+  DateTime.fromJSDate(new Date(anchor))
+    .setZone(timeZone || "UTC")
+    .plus({ [span === "month" ? "months" : "weeks"]: direction })
+    .toJSDate();
+
+export const snapDate = (date, span) => {
+  const step = (SNAP_MINUTES[span] || 60) * 60 * 1000;
+  return new Date(Math.round(new Date(date).getTime() / step) * step);
+};
+
+// Bars for every dated entry in the range, grouped by position. Fallbacks ignore
+// their dates, so they have no bars. Recurring entries get one bar per occurrence.
+export const buildTimelineRows = (entries, range) => {
+  const rows = new Map();
+  for (const entry of entries) {
+    const fieldMap = getFieldMap(entry);
+    if (isFallbackEntry(fieldMap)) {
+      continue;
+    }
+    const positionId = String(fieldMap.position_id || "").trim();
+    if (!rows.has(positionId)) {
+      rows.set(positionId, []);
+    }
+    for (const window of getEntryWindows(fieldMap, { from: range.start, to: range.end })) {
+      rows.get(positionId).push({
+        entry,
+        fieldMap,
+        recurring: Boolean(fieldMap.recurrence_rule),
+        start: window.start,
+        end: window.end,
+      });
+    }
+  }
+  return [...rows.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([positionId, bars]) => ({ positionId, ...assignLanes(bars) }));
+};
+
+// Stacks overlapping bars into separate lanes and returns the spans where two or
+// more bars overlap, so a row can highlight them.
+export const assignLanes = (bars) => {
+  const sorted = [...bars].sort((a, b) => a.start - b.start || b.end - a.end);
+  const laneEnds = [];
+  const placed = sorted.map((bar) => {
+    let lane = laneEnds.findIndex((end) => end <= bar.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(bar.end);
+    } else {
+      laneEnds[lane] = bar.end;
+    }
+    return { ...bar, lane };
+  });
+
+  const pairs = [];
+  for (let i = 0; i < sorted.length; i += 1) {
+    for (let j = i + 1; j < sorted.length && sorted[j].start < sorted[i].end; j += 1) {
+      pairs.push({ start: sorted[j].start, end: sorted[i].end < sorted[j].end ? sorted[i].end : sorted[j].end });
+    }
+  }
+  const overlaps = [];
+  for (const pair of pairs.sort((a, b) => a.start - b.start)) {
+    const last = overlaps[overlaps.length - 1];
+    if (last && pair.start <= last.end) {
+      last.end = pair.end > last.end ? pair.end : last.end;
+    } else {
+      overlaps.push({ ...pair });
+    }
+  }
+
+  return { bars: placed, lanes: Math.max(laneEnds.length, 1), overlaps };
+};
+
+// One tick per day of the range, labelled for the timeline header.
+export const buildTimelineTicks = (span, range, timeZone, now = new Date()) => {
+  const zone = timeZone || "UTC";
+  const today = DateTime.fromJSDate(now).setZone(zone).startOf("day");
+  const end = DateTime.fromJSDate(range.end).setZone(zone);
+  const ticks = [];
+  for (let day = DateTime.fromJSDate(range.start).setZone(zone).startOf("day"); day < end; day = day.plus({ days: 1 })) {
+    ticks.push({
+      key: day.toISODate(),
+      start: day.toJSDate(),
+      label: span === "month" ? String(day.day) : day.toFormat("ccc d"),
+      isToday: day.hasSame(today, "day"),
+    });
+  }
+  return ticks;
+};
+
+// Days of a month (padded to whole weeks) or a single week, in the given zone.
+export const buildCalendarDays = (span, anchor, timeZone, now = new Date()) => {
+  const zone = timeZone || "UTC";
+  const local = DateTime.fromJSDate(new Date(anchor)).setZone(zone);
+  const today = DateTime.fromJSDate(now).setZone(zone).startOf("day");
+  const first = span === "month" ? local.startOf("month").startOf("week") : local.startOf("week");
+  const last = span === "month" ? local.endOf("month").endOf("week") : local.endOf("week");
+
+  const days = [];
+  for (let day = first; day <= last; day = day.plus({ days: 1 })) {
+    days.push({
+      key: day.toISODate(),
+      start: day.toJSDate(),
+      end: day.plus({ days: 1 }).toJSDate(),
+      label: day.day,
+      isToday: day.hasSame(today, "day"),
+      inMonth: span !== "month" || day.month === local.month,
+    });
+  }
+  return days;
+};
+
+// Moves a window by whole days in the given zone, keeping its wall-clock times.
+export const shiftWindowByDays = ({ start, end }, days, timeZone) => {
+  const zone = timeZone || "UTC";
+  const shift = (value) => DateTime.fromJSDate(new Date(value)).setZone(zone).plus({ days }).toJSDate();
+  return { start: shift(start), end: shift(end) };
+};
+
+export const daysBetween = (from, to, timeZone) => {
+  const zone = timeZone || "UTC";
+  const start = DateTime.fromJSDate(new Date(from)).setZone(zone).startOf("day");
+  const end = DateTime.fromJSDate(new Date(to)).setZone(zone).startOf("day");
+  return Math.round(end.diff(start, "days").days);
+};
@@ -0,0 +1,143 @@
+import { getCountdownTarget } from "./countdown";
+import { getContentType, getTargetReference, isFallbackEntry } from "./entries";
+
+// Schemes the metaobject url field accepts
+const URL_PROTOCOLS = ["http:", "https:", "mailto:", "sms:", "tel:"];
+
+const isBlank = (value) => String(value ?? "").trim() === "";
+
+export const isValidTargetUrl = (value) => {
+  try {
+    return URL_PROTOCOLS.includes(new URL(String(value).trim()).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Checks an entry against what scheduled-banner.liquid (or announcement-bar.liquid
+// for announcements) needs to render it.
+// Fatal issues keep the block from showing the entry at all; the others only
+// leave part of it out. Each context list is optional and its checks are
+// skipped without it: `registeredPositionIds` from the Positions page,
+// `placedPositionIds` (banner blocks) and `placedEmbedPositionIds` (switched on
+// app embeds, by content type) from the live theme and `missingFileIds` for
+// images and videos deleted from Files and `nextStartPositionIds` for positions
+// where a switched on entry starts later (next_start countdowns). Forms pass
+// `requireDates: false` because blank dates get default bounds on save.
+export const validateEntry = (
+  fieldMap,
+  {
+    registeredPositionIds = null,
+    placedPositionIds = null,
+    placedEmbedPositionIds = null,
+    missingFileIds = null,
+    nextStartPositionIds = null,
+    requireDates = true,
+  } = {},
+) => {
+  const issues = [];
+  const add = (code, message, fatal) => issues.push({ code, message, fatal });
+  const contentType = getContentType(fieldMap);
+
+  // A linked product, collection, page or article takes the place of the URL.
+  // Announcements and popups show without a link.
+  const targetUrl = getTargetReference(fieldMap) ? null : String(fieldMap.target_url || "").trim();
+  if (targetUrl === "" && contentType === "banner") {
+    add("missing_target_url", "No target URL or linked resource, so the block stays hidden", true);
+  } else if (targetUrl === "" && contentType === "popup" && !isBlank(fieldMap.button_text)) {
+    add("missing_button_link", "The button has no link, so it only closes the popup", false);
+  } else if (targetUrl && !isValidTargetUrl(targetUrl)) {
+    add("invalid_target_url", `"${targetUrl}" is not a valid URL`, true);
+  }
+
+  if (contentType === "announcement" && isBlank(fieldMap.headline)) {
+    add("missing_message", "No message, so the announcement bar skips it", true);
+  }
+  if (contentType === "popup" && isBlank(fieldMap.headline) && isBlank(fieldMap.desktop_banner)) {
+    add("missing_popup_content", "No headline or image, so the popup never opens", true);
+  }
+
+  // Popups have a single image, stored in desktop_banner. A banner video stands
+  // in for a missing image of the same size.
+  let images = [
+    { key: "desktop_banner", label: "desktop", videoKey: "desktop_video" },
+    { key: "mobile_banner", label: "mobile", videoKey: "mobile_video" },
+  ];
+  if (contentType === "announcement") {
+    images = [];
+  } else if (contentType === "popup") {
+    images = [{ key: "desktop_banner", label: "popup" }];
+  }
+  for (const { key, label, videoKey } of images) {
+    if (isBlank(fieldMap[key])) {
+      // An image is optional for popups
+      if (contentType === "banner" && isBlank(fieldMap[videoKey])) {
+        add(`missing_${key}`, `No ${label} image or video, so nothing shows on ${label}`, false);
+      }
+    } else if (missingFileIds?.includes(fieldMap[key])) {
+      add(`deleted_${key}`, `The ${label} image was deleted from Files`, false);
+    }
+    if (contentType === "banner" && !isBlank(fieldMap[videoKey]) && missingFileIds?.includes(fieldMap[videoKey])) {
+      add(`deleted_${videoKey}`, `The ${label} video was deleted from Files`, false);
+    }
+  }
+
+  // The fallback ignores its dates
+  if (!isFallbackEntry(fieldMap)) {
+    const startBlank = isBlank(fieldMap.start_at);
+    const endBlank = isBlank(fieldMap.end_at);
+    if (requireDates && (startBlank || endBlank)) {
+      add("missing_dates", "No start or end date, so the block ignores it", true);
+    } else if (!startBlank && !endBlank && new Date(fieldMap.end_at) <= new Date(fieldMap.start_at)) {
+      add("end_before_start", "Ends before it starts", true);
+    }
+  }
+
+  // The fallback isn't live in a window, so there is no end to count down to
+  if (contentType === "banner" && getCountdownTarget(fieldMap) === "end") {
+    if (isFallbackEntry(fieldMap)) {
+      add("countdown_without_end", "The fallback has no end, so its countdown never shows", false);
+    } else if (isBlank(fieldMap.end_at)) {
+      add("countdown_without_end", "No end date, so the countdown runs to the default end in 2100", false);
+    }
+  }
+
+  const positionId = String(fieldMap.position_id || "").trim();
+  // Teasers need a start ahead in their position, or the timer stays hidden
+  if (
+    contentType === "banner" &&
+    getCountdownTarget(fieldMap) === "next_start" &&
+    positionId &&
+    nextStartPositionIds &&
+    !nextStartPositionIds.includes(positionId)
+  ) {
+    add(
+      "countdown_without_next_start",
+      `No switched on entry in "${positionId}" starts later, so the countdown stays hidden`,
+      false,
+    );
+  }
+
+  const placedIds = contentType === "banner" ? placedPositionIds : (placedEmbedPositionIds?.[contentType] ?? null);
+  if (!positionId) {
+    add("missing_position", "No position", true);
+  } else if (registeredPositionIds && !registeredPositionIds.includes(positionId)) {
+    add("unknown_position", `Unknown position "${positionId}"`, false);
+  } else if (placedIds && !placedIds.includes(positionId)) {
+    add(
+      "position_not_placed",
+      contentType === "banner"
+        ? `No block for "${positionId}" is placed in the live theme`
+        : `No ${contentType === "popup" ? "popup" : "announcement bar"} for "${positionId}" is switched on in the live theme's app embeds`,
+      false,
+    );
+  }
+
+  return issues;
+};
+
+export const hasFatalIssues = (issues) => issues.some((issue) => issue.fatal);
+
+// Fatal issues only depend on the entry's own fields, so switching an entry on
+// can be checked without loading the theme or files.
+export const getBlockingIssues = (fieldMap) => validateEntry(fieldMap).filter((issue) => issue.fatal);
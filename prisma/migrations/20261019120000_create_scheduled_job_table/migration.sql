@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE "ScheduledJob" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "entryTitle" TEXT,
+    "action" TEXT NOT NULL,
+    "runAt" DATETIME NOT NULL,
+    "nextAttemptAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "lastError" TEXT,
+    "result" TEXT,
+    "idempotencyKey" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "completedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduledJob_idempotencyKey_key" ON "ScheduledJob"("idempotencyKey");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_status_nextAttemptAt_idx" ON "ScheduledJob"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "ScheduledJob_shop_entryId_idx" ON "ScheduledJob"("shop", "entryId");
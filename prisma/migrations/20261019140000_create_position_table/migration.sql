@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "Position" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "positionId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "desktopWidth" INTEGER,
+    "desktopHeight" INTEGER,
+    "mobileWidth" INTEGER,
+    "mobileHeight" INTEGER,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Position_shop_positionId_key" ON "Position"("shop", "positionId");
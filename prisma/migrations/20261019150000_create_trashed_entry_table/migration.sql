@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "TrashedEntry" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "entryId" TEXT NOT NULL,
+    "handle" TEXT,
+    "title" TEXT NOT NULL,
+    "positionId" TEXT,
+    "fields" TEXT NOT NULL,
+    "files" TEXT,
+    "status" TEXT NOT NULL,
+    "campaignId" TEXT,
+    "deletedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "TrashedEntry_shop_deletedAt_idx" ON "TrashedEntry"("shop", "deletedAt");
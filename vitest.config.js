@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Kept apart from vite.config.js so the React Router plugin isn't loaded for tests.
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.{js,jsx}"],
+    environment: "node",
+  },
+});